@@ -0,0 +1,206 @@
+/**
+ * Academic Calendar Controller
+ * Handles HTTP requests for semester calendars and registration holds
+ */
+
+const { Student } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const academicCalendarService = require('../services/academicCalendarService');
+
+/**
+ * @route   GET /api/v1/academic-terms
+ * @desc    List semester calendars
+ * @access  Private
+ */
+const getTerms = async (req, res, next) => {
+  try {
+    const terms = await academicCalendarService.listTerms();
+
+    res.status(200).json({
+      success: true,
+      data: terms
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/academic-terms/current
+ * @desc    Get the current (or next) term and which enrollment window is open
+ * @access  Private
+ */
+const getCurrentTerm = async (req, res, next) => {
+  try {
+    const term = await academicCalendarService.getCurrentTerm();
+
+    res.status(200).json({
+      success: true,
+      data: term
+        ? { term, phase: academicCalendarService.getEnrollmentPhase(term) }
+        : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/academic-terms
+ * @desc    Define registration, add/drop and withdrawal windows for a semester
+ * @access  Private (Admin only)
+ */
+const createTerm = async (req, res, next) => {
+  try {
+    const term = await academicCalendarService.createTerm(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic term created',
+      data: term
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/academic-terms/:id
+ * @desc    Update a semester's dates
+ * @access  Private (Admin only)
+ */
+const updateTerm = async (req, res, next) => {
+  try {
+    const term = await academicCalendarService.updateTerm(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Academic term updated',
+      data: term
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/academic-terms/:id
+ * @desc    Delete a semester's calendar
+ * @access  Private (Admin only)
+ */
+const deleteTerm = async (req, res, next) => {
+  try {
+    await academicCalendarService.deleteTerm(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Academic term deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/holds/my
+ * @desc    Get my active holds
+ * @access  Private (Student only)
+ */
+const getMyHolds = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const holds = await academicCalendarService.getActiveHolds(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: holds.map(hold => ({
+        id: hold.id,
+        hold_type: hold.hold_type,
+        label: academicCalendarService.HOLD_LABELS[hold.hold_type],
+        reason: hold.reason,
+        placed_at: hold.created_at
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/holds
+ * @desc    List holds, optionally by student or only active ones
+ * @access  Private (Admin only)
+ */
+const getHolds = async (req, res, next) => {
+  try {
+    const { student_id, active } = req.query;
+
+    const holds = await academicCalendarService.listHolds({
+      student_id,
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/holds
+ * @desc    Place a registration hold on a student
+ * @access  Private (Admin only)
+ */
+const placeHold = async (req, res, next) => {
+  try {
+    const { student_id, hold_type, reason } = req.body;
+    const hold = await academicCalendarService.placeHold(student_id, { hold_type, reason }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Hold placed',
+      data: hold
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/holds/:id/release
+ * @desc    Release a hold
+ * @access  Private (Admin only)
+ */
+const releaseHold = async (req, res, next) => {
+  try {
+    const hold = await academicCalendarService.releaseHold(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold released',
+      data: hold
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTerms,
+  getCurrentTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getMyHolds,
+  getHolds,
+  placeHold,
+  releaseHold
+};
@@ -0,0 +1,150 @@
+/**
+ * Advising Controller
+ * Handles HTTP requests for academic advisors and course basket approval
+ */
+
+const { Student, Faculty } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const advisingService = require('../services/advisingService');
+
+/**
+ * Faculty profile of the requesting user, null for admins
+ */
+const getAdvisorId = async (req) => {
+  if (req.user.role === 'admin') return null;
+
+  const faculty = await Faculty.findOne({ where: { user_id: req.user.id } });
+  if (!faculty) {
+    throw new AppError('Faculty profile not found', 404, 'FACULTY_NOT_FOUND');
+  }
+  return faculty.id;
+};
+
+/**
+ * @route   GET /api/v1/advising/my-advisor
+ * @desc    Get my academic advisor
+ * @access  Private (Student only)
+ */
+const getMyAdvisor = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const advisor = await advisingService.getStudentAdvisor(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: advisor
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/advising/advisees
+ * @desc    Get students I advise
+ * @access  Private (Faculty only)
+ */
+const getMyAdvisees = async (req, res, next) => {
+  try {
+    const facultyId = await getAdvisorId(req);
+    const advisees = await advisingService.getAdvisees(facultyId);
+
+    res.status(200).json({
+      success: true,
+      count: advisees.length,
+      data: advisees
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/advising/baskets
+ * @desc    Get course baskets awaiting approval with transcript summaries
+ * @access  Private (Faculty, Admin)
+ */
+const getPendingBaskets = async (req, res, next) => {
+  try {
+    const facultyId = await getAdvisorId(req);
+    const { semester, year } = req.query;
+
+    const baskets = await advisingService.getPendingBaskets(facultyId, {
+      semester,
+      year: year ? parseInt(year) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: baskets.length,
+      data: baskets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/advising/baskets/:studentId
+ * @desc    Approve, reject or comment on courses in a student's basket
+ * @access  Private (Faculty, Admin)
+ */
+const reviewBasket = async (req, res, next) => {
+  try {
+    const facultyId = await getAdvisorId(req);
+    const { semester, year, decisions } = req.body;
+
+    const enrollments = await advisingService.reviewBasket(facultyId, req.params.studentId, {
+      semester,
+      year: parseInt(year),
+      decisions
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Course basket reviewed',
+      data: enrollments.map(enrollment => ({
+        id: enrollment.id,
+        section_id: enrollment.section_id,
+        status: enrollment.status,
+        advisor_comment: enrollment.advisor_comment
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/advising/students/:studentId/advisor
+ * @desc    Assign or clear a student's academic advisor
+ * @access  Private (Admin only)
+ */
+const assignAdvisor = async (req, res, next) => {
+  try {
+    const student = await advisingService.assignAdvisor(req.params.studentId, req.body.faculty_id || null);
+
+    res.status(200).json({
+      success: true,
+      message: student.advisor_id ? 'Advisor assigned' : 'Advisor removed',
+      data: {
+        student_id: student.id,
+        advisor_id: student.advisor_id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyAdvisor,
+  getMyAdvisees,
+  getPendingBaskets,
+  reviewBasket,
+  assignAdvisor
+};
@@ -4,6 +4,8 @@
  */
 
 const attendanceService = require('../services/attendanceService');
+const attendancePolicyService = require('../services/attendancePolicyService');
+const attendanceDeviceService = require('../services/attendanceDeviceService');
 const { Student, Faculty } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
 const { getIo } = require('../socket');
@@ -22,7 +24,8 @@ const createSession = async (req, res, next) => {
       lon,
       radius = 15,
       duration_minutes = 90,
-      use_classroom_location = false
+      use_classroom_location = false,
+      check_in_mode = 'gps'
     } = req.body;
 
     // Get faculty profile
@@ -39,7 +42,8 @@ const createSession = async (req, res, next) => {
       centerLon: lon,
       radius,
       durationMinutes: duration_minutes,
-      useClassroomLocation: use_classroom_location
+      useClassroomLocation: use_classroom_location,
+      checkInMode: check_in_mode
     });
 
     res.status(201).json({
@@ -66,9 +70,13 @@ const checkIn = async (req, res, next) => {
     const {
       session_id,
       session_code,
+      qr_token,
       lat,
       lon,
-      gps_accuracy
+      gps_accuracy,
+      beacons,
+      wifi_networks,
+      device_fingerprint
     } = req.body;
 
     // Validate input
@@ -80,14 +88,6 @@ const checkIn = async (req, res, next) => {
       ));
     }
 
-    if (lat === undefined || lon === undefined) {
-      return next(new AppError(
-        'GPS coordinates (lat, lon) are required',
-        400,
-        'MISSING_COORDINATES'
-      ));
-    }
-
     // Get student profile
     const student = await Student.findOne({
       where: { user_id: userId },
@@ -102,9 +102,14 @@ const checkIn = async (req, res, next) => {
       studentId: student.id,
       sessionId: session_id,
       sessionCode: session_code,
+      qrToken: qr_token,
       studentLat: lat,
       studentLon: lon,
-      gpsAccuracy: gps_accuracy
+      gpsAccuracy: gps_accuracy,
+      beacons,
+      wifiNetworks: wifi_networks,
+      deviceFingerprint: device_fingerprint,
+      userAgent: req.get('user-agent')
     });
 
     // Handle flagged check-ins
@@ -322,7 +327,7 @@ const getMyAttendanceHistory = async (req, res, next) => {
 
 /**
  * @route   PUT /api/v1/attendance/sessions/:sessionId/qr
- * @desc    Rotate QR code for a session
+ * @desc    Replace a session's code and QR secret (tokens also rotate on their own)
  * @access  Private (Faculty only)
  */
 const rotateSessionQrCode = async (req, res, next) => {
@@ -492,6 +497,212 @@ const updateRecordStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve the instructor restriction for section attendance endpoints
+ * Faculty may only manage their own sections; admins any section
+ */
+const getSectionInstructorId = async (req) => {
+  if (req.user.role === 'admin') return null;
+
+  const faculty = await Faculty.findOne({ where: { user_id: req.user.id } });
+  if (!faculty) {
+    throw new AppError('Faculty profile not found', 404, 'FACULTY_NOT_FOUND');
+  }
+  return faculty.id;
+};
+
+/**
+ * @route   GET /api/v1/attendance/sections/:sectionId/policy
+ * @desc    Get the attendance policy in effect for a section
+ * @access  Private
+ */
+const getAttendancePolicy = async (req, res, next) => {
+  try {
+    const policy = await attendancePolicyService.getSectionAttendancePolicy(req.params.sectionId);
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/attendance/sections/:sectionId/policy
+ * @desc    Define the section's absence limits and re-check enrolled students
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const updateAttendancePolicy = async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const instructorId = await getSectionInstructorId(req);
+
+    const policy = await attendancePolicyService.saveSectionAttendancePolicy(sectionId, req.body, instructorId, req.user.id);
+    const students = await attendancePolicyService.evaluateSectionAttendance(sectionId);
+    const failed = students.filter(s => s.attendance_status === 'failed').length;
+
+    res.status(200).json({
+      success: true,
+      message: `Attendance policy saved, ${failed} students over the absence limit`,
+      data: {
+        policy,
+        failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/attendance/sections/:sectionId/policy
+ * @desc    Revert a section to the default attendance policy
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const deleteAttendancePolicy = async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const instructorId = await getSectionInstructorId(req);
+
+    const policy = await attendancePolicyService.deleteSectionAttendancePolicy(sectionId, instructorId);
+    const students = await attendancePolicyService.evaluateSectionAttendance(sectionId);
+    const failed = students.filter(s => s.attendance_status === 'failed').length;
+
+    res.status(200).json({
+      success: true,
+      message: `Reverted to default attendance policy, ${failed} students over the absence limit`,
+      data: {
+        policy,
+        failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/attendance/sections/:sectionId/standing
+ * @desc    Absences of each enrolled student against the section policy (read-only)
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const getSectionAttendanceStanding = async (req, res, next) => {
+  try {
+    const instructorId = await getSectionInstructorId(req);
+    const standing = await attendancePolicyService.getSectionAttendanceStanding(req.params.sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      data: standing
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/attendance/enrollments/:enrollmentId/override
+ * @desc    Allow (or stop allowing) final grade entry for a student failed on attendance
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const overrideAttendanceFail = async (req, res, next) => {
+  try {
+    const instructorId = await getSectionInstructorId(req);
+    const enrollment = await attendancePolicyService.setAttendanceOverride(
+      req.params.enrollmentId,
+      req.body,
+      instructorId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: enrollment.attendance_status === 'overridden'
+        ? 'Attendance fail overridden, final grade can be entered'
+        : 'Attendance override removed',
+      data: {
+        id: enrollment.id,
+        attendance_status: enrollment.attendance_status,
+        attendance_override_reason: enrollment.attendance_override_reason,
+        attendance_override_at: enrollment.attendance_override_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/attendance/devices/my
+ * @desc    Devices the student is bound to for check-in
+ * @access  Private (Student only)
+ */
+const getMyDevices = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const devices = await attendanceDeviceService.getStudentDevices(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        devices,
+        max_devices: attendanceDeviceService.MAX_DEVICES_PER_STUDENT
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/attendance/students/:studentId/devices
+ * @desc    Devices a student is (or was) bound to
+ * @access  Private (Admin only)
+ */
+const getStudentDevices = async (req, res, next) => {
+  try {
+    const devices = await attendanceDeviceService.getStudentDevices(req.params.studentId, { includeRevoked: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        devices,
+        max_devices: attendanceDeviceService.MAX_DEVICES_PER_STUDENT
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/attendance/devices/:deviceId
+ * @desc    Unbind a device so the student can register another
+ * @access  Private (Admin only)
+ */
+const revokeDevice = async (req, res, next) => {
+  try {
+    const device = await attendanceDeviceService.revokeDevice(req.params.deviceId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unbound',
+      data: {
+        id: device.id,
+        revoked_at: device.revoked_at
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createSession,
   checkIn,
@@ -502,5 +713,13 @@ module.exports = {
   calculateDistance,
   rotateSessionQrCode,
   updateRecordFlag,
-  updateRecordStatus
+  updateRecordStatus,
+  getAttendancePolicy,
+  updateAttendancePolicy,
+  deleteAttendancePolicy,
+  getSectionAttendanceStanding,
+  overrideAttendanceFail,
+  getMyDevices,
+  getStudentDevices,
+  revokeDevice
 };
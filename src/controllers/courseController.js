@@ -5,6 +5,7 @@
 
 const { Op } = require('sequelize');
 const {
+    sequelize,
     Course,
     CourseSection,
     Department,
@@ -16,6 +17,40 @@ const {
     Student
 } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Group a course's prerequisite rules as stored: rules sharing a group are
+ * alternatives (OR), groups are all required (AND)
+ * @param {Array} rules - CoursePrerequisite rows with prerequisiteCourse
+ * @returns {Object} - { prerequisite_groups, corequisite_groups }
+ */
+const formatRequirements = (rules) => {
+    const groups = { prerequisite: new Map(), corequisite: new Map() };
+
+    rules.forEach(rule => {
+        const type = rule.requirement_type || 'prerequisite';
+        const key = rule.group_number ?? rule.prerequisite_course_id;
+        if (!groups[type].has(key)) groups[type].set(key, []);
+        groups[type].get(key).push({
+            course_id: rule.prerequisite_course_id,
+            code: rule.prerequisiteCourse?.code,
+            name: rule.prerequisiteCourse?.name,
+            min_grade: rule.min_grade || null
+        });
+    });
+
+    return {
+        prerequisite_groups: Array.from(groups.prerequisite.values()),
+        corequisite_groups: Array.from(groups.corequisite.values())
+    };
+};
+
+const loadRequirementRules = (courseId) => CoursePrerequisite.findAll({
+    where: { course_id: courseId },
+    include: [{ model: Course, as: 'prerequisiteCourse', attributes: ['id', 'code', 'name'] }],
+    order: [['requirement_type', 'ASC'], ['group_number', 'ASC']]
+});
 
 /**
  * @route   GET /api/v1/courses
@@ -228,6 +263,8 @@ const getCourseById = async (req, res, next) => {
             return next(new AppError('Course not found', 404, 'COURSE_NOT_FOUND'));
         }
 
+        const rules = await loadRequirementRules(course.id);
+
         // Format response
         const formattedCourse = {
             id: course.id,
@@ -236,6 +273,8 @@ const getCourseById = async (req, res, next) => {
             description: course.description,
             credits: course.credits,
             ects: course.ects,
+            min_year_of_study: course.min_year_of_study,
+            requirements: formatRequirements(rules),
             department: course.department ? {
                 id: course.department.id,
                 name: course.department.name,
@@ -289,7 +328,7 @@ const getCourseById = async (req, res, next) => {
  */
 const createCourse = async (req, res, next) => {
     try {
-        const { code, name, description, credits, ects, department_id } = req.body;
+        const { code, name, description, credits, ects, department_id, min_year_of_study } = req.body;
 
         // Check if course code already exists
         const existingCourse = await Course.findOne({ where: { code } });
@@ -311,7 +350,8 @@ const createCourse = async (req, res, next) => {
             description,
             credits: credits || 3,
             ects,
-            department_id
+            department_id,
+            min_year_of_study
         });
 
         res.status(201).json({
@@ -324,7 +364,8 @@ const createCourse = async (req, res, next) => {
                 description: course.description,
                 credits: course.credits,
                 ects: course.ects,
-                department_id: course.department_id
+                department_id: course.department_id,
+                min_year_of_study: course.min_year_of_study
             }
         });
     } catch (error) {
@@ -340,7 +381,7 @@ const createCourse = async (req, res, next) => {
 const updateCourse = async (req, res, next) => {
     try {
         const { courseId } = req.params;
-        const { code, name, description, credits, ects, department_id } = req.body;
+        const { code, name, description, credits, ects, department_id, min_year_of_study } = req.body;
 
         const course = await Course.findByPk(courseId);
         if (!course) {
@@ -369,7 +410,8 @@ const updateCourse = async (req, res, next) => {
             description: description !== undefined ? description : course.description,
             credits: credits !== undefined ? credits : course.credits,
             ects: ects !== undefined ? ects : course.ects,
-            department_id: department_id !== undefined ? department_id : course.department_id
+            department_id: department_id !== undefined ? department_id : course.department_id,
+            min_year_of_study: min_year_of_study !== undefined ? min_year_of_study : course.min_year_of_study
         });
 
         res.status(200).json({
@@ -408,6 +450,109 @@ const deleteCourse = async (req, res, next) => {
     }
 };
 
+/**
+ * @route   GET /api/v1/courses/:courseId/requirements
+ * @desc    Get prerequisite, corequisite and year-of-study requirements of a course
+ * @access  Private (Authenticated users)
+ */
+const getCourseRequirements = async (req, res, next) => {
+    try {
+        const course = await Course.findByPk(req.params.courseId, {
+            attributes: ['id', 'code', 'name', 'min_year_of_study']
+        });
+        if (!course) {
+            return next(new AppError('Course not found', 404, 'COURSE_NOT_FOUND'));
+        }
+
+        const rules = await loadRequirementRules(course.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                course_id: course.id,
+                code: course.code,
+                min_year_of_study: course.min_year_of_study,
+                ...formatRequirements(rules)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   PUT /api/v1/courses/:courseId/requirements
+ * @desc    Replace the requirements of a course. Each group is a list of
+ *          alternatives (OR); all groups are required (AND).
+ * @access  Private (Admin only)
+ */
+const setCourseRequirements = async (req, res, next) => {
+    try {
+        const { courseId } = req.params;
+        const { prerequisite_groups = [], corequisite_groups = [], min_year_of_study } = req.body;
+
+        const course = await Course.findByPk(courseId);
+        if (!course) {
+            return next(new AppError('Course not found', 404, 'COURSE_NOT_FOUND'));
+        }
+
+        // Options of one group share its group number
+        const rows = [];
+        let groupNumber = 0;
+        [['prerequisite', prerequisite_groups], ['corequisite', corequisite_groups]].forEach(([type, groups]) => {
+            groups.forEach(group => {
+                groupNumber += 1;
+                group.forEach(option => rows.push({
+                    course_id: courseId,
+                    prerequisite_course_id: option.course_id,
+                    requirement_type: type,
+                    group_number: groupNumber,
+                    min_grade: option.min_grade || null
+                }));
+            });
+        });
+
+        const referenced = rows.map(row => row.prerequisite_course_id);
+        if (referenced.includes(courseId)) {
+            return next(new AppError('A course cannot require itself', 400, 'INVALID_REQUIREMENTS'));
+        }
+        if (new Set(referenced).size !== referenced.length) {
+            return next(new AppError('A course can appear only once in the requirements', 400, 'INVALID_REQUIREMENTS'));
+        }
+        if (referenced.length > 0) {
+            const found = await Course.count({ where: { id: { [Op.in]: referenced } } });
+            if (found !== referenced.length) {
+                return next(new AppError('Requirements refer to courses that do not exist', 400, 'INVALID_REQUIREMENTS'));
+            }
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await CoursePrerequisite.destroy({ where: { course_id: courseId }, transaction });
+            if (rows.length > 0) {
+                await CoursePrerequisite.bulkCreate(rows, { transaction });
+            }
+            if (min_year_of_study !== undefined) {
+                await course.update({ min_year_of_study }, { transaction });
+            }
+        });
+
+        const rules = await loadRequirementRules(courseId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Course requirements updated',
+            data: {
+                course_id: course.id,
+                code: course.code,
+                min_year_of_study: course.min_year_of_study,
+                ...formatRequirements(rules)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @route   POST /api/v1/courses/:courseId/sections
  * @desc    Create a new section for a course
@@ -527,6 +672,8 @@ const updateSection = async (req, res, next) => {
             }
         }
 
+        const previousCapacity = section.capacity;
+
         await section.update({
             semester: semester || section.semester,
             year: year || section.year,
@@ -537,6 +684,11 @@ const updateSection = async (req, res, next) => {
             instructor_id: instructor_id !== undefined ? instructor_id : section.instructor_id
         });
 
+        // Extra seats go to the waitlist first
+        if (section.capacity > previousCapacity) {
+            await waitlistService.promoteFromWaitlist(section.id);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Section updated successfully',
@@ -633,6 +785,8 @@ module.exports = {
     createCourse,
     updateCourse,
     deleteCourse,
+    getCourseRequirements,
+    setCourseRequirements,
     createSection,
     updateSection,
     deleteSection
@@ -0,0 +1,128 @@
+/**
+ * Credit Load Controller
+ * Handles HTTP requests for semester credit load limits and admin overrides
+ */
+
+const { Student } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const creditLoadService = require('../services/creditLoadService');
+
+/**
+ * @route   GET /api/v1/credit-load/my
+ * @desc    Get my load limits and current load for a semester
+ * @access  Private (Student only)
+ */
+const getMyLoad = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const { semester, year } = req.query;
+    const summary = await creditLoadService.getStudentLoadSummary(student.id, semester, parseInt(year));
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/credit-load/students/:studentId
+ * @desc    Get a student's load limits and current load for a semester
+ * @access  Private (Faculty, Admin)
+ */
+const getStudentLoad = async (req, res, next) => {
+  try {
+    const { semester, year } = req.query;
+    const summary = await creditLoadService.getStudentLoadSummary(req.params.studentId, semester, parseInt(year));
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/credit-load/overrides
+ * @desc    Override audit trail
+ * @access  Private (Admin only)
+ */
+const getOverrides = async (req, res, next) => {
+  try {
+    const { student_id, semester, year } = req.query;
+
+    const overrides = await creditLoadService.listOverrides({
+      student_id,
+      semester,
+      year: year ? parseInt(year) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: overrides.length,
+      data: overrides
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/credit-load/overrides
+ * @desc    Grant a student a different load limit for a semester
+ * @access  Private (Admin only)
+ */
+const grantOverride = async (req, res, next) => {
+  try {
+    const { student_id, semester, year, max_load, min_load, reason } = req.body;
+
+    const override = await creditLoadService.grantOverride(
+      student_id,
+      { semester, year: parseInt(year), max_load, min_load, reason },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit load override granted',
+      data: override
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/credit-load/overrides/:id/revoke
+ * @desc    Revoke an override
+ * @access  Private (Admin only)
+ */
+const revokeOverride = async (req, res, next) => {
+  try {
+    const override = await creditLoadService.revokeOverride(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit load override revoked',
+      data: override
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyLoad,
+  getStudentLoad,
+  getOverrides,
+  grantOverride,
+  revokeOverride
+};
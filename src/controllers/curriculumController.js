@@ -0,0 +1,107 @@
+/**
+ * Curriculum Controller
+ * Handles HTTP requests for department curricula used by degree audits
+ */
+
+const degreeAuditService = require('../services/degreeAuditService');
+
+/**
+ * @route   GET /api/v1/curricula
+ * @desc    List curricula, optionally of one department
+ * @access  Private
+ */
+const getCurricula = async (req, res, next) => {
+  try {
+    const curricula = await degreeAuditService.listCurricula({ department_id: req.query.department_id });
+
+    res.status(200).json({
+      success: true,
+      count: curricula.length,
+      data: curricula
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/curricula/:id
+ * @desc    Get a curriculum with its courses
+ * @access  Private
+ */
+const getCurriculum = async (req, res, next) => {
+  try {
+    const curriculum = await degreeAuditService.getCurriculum(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: curriculum
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/curricula
+ * @desc    Define a department curriculum for a catalog year
+ * @access  Private (Admin only)
+ */
+const createCurriculum = async (req, res, next) => {
+  try {
+    const curriculum = await degreeAuditService.createCurriculum(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Curriculum created',
+      data: curriculum
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/curricula/:id
+ * @desc    Update a curriculum
+ * @access  Private (Admin only)
+ */
+const updateCurriculum = async (req, res, next) => {
+  try {
+    const curriculum = await degreeAuditService.updateCurriculum(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Curriculum updated',
+      data: curriculum
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/curricula/:id
+ * @desc    Delete a curriculum
+ * @access  Private (Admin only)
+ */
+const deleteCurriculum = async (req, res, next) => {
+  try {
+    await degreeAuditService.deleteCurriculum(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Curriculum deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCurricula,
+  getCurriculum,
+  createCurriculum,
+  updateCurriculum,
+  deleteCurriculum
+};
@@ -3,8 +3,9 @@
  * Handles department-related operations
  */
 
-const { Department } = require('../models');
+const { Department, Faculty } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const { resolveCreditLimits } = require('../services/creditLoadService');
 
 /**
  * @route   GET /api/v1/departments
@@ -14,7 +15,7 @@ const { AppError } = require('../middleware/errorHandler');
 const getAllDepartments = async (req, res, next) => {
   try {
     const departments = await Department.findAll({
-      attributes: ['id', 'name', 'code', 'faculty_name'],
+      attributes: ['id', 'name', 'code', 'faculty_name', 'head_faculty_id'],
       order: [['name', 'ASC']]
     });
 
@@ -55,6 +56,18 @@ const getDepartmentById = async (req, res, next) => {
   }
 };
 
+/**
+ * Check that a department head refers to an existing faculty member
+ */
+const assertHeadFaculty = async (headFacultyId) => {
+  if (!headFacultyId) return;
+
+  const faculty = await Faculty.findByPk(headFacultyId);
+  if (!faculty) {
+    throw new AppError('Department head must be an existing faculty member', 400, 'INVALID_DEPARTMENT_HEAD');
+  }
+};
+
 /**
  * @route   POST /api/v1/departments
  * @desc    Create a new department
@@ -62,7 +75,7 @@ const getDepartmentById = async (req, res, next) => {
  */
 const createDepartment = async (req, res, next) => {
   try {
-    const { name, code, faculty_name } = req.body;
+    const { name, code, faculty_name, head_faculty_id } = req.body;
 
     // Check if department code already exists
     const existingDepartment = await Department.findOne({ where: { code } });
@@ -70,10 +83,13 @@ const createDepartment = async (req, res, next) => {
       return next(new AppError('Department with this code already exists', 400, 'DUPLICATE_CODE'));
     }
 
+    await assertHeadFaculty(head_faculty_id);
+
     const department = await Department.create({
       name,
       code,
-      faculty_name
+      faculty_name,
+      head_faculty_id: head_faculty_id || null
     });
 
     res.status(201).json({
@@ -93,7 +109,7 @@ const createDepartment = async (req, res, next) => {
 const updateDepartment = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, code, faculty_name } = req.body;
+    const { name, code, faculty_name, head_faculty_id, credit_limits } = req.body;
 
     const department = await Department.findByPk(id);
 
@@ -109,10 +125,21 @@ const updateDepartment = async (req, res, next) => {
       }
     }
 
+    await assertHeadFaculty(head_faculty_id);
+
+    // Stored as given (partial); missing values fall back to the defaults
+    if (credit_limits) {
+      resolveCreditLimits(credit_limits);
+    }
+
     await department.update({
       name: name || department.name,
       code: code || department.code,
-      faculty_name: faculty_name || department.faculty_name
+      faculty_name: faculty_name || department.faculty_name,
+      // null clears the head
+      head_faculty_id: head_faculty_id !== undefined ? head_faculty_id : department.head_faculty_id,
+      // null restores the default credit load policy
+      credit_limits: credit_limits !== undefined ? credit_limits : department.credit_limits
     });
 
     res.json({
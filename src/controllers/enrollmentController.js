@@ -4,7 +4,12 @@
  */
 
 const enrollmentService = require('../services/enrollmentService');
-const { Student, Faculty } = require('../models');
+const gradingService = require('../services/gradingService');
+const gradeReleaseService = require('../services/gradeReleaseService');
+const waitlistService = require('../services/waitlistService');
+const courseRecommendationService = require('../services/courseRecommendationService');
+const scheduleBuilderService = require('../services/scheduleBuilderService');
+const { sequelize, Student, Faculty } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
 
 /**
@@ -28,7 +33,9 @@ const createEnrollment = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: 'Successfully enrolled in the course',
+      message: enrollment.status === 'pending_approval'
+        ? 'Course added to your basket and sent to your advisor for approval'
+        : 'Successfully enrolled in the course',
       data: {
         enrollment: {
           id: enrollment.id,
@@ -58,7 +65,34 @@ const createEnrollment = async (req, res, next) => {
           code: error.code,
           message: error.message,
           details: {
-            missingPrerequisites: error.missingPrerequisites || []
+            missingPrerequisites: error.missingPrerequisites || [],
+            failedClauses: error.failedClauses || []
+          }
+        }
+      });
+    }
+
+    if (error.code === 'REGISTRATION_HOLD') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {
+            holds: error.holds || []
+          }
+        }
+      });
+    }
+
+    if (error.code === 'CREDIT_LOAD_EXCEEDED') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {
+            creditLoad: error.creditLoad
           }
         }
       });
@@ -97,11 +131,15 @@ const dropEnrollment = async (req, res, next) => {
       return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
     }
 
-    const enrollment = await enrollmentService.dropEnrollment(student.id, enrollmentId);
+    const enrollment = await enrollmentService.dropEnrollment(student.id, enrollmentId, {
+      enforceMinimumLoad: true
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Successfully dropped the course',
+      message: enrollment.status === 'withdrawn'
+        ? 'Withdrew from the course; a W grade has been recorded'
+        : 'Successfully dropped the course',
       data: {
         enrollment: {
           id: enrollment.id,
@@ -110,6 +148,19 @@ const dropEnrollment = async (req, res, next) => {
       }
     });
   } catch (error) {
+    if (error.code === 'CREDIT_LOAD_BELOW_MINIMUM') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {
+            creditLoad: error.creditLoad
+          }
+        }
+      });
+    }
+
     next(error);
   }
 };
@@ -123,7 +174,7 @@ const updateGrades = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { id: enrollmentId } = req.params;
-    const { midterm_grade, final_grade } = req.body;
+    const { midterm_grade, final_grade, components, reason } = req.body;
 
     // Get faculty profile
     const faculty = await Faculty.findOne({ where: { user_id: userId } });
@@ -131,19 +182,18 @@ const updateGrades = async (req, res, next) => {
       return next(new AppError('Faculty profile not found', 404, 'FACULTY_NOT_FOUND'));
     }
 
-    // Update grades
+    // Update grades (reason is required once grades are published)
     const enrollment = await enrollmentService.updateGrades(
       enrollmentId,
-      { midterm_grade, final_grade },
-      faculty.id
+      { midterm_grade, final_grade, components, reason },
+      faculty.id,
+      { userId }
     );
 
-    // Calculate average for response
-    let average = null;
-    if (enrollment.midterm_grade !== null && enrollment.final_grade !== null) {
-      average = (parseFloat(enrollment.midterm_grade) * 0.4) +
-        (parseFloat(enrollment.final_grade) * 0.6);
-    }
+    // Weighted (and curved) score from the section's grading scheme
+    const average = enrollment.numeric_grade !== null && enrollment.numeric_grade !== undefined
+      ? parseFloat(enrollment.numeric_grade)
+      : null;
 
     res.status(200).json({
       success: true,
@@ -154,7 +204,8 @@ const updateGrades = async (req, res, next) => {
           student_id: enrollment.student_id,
           midterm_grade: enrollment.midterm_grade,
           final_grade: enrollment.final_grade,
-          average: average ? average.toFixed(2) : null,
+          component_scores: enrollment.component_scores,
+          average: average !== null ? average.toFixed(2) : null,
           letter_grade: enrollment.letter_grade,
           status: enrollment.status,
           course: {
@@ -178,7 +229,7 @@ const bulkUpdateGrades = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { sectionId } = req.params;
-    const { grades } = req.body; // Array of { enrollment_id, midterm_grade, final_grade }
+    const { grades, reason } = req.body; // Array of { enrollment_id, midterm_grade, final_grade }
 
     // Get faculty profile
     const faculty = await Faculty.findOne({ where: { user_id: userId } });
@@ -187,7 +238,7 @@ const bulkUpdateGrades = async (req, res, next) => {
     }
 
     // Bulk update
-    const results = await enrollmentService.bulkUpdateGrades(sectionId, grades, faculty.id);
+    const results = await enrollmentService.bulkUpdateGrades(sectionId, grades, faculty.id, { reason, userId });
 
     res.status(200).json({
       success: true,
@@ -224,6 +275,7 @@ const getMyEnrollments = async (req, res, next) => {
       year: year ? parseInt(year) : undefined,
       includeClassroom: false
     });
+    await gradeReleaseService.hideUnpublishedGrades(enrollments);
 
     res.status(200).json({
       success: true,
@@ -310,6 +362,7 @@ const getEnrollmentById = async (req, res, next) => {
       if (!student || enrollment.student_id !== student.id) {
         return next(new AppError('Not authorized to view this enrollment', 403, 'FORBIDDEN'));
       }
+      await gradeReleaseService.hideUnpublishedGrades([enrollment]);
     } else if (userRole === 'faculty') {
       const faculty = await Faculty.findOne({ where: { user_id: userId } });
       if (!faculty || enrollment.section.instructor_id !== faculty.id) {
@@ -420,14 +473,20 @@ const checkPrerequisites = async (req, res, next) => {
       return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
     }
 
-    const result = await enrollmentService.checkPrerequisitesRecursive(courseId, student.id);
+    // Optional semester to check corequisites and year of study against
+    const { semester, year } = req.query;
+    const result = await enrollmentService.checkPrerequisitesRecursive(courseId, student.id, new Set(), {
+      semester,
+      year
+    });
 
     res.status(200).json({
       success: true,
       data: {
         course_id: courseId,
         prerequisites_met: result.passed,
-        missing_prerequisites: result.missingPrerequisites
+        missing_prerequisites: result.missingPrerequisites,
+        failed_clauses: result.failedClauses
       }
     });
   } catch (error) {
@@ -466,6 +525,464 @@ const checkConflicts = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/v1/enrollments/recommendations
+ * @desc    Recommend open sections the student is eligible for, ranked by how many courses they unblock
+ * @access  Private (Student only)
+ */
+const getRecommendations = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const { semester, year } = req.query;
+    const result = await courseRecommendationService.recommendSections(student.id, { semester, year });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/enrollments/schedule-builder
+ * @desc    Generate conflict-free timetables for desired courses, ranked by preferences
+ * @access  Private (Student only)
+ */
+const buildSchedules = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const result = await scheduleBuilderService.buildSchedules(student.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/enrollments/schedule-builder/enroll
+ * @desc    Enroll in all sections of a chosen timetable, or in none
+ * @access  Private (Student only)
+ */
+const enrollInSchedule = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const enrollments = await scheduleBuilderService.enrollInSchedule(student.id, req.body.section_ids);
+
+    res.status(201).json({
+      success: true,
+      message: enrollments.some(enrollment => enrollment.status === 'pending_approval')
+        ? 'Timetable added to your basket and sent to your advisor for approval'
+        : `Successfully enrolled in ${enrollments.length} courses`,
+      data: {
+        enrollments: enrollments.map(enrollment => ({
+          id: enrollment.id,
+          status: enrollment.status,
+          course: {
+            code: enrollment.section.course.code,
+            name: enrollment.section.course.name,
+            credits: enrollment.section.course.credits
+          },
+          section: {
+            id: enrollment.section.id,
+            section_number: enrollment.section.section_number,
+            schedule: enrollment.section.schedule_json
+          }
+        }))
+      }
+    });
+  } catch (error) {
+    // Nothing was enrolled; report the section that failed and why
+    if (error.section_id) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: `${error.course_code}: ${error.message}`,
+          details: {
+            section_id: error.section_id,
+            course_code: error.course_code,
+            ...(error.failedClauses && { failedClauses: error.failedClauses }),
+            ...(error.holds && { holds: error.holds }),
+            ...(error.creditLoad && { creditLoad: error.creditLoad })
+          }
+        }
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/grading-scheme
+ * @desc    Get the grading scheme in effect for a section
+ * @access  Private
+ */
+const getGradingScheme = async (req, res, next) => {
+  try {
+    const scheme = await gradingService.getSectionGradingScheme(req.params.sectionId);
+
+    res.status(200).json({
+      success: true,
+      data: scheme
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve the instructor restriction for section grading endpoints
+ * Faculty may only manage their own sections; admins any section
+ */
+const getSectionInstructorId = async (req) => {
+  if (req.user.role === 'admin') return null;
+
+  const faculty = await Faculty.findOne({ where: { user_id: req.user.id } });
+  if (!faculty) {
+    throw new AppError('Faculty profile not found', 404, 'FACULTY_NOT_FOUND');
+  }
+  return faculty.id;
+};
+
+/**
+ * @route   PUT /api/v1/sections/:sectionId/grading-scheme
+ * @desc    Define the section's grading components, curve and letter cutoffs
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const updateGradingScheme = async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const instructorId = await getSectionInstructorId(req);
+
+    // Save and regrade together so a failed regrade does not leave the new scheme in place
+    const { scheme, regraded } = await sequelize.transaction(async (transaction) => ({
+      scheme: await gradingService.saveSectionGradingScheme(sectionId, req.body, instructorId, req.user.id, transaction),
+      regraded: await enrollmentService.recalculateSectionGrades(sectionId, transaction)
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: `Grading scheme saved, ${regraded} grades recalculated`,
+      data: {
+        scheme,
+        regraded
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/sections/:sectionId/grading-scheme
+ * @desc    Revert a section to the default grading scheme
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const deleteGradingScheme = async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const instructorId = await getSectionInstructorId(req);
+
+    const { scheme, regraded } = await sequelize.transaction(async (transaction) => ({
+      scheme: await gradingService.deleteSectionGradingScheme(sectionId, instructorId, transaction),
+      regraded: await enrollmentService.recalculateSectionGrades(sectionId, transaction)
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: `Reverted to default grading scheme, ${regraded} grades recalculated`,
+      data: {
+        scheme,
+        regraded
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/grades/release
+ * @desc    Get the grade publication status of a section
+ * @access  Private (Faculty - section instructor or department head, Admin)
+ */
+const getGradeRelease = async (req, res, next) => {
+  try {
+    const instructorId = await getSectionInstructorId(req);
+    const release = await gradeReleaseService.getReleaseStatus(req.params.sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      data: release
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/sections/:sectionId/grades/submit
+ * @desc    Submit draft grades for department review
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const submitGrades = async (req, res, next) => {
+  try {
+    const instructorId = await getSectionInstructorId(req);
+    const release = await gradeReleaseService.submitGrades(
+      req.params.sectionId,
+      instructorId,
+      req.user.id,
+      { release_at: req.body.release_at }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Grades submitted for review',
+      data: release
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/sections/:sectionId/grades/withdraw
+ * @desc    Withdraw submitted grades back to draft
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const withdrawGrades = async (req, res, next) => {
+  try {
+    const instructorId = await getSectionInstructorId(req);
+    const release = await gradeReleaseService.withdrawSubmission(req.params.sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission withdrawn, grades are back in draft',
+      data: release
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/sections/:sectionId/grades/review
+ * @desc    Approve (optionally with a release date) or send back submitted grades
+ * @access  Private (Department head, Admin)
+ */
+const reviewGrades = async (req, res, next) => {
+  try {
+    const { decision, comment, release_at } = req.body;
+    const release = await gradeReleaseService.reviewGrades(req.params.sectionId, req.user, {
+      decision,
+      comment,
+      release_at
+    });
+
+    const messages = {
+      draft: 'Grades sent back to the instructor',
+      approved: 'Grades approved and scheduled for release',
+      published: 'Grades approved and published'
+    };
+
+    res.status(200).json({
+      success: true,
+      message: messages[release.status],
+      data: release
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/grades/changes
+ * @desc    Change history of published grades
+ * @access  Private (Faculty - section instructor or department head, Admin)
+ */
+const getGradeChanges = async (req, res, next) => {
+  try {
+    const instructorId = await getSectionInstructorId(req);
+    const changes = await gradeReleaseService.getGradeChanges(req.params.sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      data: changes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve the authenticated student's profile
+ */
+const getStudentProfile = async (req) => {
+  const student = await Student.findOne({ where: { user_id: req.user.id } });
+  if (!student) {
+    throw new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND');
+  }
+  return student;
+};
+
+/**
+ * @route   POST /api/v1/enrollments/waitlist
+ * @desc    Join the waitlist of a full section
+ * @access  Private (Student only)
+ */
+const joinWaitlist = async (req, res, next) => {
+  try {
+    const student = await getStudentProfile(req);
+    const { entry, position } = await waitlistService.joinWaitlist(student.id, req.body.section_id);
+
+    res.status(201).json({
+      success: true,
+      message: `Added to the waitlist at position ${position}`,
+      data: {
+        id: entry.id,
+        section_id: entry.section_id,
+        status: entry.status,
+        joined_at: entry.joined_at,
+        position
+      }
+    });
+  } catch (error) {
+    if (error.code === 'PREREQUISITES_NOT_MET') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {
+            missingPrerequisites: error.missingPrerequisites || [],
+            failedClauses: error.failedClauses || []
+          }
+        }
+      });
+    }
+
+    if (error.code === 'REGISTRATION_HOLD') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: {
+            holds: error.holds || []
+          }
+        }
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/enrollments/waitlist
+ * @desc    Get my waitlist entries with positions and pending seat offers
+ * @access  Private (Student only)
+ */
+const getMyWaitlist = async (req, res, next) => {
+  try {
+    const student = await getStudentProfile(req);
+    const entries = await waitlistService.getStudentWaitlist(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/enrollments/waitlist/:entryId/confirm
+ * @desc    Confirm a seat obtained from the waitlist
+ * @access  Private (Student only)
+ */
+const confirmWaitlistSeat = async (req, res, next) => {
+  try {
+    const student = await getStudentProfile(req);
+    const entry = await waitlistService.confirmSeat(student.id, req.params.entryId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Seat confirmed',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/enrollments/waitlist/:entryId
+ * @desc    Leave a waitlist (declining an offered seat drops it)
+ * @access  Private (Student only)
+ */
+const leaveWaitlist = async (req, res, next) => {
+  try {
+    const student = await getStudentProfile(req);
+    const entry = await waitlistService.leaveWaitlist(student.id, req.params.entryId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist',
+      data: {
+        id: entry.id,
+        status: entry.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/waitlist
+ * @desc    Get the ordered waitlist of a section
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const getSectionWaitlist = async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const instructorId = await getSectionInstructorId(req);
+    const entries = await waitlistService.getSectionWaitlist(sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        section_id: sectionId,
+        count: entries.length,
+        entries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createEnrollment,
   dropEnrollment,
@@ -475,6 +992,22 @@ module.exports = {
   getEnrollmentById,
   getSectionEnrollments,
   checkPrerequisites,
-  checkConflicts
+  checkConflicts,
+  getRecommendations,
+  buildSchedules,
+  enrollInSchedule,
+  getGradingScheme,
+  updateGradingScheme,
+  deleteGradingScheme,
+  getGradeRelease,
+  submitGrades,
+  withdrawGrades,
+  reviewGrades,
+  getGradeChanges,
+  joinWaitlist,
+  getMyWaitlist,
+  confirmWaitlistSeat,
+  leaveWaitlist,
+  getSectionWaitlist
 };
 
@@ -62,6 +62,13 @@ exports.createExcuseRequest = async (req, res, next) => {
             status: 'pending'
         });
 
+        // Link the absence recorded when the session closed, so approving
+        // the request marks it excused
+        await AttendanceRecord.update(
+            { excuse_request_id: excuseRequest.id },
+            { where: { session_id, student_id: studentId, status: 'absent' } }
+        );
+
         // Emit to Admin
         try {
             const io = require('../socket').getIo();
@@ -311,16 +318,15 @@ exports.updateExcuseStatus = async (req, res, next) => {
             });
 
             if (record) {
-                await record.update({ status: 'excused', is_flagged: false });
+                await record.update({ status: 'excused', is_flagged: false, excuse_request_id: request.id });
             } else {
-                // Create record if it doesn't exist (e.g. completely absent)
+                // Create record if it doesn't exist (e.g. session still open)
                 await AttendanceRecord.create({
                     session_id: request.session_id,
                     student_id: request.student_id,
                     status: 'excused',
                     check_in_time: null, // No checkin
-                    latitude: null,
-                    longitude: null
+                    excuse_request_id: request.id
                 });
             }
         }
@@ -0,0 +1,177 @@
+/**
+ * Grade Appeal Controller
+ * Handles student appeals against published grades
+ */
+
+const gradeAppealService = require('../services/gradeAppealService');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * File a grade appeal
+ * @route POST /api/v1/grade-appeals
+ */
+exports.createAppeal = async (req, res, next) => {
+    try {
+        const { enrollment_id, reason } = req.body;
+        const documentUrl = req.file ? `/uploads/documents/${req.file.filename}` : null;
+        const studentId = req.user.studentProfile?.id;
+
+        if (!studentId) {
+            return next(new AppError('Only students can appeal grades', 403, 'NOT_STUDENT'));
+        }
+
+        // Validated here since the body arrives as multipart/form-data
+        if (!enrollment_id) {
+            return next(new AppError('Enrollment ID is required', 400, 'MISSING_FIELD'));
+        }
+        if (!reason || !reason.trim()) {
+            return next(new AppError('Reason is required', 400, 'MISSING_FIELD'));
+        }
+
+        const appeal = await gradeAppealService.createAppeal(studentId, {
+            enrollment_id,
+            reason: reason.trim(),
+            document_url: documentUrl
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                appeal
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get student's grade appeals
+ * @route GET /api/v1/grade-appeals/my-appeals
+ */
+exports.getMyAppeals = async (req, res, next) => {
+    try {
+        const studentId = req.user.studentProfile?.id;
+        if (!studentId) {
+            return next(new AppError('Only students can view their appeals', 403, 'NOT_STUDENT'));
+        }
+
+        const appeals = await gradeAppealService.getStudentAppeals(studentId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeals
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get appeals for a faculty member's sections
+ * @route GET /api/v1/grade-appeals/faculty
+ */
+exports.getFacultyAppeals = async (req, res, next) => {
+    try {
+        const instructorId = req.user.facultyProfile?.id;
+        if (!instructorId) {
+            return next(new AppError('Only faculty can view appeals', 403, 'NOT_FACULTY'));
+        }
+
+        const appeals = await gradeAppealService.getInstructorAppeals(instructorId, { status: req.query.status });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeals
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get ALL grade appeals (Admin only)
+ * @route GET /api/v1/grade-appeals/admin/all
+ */
+exports.getAllAppeals = async (req, res, next) => {
+    try {
+        const appeals = await gradeAppealService.getAllAppeals({ status: req.query.status });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeals
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single grade appeal
+ * @route GET /api/v1/grade-appeals/:id
+ */
+exports.getAppeal = async (req, res, next) => {
+    try {
+        const appeal = await gradeAppealService.getAppealForUser(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeal
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Accept or reject a grade appeal, optionally amending the grade
+ * @route PUT /api/v1/grade-appeals/:id/review
+ */
+exports.reviewAppeal = async (req, res, next) => {
+    try {
+        const { decision, notes, grades } = req.body;
+        const instructorId = req.user.facultyProfile?.id || null;
+
+        const appeal = await gradeAppealService.reviewAppeal(req.params.id, req.user, instructorId, {
+            decision,
+            notes,
+            grades
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeal
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Escalate a grade appeal for admin decision
+ * @route PUT /api/v1/grade-appeals/:id/escalate
+ */
+exports.escalateAppeal = async (req, res, next) => {
+    try {
+        const appeal = await gradeAppealService.escalateAppeal(req.params.id, req.user.id, req.body.notes || null);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                appeal
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
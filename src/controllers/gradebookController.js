@@ -0,0 +1,214 @@
+/**
+ * Gradebook Controller
+ * Handles HTTP requests for gradebook items, score entry and import/export
+ */
+
+const { Faculty } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const gradebookService = require('../services/gradebookService');
+
+/**
+ * Resolve the instructor restriction for gradebook access
+ * Faculty may only manage their own sections; admins any section
+ */
+const getInstructorId = async (req) => {
+  if (req.user.role === 'admin') return null;
+
+  const faculty = await Faculty.findOne({ where: { user_id: req.user.id } });
+  if (!faculty) {
+    throw new AppError('Faculty profile not found', 404, 'FACULTY_NOT_FOUND');
+  }
+  return faculty.id;
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/gradebook
+ * @desc    Get the gradebook: items, roster, scores and component totals
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const getGradebook = async (req, res, next) => {
+  try {
+    const instructorId = await getInstructorId(req);
+    const gradebook = await gradebookService.getGradebook(req.params.sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      data: gradebook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/gradebook/items
+ * @desc    List assessment items of a section
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const listItems = async (req, res, next) => {
+  try {
+    const instructorId = await getInstructorId(req);
+    const items = await gradebookService.listItems(req.params.sectionId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/sections/:sectionId/gradebook/items
+ * @desc    Create an assessment item
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const createItem = async (req, res, next) => {
+  try {
+    const instructorId = await getInstructorId(req);
+    const item = await gradebookService.createItem(req.params.sectionId, req.body, instructorId, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gradebook item created',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/sections/:sectionId/gradebook/items/:itemId
+ * @desc    Update an assessment item
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const updateItem = async (req, res, next) => {
+  try {
+    const { sectionId, itemId } = req.params;
+    const instructorId = await getInstructorId(req);
+    const item = await gradebookService.updateItem(sectionId, itemId, req.body, instructorId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gradebook item updated',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/sections/:sectionId/gradebook/items/:itemId
+ * @desc    Delete an assessment item and its scores
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const deleteItem = async (req, res, next) => {
+  try {
+    const { sectionId, itemId } = req.params;
+    const instructorId = await getInstructorId(req);
+    await gradebookService.deleteItem(sectionId, itemId, instructorId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gradebook item deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/sections/:sectionId/gradebook/scores
+ * @desc    Enter scores in bulk
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const saveScores = async (req, res, next) => {
+  try {
+    const instructorId = await getInstructorId(req);
+    const result = await gradebookService.saveScores(
+      req.params.sectionId,
+      req.body.scores,
+      instructorId,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.saved} scores saved, ${result.cleared} cleared, ${result.failed.length} failed`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/gradebook/export
+ * @desc    Download the gradebook as Excel (default) or CSV
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const exportGradebook = async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const format = req.query.format || 'xlsx';
+    const instructorId = await getInstructorId(req);
+
+    const workbook = await gradebookService.buildGradebookWorkbook(sectionId, instructorId);
+    const filename = `gradebook_${sectionId}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      await workbook.csv.write(res);
+    } else {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await workbook.xlsx.write(res);
+    }
+
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/sections/:sectionId/gradebook/import
+ * @desc    Import scores from a CSV or Excel file (export layout)
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+const importGradebook = async (req, res, next) => {
+  try {
+    const instructorId = await getInstructorId(req);
+    const result = await gradebookService.importGradebook(
+      req.params.sectionId,
+      req.file,
+      instructorId,
+      req.user.id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.saved} scores imported, ${result.failed.length} failed`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getGradebook,
+  listItems,
+  createItem,
+  updateItem,
+  deleteItem,
+  saveScores,
+  exportGradebook,
+  importGradebook
+};
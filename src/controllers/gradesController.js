@@ -3,10 +3,13 @@
  * Handles HTTP requests for grade operations and transcript generation
  */
 
-const { Student, Enrollment, CourseSection, Course } = require('../models');
+const { Student, Faculty, Enrollment, CourseSection, Course } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
 const transcriptService = require('../services/transcriptService');
 const enrollmentService = require('../services/enrollmentService');
+const gradeReleaseService = require('../services/gradeReleaseService');
+const academicStandingService = require('../services/academicStandingService');
+const degreeAuditService = require('../services/degreeAuditService');
 
 /**
  * @route   GET /api/v1/grades/transcript/pdf
@@ -99,6 +102,9 @@ const getMyGrades = async (req, res, next) => {
       includeClassroom: false
     });
 
+    // Grades become visible once published
+    await gradeReleaseService.hideUnpublishedGrades(enrollments);
+
     // Format response
     const grades = enrollments
       .filter(e => e.letter_grade !== null)
@@ -130,6 +136,8 @@ const getMyGrades = async (req, res, next) => {
     let totalPoints = 0;
 
     grades.forEach(g => {
+      // Withdrawals (W) do not count towards the GPA
+      if (g.status === 'withdrawn') return;
       const credits = g.course.credits || 0;
       totalCredits += credits;
       totalPoints += credits * g.grades.points;
@@ -255,11 +263,149 @@ const downloadStudentTranscriptPDF = async (req, res, next) => {
   }
 };
 
+/**
+ * @route   GET /api/v1/grades/standing
+ * @desc    Get academic standing history for authenticated student
+ * @access  Private (Student only)
+ */
+const getMyStanding = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const standings = await academicStandingService.getStudentStandings(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current: standings.length > 0 ? standings[standings.length - 1] : null,
+        history: standings
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/grades/standing/semester
+ * @desc    List standings of a semester (e.g. honors lists, probation)
+ * @access  Private (Admin only)
+ */
+const getSemesterStandings = async (req, res, next) => {
+  try {
+    const { year, semester, standing } = req.query;
+
+    const standings = await academicStandingService.getSemesterStandings(
+      parseInt(year),
+      semester,
+      { standing }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: standings
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/grades/standing/evaluate
+ * @desc    Close a semester: evaluate and store academic standing of its students
+ * @access  Private (Admin only)
+ */
+const evaluateStanding = async (req, res, next) => {
+  try {
+    const { year, semester, thresholds, force } = req.body;
+
+    const result = await academicStandingService.evaluateSemester(parseInt(year), semester, {
+      userId: req.user.id,
+      thresholds,
+      force: force === true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Academic standing evaluated for ${result.evaluated} students`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/grades/degree-audit
+ * @desc    Degree audit of authenticated student against their curriculum
+ * @access  Private (Student only)
+ */
+const getMyDegreeAudit = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const audit = await degreeAuditService.runAudit(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: audit
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/grades/students/:studentId/degree-audit
+ * @desc    Degree audit of a student
+ * @access  Private (Student's advisor or Admin)
+ */
+const getStudentDegreeAudit = async (req, res, next) => {
+  try {
+    const student = await Student.findByPk(req.params.studentId);
+    if (!student) {
+      return next(new AppError('Student not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    if (req.user.role !== 'admin') {
+      const faculty = await Faculty.findOne({ where: { user_id: req.user.id } });
+      if (!faculty || student.advisor_id !== faculty.id) {
+        return next(new AppError('You are not this student\'s advisor', 403, 'NOT_ADVISOR'));
+      }
+    }
+
+    const audit = await degreeAuditService.runAudit(student.id);
+
+    res.status(200).json({
+      success: true,
+      data: audit
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   downloadTranscriptPDF,
   getTranscript,
   getMyGrades,
   getGradeSummary,
-  downloadStudentTranscriptPDF
+  downloadStudentTranscriptPDF,
+  getMyStanding,
+  getSemesterStandings,
+  evaluateStanding,
+  getMyDegreeAudit,
+  getStudentDegreeAudit
 };
 
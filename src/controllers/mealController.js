@@ -5,6 +5,7 @@
  */
 
 const MealService = require('../services/mealService');
+const CafeteriaCrowdService = require('../services/cafeteriaCrowdService');
 const { AppError } = require('../middleware/errorHandler');
 
 // ==================== Reservation Endpoints ====================
@@ -240,6 +241,40 @@ const getCafeterias = async (req, res, next) => {
     }
 };
 
+/**
+ * Current crowd level, wait time and 15-minute forecast for all cafeterias
+ * GET /api/meals/cafeterias/crowd
+ */
+const getCafeteriaCrowdStatus = async (req, res, next) => {
+    try {
+        const status = await CafeteriaCrowdService.getCrowdStatus();
+
+        res.status(200).json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Crowd level, wait time and forecast for one cafeteria
+ * GET /api/meals/cafeterias/:id/crowd
+ */
+const getCafeteriaCrowd = async (req, res, next) => {
+    try {
+        const crowd = await CafeteriaCrowdService.getCafeteriaCrowd(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: crowd
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Seed menus for the next N days (Admin/Staff only)
  * POST /api/meals/menus/seed
@@ -276,5 +311,7 @@ module.exports = {
     updateMenu,
     deleteMenu,
     getCafeterias,
+    getCafeteriaCrowdStatus,
+    getCafeteriaCrowd,
     seedMenus
 };
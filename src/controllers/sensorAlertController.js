@@ -0,0 +1,141 @@
+/**
+ * Sensor Alert Controller
+ *
+ * Handles HTTP requests for sensor alert rules and the alerts they raise.
+ */
+
+const SensorAlertService = require('../services/sensorAlertService');
+
+/**
+ * List alert rules (Admin)
+ * GET /api/v1/sensors/alert-rules
+ */
+const getRules = async (req, res, next) => {
+    try {
+        const { sensor_id, sensor_type, is_active } = req.query;
+
+        const rules = await SensorAlertService.getRules({ sensor_id, sensor_type, is_active });
+
+        res.status(200).json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create an alert rule (Admin)
+ * POST /api/v1/sensors/alert-rules
+ */
+const createRule = async (req, res, next) => {
+    try {
+        const rule = await SensorAlertService.createRule(req.body, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Alert rule created',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update an alert rule (Admin)
+ * PUT /api/v1/sensors/alert-rules/:ruleId
+ */
+const updateRule = async (req, res, next) => {
+    try {
+        const rule = await SensorAlertService.updateRule(req.params.ruleId, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert rule updated',
+            data: rule
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete an alert rule (Admin)
+ * DELETE /api/v1/sensors/alert-rules/:ruleId
+ */
+const deleteRule = async (req, res, next) => {
+    try {
+        const result = await SensorAlertService.deleteRule(req.params.ruleId);
+
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List alerts
+ * GET /api/v1/sensors/alerts
+ */
+const getAlerts = async (req, res, next) => {
+    try {
+        const { status, sensor_id, limit } = req.query;
+
+        const alerts = await SensorAlertService.getAlerts({ status, sensor_id, limit });
+
+        res.status(200).json({
+            success: true,
+            data: alerts
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Acknowledge an open alert
+ * PATCH /api/v1/sensors/alerts/:alertId/acknowledge
+ */
+const acknowledgeAlert = async (req, res, next) => {
+    try {
+        const alert = await SensorAlertService.acknowledgeAlert(req.params.alertId, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert acknowledged',
+            data: alert
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Resolve an alert
+ * PATCH /api/v1/sensors/alerts/:alertId/resolve
+ */
+const resolveAlert = async (req, res, next) => {
+    try {
+        const alert = await SensorAlertService.resolveAlert(req.params.alertId, req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert resolved',
+            data: alert
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    getAlerts,
+    acknowledgeAlert,
+    resolveAlert
+};
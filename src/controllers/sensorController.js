@@ -0,0 +1,204 @@
+/**
+ * Sensor Controller
+ *
+ * Handles HTTP requests for IoT sensor management and reading ingestion.
+ */
+
+const SensorService = require('../services/sensorService');
+
+/**
+ * List sensors
+ * GET /api/v1/sensors
+ */
+const getSensors = async (req, res, next) => {
+    try {
+        const { type, status, location } = req.query;
+
+        const sensors = await SensorService.getSensors({ type, status, location });
+
+        res.status(200).json({
+            success: true,
+            data: sensors
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Live dashboard with latest reading per sensor
+ * GET /api/v1/sensors/dashboard
+ */
+const getDashboard = async (req, res, next) => {
+    try {
+        const { type, status, location } = req.query;
+
+        const result = await SensorService.getDashboard({ type, status, location });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a sensor by ID
+ * GET /api/v1/sensors/:id
+ */
+const getSensorById = async (req, res, next) => {
+    try {
+        const sensor = await SensorService.getSensorById(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: sensor
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get raw readings for a sensor
+ * GET /api/v1/sensors/:id/readings
+ */
+const getReadings = async (req, res, next) => {
+    try {
+        const { from, to, limit } = req.query;
+
+        const readings = await SensorService.getReadings(req.params.id, {
+            from,
+            to,
+            limit: parseInt(limit) || 100
+        });
+
+        res.status(200).json({
+            success: true,
+            data: readings
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Bucketed min/max/avg/count/last for one or more sensors
+ * GET /api/v1/sensors/aggregate
+ */
+const getAggregatedReadings = async (req, res, next) => {
+    try {
+        const { sensor_ids, interval, from, to, fill } = req.query;
+
+        const result = await SensorService.getAggregatedReadings(
+            String(sensor_ids || '').split(',').map(id => id.trim()).filter(Boolean),
+            { interval, from, to, fill }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Register a sensor (Admin)
+ * POST /api/v1/sensors
+ */
+const createSensor = async (req, res, next) => {
+    try {
+        const result = await SensorService.createSensor(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Sensor registered. Store the API key now, it will not be shown again.',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a sensor (Admin)
+ * PUT /api/v1/sensors/:id
+ */
+const updateSensor = async (req, res, next) => {
+    try {
+        const sensor = await SensorService.updateSensor(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: sensor
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a sensor (Admin)
+ * DELETE /api/v1/sensors/:id
+ */
+const deleteSensor = async (req, res, next) => {
+    try {
+        const result = await SensorService.deleteSensor(req.params.id);
+
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Rotate a sensor's API key (Admin)
+ * POST /api/v1/sensors/:id/rotate-key
+ */
+const rotateApiKey = async (req, res, next) => {
+    try {
+        const result = await SensorService.rotateApiKey(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'API key rotated. The previous key no longer works.',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Ingest a batch of readings (Sensor API key)
+ * POST /api/v1/sensors/ingest
+ */
+const ingestReadings = async (req, res, next) => {
+    try {
+        const result = await SensorService.ingestReadings(req.sensor, req.body.readings);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getSensors,
+    getDashboard,
+    getSensorById,
+    getReadings,
+    getAggregatedReadings,
+    createSensor,
+    updateSensor,
+    deleteSensor,
+    rotateApiKey,
+    ingestReadings
+};
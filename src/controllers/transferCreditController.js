@@ -0,0 +1,115 @@
+/**
+ * Transfer Credit Controller
+ * Handles HTTP requests for transfer and exchange credits mapped to local courses
+ */
+
+const { Student } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const transferCreditService = require('../services/transferCreditService');
+
+/**
+ * @route   GET /api/v1/transfer-credits/my
+ * @desc    Get my transfer credits
+ * @access  Private (Student only)
+ */
+const getMyTransferCredits = async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ where: { user_id: req.user.id } });
+    if (!student) {
+      return next(new AppError('Student profile not found', 404, 'STUDENT_NOT_FOUND'));
+    }
+
+    const credits = await transferCreditService.getStudentTransferCredits(student.id);
+
+    res.status(200).json({
+      success: true,
+      count: credits.length,
+      data: credits
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   GET /api/v1/transfer-credits/students/:studentId
+ * @desc    Get a student's transfer credits
+ * @access  Private (Admin only)
+ */
+const getStudentTransferCredits = async (req, res, next) => {
+  try {
+    const credits = await transferCreditService.getStudentTransferCredits(req.params.studentId);
+
+    res.status(200).json({
+      success: true,
+      count: credits.length,
+      data: credits
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/v1/transfer-credits/students/:studentId
+ * @desc    Record an external course for a student
+ * @access  Private (Admin only)
+ */
+const recordTransferCredit = async (req, res, next) => {
+  try {
+    const credit = await transferCreditService.recordTransferCredit(req.params.studentId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer credit recorded',
+      data: credit
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   PUT /api/v1/transfer-credits/:id
+ * @desc    Update a transfer credit
+ * @access  Private (Admin only)
+ */
+const updateTransferCredit = async (req, res, next) => {
+  try {
+    const credit = await transferCreditService.updateTransferCredit(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer credit updated',
+      data: credit
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   DELETE /api/v1/transfer-credits/:id
+ * @desc    Delete a transfer credit
+ * @access  Private (Admin only)
+ */
+const deleteTransferCredit = async (req, res, next) => {
+  try {
+    await transferCreditService.deleteTransferCredit(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer credit deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyTransferCredits,
+  getStudentTransferCredits,
+  recordTransferCredit,
+  updateTransferCredit,
+  deleteTransferCredit
+};
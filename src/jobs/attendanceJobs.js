@@ -7,98 +7,56 @@ const { Op } = require('sequelize');
 const {
     Enrollment,
     CourseSection,
-    AttendanceSession,
-    AttendanceRecord,
+    Student,
     Notification
 } = require('../models');
+const attendanceService = require('../services/attendanceService');
+const attendancePolicyService = require('../services/attendancePolicyService');
 
 /**
- * Check for excessive absenteeism and send warnings
+ * Check sections against their attendance policies, mark students over the
+ * absence limit as failed on attendance and warn those approaching it
  * Run daily
  */
 const checkAbsenceWarnings = async () => {
     console.log('Running absence warning job...');
     try {
-        // 1. Get all active enrollments
-        const enrollments = await Enrollment.findAll({
+        // 1. Sections with active enrollments
+        const sections = await Enrollment.findAll({
             where: { status: 'enrolled' },
-            include: [
-                {
-                    model: CourseSection,
-                    as: 'section',
-                    include: ['course'] // eager load course for name
-                }
-            ]
+            attributes: ['section_id'],
+            group: ['section_id'],
+            raw: true
         });
 
-        for (const enrollment of enrollments) {
-            const section = enrollment.section;
-            if (!section) continue;
-
-            // 2. Count total completed sessions for this section
-            const totalSessions = await AttendanceSession.count({
-                where: {
-                    section_id: section.id,
-                    // status: 'ended', // Assuming 'ended' or check date
-                    // Or just count all sessions in the past
-                    // Let's use start_time < now
-                    start_time: { [Op.lt]: new Date() }
-                }
-            });
-
-            if (totalSessions === 0) continue;
-
-            // 3. Count attended sessions (present, late, excused)
-            const attendedCount = await AttendanceRecord.count({
-                where: {
-                    student_id: enrollment.student_id,
-                    status: { [Op.in]: ['present', 'late', 'excused'] }
-                },
-                include: [
-                    {
-                        model: AttendanceSession,
-                        as: 'session',
-                        where: { section_id: section.id, start_time: { [Op.lt]: new Date() } }
-                    }
-                ]
-            });
+        for (const { section_id: sectionId } of sections) {
+            // 2. Evaluate every student against the section policy
+            let results;
+            try {
+                results = await attendancePolicyService.evaluateSectionAttendance(sectionId);
+            } catch (error) {
+                console.error(`Error evaluating attendance for section ${sectionId}:`, error);
+                continue;
+            }
 
-            // 4. Calculate Absence
-            const absenceCount = totalSessions - attendedCount;
-            const absenceRate = absenceCount / totalSessions;
+            const policy = await attendancePolicyService.getSectionAttendancePolicy(sectionId);
+            const section = await CourseSection.findByPk(sectionId, { include: ['course'] });
+            if (!section) continue;
 
-            // 5. Check Thresholds and Notify
-            // Get student's user_id from enrollment -> student -> user (need to fetch student with user_id)
-            // We need to fetch student model separately or eager load above.
-            // Let's rely on enrollment.student_id, then fetch User ID.
-            // Actually Notification needs user_id.
-            // Eager load student.user in step 1 would be better but I'll do a quick fetch here or refactor step 1.
+            // 3. Warn students approaching the limit (exceeding it is notified on marking)
+            for (const result of results) {
+                if (!result.warning) continue;
 
-            const StudentModel = require('../models/Student');
-            const student = await StudentModel.findByPk(enrollment.student_id);
-            if (!student) continue;
+                const student = await Student.findByPk(result.student_id);
+                if (!student) continue;
 
-            let notificationType = null;
-            let title = '';
-            let message = '';
-            let priority = 'medium';
+                const limit = policy.max_absence_percent !== null
+                    ? `${policy.max_absence_percent}%`
+                    : `${policy.max_absence_count} absences`;
+                const title = `WARNING: High Absence Rate - ${section.course.code}`;
+                const message = `Your absence rate in ${section.course.name} has reached ${result.absence_percent}% (${result.absences} absences). The limit is ${limit}. Please attend upcoming classes.`;
 
-            if (absenceRate >= 0.30) {
-                notificationType = 'critical';
-                priority = 'high';
-                title = `CRITICAL: Course Failure Risk - ${section.course.code}`;
-                message = `You have exceeded 30% absence limit in ${section.course.name}. Your current absence rate is ${(absenceRate * 100).toFixed(1)}%. You are at risk of failing this course due to absenteeism.`;
-            } else if (absenceRate >= 0.20) {
-                notificationType = 'warning';
-                priority = 'medium';
-                title = `WARNING: High Absence Rate - ${section.course.code}`;
-                message = `Your absence rate in ${section.course.name} has reached ${(absenceRate * 100).toFixed(1)}%. The limit is 30%. Please attend upcoming classes.`;
-            }
-
-            if (notificationType) {
-                // Check if we already sent a warning for this course today?
-                // For simplicity, we just send. Or we could check last notification.
-                // Let's check last notification of this type for this user to avoid spam
+                // Avoid sending the same warning more than once a day
                 const lastNotif = await Notification.findOne({
                     where: {
                         user_id: student.user_id,
@@ -112,15 +70,16 @@ const checkAbsenceWarnings = async () => {
                         user_id: student.user_id,
                         title: title,
                         message: message,
-                        type: notificationType === 'critical' ? 'error' : 'warning',
-                        priority: priority,
+                        type: 'warning',
+                        priority: 'medium',
                         metadata_json: {
                             course_id: section.course.id,
                             section_id: section.id,
-                            absence_rate: absenceRate
+                            absences: result.absences,
+                            absence_percent: result.absence_percent
                         }
                     });
-                    console.log(`Sent ${notificationType} warning to student ${student.student_number} for course ${section.course.code}`);
+                    console.log(`Sent warning to student ${student.student_number} for course ${section.course.code}`);
                 }
             }
         }
@@ -130,6 +89,22 @@ const checkAbsenceWarnings = async () => {
     }
 };
 
+/**
+ * Close sessions the instructor forgot to end and mark absentees
+ * Run every 5 minutes
+ */
+const closeExpiredSessions = async () => {
+    try {
+        const summary = await attendanceService.closeExpiredSessions();
+        if (summary.closed > 0) {
+            console.log(`Attendance auto-close job: ${summary.closed} sessions closed, ${summary.marked_absent} students marked absent.`);
+        }
+    } catch (error) {
+        console.error('Error in attendance auto-close job:', error);
+    }
+};
+
 module.exports = {
-    checkAbsenceWarnings
+    checkAbsenceWarnings,
+    closeExpiredSessions
 };
@@ -0,0 +1,25 @@
+/**
+ * Enrollment Background Jobs
+ * Releases waitlist seats that were not confirmed in time
+ */
+
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Expire unconfirmed waitlist seat offers and promote the next students
+ * Run every 15 minutes
+ */
+const expireWaitlistOffers = async () => {
+    try {
+        const expired = await waitlistService.expireUnconfirmedOffers();
+        if (expired > 0) {
+            console.log(`Released ${expired} unconfirmed waitlist seats`);
+        }
+    } catch (error) {
+        console.error('Error in waitlist expiry job:', error);
+    }
+};
+
+module.exports = {
+    expireWaitlistOffers
+};
@@ -0,0 +1,43 @@
+/**
+ * Grade Background Jobs
+ * Publishes approved grades when their release date arrives and
+ * escalates grade appeals the instructor did not answer in time
+ */
+
+const gradeReleaseService = require('../services/gradeReleaseService');
+const gradeAppealService = require('../services/gradeAppealService');
+
+/**
+ * Publish approved grades whose release date has passed
+ * Run every 5 minutes
+ */
+const publishDueGrades = async () => {
+    try {
+        const published = await gradeReleaseService.publishDueReleases();
+        if (published > 0) {
+            console.log(`Published grades for ${published} sections`);
+        }
+    } catch (error) {
+        console.error('Error in grade publication job:', error);
+    }
+};
+
+/**
+ * Escalate grade appeals past their response deadline
+ * Run every hour
+ */
+const escalateOverdueAppeals = async () => {
+    try {
+        const escalated = await gradeAppealService.escalateOverdueAppeals();
+        if (escalated > 0) {
+            console.log(`Escalated ${escalated} overdue grade appeals`);
+        }
+    } catch (error) {
+        console.error('Error in grade appeal escalation job:', error);
+    }
+};
+
+module.exports = {
+    publishDueGrades,
+    escalateOverdueAppeals
+};
@@ -3,7 +3,11 @@
  */
 
 const cron = require('node-cron');
-const { checkAbsenceWarnings } = require('./attendanceJobs');
+const { checkAbsenceWarnings, closeExpiredSessions } = require('./attendanceJobs');
+const { evaluateSensorAlerts } = require('./sensorJobs');
+const { publishCafeteriaCrowd } = require('./mealJobs');
+const { publishDueGrades, escalateOverdueAppeals } = require('./gradeJobs');
+const { expireWaitlistOffers } = require('./enrollmentJobs');
 
 const initJobs = () => {
     console.log('Initializing background jobs...');
@@ -14,6 +18,42 @@ const initJobs = () => {
         checkAbsenceWarnings();
     });
 
+    // Schedule Attendance Session Auto-Close
+    // Run every 5 minutes
+    cron.schedule('*/5 * * * *', () => {
+        closeExpiredSessions();
+    });
+
+    // Schedule Sensor Alert Evaluation
+    // Run every minute
+    cron.schedule('* * * * *', () => {
+        evaluateSensorAlerts();
+    });
+
+    // Schedule Cafeteria Crowd Updates
+    // Run every 5 minutes
+    cron.schedule('*/5 * * * *', () => {
+        publishCafeteriaCrowd();
+    });
+
+    // Schedule Grade Publication
+    // Run every 5 minutes
+    cron.schedule('*/5 * * * *', () => {
+        publishDueGrades();
+    });
+
+    // Schedule Grade Appeal Escalation
+    // Run every hour
+    cron.schedule('0 * * * *', () => {
+        escalateOverdueAppeals();
+    });
+
+    // Schedule Waitlist Offer Expiry
+    // Run every 15 minutes
+    cron.schedule('*/15 * * * *', () => {
+        expireWaitlistOffers();
+    });
+
     console.log('Background jobs scheduled.');
 };
 
@@ -0,0 +1,23 @@
+/**
+ * Meal Background Jobs
+ * Periodic cafeteria crowd updates
+ */
+
+const CafeteriaCrowdService = require('../services/cafeteriaCrowdService');
+
+/**
+ * Push crowd status for every cafeteria so forecasts stay fresh
+ * even when no door-counter readings arrive
+ * Run every 5 minutes
+ */
+const publishCafeteriaCrowd = async () => {
+    try {
+        await CafeteriaCrowdService.publishAll();
+    } catch (error) {
+        console.error('Error in cafeteria crowd job:', error);
+    }
+};
+
+module.exports = {
+    publishCafeteriaCrowd
+};
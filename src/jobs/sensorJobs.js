@@ -0,0 +1,26 @@
+/**
+ * Sensor Background Jobs
+ * Periodic evaluation of sensor alert rules
+ */
+
+const SensorAlertService = require('../services/sensorAlertService');
+
+/**
+ * Evaluate alert rules for every monitored sensor
+ * Catches silent sensors, which ingestion-time evaluation never sees
+ * Run every minute
+ */
+const evaluateSensorAlerts = async () => {
+    try {
+        const summary = await SensorAlertService.evaluateAllSensors();
+        if (summary.triggered > 0 || summary.resolved > 0) {
+            console.log(`Sensor alert job: ${summary.evaluated} sensors evaluated, ${summary.triggered} alerts opened, ${summary.resolved} resolved.`);
+        }
+    } catch (error) {
+        console.error('Error in sensor alert job:', error);
+    }
+};
+
+module.exports = {
+    evaluateSensorAlerts
+};
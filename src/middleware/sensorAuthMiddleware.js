@@ -0,0 +1,26 @@
+/**
+ * Sensor Authentication Middleware
+ * Verifies the per-sensor API key sent by IoT devices and attaches the sensor to request
+ */
+
+const SensorService = require('../services/sensorService');
+
+const verifySensorKey = async (req, res, next) => {
+  try {
+    // Devices send the key in X-Sensor-Key (preferred) or as "Authorization: ApiKey <key>"
+    let apiKey = req.headers['x-sensor-key'];
+
+    if (!apiKey && req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+      apiKey = req.headers.authorization.split(' ')[1];
+    }
+
+    req.sensor = await SensorService.authenticateSensor(apiKey);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifySensorKey
+};
@@ -0,0 +1,55 @@
+/**
+ * Spreadsheet Upload Middleware using Multer
+ * Keeps CSV/Excel uploads (gradebook imports) in memory for parsing
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { AppError } = require('./errorHandler');
+
+// File filter - allow CSV and XLSX
+const fileFilter = (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.xlsx'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedExtensions.includes(ext)) {
+        cb(null, true);
+    } else {
+        cb(new AppError('Invalid file type. Only CSV and XLSX files are allowed', 400, 'INVALID_FILE_TYPE'), false);
+    }
+};
+
+// Multer configuration
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max file size
+    }
+});
+
+// Middleware for single spreadsheet upload
+const uploadFile = upload.single('file');
+
+// Wrapper to handle multer errors
+const handleSpreadsheetUpload = (req, res, next) => {
+    uploadFile(req, res, (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return next(new AppError('File size exceeds 5MB limit', 400, 'FILE_TOO_LARGE'));
+                }
+                return next(new AppError('File upload error: ' + err.message, 400, 'UPLOAD_ERROR'));
+            }
+            return next(err);
+        }
+        if (!req.file) {
+            return next(new AppError('No file uploaded', 400, 'NO_FILE'));
+        }
+        next();
+    });
+};
+
+module.exports = {
+    uploadSpreadsheet: handleSpreadsheetUpload
+};
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AcademicStanding = sequelize.define('AcademicStanding', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  semester: {
+    type: DataTypes.ENUM('Fall', 'Spring', 'Summer'),
+    allowNull: false
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  standing: {
+    type: DataTypes.ENUM('good_standing', 'probation', 'suspension', 'honors', 'high_honors'),
+    allowNull: false,
+    defaultValue: 'good_standing'
+  },
+  semester_gpa: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  cgpa: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Cumulative GPA up to and including this semester'
+  },
+  semester_credits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_credits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  previous_standing: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Standing of the preceding evaluated semester'
+  },
+  thresholds: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Thresholds the standing was evaluated with'
+  },
+  evaluated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  evaluated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'academic_standings',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['student_id', 'year', 'semester']
+    },
+    {
+      fields: ['year', 'semester', 'standing']
+    }
+  ]
+});
+
+module.exports = AcademicStanding;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AcademicTerm = sequelize.define('AcademicTerm', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  semester: {
+    type: DataTypes.ENUM('Fall', 'Spring', 'Summer'),
+    allowNull: false
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 2020,
+      max: 2100
+    }
+  },
+  start_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'First day of classes'
+  },
+  end_date: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Last day of the semester (finals included)'
+  },
+  registration_start: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Students may enroll from this moment'
+  },
+  registration_end: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of regular registration; add/drop follows'
+  },
+  add_drop_end: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Last moment to add a course or drop it without a record'
+  },
+  withdrawal_end: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Last moment to withdraw; withdrawals after add/drop get a W grade'
+  }
+}, {
+  tableName: 'academic_terms',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['year', 'semester']
+    }
+  ]
+});
+
+module.exports = AcademicTerm;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AttendanceDevice = sequelize.define('AttendanceDevice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  fingerprint_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the fingerprint the client app reports; the raw value is not stored'
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  first_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when an admin unbinds the device, freeing the slot'
+  },
+  revoked_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'attendance_devices',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['student_id', 'fingerprint_hash']
+    },
+    {
+      fields: ['fingerprint_hash']
+    }
+  ]
+});
+
+module.exports = AttendanceDevice;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AttendancePolicy = sequelize.define('AttendancePolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  section_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'course_sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  max_absence_percent: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'Absence limit as a percentage of sessions; null = no percentage limit'
+  },
+  max_absence_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Absence limit as a number of sessions; null = no count limit'
+  },
+  warning_percent: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'Absence percentage at which students are warned; null = no warnings'
+  },
+  planned_sessions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Sessions planned for the term; percentages use sessions held so far when null'
+  },
+  lates_per_absence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Number of lates that count as one absence; 0 = lates never count'
+  },
+  count_excused: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether excused absences count toward the limit'
+  },
+  late_grace_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 15,
+    validate: {
+      min: 0,
+      max: 240
+    },
+    comment: 'Minutes after the session start before a check-in is marked late'
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'attendance_policies',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['section_id']
+    }
+  ]
+});
+
+module.exports = AttendancePolicy;
@@ -26,8 +26,9 @@ const AttendanceRecord = sequelize.define('AttendanceRecord', {
   },
   check_in_time: {
     type: DataTypes.DATE,
-    allowNull: false,
-    defaultValue: DataTypes.NOW
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    comment: 'Null for absent/excused records of students who never checked in'
   },
   status: {
     type: DataTypes.ENUM('present', 'late', 'absent', 'excused'),
@@ -50,15 +51,35 @@ const AttendanceRecord = sequelize.define('AttendanceRecord', {
       max: 180
     }
   },
+  check_in_method: {
+    type: DataTypes.ENUM('gps', 'beacon', 'wifi', 'qr'),
+    allowNull: true,
+    comment: 'How presence was verified; null for records created without a check-in'
+  },
+  device_fingerprint: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the checking-in device fingerprint'
+  },
   is_flagged: {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: false,
-    comment: 'Flag for potential GPS spoofing or suspicious activity'
+    comment: 'Flag for potential GPS spoofing, shared devices or other suspicious activity'
   },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  excuse_request_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'excuse_requests',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Excuse request covering this absence; approving it marks the record excused'
   }
 }, {
   tableName: 'attendance_records',
@@ -80,6 +101,9 @@ const AttendanceRecord = sequelize.define('AttendanceRecord', {
     },
     {
       fields: ['is_flagged']
+    },
+    {
+      fields: ['session_id', 'device_fingerprint']
     }
   ]
 });
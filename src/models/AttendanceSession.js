@@ -37,6 +37,27 @@ const AttendanceSession = sequelize.define('AttendanceSession', {
     allowNull: true,
     comment: 'QR code or unique session code for check-in'
   },
+  qr_secret: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'Per-session secret the rotating QR tokens are derived from; null = static code only'
+  },
+  qr_period_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 15,
+    comment: 'Seconds each rotating QR token is valid for',
+    validate: {
+      min: 5,
+      max: 300
+    }
+  },
+  check_in_mode: {
+    type: DataTypes.ENUM('gps', 'beacon', 'qr', 'combined'),
+    allowNull: false,
+    defaultValue: 'gps',
+    comment: 'gps: geofence; beacon: classroom BLE beacon or Wi-Fi BSSID; qr: rotating QR code only; combined: beacon/Wi-Fi, falling back to GPS'
+  },
   geofence_radius: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -49,7 +70,8 @@ const AttendanceSession = sequelize.define('AttendanceSession', {
   },
   center_lat: {
     type: DataTypes.FLOAT,
-    allowNull: false,
+    allowNull: true,
+    comment: 'Null for beacon and QR-only sessions',
     validate: {
       min: -90,
       max: 90
@@ -57,7 +79,7 @@ const AttendanceSession = sequelize.define('AttendanceSession', {
   },
   center_long: {
     type: DataTypes.FLOAT,
-    allowNull: false,
+    allowNull: true,
     validate: {
       min: -180,
       max: 180
@@ -44,7 +44,7 @@ const Classroom = sequelize.define('Classroom', {
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: {},
-    comment: 'Features like projector, smartboard, AC, etc.'
+    comment: 'Features like projector, smartboard, AC, etc.; beacon_ids, wifi_bssids and min_rssi enable proximity check-in'
   },
   /* is_active: {
     type: DataTypes.BOOLEAN,
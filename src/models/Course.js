@@ -45,6 +45,15 @@ const Course = sequelize.define('Course', {
       model: 'departments',
       key: 'id'
     }
+  },
+  min_year_of_study: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 8
+    },
+    comment: 'Standing requirement, e.g. 3 = third-year students and above'
   }
 }, {
   tableName: 'courses',
@@ -23,6 +23,22 @@ const CoursePrerequisite = sequelize.define('CoursePrerequisite', {
       model: 'courses',
       key: 'id'
     }
+  },
+  requirement_type: {
+    type: DataTypes.ENUM('prerequisite', 'corequisite'),
+    allowNull: false,
+    defaultValue: 'prerequisite',
+    comment: 'Corequisites may also be taken in the same semester'
+  },
+  group_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Rules of a course sharing a group are alternatives (OR); groups are all required (AND). Null = own group'
+  },
+  min_grade: {
+    type: DataTypes.ENUM('AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD'),
+    allowNull: true,
+    comment: 'Lowest accepted letter grade; null = any passing grade'
   }
 }, {
   tableName: 'course_prerequisites',
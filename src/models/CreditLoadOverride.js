@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CreditLoadOverride = sequelize.define('CreditLoadOverride', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  semester: {
+    type: DataTypes.ENUM('Fall', 'Spring', 'Summer'),
+    allowNull: false
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  max_load: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Replaces the maximum load for the term (null keeps the policy maximum)'
+  },
+  min_load: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Replaces the minimum load for the term (null keeps the policy minimum)'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  limits_snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Policy limits the override replaced, for the audit trail'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Superseded and revoked overrides are kept for the audit trail'
+  },
+  granted_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  revoked_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'credit_load_overrides',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['student_id', 'year', 'semester', 'is_active']
+    }
+  ]
+});
+
+module.exports = CreditLoadOverride;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Curriculum = sequelize.define('Curriculum', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  department_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'departments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  catalog_year: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Applies to students who entered in this year or later (until a newer catalog)'
+  },
+  total_credits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_ects: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  required_course_ids: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Courses every student must pass'
+  },
+  elective_pools: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of { name, min_credits, course_ids }'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'curricula',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['department_id', 'catalog_year']
+    }
+  ]
+});
+
+module.exports = Curriculum;
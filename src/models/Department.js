@@ -20,6 +20,16 @@ const Department = sequelize.define('Department', {
   faculty_name: {
     type: DataTypes.STRING(255),
     allowNull: false
+  },
+  head_faculty_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Department head (faculty.id); reviews submitted grades. No FK: faculty references departments'
+  },
+  credit_limits: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Semester credit load policy overriding the defaults (min/max, high-CGPA and probation caps, unit)'
   }
 }, {
   tableName: 'departments',
@@ -25,9 +25,28 @@ const Enrollment = sequelize.define('Enrollment', {
     }
   },
   status: {
-    type: DataTypes.ENUM('enrolled', 'dropped', 'completed', 'failed'),
+    type: DataTypes.ENUM('pending_approval', 'enrolled', 'rejected', 'dropped', 'withdrawn', 'completed', 'failed'),
     allowNull: false,
-    defaultValue: 'enrolled'
+    defaultValue: 'enrolled',
+    comment: 'pending_approval/rejected: advisor basket review; withdrawn: left after add/drop, recorded with a W grade'
+  },
+  advisor_comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Advisor note on this course in the basket review'
+  },
+  advisor_reviewed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'faculty',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  advisor_reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   },
   midterm_grade: {
     type: DataTypes.DECIMAL(5, 2),
@@ -45,11 +64,45 @@ const Enrollment = sequelize.define('Enrollment', {
       max: 100
     }
   },
+  component_scores: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Scores (0-100) per grading scheme component key'
+  },
+  numeric_grade: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: 'Weighted, curved course score the letter grade was derived from'
+  },
   letter_grade: {
     type: DataTypes.STRING(5),
     allowNull: true,
     comment: 'Letter grade: AA, BA, BB, CB, CC, DC, DD, FD, FF'
   },
+  attendance_status: {
+    type: DataTypes.ENUM('ok', 'failed', 'overridden'),
+    allowNull: false,
+    defaultValue: 'ok',
+    comment: 'failed: absence limit exceeded (devamsizliktan kalma), final grade entry blocked; overridden: instructor lifted the block'
+  },
+  attendance_override_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  attendance_override_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  attendance_override_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
   enrollment_date: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradeAppeal = sequelize.define('GradeAppeal', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    }
+  },
+  enrollment_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'enrollments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  document_url: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'URL to uploaded supporting document (e.g. copy of the exam)'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'escalated', 'accepted', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  original_letter_grade: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Letter grade at the time the appeal was filed'
+  },
+  new_letter_grade: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    comment: 'Letter grade after an accepted appeal amended it'
+  },
+  response_due_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Instructor decision deadline; overdue appeals are escalated'
+  },
+  reviewed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  review_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  escalated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin who escalated (null when escalated automatically after the deadline)'
+  },
+  escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  escalation_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'grade_appeals',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['student_id']
+    },
+    {
+      unique: true,
+      fields: ['enrollment_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['status', 'response_due_at']
+    }
+  ]
+});
+
+module.exports = GradeAppeal;
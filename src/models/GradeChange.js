@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradeChange = sequelize.define('GradeChange', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  enrollment_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'enrollments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  changed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  previous_values: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Grade fields before the change'
+  },
+  new_values: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Grade fields after the change'
+  }
+}, {
+  tableName: 'grade_changes',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['enrollment_id']
+    }
+  ]
+});
+
+module.exports = GradeChange;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradeRelease = sequelize.define('GradeRelease', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  section_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'course_sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('draft', 'submitted', 'approved', 'published'),
+    allowNull: false,
+    defaultValue: 'draft',
+    comment: 'draft -> submitted (department review) -> approved -> published'
+  },
+  release_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When approved grades become visible to students (immediately when null)'
+  },
+  submitted_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  submitted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  reviewed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  review_comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Reviewer note, e.g. why grades were sent back'
+  },
+  published_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'grade_releases',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['section_id']
+    },
+    {
+      fields: ['status', 'release_at']
+    }
+  ]
+});
+
+module.exports = GradeRelease;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradebookItem = sequelize.define('GradebookItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  section_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'course_sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  title: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'e.g. Quiz 1, HW 3, Lab 2'
+  },
+  component_key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Grading scheme component this item counts towards (e.g. quiz, midterm)'
+  },
+  max_points: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  due_date: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Column order in the gradebook'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'gradebook_items',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['section_id']
+    },
+    {
+      unique: true,
+      fields: ['section_id', 'title']
+    }
+  ]
+});
+
+module.exports = GradebookItem;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradebookScore = sequelize.define('GradebookScore', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  item_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'gradebook_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  enrollment_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'enrollments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  points: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  is_excused: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Excused items are left out of the component total'
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  graded_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'gradebook_scores',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['item_id', 'enrollment_id']
+    },
+    {
+      fields: ['enrollment_id']
+    }
+  ]
+});
+
+module.exports = GradebookScore;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const GradingScheme = sequelize.define('GradingScheme', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  section_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'course_sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  components: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Weighted components: [{key: "quiz", name: "Quizzes", weight: 20}], weights sum to 100'
+  },
+  curve_type: {
+    type: DataTypes.ENUM('none', 'add_points', 'sqrt', 'target_mean'),
+    allowNull: false,
+    defaultValue: 'none',
+    comment: 'add_points: flat bonus, sqrt: 10 * sqrt(score), target_mean: shift so the section mean hits curve_value'
+  },
+  curve_value: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  letter_cutoffs: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Minimum score per letter: [{letter: "AA", min: 90}, ...]'
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'grading_schemes',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['section_id']
+    }
+  ]
+});
+
+module.exports = GradingScheme;
@@ -22,6 +22,26 @@ const IoTSensor = sequelize.define('IoTSensor', {
     type: DataTypes.STRING(255),
     allowNull: false
   },
+  classroom_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'classrooms',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Room this sensor measures; falls back to matching location against building + room_number'
+  },
+  cafeteria_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'cafeterias',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Cafeteria whose entrance a door_counter sensor monitors'
+  },
   gps_lat: {
     type: DataTypes.FLOAT,
     allowNull: true,
@@ -52,6 +72,11 @@ const IoTSensor = sequelize.define('IoTSensor', {
   last_reading_at: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  api_key_hash: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'SHA-256 hash of the per-sensor ingestion API key'
   }
 }, {
   tableName: 'iot_sensors',
@@ -70,6 +95,16 @@ const IoTSensor = sequelize.define('IoTSensor', {
     },
     {
       fields: ['location']
+    },
+    {
+      fields: ['classroom_id']
+    },
+    {
+      fields: ['cafeteria_id']
+    },
+    {
+      unique: true,
+      fields: ['api_key_hash']
     }
   ]
 });
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SensorAlert = sequelize.define('SensorAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  rule_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sensor_alert_rules',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sensor_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'iot_sensors',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  trigger_value: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Latest reading when the alert fired (null for no_data)'
+  },
+  triggered_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  acknowledged_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acknowledged_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Null when the alert resolved automatically'
+  }
+}, {
+  tableName: 'sensor_alerts',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['rule_id', 'sensor_id', 'status']
+    },
+    {
+      fields: ['sensor_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = SensorAlert;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SensorAlertRule = sequelize.define('SensorAlertRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  sensor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'iot_sensors',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Applies to a single sensor; null means every sensor of sensor_type'
+  },
+  sensor_type: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Applies to every sensor of this type when sensor_id is null'
+  },
+  condition: {
+    type: DataTypes.ENUM('gt', 'gte', 'lt', 'lte', 'no_data'),
+    allowNull: false,
+    comment: 'Comparison against threshold, or no_data for silent sensors'
+  },
+  threshold: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Required for comparison conditions'
+  },
+  duration_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'How long the condition must hold before the rule fires'
+  },
+  severity: {
+    type: DataTypes.ENUM('info', 'warning', 'critical'),
+    allowNull: false,
+    defaultValue: 'warning'
+  },
+  notify_user_ids: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Users alerted when the rule fires; all admins when empty'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'sensor_alert_rules',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['sensor_id']
+    },
+    {
+      fields: ['sensor_type']
+    },
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+module.exports = SensorAlertRule;
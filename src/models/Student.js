@@ -30,6 +30,11 @@ const Student = sequelize.define('Student', {
       key: 'id'
     }
   },
+  advisor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Academic advisor (faculty.id); approves course baskets. No FK: students sync before faculty'
+  },
   gpa: {
     type: DataTypes.DECIMAL(3, 2),
     allowNull: true,
@@ -83,6 +88,9 @@ const Student = sequelize.define('Student', {
     },
     {
       fields: ['department_id']
+    },
+    {
+      fields: ['advisor_id']
     }
   ]
 });
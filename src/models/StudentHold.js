@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const StudentHold = sequelize.define('StudentHold', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  hold_type: {
+    type: DataTypes.ENUM('unpaid_balance', 'advisor_approval', 'disciplinary'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Active holds block registration'
+  },
+  placed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  released_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  released_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'student_holds',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['student_id', 'is_active']
+    },
+    {
+      fields: ['hold_type']
+    }
+  ]
+});
+
+module.exports = StudentHold;
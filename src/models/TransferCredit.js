@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TransferCredit = sequelize.define('TransferCredit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  course_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'courses',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Local equivalent; null = elective credit without an equivalent'
+  },
+  source: {
+    type: DataTypes.ENUM('transfer', 'erasmus', 'other'),
+    allowNull: false,
+    defaultValue: 'transfer'
+  },
+  institution: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  external_course_code: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  external_course_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  external_credits: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: 'Credits as awarded by the other institution'
+  },
+  external_grade: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Grade as it appears on the external transcript'
+  },
+  letter_grade: {
+    type: DataTypes.ENUM('AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD', 'FD', 'FF'),
+    allowNull: false,
+    comment: 'Local equivalent of the external grade'
+  },
+  credits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Local credits awarded'
+  },
+  ects: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  semester: {
+    type: DataTypes.ENUM('Fall', 'Spring', 'Summer'),
+    allowNull: false,
+    comment: 'Term the course was taken in'
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  counts_toward_gpa: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true,
+    comment: 'Null = institution policy (TRANSFER_CREDITS_IN_GPA)'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  recorded_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'transfer_credits',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['student_id']
+    },
+    {
+      fields: ['course_id']
+    }
+  ]
+});
+
+module.exports = TransferCredit;
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  section_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'course_sections',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  student_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'students',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'offered', 'confirmed', 'expired', 'skipped', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'waiting',
+    comment: 'waiting -> offered (enrolled, awaiting confirmation) -> confirmed or expired'
+  },
+  joined_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Queue order'
+  },
+  enrollment_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'enrollments',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'Enrollment created on promotion'
+  },
+  offered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  confirm_by: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Promoted seat is released if not confirmed by then'
+  },
+  confirmed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  skip_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Why the student was passed over on promotion'
+  }
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: true,
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['section_id', 'status', 'joined_at']
+    },
+    {
+      fields: ['student_id']
+    },
+    {
+      fields: ['status', 'confirm_by']
+    }
+  ]
+});
+
+module.exports = WaitlistEntry;
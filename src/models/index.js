@@ -14,10 +14,25 @@ const CoursePrerequisite = require('./CoursePrerequisite');
 const Classroom = require('./Classroom');
 const CourseSection = require('./CourseSection');
 const Enrollment = require('./Enrollment');
+const WaitlistEntry = require('./WaitlistEntry');
+const GradingScheme = require('./GradingScheme');
+const GradebookItem = require('./GradebookItem');
+const GradebookScore = require('./GradebookScore');
+const GradeRelease = require('./GradeRelease');
+const GradeChange = require('./GradeChange');
+const GradeAppeal = require('./GradeAppeal');
+const AcademicStanding = require('./AcademicStanding');
+const AcademicTerm = require('./AcademicTerm');
+const StudentHold = require('./StudentHold');
+const CreditLoadOverride = require('./CreditLoadOverride');
+const Curriculum = require('./Curriculum');
+const TransferCredit = require('./TransferCredit');
 
 const AttendanceSession = require('./AttendanceSession');
 const AttendanceRecord = require('./AttendanceRecord');
 const ExcuseRequest = require('./ExcuseRequest');
+const AttendancePolicy = require('./AttendancePolicy');
+const AttendanceDevice = require('./AttendanceDevice');
 
 const Cafeteria = require('./Cafeteria');
 const MealMenu = require('./MealMenu');
@@ -31,6 +46,8 @@ const EventRegistration = require('./EventRegistration');
 const Notification = require('./Notification');
 const IoTSensor = require('./IoTSensor');
 const SensorData = require('./SensorData');
+const SensorAlertRule = require('./SensorAlertRule');
+const SensorAlert = require('./SensorAlert');
 
 // Part 3: Course Scheduling & Resource Management
 const Schedule = require('./Schedule');
@@ -193,6 +210,13 @@ Faculty.belongsTo(Department, {
   as: 'department'
 });
 
+// Department -> Faculty (department head)
+Department.belongsTo(Faculty, {
+  foreignKey: 'head_faculty_id',
+  as: 'head',
+  constraints: false
+});
+
 // Department -> Course (One-to-Many)
 Department.hasMany(Course, {
   foreignKey: 'department_id',
@@ -204,6 +228,17 @@ Course.belongsTo(Department, {
   as: 'department'
 });
 
+// Department -> Curriculum (One-to-Many), one per catalog year
+Department.hasMany(Curriculum, {
+  foreignKey: 'department_id',
+  as: 'curricula',
+  onDelete: 'CASCADE'
+});
+Curriculum.belongsTo(Department, {
+  foreignKey: 'department_id',
+  as: 'department'
+});
+
 // -------------------- Course Relations --------------------
 // Course -> CourseSection (One-to-Many)
 Course.hasMany(CourseSection, {
@@ -280,6 +315,76 @@ Enrollment.belongsTo(CourseSection, {
   as: 'section'
 });
 
+// CourseSection -> GradingScheme (One-to-One)
+CourseSection.hasOne(GradingScheme, {
+  foreignKey: 'section_id',
+  as: 'gradingScheme',
+  onDelete: 'CASCADE'
+});
+GradingScheme.belongsTo(CourseSection, {
+  foreignKey: 'section_id',
+  as: 'section'
+});
+
+// CourseSection -> GradebookItem (One-to-Many)
+CourseSection.hasMany(GradebookItem, {
+  foreignKey: 'section_id',
+  as: 'gradebookItems',
+  onDelete: 'CASCADE'
+});
+GradebookItem.belongsTo(CourseSection, {
+  foreignKey: 'section_id',
+  as: 'section'
+});
+
+// GradebookItem -> GradebookScore (One-to-Many)
+GradebookItem.hasMany(GradebookScore, {
+  foreignKey: 'item_id',
+  as: 'scores',
+  onDelete: 'CASCADE'
+});
+GradebookScore.belongsTo(GradebookItem, {
+  foreignKey: 'item_id',
+  as: 'item'
+});
+
+// Enrollment -> GradebookScore (One-to-Many)
+Enrollment.hasMany(GradebookScore, {
+  foreignKey: 'enrollment_id',
+  as: 'gradebookScores',
+  onDelete: 'CASCADE'
+});
+GradebookScore.belongsTo(Enrollment, {
+  foreignKey: 'enrollment_id',
+  as: 'enrollment'
+});
+
+// CourseSection -> GradeRelease (One-to-One)
+CourseSection.hasOne(GradeRelease, {
+  foreignKey: 'section_id',
+  as: 'gradeRelease',
+  onDelete: 'CASCADE'
+});
+GradeRelease.belongsTo(CourseSection, {
+  foreignKey: 'section_id',
+  as: 'section'
+});
+
+// Enrollment -> GradeChange (One-to-Many)
+Enrollment.hasMany(GradeChange, {
+  foreignKey: 'enrollment_id',
+  as: 'gradeChanges',
+  onDelete: 'CASCADE'
+});
+GradeChange.belongsTo(Enrollment, {
+  foreignKey: 'enrollment_id',
+  as: 'enrollment'
+});
+GradeChange.belongsTo(User, {
+  foreignKey: 'changed_by',
+  as: 'changedBy'
+});
+
 // CourseSection -> AttendanceSession (One-to-Many)
 CourseSection.hasMany(AttendanceSession, {
   foreignKey: 'section_id',
@@ -291,6 +396,17 @@ AttendanceSession.belongsTo(CourseSection, {
   as: 'section'
 });
 
+// CourseSection -> AttendancePolicy (One-to-One)
+CourseSection.hasOne(AttendancePolicy, {
+  foreignKey: 'section_id',
+  as: 'attendancePolicy',
+  onDelete: 'CASCADE'
+});
+AttendancePolicy.belongsTo(CourseSection, {
+  foreignKey: 'section_id',
+  as: 'section'
+});
+
 // -------------------- Student Relations --------------------
 // Student -> Enrollment (One-to-Many)
 Student.hasMany(Enrollment, {
@@ -314,6 +430,17 @@ AttendanceRecord.belongsTo(Student, {
   as: 'student'
 });
 
+// Student -> AttendanceDevice (One-to-Many) - devices bound for check-in
+Student.hasMany(AttendanceDevice, {
+  foreignKey: 'student_id',
+  as: 'attendanceDevices',
+  onDelete: 'CASCADE'
+});
+AttendanceDevice.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
 // Student -> ExcuseRequest (One-to-Many)
 Student.hasMany(ExcuseRequest, {
   foreignKey: 'student_id',
@@ -325,6 +452,138 @@ ExcuseRequest.belongsTo(Student, {
   as: 'student'
 });
 
+// Student -> GradeAppeal (One-to-Many)
+Student.hasMany(GradeAppeal, {
+  foreignKey: 'student_id',
+  as: 'gradeAppeals',
+  onDelete: 'CASCADE'
+});
+GradeAppeal.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+// Enrollment -> GradeAppeal (One-to-One)
+Enrollment.hasOne(GradeAppeal, {
+  foreignKey: 'enrollment_id',
+  as: 'gradeAppeal',
+  onDelete: 'CASCADE'
+});
+GradeAppeal.belongsTo(Enrollment, {
+  foreignKey: 'enrollment_id',
+  as: 'enrollment'
+});
+GradeAppeal.belongsTo(User, {
+  foreignKey: 'reviewed_by',
+  as: 'reviewer'
+});
+
+// CourseSection -> WaitlistEntry (One-to-Many)
+CourseSection.hasMany(WaitlistEntry, {
+  foreignKey: 'section_id',
+  as: 'waitlistEntries',
+  onDelete: 'CASCADE'
+});
+WaitlistEntry.belongsTo(CourseSection, {
+  foreignKey: 'section_id',
+  as: 'section'
+});
+
+// Student -> WaitlistEntry (One-to-Many)
+Student.hasMany(WaitlistEntry, {
+  foreignKey: 'student_id',
+  as: 'waitlistEntries',
+  onDelete: 'CASCADE'
+});
+WaitlistEntry.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+WaitlistEntry.belongsTo(Enrollment, {
+  foreignKey: 'enrollment_id',
+  as: 'enrollment'
+});
+
+// Student -> AcademicStanding (One-to-Many, one per semester)
+Student.hasMany(AcademicStanding, {
+  foreignKey: 'student_id',
+  as: 'academicStandings',
+  onDelete: 'CASCADE'
+});
+AcademicStanding.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+
+// Student -> StudentHold (One-to-Many)
+Student.hasMany(StudentHold, {
+  foreignKey: 'student_id',
+  as: 'holds',
+  onDelete: 'CASCADE'
+});
+StudentHold.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+StudentHold.belongsTo(User, {
+  foreignKey: 'placed_by',
+  as: 'placedBy'
+});
+
+// Student -> CreditLoadOverride (One-to-Many)
+Student.hasMany(CreditLoadOverride, {
+  foreignKey: 'student_id',
+  as: 'creditLoadOverrides',
+  onDelete: 'CASCADE'
+});
+CreditLoadOverride.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+CreditLoadOverride.belongsTo(User, {
+  foreignKey: 'granted_by',
+  as: 'grantedBy'
+});
+CreditLoadOverride.belongsTo(User, {
+  foreignKey: 'revoked_by',
+  as: 'revokedBy'
+});
+
+// Student -> TransferCredit (One-to-Many), mapped to a local Course equivalent
+Student.hasMany(TransferCredit, {
+  foreignKey: 'student_id',
+  as: 'transferCredits',
+  onDelete: 'CASCADE'
+});
+TransferCredit.belongsTo(Student, {
+  foreignKey: 'student_id',
+  as: 'student'
+});
+Course.hasMany(TransferCredit, {
+  foreignKey: 'course_id',
+  as: 'transferCredits'
+});
+TransferCredit.belongsTo(Course, {
+  foreignKey: 'course_id',
+  as: 'course'
+});
+TransferCredit.belongsTo(User, {
+  foreignKey: 'recorded_by',
+  as: 'recordedBy'
+});
+
+// Faculty -> Student (One-to-Many) - academic advisor
+Faculty.hasMany(Student, {
+  foreignKey: 'advisor_id',
+  as: 'advisees',
+  constraints: false
+});
+Student.belongsTo(Faculty, {
+  foreignKey: 'advisor_id',
+  as: 'advisor',
+  constraints: false
+});
+
 // -------------------- Attendance Relations --------------------
 // Faculty -> AttendanceSession (One-to-Many) - as instructor
 Faculty.hasMany(AttendanceSession, {
@@ -359,6 +618,17 @@ ExcuseRequest.belongsTo(AttendanceSession, {
   as: 'session'
 });
 
+// ExcuseRequest -> AttendanceRecord (One-to-One) - the absence it covers
+ExcuseRequest.hasOne(AttendanceRecord, {
+  foreignKey: 'excuse_request_id',
+  as: 'attendanceRecord',
+  onDelete: 'SET NULL'
+});
+AttendanceRecord.belongsTo(ExcuseRequest, {
+  foreignKey: 'excuse_request_id',
+  as: 'excuseRequest'
+});
+
 // Faculty -> ExcuseRequest (One-to-Many) - as reviewer
 Faculty.hasMany(ExcuseRequest, {
   foreignKey: 'reviewed_by',
@@ -461,6 +731,61 @@ SensorData.belongsTo(IoTSensor, {
   as: 'sensor'
 });
 
+// Classroom -> IoTSensor (One-to-Many)
+Classroom.hasMany(IoTSensor, {
+  foreignKey: 'classroom_id',
+  as: 'sensors',
+  onDelete: 'SET NULL'
+});
+IoTSensor.belongsTo(Classroom, {
+  foreignKey: 'classroom_id',
+  as: 'classroom'
+});
+
+// Cafeteria -> IoTSensor (One-to-Many, door counters)
+Cafeteria.hasMany(IoTSensor, {
+  foreignKey: 'cafeteria_id',
+  as: 'sensors',
+  onDelete: 'SET NULL'
+});
+IoTSensor.belongsTo(Cafeteria, {
+  foreignKey: 'cafeteria_id',
+  as: 'cafeteria'
+});
+
+// IoTSensor -> SensorAlertRule (One-to-Many, sensor-specific rules)
+IoTSensor.hasMany(SensorAlertRule, {
+  foreignKey: 'sensor_id',
+  as: 'alertRules',
+  onDelete: 'CASCADE'
+});
+SensorAlertRule.belongsTo(IoTSensor, {
+  foreignKey: 'sensor_id',
+  as: 'sensor'
+});
+
+// SensorAlertRule -> SensorAlert (One-to-Many)
+SensorAlertRule.hasMany(SensorAlert, {
+  foreignKey: 'rule_id',
+  as: 'alerts',
+  onDelete: 'CASCADE'
+});
+SensorAlert.belongsTo(SensorAlertRule, {
+  foreignKey: 'rule_id',
+  as: 'rule'
+});
+
+// IoTSensor -> SensorAlert (One-to-Many)
+IoTSensor.hasMany(SensorAlert, {
+  foreignKey: 'sensor_id',
+  as: 'alerts',
+  onDelete: 'CASCADE'
+});
+SensorAlert.belongsTo(IoTSensor, {
+  foreignKey: 'sensor_id',
+  as: 'sensor'
+});
+
 // -------------------- Schedule Relations (Part 3) --------------------
 // CourseSection -> Schedule (One-to-Many)
 CourseSection.hasMany(Schedule, {
@@ -610,11 +935,26 @@ module.exports = {
   Classroom,
   CourseSection,
   Enrollment,
+  WaitlistEntry,
+  GradingScheme,
+  GradebookItem,
+  GradebookScore,
+  GradeRelease,
+  GradeChange,
+  GradeAppeal,
+  AcademicStanding,
+  AcademicTerm,
+  StudentHold,
+  CreditLoadOverride,
+  Curriculum,
+  TransferCredit,
 
   // Attendance
   AttendanceSession,
   AttendanceRecord,
   ExcuseRequest,
+  AttendancePolicy,
+  AttendanceDevice,
 
   // Life on Campus
   Cafeteria,
@@ -630,6 +970,8 @@ module.exports = {
   NotificationPreference,
   IoTSensor,
   SensorData,
+  SensorAlertRule,
+  SensorAlert,
 
   // Part 3: Scheduling & Reservations
   Schedule,
@@ -0,0 +1,75 @@
+/**
+ * Academic Term Routes
+ * API endpoints for semester registration, add/drop and withdrawal windows
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const academicCalendarController = require('../controllers/academicCalendarController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { adminOnly } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+  createTermValidator,
+  updateTermValidator,
+  calendarIdValidator
+} = require('../validators/academicCalendarValidators');
+
+/**
+ * @route   GET /api/v1/academic-terms
+ * @desc    List semester calendars
+ * @access  Private
+ */
+router.get('/', verifyToken, academicCalendarController.getTerms);
+
+/**
+ * @route   GET /api/v1/academic-terms/current
+ * @desc    Get the current (or next) term and the open enrollment window
+ * @access  Private
+ */
+router.get('/current', verifyToken, academicCalendarController.getCurrentTerm);
+
+/**
+ * @route   POST /api/v1/academic-terms
+ * @desc    Define a semester calendar
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  verifyToken,
+  adminOnly,
+  createTermValidator,
+  validate,
+  academicCalendarController.createTerm
+);
+
+/**
+ * @route   PUT /api/v1/academic-terms/:id
+ * @desc    Update a semester calendar
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  verifyToken,
+  adminOnly,
+  updateTermValidator,
+  validate,
+  academicCalendarController.updateTerm
+);
+
+/**
+ * @route   DELETE /api/v1/academic-terms/:id
+ * @desc    Delete a semester calendar
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id',
+  verifyToken,
+  adminOnly,
+  calendarIdValidator,
+  validate,
+  academicCalendarController.deleteTerm
+);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Advising Routes
+ * API endpoints for academic advisors and course basket approval
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const advisingController = require('../controllers/advisingController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { authorize, adminOnly, studentOnly, facultyOrAdmin } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
+
+/**
+ * @route   GET /api/v1/advising/my-advisor
+ * @desc    Get my academic advisor
+ * @access  Private (Student only)
+ */
+router.get('/my-advisor', verifyToken, studentOnly, advisingController.getMyAdvisor);
+
+/**
+ * @route   GET /api/v1/advising/advisees
+ * @desc    Get students I advise
+ * @access  Private (Faculty only)
+ */
+router.get('/advisees', verifyToken, authorize('faculty'), advisingController.getMyAdvisees);
+
+/**
+ * @route   GET /api/v1/advising/baskets
+ * @desc    Get course baskets awaiting approval
+ * @access  Private (Faculty, Admin)
+ */
+router.get(
+  '/baskets',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    query('semester').optional().isIn(['Fall', 'Spring', 'Summer']).withMessage('Invalid semester'),
+    query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year')
+  ],
+  validate,
+  advisingController.getPendingBaskets
+);
+
+/**
+ * @route   PUT /api/v1/advising/baskets/:studentId
+ * @desc    Approve, reject or comment on courses in a student's basket
+ * @access  Private (Faculty, Admin)
+ */
+router.put(
+  '/baskets/:studentId',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    param('studentId').isUUID().withMessage('Invalid student ID'),
+    body('semester').isIn(['Fall', 'Spring', 'Summer']).withMessage('Invalid semester'),
+    body('year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid year'),
+    body('decisions').isArray({ min: 1 }).withMessage('At least one decision is required'),
+    body('decisions.*.enrollment_id').isUUID().withMessage('Invalid enrollment ID'),
+    body('decisions.*.decision')
+      .isIn(['approved', 'rejected', 'comment'])
+      .withMessage('Decision must be approved, rejected or comment'),
+    body('decisions.*.comment').optional({ nullable: true }).isString().isLength({ max: 1000 })
+  ],
+  validate,
+  advisingController.reviewBasket
+);
+
+/**
+ * @route   PUT /api/v1/advising/students/:studentId/advisor
+ * @desc    Assign or clear a student's academic advisor
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/students/:studentId/advisor',
+  verifyToken,
+  adminOnly,
+  [
+    param('studentId').isUUID().withMessage('Invalid student ID'),
+    body('faculty_id').optional({ nullable: true }).isUUID().withMessage('Invalid faculty ID')
+  ],
+  validate,
+  advisingController.assignAdvisor
+);
+
+module.exports = router;
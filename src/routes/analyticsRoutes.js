@@ -2,9 +2,14 @@ const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
 const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { facultyOrAdmin } = require('../middleware/roleMiddleware');
 
-// All analytics routes require admin privileges
 router.use(verifyToken);
+
+// Instructors review flagged check-ins of their own sections
+router.get('/flagged-records', facultyOrAdmin, analyticsController.getFlaggedRecords);
+
+// All other analytics routes require admin privileges
 router.use(isAdmin);
 
 router.get('/dashboard', analyticsController.getDashboardStats);
@@ -13,7 +18,6 @@ router.get('/attendance', analyticsController.getAttendanceAnalytics);
 router.get('/meal-usage', analyticsController.getMealUsage);
 router.get('/events', analyticsController.getEventStats);
 router.get('/at-risk', analyticsController.getAtRiskAttendance);
-router.get('/flagged-records', analyticsController.getFlaggedRecords);
 
 // Export Routes
 router.get('/export/excel', analyticsController.exportAnalyticsExcel);
@@ -49,6 +49,9 @@
  *         check_in_time:
  *           type: string
  *           format: date-time
+ *         check_in_method:
+ *           type: string
+ *           enum: [gps, beacon, wifi, qr]
  *         is_flagged:
  *           type: boolean
  */
@@ -72,6 +75,15 @@ const { body, param, query } = require('express-validator');
  *     description: |
  *       Instructor creates a new attendance session for a course section.
  *       Sets classroom location (GPS coordinates) and geofence radius.
+ *
+ *       **Check-in modes:**
+ *       - gps: students must be inside the geofence (coordinates required)
+ *       - beacon: a classroom BLE beacon or Wi-Fi access point must be in range
+ *       - qr: the rotating QR code alone
+ *       - combined: beacon or Wi-Fi, falling back to GPS when coordinates are set
+ *
+ *       Beacon and combined modes need `beacon_ids` and/or `wifi_bssids` in the
+ *       classroom's `features_json`.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -83,15 +95,17 @@ const { body, param, query } = require('express-validator');
  *             type: object
  *             required:
  *               - section_id
- *               - lat
- *               - lon
  *             properties:
  *               section_id:
  *                 type: string
  *                 format: uuid
+ *               check_in_mode:
+ *                 type: string
+ *                 enum: [gps, beacon, qr, combined]
+ *                 default: gps
  *               lat:
  *                 type: number
- *                 description: Classroom latitude
+ *                 description: Classroom latitude (required in gps mode)
  *                 example: 41.0082
  *               lon:
  *                 type: number
@@ -124,14 +138,16 @@ router.post(
       .withMessage('Section ID is required')
       .isUUID()
       .withMessage('Section ID must be a valid UUID'),
+    body('check_in_mode')
+      .optional()
+      .isIn(['gps', 'beacon', 'qr', 'combined'])
+      .withMessage('Check-in mode must be one of: gps, beacon, qr, combined'),
     body('lat')
-      .notEmpty()
-      .withMessage('Latitude is required')
+      .optional()
       .isFloat({ min: -90, max: 90 })
       .withMessage('Latitude must be between -90 and 90'),
     body('lon')
-      .notEmpty()
-      .withMessage('Longitude is required')
+      .optional()
       .isFloat({ min: -180, max: 180 })
       .withMessage('Longitude must be between -180 and 180'),
     body('radius')
@@ -192,7 +208,7 @@ router.get(
 
 /**
  * @route   PUT /api/v1/attendance/sessions/:sessionId/qr
- * @desc    Rotate session QR code
+ * @desc    Replace session code and QR secret (tokens also rotate on their own)
  * @access  Private (Faculty only)
  */
 router.put(
@@ -214,15 +230,27 @@ router.put(
  *   post:
  *     summary: Student check-in
  *     description: |
- *       Student checks in to an active attendance session using GPS location.
+ *       Student checks in to an active attendance session. What is required
+ *       depends on the session's check-in mode: GPS location (gps), the
+ *       beacons and Wi-Fi networks the device sees (beacon), or either
+ *       (combined, GPS used when no classroom beacon is in range).
  *       
  *       **Validation:**
  *       - Uses Haversine formula to calculate distance between student and classroom
  *       - Rejects if distance > geofence radius
  *       
+ *       **QR Code:**
+ *       - The projected QR code carries a token that changes every few seconds
+ *       - Only the current token (or its immediate neighbours) is accepted
+ *       
  *       **Spoofing Detection:**
  *       - Flags suspicious check-ins (impossible speed, low GPS accuracy, etc.)
  *       - Marked as is_flagged=true for instructor review
+ *
+ *       **Device Binding:**
+ *       - Students are bound to the first few devices they check in from
+ *       - Check-ins from further devices are rejected until an admin unbinds one
+ *       - A device checking in several students in one session flags all of them
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -233,8 +261,7 @@ router.put(
  *           schema:
  *             type: object
  *             required:
- *               - lat
- *               - lon
+ *               - device_fingerprint
  *             properties:
  *               session_id:
  *                 type: string
@@ -244,6 +271,10 @@ router.put(
  *                 type: string
  *                 description: Session code from QR (or use session_id)
  *                 example: ATT-M5XK2-A1B2C3D4
+ *               qr_token:
+ *                 type: string
+ *                 description: Rotating token from the QR code currently shown in class
+ *                 example: "287082"
  *               lat:
  *                 type: number
  *                 description: Student's current latitude
@@ -256,6 +287,33 @@ router.put(
  *                 type: number
  *                 description: GPS accuracy in meters
  *                 example: 5
+ *               device_fingerprint:
+ *                 type: string
+ *                 description: Stable identifier of the device from the client app
+ *               beacons:
+ *                 type: array
+ *                 description: BLE beacons in range
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: f7826da6-4fa2-4e98-8024-bc5b71e0893e-1-101
+ *                     rssi:
+ *                       type: number
+ *                       example: -67
+ *               wifi_networks:
+ *                 type: array
+ *                 description: Wi-Fi access points in range
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     bssid:
+ *                       type: string
+ *                       example: "a4:2b:b0:12:34:56"
+ *                     rssi:
+ *                       type: number
+ *                       example: -58
  *     responses:
  *       200:
  *         description: Check-in successful
@@ -280,7 +338,7 @@ router.put(
  *                     is_flagged:
  *                       type: boolean
  *       400:
- *         description: Outside geofence or spoofing detected
+ *         description: Outside geofence, spoofing detected or no classroom beacon in range
  *         content:
  *           application/json:
  *             schema:
@@ -318,20 +376,49 @@ router.post(
       .optional()
       .isString()
       .withMessage('Session code must be a string'),
+    body('qr_token')
+      .optional()
+      .matches(/^\d{6}$/)
+      .withMessage('QR token must be a 6-digit code'),
     body('lat')
-      .notEmpty()
-      .withMessage('Latitude is required')
+      .optional()
       .isFloat({ min: -90, max: 90 })
       .withMessage('Latitude must be between -90 and 90'),
     body('lon')
-      .notEmpty()
-      .withMessage('Longitude is required')
+      .optional()
       .isFloat({ min: -180, max: 180 })
       .withMessage('Longitude must be between -180 and 180'),
     body('gps_accuracy')
       .optional()
       .isFloat({ min: 0 })
-      .withMessage('GPS accuracy must be a positive number')
+      .withMessage('GPS accuracy must be a positive number'),
+    body('beacons')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('beacons must be an array of at most 50 entries'),
+    body('beacons.*.id')
+      .isString()
+      .notEmpty()
+      .withMessage('Each beacon needs an id'),
+    body('beacons.*.rssi')
+      .isFloat({ min: -127, max: 20 })
+      .withMessage('Beacon signal strength (rssi) must be in dBm'),
+    body('wifi_networks')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('wifi_networks must be an array of at most 50 entries'),
+    body('wifi_networks.*.bssid')
+      .matches(/^([0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$/)
+      .withMessage('Each Wi-Fi network needs a valid bssid'),
+    body('wifi_networks.*.rssi')
+      .isFloat({ min: -127, max: 20 })
+      .withMessage('Wi-Fi signal strength (rssi) must be in dBm'),
+    body('device_fingerprint')
+      .notEmpty()
+      .withMessage('Device fingerprint is required')
+      .isString()
+      .isLength({ max: 512 })
+      .withMessage('Device fingerprint must be a string of at most 512 characters')
   ],
   validate,
   attendanceController.checkIn
@@ -467,5 +554,226 @@ router.patch(
   attendanceController.updateRecordStatus
 );
 
-module.exports = router;
+// ==================== Attendance Policy ====================
+
+/**
+ * @route   GET /api/v1/attendance/sections/:sectionId/policy
+ * @desc    Get the section's attendance policy (default when none is defined)
+ * @access  Private
+ */
+router.get(
+  '/sections/:sectionId/policy',
+  verifyToken,
+  [
+    param('sectionId').isUUID().withMessage('Section ID must be a valid UUID')
+  ],
+  validate,
+  attendanceController.getAttendancePolicy
+);
 
+/**
+ * @swagger
+ * /attendance/sections/{sectionId}/policy:
+ *   put:
+ *     summary: Define the section's attendance policy
+ *     description: |
+ *       Students whose absences exceed the limit fail the course on attendance
+ *       with an FF and their final grade cannot be entered until an instructor
+ *       overrides it.
+ *       Enrolled students are re-checked when the policy is saved.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               max_absence_percent:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 30
+ *               max_absence_count:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 4
+ *               warning_percent:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 20
+ *               planned_sessions:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Sessions planned for the term; when empty, percentages use sessions held so far and are only enforced once ATTENDANCE_MIN_SESSIONS (default 10) have been held
+ *                 example: 14
+ *               lates_per_absence:
+ *                 type: integer
+ *                 description: Lates that count as one absence (0 = lates never count)
+ *                 example: 3
+ *               count_excused:
+ *                 type: boolean
+ *                 description: Whether excused absences count toward the limit
+ *               late_grace_minutes:
+ *                 type: integer
+ *                 description: Minutes after the start before a check-in is late
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Policy saved and students re-checked
+ *       400:
+ *         description: Invalid policy
+ *       403:
+ *         description: Not section instructor
+ */
+router.put(
+  '/sections/:sectionId/policy',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    param('sectionId').isUUID().withMessage('Section ID must be a valid UUID'),
+    body('max_absence_percent')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('max_absence_percent must be between 0 and 100'),
+    body('max_absence_count')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('max_absence_count must be a non-negative integer'),
+    body('warning_percent')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('warning_percent must be between 0 and 100'),
+    body('planned_sessions')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('planned_sessions must be a positive integer'),
+    body('lates_per_absence')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('lates_per_absence must be a non-negative integer'),
+    body('count_excused')
+      .optional()
+      .isBoolean()
+      .withMessage('count_excused must be a boolean'),
+    body('late_grace_minutes')
+      .optional()
+      .isInt({ min: 0, max: 240 })
+      .withMessage('late_grace_minutes must be between 0 and 240')
+  ],
+  validate,
+  attendanceController.updateAttendancePolicy
+);
+
+/**
+ * @route   DELETE /api/v1/attendance/sections/:sectionId/policy
+ * @desc    Revert a section to the default attendance policy
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.delete(
+  '/sections/:sectionId/policy',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    param('sectionId').isUUID().withMessage('Section ID must be a valid UUID')
+  ],
+  validate,
+  attendanceController.deleteAttendancePolicy
+);
+
+/**
+ * @route   GET /api/v1/attendance/sections/:sectionId/standing
+ * @desc    Absences of each enrolled student against the section policy (read-only)
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.get(
+  '/sections/:sectionId/standing',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    param('sectionId').isUUID().withMessage('Section ID must be a valid UUID')
+  ],
+  validate,
+  attendanceController.getSectionAttendanceStanding
+);
+
+/**
+ * @route   PUT /api/v1/attendance/enrollments/:enrollmentId/override
+ * @desc    Allow final grade entry for a student failed on attendance (override: false to revoke)
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.put(
+  '/enrollments/:enrollmentId/override',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    param('enrollmentId').isUUID().withMessage('Enrollment ID must be a valid UUID'),
+    body('override')
+      .optional()
+      .isBoolean()
+      .withMessage('override must be a boolean'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('reason must be a string of at most 1000 characters')
+  ],
+  validate,
+  attendanceController.overrideAttendanceFail
+);
+
+// ==================== Device Binding ====================
+
+/**
+ * @route   GET /api/v1/attendance/devices/my
+ * @desc    Devices the student is bound to for check-in
+ * @access  Private (Student only)
+ */
+router.get(
+  '/devices/my',
+  verifyToken,
+  studentOnly,
+  attendanceController.getMyDevices
+);
+
+/**
+ * @route   GET /api/v1/attendance/students/:studentId/devices
+ * @desc    Devices a student is (or was) bound to
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/students/:studentId/devices',
+  verifyToken,
+  authorize('admin'),
+  [
+    param('studentId').isUUID().withMessage('Student ID must be a valid UUID')
+  ],
+  validate,
+  attendanceController.getStudentDevices
+);
+
+/**
+ * @route   DELETE /api/v1/attendance/devices/:deviceId
+ * @desc    Unbind a device so the student can register another
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/devices/:deviceId',
+  verifyToken,
+  authorize('admin'),
+  [
+    param('deviceId').isUUID().withMessage('Device ID must be a valid UUID')
+  ],
+  validate,
+  attendanceController.revokeDevice
+);
+
+module.exports = router;
@@ -160,7 +160,8 @@ router.post(
         body('description').optional().isString(),
         body('credits').optional().isInt({ min: 0, max: 10 }),
         body('ects').optional().isInt({ min: 0, max: 15 }),
-        body('department_id').optional().isUUID()
+        body('department_id').optional().isUUID(),
+        body('min_year_of_study').optional({ nullable: true }).isInt({ min: 1, max: 8 })
     ],
     validate,
     courseController.createCourse
@@ -199,12 +200,119 @@ router.put(
         body('description').optional().isString(),
         body('credits').optional().isInt({ min: 0, max: 10 }),
         body('ects').optional().isInt({ min: 0, max: 15 }),
-        body('department_id').optional().isUUID()
+        body('department_id').optional().isUUID(),
+        body('min_year_of_study').optional({ nullable: true }).isInt({ min: 1, max: 8 })
     ],
     validate,
     courseController.updateCourse
 );
 
+/**
+ * @swagger
+ * /courses/{courseId}/requirements:
+ *   get:
+ *     summary: Get course requirements
+ *     description: Prerequisite and corequisite groups (options within a group are alternatives) and minimum year of study
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Course requirements
+ */
+router.get(
+    '/:courseId/requirements',
+    verifyToken,
+    [
+        param('courseId').isUUID().withMessage('Invalid course ID')
+    ],
+    validate,
+    courseController.getCourseRequirements
+);
+
+/**
+ * @swagger
+ * /courses/{courseId}/requirements:
+ *   put:
+ *     summary: Replace course requirements
+ *     description: |
+ *       (MATH101 OR MATH103) AND PHYS101 is
+ *       `prerequisite_groups: [[{course_id: MATH101}, {course_id: MATH103}], [{course_id: PHYS101}]]`.
+ *       Corequisites may also be taken in the same semester. Admin only.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prerequisite_groups:
+ *                 type: array
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       course_id:
+ *                         type: string
+ *                         format: uuid
+ *                       min_grade:
+ *                         type: string
+ *                         enum: [AA, BA, BB, CB, CC, DC, DD]
+ *               corequisite_groups:
+ *                 type: array
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *               min_year_of_study:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Requirements updated
+ *       400:
+ *         description: Invalid requirements
+ */
+router.put(
+    '/:courseId/requirements',
+    verifyToken,
+    adminOnly,
+    [
+        param('courseId').isUUID().withMessage('Invalid course ID'),
+        body('prerequisite_groups').optional().isArray(),
+        body('prerequisite_groups.*').isArray({ min: 1 }).withMessage('Each group needs at least one course'),
+        body('prerequisite_groups.*.*.course_id').isUUID().withMessage('Invalid course ID'),
+        body('prerequisite_groups.*.*.min_grade').optional({ nullable: true })
+            .isIn(['AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD']).withMessage('Invalid minimum grade'),
+        body('corequisite_groups').optional().isArray(),
+        body('corequisite_groups.*').isArray({ min: 1 }).withMessage('Each group needs at least one course'),
+        body('corequisite_groups.*.*.course_id').isUUID().withMessage('Invalid course ID'),
+        body('corequisite_groups.*.*.min_grade').optional({ nullable: true })
+            .isIn(['AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD']).withMessage('Invalid minimum grade'),
+        body('min_year_of_study').optional({ nullable: true }).isInt({ min: 1, max: 8 })
+    ],
+    validate,
+    courseController.setCourseRequirements
+);
+
 /**
  * @swagger
  * /courses/{courseId}:
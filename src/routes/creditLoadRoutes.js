@@ -0,0 +1,94 @@
+/**
+ * Credit Load Routes
+ * API endpoints for semester credit load limits and admin overrides
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const creditLoadController = require('../controllers/creditLoadController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { adminOnly, studentOnly, facultyOrAdmin } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
+
+const termQuery = [
+  query('semester').isIn(['Fall', 'Spring', 'Summer']).withMessage('Semester must be Fall, Spring, or Summer'),
+  query('year').isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100')
+];
+
+/**
+ * @route   GET /api/v1/credit-load/my
+ * @desc    Get my load limits and current load for a semester
+ * @access  Private (Student only)
+ */
+router.get('/my', verifyToken, studentOnly, termQuery, validate, creditLoadController.getMyLoad);
+
+/**
+ * @route   GET /api/v1/credit-load/students/:studentId
+ * @desc    Get a student's load limits and current load for a semester
+ * @access  Private (Faculty, Admin)
+ */
+router.get(
+  '/students/:studentId',
+  verifyToken,
+  facultyOrAdmin,
+  [param('studentId').isUUID().withMessage('Invalid student ID'), ...termQuery],
+  validate,
+  creditLoadController.getStudentLoad
+);
+
+/**
+ * @route   GET /api/v1/credit-load/overrides
+ * @desc    Override audit trail
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/overrides',
+  verifyToken,
+  adminOnly,
+  [
+    query('student_id').optional().isUUID().withMessage('Invalid student ID'),
+    query('semester').optional().isIn(['Fall', 'Spring', 'Summer']).withMessage('Invalid semester'),
+    query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year')
+  ],
+  validate,
+  creditLoadController.getOverrides
+);
+
+/**
+ * @route   POST /api/v1/credit-load/overrides
+ * @desc    Grant a student a different load limit for a semester
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/overrides',
+  verifyToken,
+  adminOnly,
+  [
+    body('student_id').isUUID().withMessage('Invalid student ID'),
+    body('semester').isIn(['Fall', 'Spring', 'Summer']).withMessage('Invalid semester'),
+    body('year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid year'),
+    body('max_load').optional({ nullable: true }).isInt({ min: 0, max: 60 }).withMessage('Invalid max_load'),
+    body('min_load').optional({ nullable: true }).isInt({ min: 0, max: 60 }).withMessage('Invalid min_load'),
+    body('reason').trim().notEmpty().withMessage('A reason is required for the audit trail')
+  ],
+  validate,
+  creditLoadController.grantOverride
+);
+
+/**
+ * @route   PUT /api/v1/credit-load/overrides/:id/revoke
+ * @desc    Revoke an override
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/overrides/:id/revoke',
+  verifyToken,
+  adminOnly,
+  [param('id').isUUID().withMessage('Invalid ID')],
+  validate,
+  creditLoadController.revokeOverride
+);
+
+module.exports = router;
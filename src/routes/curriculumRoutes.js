@@ -0,0 +1,91 @@
+/**
+ * Curriculum Routes
+ * API endpoints for department curricula (degree requirements)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const curriculumController = require('../controllers/curriculumController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { adminOnly } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
+
+const curriculumBody = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('total_credits').optional().isInt({ min: 0 }).withMessage('Total credits must be a non-negative integer'),
+  body('total_ects').optional().isInt({ min: 0 }).withMessage('Total ECTS must be a non-negative integer'),
+  body('required_course_ids').optional().isArray().withMessage('Required courses must be an array'),
+  body('required_course_ids.*').isUUID().withMessage('Invalid course ID'),
+  body('elective_pools').optional().isArray().withMessage('Elective pools must be an array'),
+  body('elective_pools.*.name').notEmpty().withMessage('Elective pool name is required'),
+  body('elective_pools.*.min_credits').isInt({ min: 0 }).withMessage('Elective pool min_credits must be a non-negative integer'),
+  body('elective_pools.*.course_ids').isArray({ min: 1 }).withMessage('Elective pool needs at least one course'),
+  body('elective_pools.*.course_ids.*').isUUID().withMessage('Invalid course ID'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+const idParam = param('id').isUUID().withMessage('Invalid curriculum ID');
+
+/**
+ * @route   GET /api/v1/curricula
+ * @desc    List curricula
+ * @access  Private
+ */
+router.get(
+  '/',
+  verifyToken,
+  [query('department_id').optional().isUUID().withMessage('Invalid department ID')],
+  validate,
+  curriculumController.getCurricula
+);
+
+/**
+ * @route   GET /api/v1/curricula/:id
+ * @desc    Get a curriculum with its courses
+ * @access  Private
+ */
+router.get('/:id', verifyToken, [idParam], validate, curriculumController.getCurriculum);
+
+/**
+ * @route   POST /api/v1/curricula
+ * @desc    Define a department curriculum for a catalog year
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  verifyToken,
+  adminOnly,
+  [
+    body('department_id').isUUID().withMessage('Invalid department ID'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('catalog_year').isInt({ min: 2000, max: 2100 }).withMessage('Catalog year must be between 2000 and 2100'),
+    ...curriculumBody
+  ],
+  validate,
+  curriculumController.createCurriculum
+);
+
+/**
+ * @route   PUT /api/v1/curricula/:id
+ * @desc    Update a curriculum
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  verifyToken,
+  adminOnly,
+  [idParam, ...curriculumBody],
+  validate,
+  curriculumController.updateCurriculum
+);
+
+/**
+ * @route   DELETE /api/v1/curricula/:id
+ * @desc    Delete a curriculum
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', verifyToken, adminOnly, [idParam], validate, curriculumController.deleteCurriculum);
+
+module.exports = router;
@@ -70,6 +70,10 @@ router.get('/:id', getDepartmentById);
  *                 type: string
  *               faculty_name:
  *                 type: string
+ *               head_faculty_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Department head (reviews submitted grades)
  *     responses:
  *       201:
  *         description: Department created
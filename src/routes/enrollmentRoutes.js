@@ -14,10 +14,14 @@ const {
   createEnrollmentValidator,
   enrollmentIdValidator,
   sectionIdValidator,
-  courseIdValidator,
   updateGradesValidator,
   bulkUpdateGradesValidator,
-  listEnrollmentsValidator
+  listEnrollmentsValidator,
+  checkPrerequisitesValidator,
+  recommendationsValidator,
+  scheduleBuilderValidator,
+  scheduleEnrollValidator,
+  waitlistEntryIdValidator
 } = require('../validators/enrollmentValidators');
 
 // ==================== Student Routes ====================
@@ -80,7 +84,7 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [enrolled, dropped, completed, failed]
+ *           enum: [pending_approval, enrolled, rejected, dropped, withdrawn, completed, failed]
  *         description: Filter by enrollment status
  *       - in: query
  *         name: semester
@@ -113,7 +117,10 @@ router.get(
  * /enrollments/check-prerequisites/{courseId}:
  *   get:
  *     summary: Check prerequisites for a course
- *     description: Check if student meets all prerequisites (recursive check)
+ *     description: |
+ *       Check if student meets all prerequisites (recursive check), including OR groups,
+ *       minimum grades, corequisites and year of study. Each unmet rule is listed in
+ *       `failed_clauses` with an explanation.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -124,6 +131,16 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *           enum: [Fall, Spring, Summer]
+ *         description: Semester the course would be taken in
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: Prerequisite check result
@@ -132,7 +149,7 @@ router.get(
   '/check-prerequisites/:courseId',
   verifyToken,
   studentOnly,
-  courseIdValidator,
+  checkPrerequisitesValidator,
   validate,
   enrollmentController.checkPrerequisites
 );
@@ -151,6 +168,218 @@ router.get(
   enrollmentController.checkConflicts
 );
 
+/**
+ * @swagger
+ * /enrollments/recommendations:
+ *   get:
+ *     summary: Recommend sections for the coming semester
+ *     description: |
+ *       Open sections of the semester whose prerequisites the student has passed and
+ *       that do not conflict with their current schedule. Courses that unblock the most
+ *       downstream courses in the prerequisite graph rank first. Offered courses the
+ *       student is not yet eligible for are listed with their missing prerequisites.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *           enum: [Fall, Spring, Summer]
+ *         description: Semester to plan (defaults to the upcoming academic term)
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ranked recommendations
+ *       400:
+ *         description: No upcoming term defined and none given
+ */
+router.get(
+  '/recommendations',
+  verifyToken,
+  studentOnly,
+  recommendationsValidator,
+  validate,
+  enrollmentController.getRecommendations
+);
+
+/**
+ * @swagger
+ * /enrollments/schedule-builder:
+ *   post:
+ *     summary: Generate alternative timetables
+ *     description: |
+ *       Every combination of open sections of the desired courses without time conflicts
+ *       (with each other or the student's current schedule), ranked by preferences.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [course_ids, semester, year]
+ *             properties:
+ *               course_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               semester:
+ *                 type: string
+ *                 enum: [Fall, Spring, Summer]
+ *               year:
+ *                 type: integer
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   no_classes_before:
+ *                     type: string
+ *                     example: '10:00'
+ *                   free_days:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: [Friday]
+ *                   minimize_gaps:
+ *                     type: boolean
+ *               limit:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Ranked timetables and courses that cannot be scheduled
+ */
+router.post(
+  '/schedule-builder',
+  verifyToken,
+  studentOnly,
+  scheduleBuilderValidator,
+  validate,
+  enrollmentController.buildSchedules
+);
+
+/**
+ * @swagger
+ * /enrollments/schedule-builder/enroll:
+ *   post:
+ *     summary: Enroll in a chosen timetable
+ *     description: All sections are enrolled in one transaction; if any fails, none are.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [section_ids]
+ *             properties:
+ *               section_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       201:
+ *         description: Enrolled in every section
+ *       400:
+ *         description: A section failed (prerequisites, conflict, full, load); nothing was enrolled
+ */
+router.post(
+  '/schedule-builder/enroll',
+  verifyToken,
+  studentOnly,
+  scheduleEnrollValidator,
+  validate,
+  enrollmentController.enrollInSchedule
+);
+
+/**
+ * @swagger
+ * /enrollments/waitlist:
+ *   post:
+ *     summary: Join a section waitlist
+ *     description: |
+ *       Queue for a full section. When a seat frees up the next eligible student
+ *       (prerequisites and schedule conflicts are re-checked) is enrolled
+ *       automatically and must confirm the seat within the confirmation window.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - section_id
+ *             properties:
+ *               section_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist with queue position
+ *       400:
+ *         description: Section not full, already waitlisted or prerequisites not met
+ */
+router.post(
+  '/waitlist',
+  verifyToken,
+  studentOnly,
+  createEnrollmentValidator,
+  validate,
+  enrollmentController.joinWaitlist
+);
+
+/**
+ * @route   GET /api/v1/enrollments/waitlist
+ * @desc    Get my waitlist entries with positions and pending seat offers
+ * @access  Private (Student only)
+ */
+router.get(
+  '/waitlist',
+  verifyToken,
+  studentOnly,
+  enrollmentController.getMyWaitlist
+);
+
+/**
+ * @route   POST /api/v1/enrollments/waitlist/:entryId/confirm
+ * @desc    Confirm a seat obtained from the waitlist
+ * @access  Private (Student only)
+ */
+router.post(
+  '/waitlist/:entryId/confirm',
+  verifyToken,
+  studentOnly,
+  waitlistEntryIdValidator,
+  validate,
+  enrollmentController.confirmWaitlistSeat
+);
+
+/**
+ * @route   DELETE /api/v1/enrollments/waitlist/:entryId
+ * @desc    Leave a waitlist or decline an offered seat
+ * @access  Private (Student only)
+ */
+router.delete(
+  '/waitlist/:entryId',
+  verifyToken,
+  studentOnly,
+  waitlistEntryIdValidator,
+  validate,
+  enrollmentController.leaveWaitlist
+);
+
 /**
  * @route   GET /api/v1/enrollments/:id
  * @desc    Get a specific enrollment
@@ -0,0 +1,130 @@
+/**
+ * Grade Appeal Routes
+ * API endpoints for appealing published grades
+ */
+
+const express = require('express');
+const router = express.Router();
+const gradeAppealController = require('../controllers/gradeAppealController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { authorize, studentOnly, facultyOrAdmin } = require('../middleware/roleMiddleware');
+const { uploadDocument } = require('../middleware/documentUploadMiddleware');
+const { validate } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
+
+const APPEAL_STATUSES = ['pending', 'escalated', 'accepted', 'rejected'];
+
+// ==================== Student Routes ====================
+
+/**
+ * @route   POST /api/v1/grade-appeals
+ * @desc    Appeal a published grade (multipart/form-data, optional document)
+ * @access  Private (Student only)
+ */
+router.post(
+    '/',
+    verifyToken,
+    studentOnly,
+    uploadDocument,
+    gradeAppealController.createAppeal
+);
+
+/**
+ * @route   GET /api/v1/grade-appeals/my-appeals
+ * @desc    Get my grade appeals
+ * @access  Private (Student only)
+ */
+router.get(
+    '/my-appeals',
+    verifyToken,
+    studentOnly,
+    gradeAppealController.getMyAppeals
+);
+
+// ==================== Faculty Routes ====================
+
+/**
+ * @route   GET /api/v1/grade-appeals/faculty
+ * @desc    Get appeals against grades in my sections
+ * @access  Private (Faculty only)
+ */
+router.get(
+    '/faculty',
+    verifyToken,
+    authorize('faculty'),
+    [query('status').optional().isIn(APPEAL_STATUSES).withMessage('Invalid status')],
+    validate,
+    gradeAppealController.getFacultyAppeals
+);
+
+// ==================== Admin Routes ====================
+
+/**
+ * @route   GET /api/v1/grade-appeals/admin/all
+ * @desc    Get ALL grade appeals
+ * @access  Private (Admin only)
+ */
+router.get(
+    '/admin/all',
+    verifyToken,
+    authorize('admin'),
+    [query('status').optional().isIn(APPEAL_STATUSES).withMessage('Invalid status')],
+    validate,
+    gradeAppealController.getAllAppeals
+);
+
+/**
+ * @route   PUT /api/v1/grade-appeals/:id/escalate
+ * @desc    Escalate an appeal for admin decision
+ * @access  Private (Admin only)
+ */
+router.put(
+    '/:id/escalate',
+    verifyToken,
+    authorize('admin'),
+    [
+        param('id').isUUID().withMessage('Invalid ID'),
+        body('notes').optional().isString()
+    ],
+    validate,
+    gradeAppealController.escalateAppeal
+);
+
+// ==================== Shared Routes ====================
+
+/**
+ * @route   GET /api/v1/grade-appeals/:id
+ * @desc    Get a grade appeal
+ * @access  Private (Owning student, section instructor, admin)
+ */
+router.get(
+    '/:id',
+    verifyToken,
+    [param('id').isUUID().withMessage('Invalid ID')],
+    validate,
+    gradeAppealController.getAppeal
+);
+
+/**
+ * @route   PUT /api/v1/grade-appeals/:id/review
+ * @desc    Accept or reject an appeal; accepted appeals may amend the grade
+ * @access  Private (Section instructor, admin)
+ */
+router.put(
+    '/:id/review',
+    verifyToken,
+    facultyOrAdmin,
+    [
+        param('id').isUUID().withMessage('Invalid ID'),
+        body('decision').isIn(['accepted', 'rejected']).withMessage('Decision must be accepted or rejected'),
+        body('notes').optional().isString(),
+        body('grades').optional().isObject().withMessage('Grades must be an object'),
+        body('grades.midterm_grade').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+        body('grades.final_grade').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+        body('grades.components').optional().isObject()
+    ],
+    validate,
+    gradeAppealController.reviewAppeal
+);
+
+module.exports = router;
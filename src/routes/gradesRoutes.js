@@ -44,9 +44,9 @@ const router = express.Router();
 
 const gradesController = require('../controllers/gradesController');
 const { verifyToken } = require('../middleware/authMiddleware');
-const { authorize, studentOnly, adminOnly } = require('../middleware/roleMiddleware');
+const { authorize, studentOnly, adminOnly, facultyOrAdmin } = require('../middleware/roleMiddleware');
 const { validate } = require('../middleware/validate');
-const { param, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 /**
  * Student-only routes
@@ -170,10 +170,124 @@ router.get(
   gradesController.downloadTranscriptPDF
 );
 
+/**
+ * @swagger
+ * /grades/standing:
+ *   get:
+ *     summary: Get my academic standing
+ *     description: Standing per closed semester (good standing, probation, suspension, honors, high honors)
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current standing and history
+ */
+router.get(
+  '/standing',
+  verifyToken,
+  studentOnly,
+  gradesController.getMyStanding
+);
+
+/**
+ * @swagger
+ * /grades/degree-audit:
+ *   get:
+ *     summary: Get my degree audit
+ *     description: Passed and in-progress courses matched against the department curriculum, with outstanding requirements and projected graduation semester
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Degree audit
+ *       404:
+ *         description: No curriculum defined for the department
+ */
+router.get(
+  '/degree-audit',
+  verifyToken,
+  studentOnly,
+  gradesController.getMyDegreeAudit
+);
+
+/**
+ * @route   GET /api/v1/grades/students/:studentId/degree-audit
+ * @desc    Degree audit of a student
+ * @access  Private (Student's advisor or Admin)
+ */
+router.get(
+  '/students/:studentId/degree-audit',
+  verifyToken,
+  facultyOrAdmin,
+  [
+    param('studentId')
+      .isUUID()
+      .withMessage('Student ID must be a valid UUID')
+  ],
+  validate,
+  gradesController.getStudentDegreeAudit
+);
+
 /**
  * Admin-only routes
  */
 
+/**
+ * @route   POST /api/v1/grades/standing/evaluate
+ * @desc    Close a semester and evaluate academic standing of its students
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/standing/evaluate',
+  verifyToken,
+  adminOnly,
+  [
+    body('year')
+      .isInt({ min: 2020, max: 2100 })
+      .withMessage('Year must be between 2020 and 2100'),
+    body('semester')
+      .isIn(['Fall', 'Spring', 'Summer'])
+      .withMessage('Invalid semester value'),
+    body('thresholds')
+      .optional()
+      .isObject()
+      .withMessage('Thresholds must be an object'),
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('Force must be a boolean')
+  ],
+  validate,
+  gradesController.evaluateStanding
+);
+
+/**
+ * @route   GET /api/v1/grades/standing/semester
+ * @desc    List standings of a semester, optionally filtered by standing
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/standing/semester',
+  verifyToken,
+  adminOnly,
+  [
+    query('year')
+      .isInt({ min: 2020, max: 2100 })
+      .withMessage('Year must be between 2020 and 2100'),
+    query('semester')
+      .isIn(['Fall', 'Spring', 'Summer'])
+      .withMessage('Invalid semester value'),
+    query('standing')
+      .optional()
+      .isIn(['good_standing', 'probation', 'suspension', 'honors', 'high_honors'])
+      .withMessage('Invalid standing value')
+  ],
+  validate,
+  gradesController.getSemesterStandings
+);
+
 /**
  * @route   GET /api/v1/grades/students/:studentId/transcript/pdf
  * @desc    Download transcript for a specific student as PDF
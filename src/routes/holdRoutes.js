@@ -0,0 +1,68 @@
+/**
+ * Hold Routes
+ * API endpoints for registration holds on student accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const academicCalendarController = require('../controllers/academicCalendarController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { adminOnly, studentOnly } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validate');
+const {
+  calendarIdValidator,
+  listHoldsValidator,
+  placeHoldValidator
+} = require('../validators/academicCalendarValidators');
+
+/**
+ * @route   GET /api/v1/holds/my
+ * @desc    Get my active holds
+ * @access  Private (Student only)
+ */
+router.get('/my', verifyToken, studentOnly, academicCalendarController.getMyHolds);
+
+/**
+ * @route   GET /api/v1/holds
+ * @desc    List holds
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/',
+  verifyToken,
+  adminOnly,
+  listHoldsValidator,
+  validate,
+  academicCalendarController.getHolds
+);
+
+/**
+ * @route   POST /api/v1/holds
+ * @desc    Place a hold (unpaid balance, advisor approval, disciplinary)
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/',
+  verifyToken,
+  adminOnly,
+  placeHoldValidator,
+  validate,
+  academicCalendarController.placeHold
+);
+
+/**
+ * @route   PUT /api/v1/holds/:id/release
+ * @desc    Release a hold
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id/release',
+  verifyToken,
+  adminOnly,
+  calendarIdValidator,
+  validate,
+  academicCalendarController.releaseHold
+);
+
+module.exports = router;
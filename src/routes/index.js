@@ -15,6 +15,13 @@ const sectionRoutes = require('./sectionRoutes');
 const gradesRoutes = require('./gradesRoutes');
 const attendanceRoutes = require('./attendanceRoutes');
 const excuseRoutes = require('./excuseRoutes');
+const gradeAppealRoutes = require('./gradeAppealRoutes');
+const academicTermRoutes = require('./academicTermRoutes');
+const holdRoutes = require('./holdRoutes');
+const advisingRoutes = require('./advisingRoutes');
+const creditLoadRoutes = require('./creditLoadRoutes');
+const curriculumRoutes = require('./curriculumRoutes');
+const transferCreditRoutes = require('./transferCreditRoutes');
 const walletRoutes = require('./walletRoutes');
 const mealRoutes = require('./mealRoutes');
 const eventRoutes = require('./eventRoutes');
@@ -23,6 +30,7 @@ const reservationRoutes = require('./reservationRoutes');
 const notificationRoutes = require('./notificationRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
 const clubRoutes = require('./clubRoutes');
+const sensorRoutes = require('./sensorRoutes');
 
 /**
  * Mount all routes
@@ -36,6 +44,13 @@ router.use('/sections', sectionRoutes);
 router.use('/grades', gradesRoutes);
 router.use('/attendance', attendanceRoutes);
 router.use('/excuses', excuseRoutes);
+router.use('/grade-appeals', gradeAppealRoutes);
+router.use('/academic-terms', academicTermRoutes);
+router.use('/holds', holdRoutes);
+router.use('/advising', advisingRoutes);
+router.use('/credit-load', creditLoadRoutes);
+router.use('/curricula', curriculumRoutes);
+router.use('/transfer-credits', transferCreditRoutes);
 router.use('/wallet', walletRoutes);
 router.use('/meals', mealRoutes);
 router.use('/events', eventRoutes);
@@ -44,6 +59,7 @@ router.use('/reservations', reservationRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/clubs', clubRoutes);
+router.use('/sensors', sensorRoutes);
 
 /**
  * Health check endpoint
@@ -39,6 +39,44 @@ const adminOrStaff = (req, res, next) => {
  */
 router.get('/cafeterias', mealController.getCafeterias);
 
+/**
+ * @swagger
+ * /meals/cafeterias/crowd:
+ *   get:
+ *     summary: Live crowd level for all cafeterias
+ *     description: |
+ *       Combines door-counter sensor data with today's meal reservations to
+ *       estimate current occupancy, crowd level (low, moderate, busy, full)
+ *       and expected wait, plus a 15-minute forecast for the next 3 hours.
+ *       Live updates are pushed as `cafeteria:crowd` to the `cafeterias`
+ *       Socket.IO room.
+ *     tags: [Meals]
+ *     responses:
+ *       200:
+ *         description: Crowd status per cafeteria and the least crowded one
+ */
+router.get('/cafeterias/crowd', mealController.getCafeteriaCrowdStatus);
+
+/**
+ * @swagger
+ * /meals/cafeterias/{id}/crowd:
+ *   get:
+ *     summary: Live crowd level and forecast for one cafeteria
+ *     tags: [Meals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Crowd status and forecast
+ *       404:
+ *         description: Cafeteria not found
+ */
+router.get('/cafeterias/:id/crowd', mealController.getCafeteriaCrowd);
+
 // ==================== Menu Routes ====================
 
 /**
@@ -32,6 +32,11 @@ const adminOrStaff = (req, res, next) => {
  * /reservations/classrooms:
  *   get:
  *     summary: Get all classrooms with availability summary
+ *     description: |
+ *       For today's date each classroom also includes its measured occupancy
+ *       from linked occupancy sensors, whether it is booked right now, and
+ *       `booked_but_empty` when a current class or approved reservation has
+ *       a fresh occupancy reading of zero.
  *     tags: [Reservations]
  *     security:
  *       - bearerAuth: []
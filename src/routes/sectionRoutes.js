@@ -7,13 +7,26 @@ const express = require('express');
 const router = express.Router();
 
 const enrollmentController = require('../controllers/enrollmentController');
+const gradebookController = require('../controllers/gradebookController');
 const { verifyToken } = require('../middleware/authMiddleware');
 const { authorize, facultyOrAdmin } = require('../middleware/roleMiddleware');
 const { validate } = require('../middleware/validate');
 const {
   sectionIdValidator,
-  bulkUpdateGradesValidator
+  bulkUpdateGradesValidator,
+  gradingSchemeValidator,
+  submitGradesValidator,
+  reviewGradesValidator
 } = require('../validators/enrollmentValidators');
+const {
+  createItemValidator,
+  updateItemValidator,
+  itemIdValidator,
+  gradebookSectionValidator,
+  saveScoresValidator,
+  exportGradebookValidator
+} = require('../validators/gradebookValidators');
+const { uploadSpreadsheet } = require('../middleware/spreadsheetUploadMiddleware');
 const { Faculty, CourseSection, Course, Department } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
 
@@ -132,6 +145,20 @@ router.get(
   enrollmentController.getSectionEnrollments
 );
 
+/**
+ * @route   GET /api/v1/sections/:sectionId/waitlist
+ * @desc    Get the ordered waitlist of a section
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.get(
+  '/:sectionId/waitlist',
+  verifyToken,
+  facultyOrAdmin,
+  sectionIdValidator,
+  validate,
+  enrollmentController.getSectionWaitlist
+);
+
 /**
  * @swagger
  * /sections/{sectionId}/grades:
@@ -139,7 +166,8 @@ router.get(
  *     summary: Bulk update grades
  *     description: |
  *       Update grades for multiple students in a section at once.
- *       Automatically calculates letter grades when both midterm and final are provided.
+ *       Letter grades are calculated from the section's grading scheme once
+ *       every component has a score.
  *     tags: [Sections]
  *     security:
  *       - bearerAuth: []
@@ -173,9 +201,18 @@ router.get(
  *                       type: number
  *                       minimum: 0
  *                       maximum: 100
+ *                     components:
+ *                       type: object
+ *                       description: Scores per grading scheme component key
+ *                       example: { quiz: 85, project: 92 }
+ *               reason:
+ *                 type: string
+ *                 description: Required once the section's grades are published (recorded in the change history)
  *     responses:
  *       200:
  *         description: Grades updated with auto-calculated letter grades
+ *       409:
+ *         description: Grades are under department review
  */
 router.post(
   '/:sectionId/grades',
@@ -186,5 +223,546 @@ router.post(
   enrollmentController.bulkUpdateGrades
 );
 
+/**
+ * @swagger
+ * /sections/{sectionId}/grading-scheme:
+ *   get:
+ *     summary: Get the section's grading scheme
+ *     description: Returns the default 40% midterm / 60% final scheme when none is defined.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Grading scheme
+ */
+router.get(
+  '/:sectionId/grading-scheme',
+  verifyToken,
+  sectionIdValidator,
+  validate,
+  enrollmentController.getGradingScheme
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/grading-scheme:
+ *   put:
+ *     summary: Define the section's grading scheme
+ *     description: |
+ *       Named components with weights summing to 100, an optional curve and a
+ *       letter-grade cutoff table. Existing grades in the section are recalculated.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - components
+ *             properties:
+ *               components:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: quiz
+ *                     name:
+ *                       type: string
+ *                       example: Quizzes
+ *                     weight:
+ *                       type: number
+ *                       example: 20
+ *               curve_type:
+ *                 type: string
+ *                 enum: [none, add_points, sqrt, target_mean]
+ *               curve_value:
+ *                 type: number
+ *                 description: Bonus points (add_points) or target section mean (target_mean)
+ *               letter_cutoffs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     letter:
+ *                       type: string
+ *                       example: AA
+ *                     min:
+ *                       type: number
+ *                       example: 90
+ *     responses:
+ *       200:
+ *         description: Scheme saved and grades recalculated
+ *       400:
+ *         description: Invalid scheme (weights, cutoffs or curve)
+ */
+router.put(
+  '/:sectionId/grading-scheme',
+  verifyToken,
+  facultyOrAdmin,
+  gradingSchemeValidator,
+  validate,
+  enrollmentController.updateGradingScheme
+);
+
+/**
+ * @route   DELETE /api/v1/sections/:sectionId/grading-scheme
+ * @desc    Revert a section to the default grading scheme
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.delete(
+  '/:sectionId/grading-scheme',
+  verifyToken,
+  facultyOrAdmin,
+  sectionIdValidator,
+  validate,
+  enrollmentController.deleteGradingScheme
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/grades/release:
+ *   get:
+ *     summary: Get the grade publication status
+ *     description: |
+ *       Grades move from draft to submitted (department review) to approved,
+ *       and are published to students on the release date.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Release status with grading progress
+ */
+router.get(
+  '/:sectionId/grades/release',
+  verifyToken,
+  facultyOrAdmin,
+  sectionIdValidator,
+  validate,
+  enrollmentController.getGradeRelease
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/grades/submit:
+ *   post:
+ *     summary: Submit grades for department review
+ *     description: Every enrolled student needs a final grade. Grades are locked while under review.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               release_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Requested release date (published on approval when empty)
+ *     responses:
+ *       200:
+ *         description: Grades submitted
+ *       400:
+ *         description: Some students have no final grade
+ *       409:
+ *         description: Grades are not in draft
+ */
+router.post(
+  '/:sectionId/grades/submit',
+  verifyToken,
+  facultyOrAdmin,
+  submitGradesValidator,
+  validate,
+  enrollmentController.submitGrades
+);
+
+/**
+ * @route   POST /api/v1/sections/:sectionId/grades/withdraw
+ * @desc    Withdraw submitted grades back to draft
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.post(
+  '/:sectionId/grades/withdraw',
+  verifyToken,
+  facultyOrAdmin,
+  sectionIdValidator,
+  validate,
+  enrollmentController.withdrawGrades
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/grades/review:
+ *   post:
+ *     summary: Review submitted grades
+ *     description: |
+ *       Department head or admin approves the grades (published immediately
+ *       or on release_at) or sends them back to draft with a comment.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               comment:
+ *                 type: string
+ *               release_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Review recorded
+ *       403:
+ *         description: Not the department head
+ */
+router.post(
+  '/:sectionId/grades/review',
+  verifyToken,
+  facultyOrAdmin,
+  reviewGradesValidator,
+  validate,
+  enrollmentController.reviewGrades
+);
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/grades/changes
+ * @desc    Change history of published grades
+ * @access  Private (Faculty - section instructor or department head, Admin)
+ */
+router.get(
+  '/:sectionId/grades/changes',
+  verifyToken,
+  facultyOrAdmin,
+  sectionIdValidator,
+  validate,
+  enrollmentController.getGradeChanges
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/gradebook:
+ *   get:
+ *     summary: Get the section gradebook
+ *     description: |
+ *       Assessment items, the roster with per-item scores, running component
+ *       percentages and the grades derived from them.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Gradebook
+ *       403:
+ *         description: Not the section instructor
+ */
+router.get(
+  '/:sectionId/gradebook',
+  verifyToken,
+  facultyOrAdmin,
+  gradebookSectionValidator,
+  validate,
+  gradebookController.getGradebook
+);
+
+/**
+ * @route   GET /api/v1/sections/:sectionId/gradebook/items
+ * @desc    List assessment items of a section
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.get(
+  '/:sectionId/gradebook/items',
+  verifyToken,
+  facultyOrAdmin,
+  gradebookSectionValidator,
+  validate,
+  gradebookController.listItems
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/gradebook/items:
+ *   post:
+ *     summary: Create an assessment item
+ *     description: The item counts towards one component of the section's grading scheme.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - component_key
+ *               - max_points
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Quiz 1
+ *               component_key:
+ *                 type: string
+ *                 example: midterm
+ *               max_points:
+ *                 type: number
+ *                 example: 20
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Item created
+ *       400:
+ *         description: Unknown grading component
+ *       409:
+ *         description: An item with this title already exists
+ */
+router.post(
+  '/:sectionId/gradebook/items',
+  verifyToken,
+  facultyOrAdmin,
+  createItemValidator,
+  validate,
+  gradebookController.createItem
+);
+
+/**
+ * @route   PUT /api/v1/sections/:sectionId/gradebook/items/:itemId
+ * @desc    Update an assessment item (grades are re-derived when points or component change)
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.put(
+  '/:sectionId/gradebook/items/:itemId',
+  verifyToken,
+  facultyOrAdmin,
+  updateItemValidator,
+  validate,
+  gradebookController.updateItem
+);
+
+/**
+ * @route   DELETE /api/v1/sections/:sectionId/gradebook/items/:itemId
+ * @desc    Delete an assessment item and its scores
+ * @access  Private (Faculty - section instructor, Admin)
+ */
+router.delete(
+  '/:sectionId/gradebook/items/:itemId',
+  verifyToken,
+  facultyOrAdmin,
+  itemIdValidator,
+  validate,
+  gradebookController.deleteItem
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/gradebook/scores:
+ *   put:
+ *     summary: Enter gradebook scores in bulk
+ *     description: |
+ *       Saves per-item scores. A null score clears it. Component grades
+ *       (including midterm and final) are derived once every item of the
+ *       component is scored or excused.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scores
+ *             properties:
+ *               scores:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     enrollment_id:
+ *                       type: string
+ *                       format: uuid
+ *                     item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     points:
+ *                       type: number
+ *                       nullable: true
+ *                     is_excused:
+ *                       type: boolean
+ *                     comment:
+ *                       type: string
+ *               reason:
+ *                 type: string
+ *                 description: Required once the section's grades are published
+ *     responses:
+ *       200:
+ *         description: Scores saved
+ */
+router.put(
+  '/:sectionId/gradebook/scores',
+  verifyToken,
+  facultyOrAdmin,
+  saveScoresValidator,
+  validate,
+  gradebookController.saveScores
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/gradebook/export:
+ *   get:
+ *     summary: Export the gradebook
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *     responses:
+ *       200:
+ *         description: Spreadsheet file
+ */
+router.get(
+  '/:sectionId/gradebook/export',
+  verifyToken,
+  facultyOrAdmin,
+  exportGradebookValidator,
+  validate,
+  gradebookController.exportGradebook
+);
+
+/**
+ * @swagger
+ * /sections/{sectionId}/gradebook/import:
+ *   post:
+ *     summary: Import gradebook scores
+ *     description: |
+ *       Upload a CSV or XLSX file in the export layout. Rows are matched by
+ *       "Student Number", columns by item title. Empty cells are skipped and
+ *       "EX" marks an item as excused.
+ *     tags: [Sections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *       400:
+ *         description: Unreadable file or missing columns
+ */
+router.post(
+  '/:sectionId/gradebook/import',
+  verifyToken,
+  facultyOrAdmin,
+  gradebookSectionValidator,
+  validate,
+  uploadSpreadsheet,
+  gradebookController.importGradebook
+);
+
 module.exports = router;
 
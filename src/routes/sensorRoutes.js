@@ -0,0 +1,636 @@
+/**
+ * Sensor Routes
+ *
+ * API endpoints for IoT sensor management and reading ingestion.
+ *
+ * @swagger
+ * tags:
+ *   name: Sensors
+ *   description: IoT sensor registry, ingestion, live dashboard and alerts
+ */
+
+const express = require('express');
+const router = express.Router();
+const sensorController = require('../controllers/sensorController');
+const sensorAlertController = require('../controllers/sensorAlertController');
+const SensorService = require('../services/sensorService');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { authorize, adminOnly } = require('../middleware/roleMiddleware');
+const { verifySensorKey } = require('../middleware/sensorAuthMiddleware');
+const { validate } = require('../middleware/validate');
+const { body, param, query } = require('express-validator');
+const { validate: isUuid } = require('uuid');
+
+// Same rule as the live sensor:{id} Socket.IO room
+const sensorViewers = authorize(...SensorService.WATCHER_ROLES);
+
+const sensorIdValidator = [
+    param('id').isUUID().withMessage('Sensor ID must be a valid UUID')
+];
+
+const sensorStatuses = ['active', 'inactive', 'maintenance', 'error'];
+
+const alertRuleConditions = ['gt', 'gte', 'lt', 'lte', 'no_data'];
+
+// ==================== Device Routes ====================
+
+/**
+ * @swagger
+ * /sensors/ingest:
+ *   post:
+ *     summary: Ingest a batch of sensor readings
+ *     description: |
+ *       Authenticated with the per-sensor API key in the `X-Sensor-Key` header.
+ *       Stores the readings, updates `last_reading_at` and broadcasts
+ *       `sensor:reading` to the `sensor:{id}` Socket.IO room (admins and staff
+ *       join it with `join:sensor`).
+ *     tags: [Sensors]
+ *     parameters:
+ *       - in: header
+ *         name: X-Sensor-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - readings
+ *             properties:
+ *               readings:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     value:
+ *                       type: number
+ *                       example: 23.4
+ *                     unit:
+ *                       type: string
+ *                       example: "°C"
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                     data:
+ *                       type: object
+ *     responses:
+ *       201:
+ *         description: Readings stored
+ *       401:
+ *         description: Missing or invalid sensor API key
+ */
+router.post(
+    '/ingest',
+    verifySensorKey,
+    [
+        body('readings').isArray({ min: 1 }).withMessage('readings must be a non-empty array'),
+        body('readings.*.value').isFloat().withMessage('Each reading needs a numeric value'),
+        body('readings.*.timestamp').optional().isISO8601().withMessage('timestamp must be ISO 8601')
+    ],
+    validate,
+    sensorController.ingestReadings
+);
+
+// ==================== User Routes ====================
+
+/**
+ * @swagger
+ * /sensors:
+ *   get:
+ *     summary: List sensors (Admin/Staff)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, maintenance, error]
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of sensors
+ */
+router.get(
+    '/',
+    verifyToken,
+    sensorViewers,
+    [
+        query('status').optional().isIn(sensorStatuses).withMessage('Invalid sensor status')
+    ],
+    validate,
+    sensorController.getSensors
+);
+
+/**
+ * @swagger
+ * /sensors/dashboard:
+ *   get:
+ *     summary: Live sensor dashboard (Admin/Staff)
+ *     description: Every sensor with its latest reading and a status summary.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dashboard data
+ */
+router.get('/dashboard', verifyToken, sensorViewers, sensorController.getDashboard);
+
+/**
+ * @swagger
+ * /sensors/aggregate:
+ *   get:
+ *     summary: Time-series aggregation for one or more sensors (Admin/Staff)
+ *     description: |
+ *       Buckets readings by minute, hour or day in Postgres and returns
+ *       min, max, avg, count and last value per bucket. Every bucket in the
+ *       range is returned; empty buckets are filled according to `fill`.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sensor_ids
+ *         required: true
+ *         description: Comma-separated sensor IDs
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [minute, hour, day]
+ *           default: hour
+ *       - in: query
+ *         name: from
+ *         description: Defaults to 24 hours before `to`
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Defaults to now
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: fill
+ *         schema:
+ *           type: string
+ *           enum: ['null', zero, previous]
+ *           default: 'null'
+ *     responses:
+ *       200:
+ *         description: One bucket series per sensor
+ *       400:
+ *         description: Invalid sensor IDs, invalid interval or too many buckets
+ */
+router.get(
+    '/aggregate',
+    verifyToken,
+    sensorViewers,
+    [
+        query('sensor_ids')
+            .notEmpty().withMessage('sensor_ids is required')
+            .bail()
+            .custom(value => String(value).split(',').map(id => id.trim()).filter(Boolean).every(isUuid))
+            .withMessage('sensor_ids must be comma-separated sensor UUIDs'),
+        query('interval').optional().isIn(['minute', 'hour', 'day']).withMessage('interval must be minute, hour or day'),
+        query('from').optional().isISO8601().withMessage('from must be ISO 8601'),
+        query('to').optional().isISO8601().withMessage('to must be ISO 8601'),
+        query('fill').optional().isIn(['null', 'zero', 'previous']).withMessage('fill must be null, zero or previous')
+    ],
+    validate,
+    sensorController.getAggregatedReadings
+);
+
+// ==================== Alert Routes ====================
+
+/**
+ * @swagger
+ * /sensors/alerts:
+ *   get:
+ *     summary: List sensor alerts (Admin/Staff)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alerts, newest first
+ */
+router.get(
+    '/alerts',
+    verifyToken,
+    authorize('admin', 'staff'),
+    [
+        query('status').optional().isIn(['open', 'acknowledged', 'resolved']).withMessage('Invalid alert status'),
+        query('sensor_id').optional().isUUID().withMessage('sensor_id must be a valid UUID'),
+        query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+    ],
+    validate,
+    sensorAlertController.getAlerts
+);
+
+/**
+ * @swagger
+ * /sensors/alerts/{alertId}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge an open alert (Admin/Staff)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       400:
+ *         description: Alert is not open
+ */
+router.patch(
+    '/alerts/:alertId/acknowledge',
+    verifyToken,
+    authorize('admin', 'staff'),
+    [param('alertId').isUUID().withMessage('Alert ID must be a valid UUID')],
+    validate,
+    sensorAlertController.acknowledgeAlert
+);
+
+/**
+ * @swagger
+ * /sensors/alerts/{alertId}/resolve:
+ *   patch:
+ *     summary: Resolve an alert (Admin/Staff)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert resolved
+ */
+router.patch(
+    '/alerts/:alertId/resolve',
+    verifyToken,
+    authorize('admin', 'staff'),
+    [param('alertId').isUUID().withMessage('Alert ID must be a valid UUID')],
+    validate,
+    sensorAlertController.resolveAlert
+);
+
+/**
+ * @swagger
+ * /sensors/alert-rules:
+ *   get:
+ *     summary: List alert rules (Admin only)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert rules
+ */
+router.get('/alert-rules', verifyToken, adminOnly, sensorAlertController.getRules);
+
+/**
+ * @swagger
+ * /sensors/alert-rules:
+ *   post:
+ *     summary: Create an alert rule (Admin only)
+ *     description: |
+ *       Targets a single sensor (`sensor_id`) or every sensor of a type
+ *       (`sensor_type`). Comparison rules fire when the condition has held for
+ *       `duration_minutes`; `no_data` rules fire when a sensor has been silent
+ *       that long and set the sensor status to `error`.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - condition
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Server room overheating
+ *               sensor_id:
+ *                 type: string
+ *                 format: uuid
+ *               sensor_type:
+ *                 type: string
+ *                 example: temperature
+ *               condition:
+ *                 type: string
+ *                 enum: [gt, gte, lt, lte, no_data]
+ *               threshold:
+ *                 type: number
+ *                 example: 28
+ *               duration_minutes:
+ *                 type: integer
+ *                 example: 10
+ *               severity:
+ *                 type: string
+ *                 enum: [info, warning, critical]
+ *               notify_user_ids:
+ *                 type: array
+ *                 description: Users to alert; all admins when empty
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       201:
+ *         description: Alert rule created
+ */
+router.post(
+    '/alert-rules',
+    verifyToken,
+    adminOnly,
+    [
+        body('name').notEmpty().isString().isLength({ max: 150 }).withMessage('name is required'),
+        body('sensor_id').optional().isUUID().withMessage('sensor_id must be a valid UUID'),
+        body('sensor_type').optional().isString().isLength({ max: 100 }),
+        body('condition').isIn(alertRuleConditions).withMessage('condition must be one of: gt, gte, lt, lte, no_data'),
+        body('threshold').optional({ nullable: true }).isFloat().withMessage('threshold must be a number'),
+        body('duration_minutes').optional().isInt({ min: 0 }).withMessage('duration_minutes must be a non-negative integer'),
+        body('severity').optional().isIn(['info', 'warning', 'critical']).withMessage('Invalid severity'),
+        body('notify_user_ids').optional().isArray().withMessage('notify_user_ids must be an array'),
+        body('notify_user_ids.*').optional().isUUID().withMessage('notify_user_ids must contain user UUIDs')
+    ],
+    validate,
+    sensorAlertController.createRule
+);
+
+/**
+ * @swagger
+ * /sensors/alert-rules/{ruleId}:
+ *   put:
+ *     summary: Update an alert rule (Admin only)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert rule updated
+ */
+router.put(
+    '/alert-rules/:ruleId',
+    verifyToken,
+    adminOnly,
+    [
+        param('ruleId').isUUID().withMessage('Rule ID must be a valid UUID'),
+        body('name').optional().isString().isLength({ max: 150 }),
+        body('condition').optional().isIn(alertRuleConditions).withMessage('condition must be one of: gt, gte, lt, lte, no_data'),
+        body('threshold').optional({ nullable: true }).isFloat().withMessage('threshold must be a number'),
+        body('duration_minutes').optional().isInt({ min: 0 }).withMessage('duration_minutes must be a non-negative integer'),
+        body('severity').optional().isIn(['info', 'warning', 'critical']).withMessage('Invalid severity'),
+        body('notify_user_ids').optional().isArray().withMessage('notify_user_ids must be an array'),
+        body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+    ],
+    validate,
+    sensorAlertController.updateRule
+);
+
+/**
+ * @swagger
+ * /sensors/alert-rules/{ruleId}:
+ *   delete:
+ *     summary: Delete an alert rule and its alerts (Admin only)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alert rule deleted
+ */
+router.delete(
+    '/alert-rules/:ruleId',
+    verifyToken,
+    adminOnly,
+    [param('ruleId').isUUID().withMessage('Rule ID must be a valid UUID')],
+    validate,
+    sensorAlertController.deleteRule
+);
+
+/**
+ * @swagger
+ * /sensors/{id}:
+ *   get:
+ *     summary: Get sensor details with latest reading (Admin/Staff)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sensor details
+ *       404:
+ *         description: Sensor not found
+ */
+router.get('/:id', verifyToken, sensorViewers, sensorIdValidator, validate, sensorController.getSensorById);
+
+/**
+ * @swagger
+ * /sensors/{id}/readings:
+ *   get:
+ *     summary: Get raw readings for a sensor (Admin/Staff)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Readings, newest first
+ */
+router.get(
+    '/:id/readings',
+    verifyToken,
+    sensorViewers,
+    [
+        ...sensorIdValidator,
+        query('from').optional().isISO8601().withMessage('from must be ISO 8601'),
+        query('to').optional().isISO8601().withMessage('to must be ISO 8601'),
+        query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    ],
+    validate,
+    sensorController.getReadings
+);
+
+// ==================== Admin Routes ====================
+
+/**
+ * @swagger
+ * /sensors:
+ *   post:
+ *     summary: Register a sensor (Admin only)
+ *     description: Returns the sensor's API key once; only its hash is stored.
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sensor_code
+ *               - type
+ *               - location
+ *             properties:
+ *               sensor_code:
+ *                 type: string
+ *                 example: TEMP-ENG-101
+ *               type:
+ *                 type: string
+ *                 example: temperature
+ *               location:
+ *                 type: string
+ *                 example: Engineering Building 101
+ *               classroom_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Room this sensor measures (occupancy sensors feed classroom utilization)
+ *               cafeteria_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Cafeteria entrance monitored by a door_counter sensor
+ *               gps_lat:
+ *                 type: number
+ *               gps_long:
+ *                 type: number
+ *               metadata_json:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Sensor registered with its API key
+ */
+router.post(
+    '/',
+    verifyToken,
+    adminOnly,
+    [
+        body('sensor_code').notEmpty().isString().isLength({ max: 100 }).withMessage('sensor_code is required'),
+        body('type').notEmpty().isString().isLength({ max: 100 }).withMessage('type is required'),
+        body('location').notEmpty().isString().isLength({ max: 255 }).withMessage('location is required'),
+        body('classroom_id').optional({ nullable: true }).isUUID().withMessage('classroom_id must be a valid UUID'),
+        body('cafeteria_id').optional({ nullable: true }).isUUID().withMessage('cafeteria_id must be a valid UUID'),
+        body('gps_lat').optional().isFloat({ min: -90, max: 90 }).withMessage('gps_lat must be between -90 and 90'),
+        body('gps_long').optional().isFloat({ min: -180, max: 180 }).withMessage('gps_long must be between -180 and 180'),
+        body('status').optional().isIn(sensorStatuses).withMessage('Invalid sensor status'),
+        body('metadata_json').optional().isObject().withMessage('metadata_json must be an object')
+    ],
+    validate,
+    sensorController.createSensor
+);
+
+/**
+ * @swagger
+ * /sensors/{id}:
+ *   put:
+ *     summary: Update a sensor (Admin only)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sensor updated
+ */
+router.put(
+    '/:id',
+    verifyToken,
+    adminOnly,
+    [
+        ...sensorIdValidator,
+        body('type').optional().isString().isLength({ max: 100 }),
+        body('location').optional().isString().isLength({ max: 255 }),
+        body('classroom_id').optional({ nullable: true }).isUUID().withMessage('classroom_id must be a valid UUID'),
+        body('cafeteria_id').optional({ nullable: true }).isUUID().withMessage('cafeteria_id must be a valid UUID'),
+        body('gps_lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 }),
+        body('gps_long').optional({ nullable: true }).isFloat({ min: -180, max: 180 }),
+        body('status').optional().isIn(sensorStatuses).withMessage('Invalid sensor status'),
+        body('metadata_json').optional().isObject()
+    ],
+    validate,
+    sensorController.updateSensor
+);
+
+/**
+ * @swagger
+ * /sensors/{id}:
+ *   delete:
+ *     summary: Delete a sensor and its readings (Admin only)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sensor deleted
+ */
+router.delete('/:id', verifyToken, adminOnly, sensorIdValidator, validate, sensorController.deleteSensor);
+
+/**
+ * @swagger
+ * /sensors/{id}/rotate-key:
+ *   post:
+ *     summary: Rotate a sensor's API key (Admin only)
+ *     tags: [Sensors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New API key issued
+ */
+router.post('/:id/rotate-key', verifyToken, adminOnly, sensorIdValidator, validate, sensorController.rotateApiKey);
+
+module.exports = router;
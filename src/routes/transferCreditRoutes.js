@@ -0,0 +1,104 @@
+/**
+ * Transfer Credit Routes
+ * API endpoints for transfer and exchange credits mapped to local courses
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const transferCreditController = require('../controllers/transferCreditController');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { adminOnly, studentOnly } = require('../middleware/roleMiddleware');
+const { validate } = require('../middleware/validate');
+const { body, param } = require('express-validator');
+
+const LETTER_GRADES = ['AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD', 'FD', 'FF'];
+
+/**
+ * Field rules; on create the identifying fields are required
+ */
+const transferCreditFields = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    body('course_id').optional({ nullable: true }).isUUID().withMessage('Invalid course ID'),
+    body('source').optional().isIn(['transfer', 'erasmus', 'other']).withMessage('Source must be transfer, erasmus, or other'),
+    field('institution').trim().notEmpty().withMessage('Institution is required'),
+    field('external_course_code').trim().notEmpty().withMessage('External course code is required'),
+    field('external_course_name').trim().notEmpty().withMessage('External course name is required'),
+    body('external_credits').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Invalid external credits'),
+    body('external_grade').optional({ nullable: true }).isString().isLength({ max: 20 }).withMessage('Invalid external grade'),
+    field('letter_grade').isIn(LETTER_GRADES).withMessage('Invalid letter grade'),
+    body('credits').optional().isInt({ min: 0, max: 30 }).withMessage('Credits must be between 0 and 30'),
+    body('ects').optional().isInt({ min: 0, max: 60 }).withMessage('ECTS must be between 0 and 60'),
+    field('semester').isIn(['Fall', 'Spring', 'Summer']).withMessage('Semester must be Fall, Spring, or Summer'),
+    field('year').isInt({ min: 1950, max: 2100 }).withMessage('Invalid year'),
+    body('counts_toward_gpa').optional({ nullable: true }).isBoolean().withMessage('counts_toward_gpa must be a boolean'),
+    body('notes').optional({ nullable: true }).isString()
+  ];
+};
+
+/**
+ * @route   GET /api/v1/transfer-credits/my
+ * @desc    Get my transfer credits
+ * @access  Private (Student only)
+ */
+router.get('/my', verifyToken, studentOnly, transferCreditController.getMyTransferCredits);
+
+/**
+ * @route   GET /api/v1/transfer-credits/students/:studentId
+ * @desc    Get a student's transfer credits
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/students/:studentId',
+  verifyToken,
+  adminOnly,
+  [param('studentId').isUUID().withMessage('Invalid student ID')],
+  validate,
+  transferCreditController.getStudentTransferCredits
+);
+
+/**
+ * @route   POST /api/v1/transfer-credits/students/:studentId
+ * @desc    Record an external course for a student
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/students/:studentId',
+  verifyToken,
+  adminOnly,
+  [param('studentId').isUUID().withMessage('Invalid student ID'), ...transferCreditFields(true)],
+  validate,
+  transferCreditController.recordTransferCredit
+);
+
+/**
+ * @route   PUT /api/v1/transfer-credits/:id
+ * @desc    Update a transfer credit
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id',
+  verifyToken,
+  adminOnly,
+  [param('id').isUUID().withMessage('Invalid ID'), ...transferCreditFields(false)],
+  validate,
+  transferCreditController.updateTransferCredit
+);
+
+/**
+ * @route   DELETE /api/v1/transfer-credits/:id
+ * @desc    Delete a transfer credit
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id',
+  verifyToken,
+  adminOnly,
+  [param('id').isUUID().withMessage('Invalid ID')],
+  validate,
+  transferCreditController.deleteTransferCredit
+);
+
+module.exports = router;
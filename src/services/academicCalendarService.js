@@ -0,0 +1,373 @@
+/**
+ * Academic Calendar Service
+ * Registration, add/drop and withdrawal windows per semester, and
+ * administrative holds that block registration.
+ */
+
+const { Op } = require('sequelize');
+const { AcademicTerm, StudentHold, Student, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+
+/**
+ * Hold types and how they are shown to students
+ */
+const HOLD_LABELS = {
+  unpaid_balance: 'Unpaid balance',
+  advisor_approval: 'Advisor approval required',
+  disciplinary: 'Disciplinary hold'
+};
+
+/**
+ * Date fields of a term in the order they must occur
+ */
+const TERM_DATE_ORDER = [
+  'registration_start',
+  'registration_end',
+  'add_drop_end',
+  'withdrawal_end',
+  'end_date'
+];
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Calendar of a semester, null when none is defined
+ * (semesters without a calendar are not restricted)
+ */
+const getTerm = async (semester, year, transaction = null) => {
+  return AcademicTerm.findOne({ where: { semester, year }, transaction });
+};
+
+/**
+ * Which enrollment window a moment falls into
+ * @param {Object} term - Academic term
+ * @param {Date} now - Moment to check
+ * @returns {string} - not_open | registration | add_drop | withdrawal | closed
+ */
+const getEnrollmentPhase = (term, now = new Date()) => {
+  if (now < new Date(term.registration_start)) return 'not_open';
+  if (now <= new Date(term.registration_end)) return 'registration';
+  if (now <= new Date(term.add_drop_end)) return 'add_drop';
+  if (now <= new Date(term.withdrawal_end)) return 'withdrawal';
+  return 'closed';
+};
+
+/**
+ * Ensure a section can be added right now (registration or add/drop)
+ * @param {Object} section - Section with semester and year
+ * @param {Object} transaction - Optional transaction
+ */
+const assertRegistrationOpen = async (section, transaction = null) => {
+  const term = await getTerm(section.semester, section.year, transaction);
+  if (!term) return null;
+
+  const phase = getEnrollmentPhase(term);
+
+  if (phase === 'not_open') {
+    throw new AppError(
+      `Registration for ${section.semester} ${section.year} opens on ${formatDate(term.registration_start)}`,
+      400,
+      'REGISTRATION_NOT_OPEN'
+    );
+  }
+
+  if (phase === 'withdrawal' || phase === 'closed') {
+    throw new AppError(
+      `The add/drop period for ${section.semester} ${section.year} ended on ${formatDate(term.add_drop_end)}`,
+      400,
+      'REGISTRATION_CLOSED'
+    );
+  }
+
+  return term;
+};
+
+/**
+ * How leaving a section is recorded right now
+ * Until add/drop ends the enrollment is simply dropped; during the
+ * withdrawal window it stays on record with a W grade.
+ * @param {Object} section - Section with semester and year
+ * @param {Object} transaction - Optional transaction
+ * @returns {string} - 'drop' or 'withdraw'
+ */
+const resolveDropType = async (section, transaction = null) => {
+  const term = await getTerm(section.semester, section.year, transaction);
+  if (!term) return 'drop';
+
+  const phase = getEnrollmentPhase(term);
+
+  if (phase === 'withdrawal') return 'withdraw';
+
+  if (phase === 'closed') {
+    throw new AppError(
+      `The withdrawal period for ${section.semester} ${section.year} ended on ${formatDate(term.withdrawal_end)}`,
+      400,
+      'WITHDRAWAL_PERIOD_OVER'
+    );
+  }
+
+  return 'drop';
+};
+
+/**
+ * Check a term's dates are complete and in order
+ */
+const validateTermDates = (data) => {
+  const fields = ['start_date', ...TERM_DATE_ORDER];
+  const missing = fields.filter(field => !data[field]);
+  if (missing.length > 0) {
+    throw new AppError(`Missing term dates: ${missing.join(', ')}`, 400, 'INVALID_TERM_DATES');
+  }
+
+  for (let i = 1; i < TERM_DATE_ORDER.length; i++) {
+    if (new Date(data[TERM_DATE_ORDER[i - 1]]) > new Date(data[TERM_DATE_ORDER[i]])) {
+      throw new AppError(
+        `${TERM_DATE_ORDER[i - 1]} must not be after ${TERM_DATE_ORDER[i]}`,
+        400,
+        'INVALID_TERM_DATES'
+      );
+    }
+  }
+
+  if (new Date(data.start_date) > new Date(data.end_date)) {
+    throw new AppError('start_date must not be after end_date', 400, 'INVALID_TERM_DATES');
+  }
+};
+
+/**
+ * All terms, latest first
+ */
+const listTerms = async () => {
+  return AcademicTerm.findAll({
+    order: [['registration_start', 'DESC']]
+  });
+};
+
+/**
+ * Term whose registration or classes are under way, else the next one
+ */
+const getCurrentTerm = async (now = new Date()) => {
+  const current = await AcademicTerm.findOne({
+    where: {
+      registration_start: { [Op.lte]: now },
+      end_date: { [Op.gte]: now }
+    },
+    order: [['registration_start', 'DESC']]
+  });
+
+  if (current) return current;
+
+  return AcademicTerm.findOne({
+    where: { registration_start: { [Op.gt]: now } },
+    order: [['registration_start', 'ASC']]
+  });
+};
+
+/**
+ * Define a semester's calendar
+ * @param {Object} data - semester, year and window dates
+ */
+const createTerm = async (data) => {
+  validateTermDates(data);
+
+  const existing = await getTerm(data.semester, data.year);
+  if (existing) {
+    throw new AppError(
+      `A calendar for ${data.semester} ${data.year} already exists`,
+      400,
+      'DUPLICATE_TERM'
+    );
+  }
+
+  return AcademicTerm.create({
+    semester: data.semester,
+    year: data.year,
+    start_date: data.start_date,
+    end_date: data.end_date,
+    registration_start: data.registration_start,
+    registration_end: data.registration_end,
+    add_drop_end: data.add_drop_end,
+    withdrawal_end: data.withdrawal_end
+  });
+};
+
+/**
+ * Move a semester's dates
+ * @param {string} termId - The term ID
+ * @param {Object} data - Dates to change
+ */
+const updateTerm = async (termId, data) => {
+  const term = await AcademicTerm.findByPk(termId);
+  if (!term) {
+    throw new AppError('Academic term not found', 404, 'TERM_NOT_FOUND');
+  }
+
+  const dates = {};
+  ['start_date', ...TERM_DATE_ORDER].forEach((field) => {
+    dates[field] = data[field] !== undefined ? data[field] : term[field];
+  });
+  validateTermDates(dates);
+
+  await term.update(dates);
+
+  return term;
+};
+
+/**
+ * Remove a semester's calendar (its operations become unrestricted)
+ */
+const deleteTerm = async (termId) => {
+  const term = await AcademicTerm.findByPk(termId);
+  if (!term) {
+    throw new AppError('Academic term not found', 404, 'TERM_NOT_FOUND');
+  }
+
+  await term.destroy();
+};
+
+/**
+ * Active holds of a student
+ */
+const getActiveHolds = async (studentId, transaction = null) => {
+  return StudentHold.findAll({
+    where: { student_id: studentId, is_active: true },
+    order: [['created_at', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * Block registration for students with active holds
+ * @param {string} studentId - The student ID
+ * @param {Object} transaction - Optional transaction
+ */
+const assertNoRegistrationHolds = async (studentId, transaction = null) => {
+  const holds = await getActiveHolds(studentId, transaction);
+
+  if (holds.length > 0) {
+    const error = new AppError(
+      `Registration is blocked by holds: ${holds.map(h => HOLD_LABELS[h.hold_type]).join(', ')}`,
+      403,
+      'REGISTRATION_HOLD'
+    );
+    error.holds = holds.map(h => ({ id: h.id, hold_type: h.hold_type, reason: h.reason }));
+    throw error;
+  }
+};
+
+/**
+ * Holds, optionally for one student or only active ones
+ * @param {Object} filters - { student_id, active }
+ */
+const listHolds = async (filters = {}) => {
+  const where = {};
+  if (filters.student_id) where.student_id = filters.student_id;
+  if (filters.active !== undefined) where.is_active = filters.active;
+
+  return StudentHold.findAll({
+    where,
+    include: [
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number'],
+        include: [{ model: User, as: 'user', attributes: ['first_name', 'last_name', 'email'] }]
+      }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+/**
+ * Place a hold on a student
+ * @param {string} studentId - The student ID
+ * @param {Object} data - { hold_type, reason }
+ * @param {string} userId - Admin placing the hold
+ */
+const placeHold = async (studentId, data, userId) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const existing = await StudentHold.findOne({
+    where: { student_id: studentId, hold_type: data.hold_type, is_active: true }
+  });
+  if (existing) {
+    throw new AppError('The student already has an active hold of this type', 400, 'DUPLICATE_HOLD');
+  }
+
+  const hold = await StudentHold.create({
+    student_id: studentId,
+    hold_type: data.hold_type,
+    reason: data.reason || null,
+    placed_by: userId
+  });
+
+  await NotificationService.sendNotification({
+    userId: student.user_id,
+    title: 'Registration Hold Placed',
+    message: `A hold (${HOLD_LABELS[data.hold_type]}) has been placed on your account. You cannot register for courses until it is released.${data.reason ? ` Reason: ${data.reason}` : ''}`,
+    type: 'warning',
+    priority: 'high',
+    actionUrl: '/holds'
+  });
+
+  return hold;
+};
+
+/**
+ * Release a hold
+ * @param {string} holdId - The hold ID
+ * @param {string} userId - Admin releasing the hold
+ */
+const releaseHold = async (holdId, userId) => {
+  const hold = await StudentHold.findByPk(holdId, {
+    include: [{ model: Student, as: 'student', attributes: ['id', 'user_id'] }]
+  });
+
+  if (!hold) {
+    throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+  }
+
+  if (!hold.is_active) {
+    throw new AppError('Hold has already been released', 400, 'HOLD_ALREADY_RELEASED');
+  }
+
+  await hold.update({
+    is_active: false,
+    released_by: userId,
+    released_at: new Date()
+  });
+
+  await NotificationService.sendNotification({
+    userId: hold.student.user_id,
+    title: 'Registration Hold Released',
+    message: `The hold on your account (${HOLD_LABELS[hold.hold_type]}) has been released.`,
+    type: 'success',
+    priority: 'medium',
+    actionUrl: '/holds'
+  });
+
+  return hold;
+};
+
+module.exports = {
+  HOLD_LABELS,
+  getTerm,
+  getEnrollmentPhase,
+  assertRegistrationOpen,
+  resolveDropType,
+  validateTermDates,
+  listTerms,
+  getCurrentTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getActiveHolds,
+  assertNoRegistrationHolds,
+  listHolds,
+  placeHold,
+  releaseHold
+};
@@ -0,0 +1,363 @@
+/**
+ * Academic Standing Service
+ * Classifies students at semester close from their published grades:
+ * good standing, probation, suspension, honors or high honors.
+ */
+
+const { Op } = require('sequelize');
+const {
+  AcademicStanding,
+  Enrollment,
+  CourseSection,
+  Course,
+  Student,
+  User,
+  TransferCredit
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const gradeReleaseService = require('./gradeReleaseService');
+const enrollmentService = require('./enrollmentService');
+const transferCreditService = require('./transferCreditService');
+
+/**
+ * Default thresholds, overridable through the environment or per evaluation
+ * - probation_cgpa: CGPA below this puts a student on probation
+ * - suspension_cgpa: CGPA below this while already on probation suspends
+ * - honors_gpa / high_honors_gpa: semester GPA for the dean's lists
+ * - honors_min_credits: semester credit load needed for honors
+ */
+const DEFAULT_STANDING_THRESHOLDS = {
+  probation_cgpa: parseFloat(process.env.STANDING_PROBATION_CGPA) || 2.00,
+  suspension_cgpa: parseFloat(process.env.STANDING_SUSPENSION_CGPA) || 1.80,
+  honors_gpa: parseFloat(process.env.STANDING_HONORS_GPA) || 3.00,
+  high_honors_gpa: parseFloat(process.env.STANDING_HIGH_HONORS_GPA) || 3.50,
+  honors_min_credits: parseInt(process.env.STANDING_HONORS_MIN_CREDITS, 10) || 12
+};
+
+/**
+ * Display labels, also used on the transcript
+ */
+const STANDING_LABELS = {
+  good_standing: 'Good Standing',
+  probation: 'Academic Probation',
+  suspension: 'Academic Suspension',
+  honors: 'Honors',
+  high_honors: 'High Honors'
+};
+
+const SEMESTER_ORDER = { 'Fall': 1, 'Spring': 2, 'Summer': 3 };
+
+/**
+ * Sortable index of a semester (same ordering as the transcript)
+ */
+const termIndex = (year, semester) => year * 10 + (SEMESTER_ORDER[semester] || 0);
+
+/**
+ * Merge and validate thresholds
+ * @param {Object} overrides - Partial thresholds
+ * @returns {Object} - Complete thresholds
+ */
+const resolveThresholds = (overrides = {}) => {
+  const thresholds = { ...DEFAULT_STANDING_THRESHOLDS };
+
+  Object.keys(DEFAULT_STANDING_THRESHOLDS).forEach((key) => {
+    if (overrides[key] === undefined || overrides[key] === null) return;
+
+    const value = Number(overrides[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new AppError(`Threshold ${key} must be a non-negative number`, 400, 'INVALID_THRESHOLDS');
+    }
+    thresholds[key] = value;
+  });
+
+  if (thresholds.high_honors_gpa > 4 || thresholds.probation_cgpa > 4) {
+    throw new AppError('GPA thresholds cannot exceed 4.00', 400, 'INVALID_THRESHOLDS');
+  }
+  if (thresholds.suspension_cgpa > thresholds.probation_cgpa) {
+    throw new AppError('suspension_cgpa cannot be above probation_cgpa', 400, 'INVALID_THRESHOLDS');
+  }
+  if (thresholds.honors_gpa > thresholds.high_honors_gpa) {
+    throw new AppError('honors_gpa cannot be above high_honors_gpa', 400, 'INVALID_THRESHOLDS');
+  }
+
+  return thresholds;
+};
+
+/**
+ * Credit-weighted GPA of a set of graded enrollments
+ * @param {Array} enrollments - Enrollments with section.course.credits
+ * @param {Array} transferCredits - Transfer credits counting toward GPA
+ * @returns {Object} - { credits, gpa }
+ */
+const calculateGpa = (enrollments, transferCredits = []) => {
+  let credits = 0;
+  let points = 0;
+
+  enrollments.forEach((enrollment) => {
+    const courseCredits = enrollment.section.course.credits || 0;
+    credits += courseCredits;
+    points += courseCredits * enrollmentService.letterGradeToGPA(enrollment.letter_grade);
+  });
+
+  transferCredits.forEach((credit) => {
+    credits += credit.credits || 0;
+    points += (credit.credits || 0) * enrollmentService.letterGradeToGPA(credit.letter_grade);
+  });
+
+  return {
+    credits,
+    gpa: credits > 0 ? Math.round((points / credits) * 100) / 100 : 0
+  };
+};
+
+/**
+ * Classify a student's standing for a semester
+ * Low CGPA means probation; staying below the suspension line while already
+ * on probation means suspension. Honors need a full load and no failed course.
+ * @param {Object} record - { semesterGpa, cgpa, semesterCredits, failedCourses, previousStanding }
+ * @param {Object} thresholds - Resolved thresholds
+ * @returns {string} - Standing key
+ */
+const classifyStanding = (record, thresholds = DEFAULT_STANDING_THRESHOLDS) => {
+  const { semesterGpa, cgpa, semesterCredits, failedCourses = 0, previousStanding = null } = record;
+
+  if (cgpa < thresholds.probation_cgpa) {
+    const wasOnProbation = previousStanding === 'probation' || previousStanding === 'suspension';
+    return wasOnProbation && cgpa < thresholds.suspension_cgpa ? 'suspension' : 'probation';
+  }
+
+  const honorsEligible = failedCourses === 0 && semesterCredits >= thresholds.honors_min_credits;
+
+  if (honorsEligible && semesterGpa >= thresholds.high_honors_gpa) return 'high_honors';
+  if (honorsEligible && semesterGpa >= thresholds.honors_gpa) return 'honors';
+
+  return 'good_standing';
+};
+
+/**
+ * Notification for a new standing
+ */
+const standingNotification = (standing, semester, year, semesterGpa) => {
+  const term = `${semester} ${year}`;
+  const messages = {
+    good_standing: { type: 'info', message: `You are in good academic standing for ${term}.` },
+    honors: { type: 'success', message: `Congratulations! You made the Honors list for ${term} with a ${semesterGpa.toFixed(2)} GPA.` },
+    high_honors: { type: 'success', message: `Congratulations! You made the High Honors list for ${term} with a ${semesterGpa.toFixed(2)} GPA.` },
+    probation: { type: 'warning', message: `Your CGPA after ${term} places you on academic probation. Please meet with your advisor.` },
+    suspension: { type: 'error', message: `Your CGPA after ${term} remained below the required level and you have been placed on academic suspension.` }
+  };
+
+  return {
+    title: `Academic Standing: ${STANDING_LABELS[standing]}`,
+    priority: standing === 'probation' || standing === 'suspension' ? 'high' : 'medium',
+    actionUrl: '/grades',
+    ...messages[standing]
+  };
+};
+
+/**
+ * Evaluate academic standing for every student graded in a semester
+ * Refuses to run while grades of the semester are outstanding unless forced.
+ * @param {number} year - Academic year
+ * @param {string} semester - Fall, Spring or Summer
+ * @param {Object} options - { userId, thresholds, force }
+ * @returns {Object} - Evaluation summary
+ */
+const evaluateSemester = async (year, semester, options = {}) => {
+  const { userId = null, force = false } = options;
+  const thresholds = resolveThresholds(options.thresholds);
+  const currentTerm = termIndex(year, semester);
+
+  const sections = await CourseSection.findAll({
+    where: { year, semester },
+    attributes: ['id']
+  });
+
+  if (sections.length === 0) {
+    throw new AppError(`No sections found for ${semester} ${year}`, 404, 'SEMESTER_NOT_FOUND');
+  }
+
+  const termEnrollments = await Enrollment.findAll({
+    where: {
+      section_id: { [Op.in]: sections.map(s => s.id) },
+      status: { [Op.in]: ['enrolled', 'completed', 'failed'] }
+    },
+    attributes: ['id', 'section_id', 'student_id', 'status', 'letter_grade']
+  });
+
+  // Ungraded and unpublished enrollments both read as 'enrolled' here
+  await gradeReleaseService.hideUnpublishedGrades(termEnrollments);
+  const openSections = new Set(termEnrollments.filter(e => e.status === 'enrolled').map(e => e.section_id));
+
+  if (openSections.size > 0 && !force) {
+    throw new AppError(
+      `Grades of ${openSections.size} section(s) are not published yet`,
+      409,
+      'SEMESTER_NOT_CLOSED'
+    );
+  }
+
+  const studentIds = [...new Set(
+    termEnrollments.filter(e => e.status !== 'enrolled').map(e => e.student_id)
+  )];
+
+  const summary = {
+    year,
+    semester,
+    evaluated: 0,
+    skipped_sections: openSections.size,
+    counts: Object.fromEntries(Object.keys(STANDING_LABELS).map(key => [key, 0]))
+  };
+
+  if (studentIds.length === 0) return summary;
+
+  const history = await Enrollment.findAll({
+    where: {
+      student_id: { [Op.in]: studentIds },
+      status: { [Op.in]: ['completed', 'failed'] },
+      letter_grade: { [Op.not]: null }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        attributes: ['id', 'course_id', 'year', 'semester'],
+        include: [{ model: Course, as: 'course', attributes: ['credits'] }]
+      }
+    ]
+  });
+  await gradeReleaseService.hideUnpublishedGrades(history);
+
+  const transfers = (await TransferCredit.findAll({
+    where: { student_id: { [Op.in]: studentIds } },
+    attributes: ['id', 'student_id', 'letter_grade', 'credits', 'semester', 'year', 'counts_toward_gpa']
+  })).filter(credit => transferCreditService.countsTowardGpa(credit));
+
+  const standings = await AcademicStanding.findAll({
+    where: { student_id: { [Op.in]: studentIds } }
+  });
+
+  for (const studentId of studentIds) {
+    const graded = history.filter(e =>
+      e.student_id === studentId &&
+      e.letter_grade !== null &&
+      termIndex(e.section.year, e.section.semester) <= currentTerm
+    );
+    const inTerm = graded.filter(e => termIndex(e.section.year, e.section.semester) === currentTerm);
+
+    // Retaken courses count per the repeat policy, as of this semester
+    const superseded = enrollmentService.findSupersededAttempts(graded);
+
+    const semesterResult = calculateGpa(inTerm);
+    const cumulativeResult = calculateGpa(graded.filter(e => !superseded.has(e)), transfers.filter(t =>
+      t.student_id === studentId && termIndex(t.year, t.semester) <= currentTerm
+    ));
+
+    const studentStandings = standings.filter(s => s.student_id === studentId);
+    const existing = studentStandings.find(s => termIndex(s.year, s.semester) === currentTerm);
+    const previous = studentStandings
+      .filter(s => termIndex(s.year, s.semester) < currentTerm)
+      .sort((a, b) => termIndex(b.year, b.semester) - termIndex(a.year, a.semester))[0];
+    const isLatest = !studentStandings.some(s => termIndex(s.year, s.semester) > currentTerm);
+
+    const standing = classifyStanding({
+      semesterGpa: semesterResult.gpa,
+      cgpa: cumulativeResult.gpa,
+      semesterCredits: semesterResult.credits,
+      failedCourses: inTerm.filter(e => !enrollmentService.hasPassedCourse(e.letter_grade)).length,
+      previousStanding: previous ? previous.standing : null
+    }, thresholds);
+
+    const values = {
+      standing,
+      semester_gpa: semesterResult.gpa,
+      cgpa: cumulativeResult.gpa,
+      semester_credits: semesterResult.credits,
+      total_credits: cumulativeResult.credits,
+      previous_standing: previous ? previous.standing : null,
+      thresholds,
+      evaluated_by: userId,
+      evaluated_at: new Date()
+    };
+
+    const changed = !existing || existing.standing !== standing;
+
+    if (existing) {
+      await existing.update(values);
+    } else {
+      await AcademicStanding.create({ student_id: studentId, year, semester, ...values });
+    }
+
+    // Re-evaluating an older semester must not overwrite the current GPA
+    if (isLatest) {
+      await Student.update(
+        { gpa: semesterResult.gpa, cgpa: cumulativeResult.gpa },
+        { where: { id: studentId } }
+      );
+    }
+
+    if (changed) {
+      const student = await Student.findByPk(studentId, { attributes: ['id', 'user_id'] });
+      if (student) {
+        await NotificationService.sendNotification({
+          userId: student.user_id,
+          ...standingNotification(standing, semester, year, semesterResult.gpa)
+        });
+      }
+    }
+
+    summary.evaluated += 1;
+    summary.counts[standing] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Standing history of a student, oldest first
+ * @param {string} studentId - The student ID
+ */
+const getStudentStandings = async (studentId) => {
+  const standings = await AcademicStanding.findAll({
+    where: { student_id: studentId }
+  });
+
+  return standings.sort((a, b) => termIndex(a.year, a.semester) - termIndex(b.year, b.semester));
+};
+
+/**
+ * Standings of a semester, e.g. the dean's list
+ * @param {number} year - Academic year
+ * @param {string} semester - Fall, Spring or Summer
+ * @param {Object} filters - { standing }
+ */
+const getSemesterStandings = async (year, semester, filters = {}) => {
+  const where = { year, semester };
+  if (filters.standing) where.standing = filters.standing;
+
+  return AcademicStanding.findAll({
+    where,
+    include: [
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number', 'department_id'],
+        include: [{ model: User, as: 'user', attributes: ['first_name', 'last_name', 'email'] }]
+      }
+    ],
+    order: [['semester_gpa', 'DESC']]
+  });
+};
+
+module.exports = {
+  DEFAULT_STANDING_THRESHOLDS,
+  STANDING_LABELS,
+  termIndex,
+  resolveThresholds,
+  calculateGpa,
+  classifyStanding,
+  evaluateSemester,
+  getStudentStandings,
+  getSemesterStandings
+};
@@ -0,0 +1,313 @@
+/**
+ * Advising Service
+ * Academic advisor assignment and advisor approval of students' semester
+ * course baskets. Courses added by an advised student wait in
+ * pending_approval (holding their seat) until the advisor reviews them.
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Enrollment,
+  CourseSection,
+  Course,
+  Student,
+  Faculty,
+  Department,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const transcriptService = require('./transcriptService');
+const waitlistService = require('./waitlistService');
+
+/**
+ * Per-course decisions an advisor can make; 'comment' leaves the course pending
+ */
+const BASKET_DECISIONS = ['approved', 'rejected', 'comment'];
+
+const userInclude = {
+  model: User,
+  as: 'user',
+  attributes: ['first_name', 'last_name', 'email']
+};
+
+const fullName = (user) => (user ? `${user.first_name} ${user.last_name}` : 'your advisor');
+
+/**
+ * Assign (or clear) a student's academic advisor
+ * @param {string} studentId - The student ID
+ * @param {string|null} facultyId - Advisor faculty ID, null to unassign
+ */
+const assignAdvisor = async (studentId, facultyId) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  let advisor = null;
+  if (facultyId) {
+    advisor = await Faculty.findByPk(facultyId, { include: [userInclude] });
+    if (!advisor) {
+      throw new AppError('Faculty not found', 404, 'FACULTY_NOT_FOUND');
+    }
+  }
+
+  await student.update({ advisor_id: facultyId || null });
+
+  if (advisor) {
+    await NotificationService.sendNotification({
+      userId: student.user_id,
+      title: 'Academic Advisor Assigned',
+      message: `${fullName(advisor.user)} is now your academic advisor and will approve your course registrations.`,
+      type: 'info',
+      priority: 'medium',
+      actionUrl: '/advising'
+    });
+  }
+
+  return student;
+};
+
+/**
+ * A student's advisor
+ * @param {string} studentId - The student ID
+ */
+const getStudentAdvisor = async (studentId) => {
+  const student = await Student.findByPk(studentId, {
+    include: [
+      {
+        model: Faculty,
+        as: 'advisor',
+        attributes: ['id', 'title', 'employee_number'],
+        include: [userInclude]
+      }
+    ]
+  });
+
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  return student.advisor || null;
+};
+
+/**
+ * Students advised by a faculty member
+ * @param {string} facultyId - The advisor faculty ID
+ */
+const getAdvisees = async (facultyId) => {
+  return Student.findAll({
+    where: { advisor_id: facultyId },
+    attributes: ['id', 'student_number', 'gpa', 'cgpa', 'enrollment_year'],
+    include: [
+      userInclude,
+      { model: Department, as: 'department', attributes: ['id', 'name', 'code'] }
+    ],
+    order: [['student_number', 'ASC']]
+  });
+};
+
+/**
+ * Pending course baskets, one per student and semester, with the student's
+ * transcript summary
+ * @param {string|null} facultyId - Restrict to this advisor's students (null for admin)
+ * @param {Object} filters - { semester, year }
+ */
+const getPendingBaskets = async (facultyId = null, filters = {}) => {
+  const sectionWhere = {};
+  if (filters.semester) sectionWhere.semester = filters.semester;
+  if (filters.year) sectionWhere.year = filters.year;
+
+  const pending = await Enrollment.findAll({
+    where: { status: 'pending_approval' },
+    include: [
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number', 'advisor_id'],
+        where: facultyId ? { advisor_id: facultyId } : undefined,
+        include: [userInclude]
+      },
+      {
+        model: CourseSection,
+        as: 'section',
+        where: sectionWhere,
+        attributes: ['id', 'section_number', 'semester', 'year', 'schedule_json'],
+        include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'name', 'credits', 'ects'] }]
+      }
+    ],
+    order: [['enrollment_date', 'ASC']]
+  });
+
+  const baskets = new Map();
+  pending.forEach((enrollment) => {
+    const { section } = enrollment;
+    const key = `${enrollment.student_id}-${section.year}-${section.semester}`;
+
+    if (!baskets.has(key)) {
+      baskets.set(key, {
+        student: {
+          id: enrollment.student.id,
+          student_number: enrollment.student.student_number,
+          name: fullName(enrollment.student.user),
+          email: enrollment.student.user?.email
+        },
+        semester: section.semester,
+        year: section.year,
+        submitted_at: enrollment.enrollment_date,
+        total_credits: 0,
+        courses: []
+      });
+    }
+
+    const basket = baskets.get(key);
+    basket.total_credits += section.course.credits || 0;
+    basket.courses.push({
+      enrollment_id: enrollment.id,
+      section_id: section.id,
+      section_number: section.section_number,
+      code: section.course.code,
+      name: section.course.name,
+      credits: section.course.credits,
+      schedule: section.schedule_json,
+      advisor_comment: enrollment.advisor_comment
+    });
+  });
+
+  // One transcript lookup per student, shared by their baskets
+  const summaries = new Map();
+  for (const basket of baskets.values()) {
+    if (!summaries.has(basket.student.id)) {
+      const transcript = await transcriptService.getStudentTranscriptData(basket.student.id);
+      const lastSemester = transcript.semesters[transcript.semesters.length - 1];
+      summaries.set(basket.student.id, {
+        ...transcript.summary,
+        department: transcript.student.department,
+        standing: lastSemester ? lastSemester.standing : null
+      });
+    }
+    basket.transcript = summaries.get(basket.student.id);
+  }
+
+  return Array.from(baskets.values());
+};
+
+/**
+ * Approve, reject or comment on courses in a student's basket
+ * Approved courses become enrolled; rejected ones release their seat.
+ * @param {string|null} facultyId - Reviewing advisor (null for admin)
+ * @param {string} studentId - The student ID
+ * @param {Object} data - { semester, year, decisions: [{ enrollment_id, decision, comment }] }
+ * @returns {Array} - Reviewed enrollments
+ */
+const reviewBasket = async (facultyId, studentId, data) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  if (facultyId && student.advisor_id !== facultyId) {
+    throw new AppError('You are not this student\'s advisor', 403, 'NOT_ADVISOR');
+  }
+
+  const pending = await Enrollment.findAll({
+    where: {
+      student_id: studentId,
+      status: 'pending_approval',
+      id: { [Op.in]: data.decisions.map(d => d.enrollment_id) }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        where: { semester: data.semester, year: data.year },
+        include: [{ model: Course, as: 'course', attributes: ['code', 'name'] }]
+      }
+    ]
+  });
+
+  // Validate the whole review before changing anything
+  data.decisions.forEach((item) => {
+    if (!BASKET_DECISIONS.includes(item.decision)) {
+      throw new AppError(`Invalid decision: ${item.decision}`, 400, 'INVALID_DECISION');
+    }
+    if (!pending.some(e => e.id === item.enrollment_id)) {
+      throw new AppError(
+        `Enrollment ${item.enrollment_id} is not awaiting approval in this basket`,
+        400,
+        'ENROLLMENT_NOT_PENDING'
+      );
+    }
+  });
+
+  const reviewedAt = new Date();
+  const reviewed = [];
+  const released = [];
+
+  const transaction = await sequelize.transaction();
+  try {
+    for (const item of data.decisions) {
+      const enrollment = pending.find(e => e.id === item.enrollment_id);
+      const changes = {
+        advisor_comment: item.comment !== undefined ? item.comment : enrollment.advisor_comment,
+        advisor_reviewed_by: facultyId,
+        advisor_reviewed_at: reviewedAt
+      };
+
+      if (item.decision === 'approved') {
+        changes.status = 'enrolled';
+      } else if (item.decision === 'rejected') {
+        changes.status = 'rejected';
+        await CourseSection.update(
+          { enrolled_count: sequelize.literal('GREATEST(enrolled_count - 1, 0)') },
+          { where: { id: enrollment.section_id }, transaction }
+        );
+        released.push(enrollment);
+      }
+
+      await enrollment.update(changes, { transaction });
+      reviewed.push({ enrollment, decision: item.decision });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  // Rejected seats go to the section waitlists
+  for (const enrollment of released) {
+    try {
+      await waitlistService.handleSeatReleased(enrollment.section_id, enrollment.id);
+    } catch (error) {
+      console.error('Waitlist promotion failed:', error.message);
+    }
+  }
+
+  const count = decision => reviewed.filter(r => r.decision === decision).length;
+  const lines = reviewed.map(({ enrollment, decision }) => {
+    const label = `${enrollment.section.course.code}: ${decision}`;
+    return enrollment.advisor_comment ? `${label} (${enrollment.advisor_comment})` : label;
+  });
+
+  await NotificationService.sendNotification({
+    userId: student.user_id,
+    title: 'Course Basket Reviewed',
+    message: `Your advisor reviewed your ${data.semester} ${data.year} courses: ${count('approved')} approved, ${count('rejected')} rejected, ${count('comment')} with comments. ${lines.join('; ')}`,
+    type: count('rejected') > 0 ? 'warning' : 'info',
+    priority: 'high',
+    actionUrl: '/enrollments'
+  });
+
+  return reviewed.map(({ enrollment }) => enrollment);
+};
+
+module.exports = {
+  BASKET_DECISIONS,
+  assignAdvisor,
+  getStudentAdvisor,
+  getAdvisees,
+  getPendingBaskets,
+  reviewBasket
+};
@@ -0,0 +1,280 @@
+/**
+ * Attendance Device Service
+ * Binds students to a limited set of check-in devices and finds devices
+ * used to check in several students (friends checking each other in from
+ * one phone). Shared-device check-ins are flagged for instructor review.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  AttendanceDevice,
+  AttendanceRecord,
+  AttendanceSession,
+  CourseSection,
+  Course,
+  Student,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Devices a student may check in from at once (ATTENDANCE_MAX_DEVICES)
+ */
+const MAX_DEVICES_PER_STUDENT = parseInt(process.env.ATTENDANCE_MAX_DEVICES, 10) || 2;
+
+/**
+ * How far back shared-device clusters are reported by default
+ */
+const SHARED_DEVICE_LOOKBACK_DAYS = 30;
+
+/**
+ * Stored form of a client device fingerprint
+ * @param {string} fingerprint - Fingerprint reported by the client app
+ * @returns {string} - Hex SHA-256
+ */
+const hashFingerprint = (fingerprint) => crypto.createHash('sha256').update(String(fingerprint).trim()).digest('hex');
+
+/**
+ * Append a review note to a record's notes
+ */
+const appendNote = (notes, note) => (notes ? `${notes}; ${note}` : note);
+
+/**
+ * Check the device a student is checking in from
+ * Known devices are refreshed; new ones are bound while the student has a
+ * free slot and rejected otherwise. Devices bound to other students, or used
+ * by other students in the same session, produce flag reasons.
+ * @param {Object} params - { studentId, sessionId, fingerprint, userAgent }
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object} - { fingerprintHash, device, reasons, sharedRecords }
+ */
+const checkDevice = async (params, transaction = null) => {
+  const { studentId, sessionId, fingerprint, userAgent = null } = params;
+  const fingerprintHash = hashFingerprint(fingerprint);
+  const agent = userAgent ? String(userAgent).slice(0, 255) : null;
+  const now = new Date();
+
+  const devices = await AttendanceDevice.findAll({
+    where: { student_id: studentId },
+    transaction
+  });
+  let device = devices.find(d => d.fingerprint_hash === fingerprintHash);
+
+  if (device && !device.revoked_at) {
+    await device.update({ last_seen_at: now }, { transaction });
+  } else {
+    const active = devices.filter(d => !d.revoked_at).length;
+    if (active >= MAX_DEVICES_PER_STUDENT) {
+      throw new AppError(
+        `This device is not registered for attendance. You can check in from at most ${MAX_DEVICES_PER_STUDENT} devices; ` +
+        'ask student affairs to remove one you no longer use.',
+        403,
+        'DEVICE_NOT_REGISTERED'
+      );
+    }
+
+    if (device) {
+      await device.update({ revoked_at: null, revoked_by: null, last_seen_at: now, user_agent: agent }, { transaction });
+    } else {
+      device = await AttendanceDevice.create({
+        student_id: studentId,
+        fingerprint_hash: fingerprintHash,
+        user_agent: agent,
+        first_seen_at: now,
+        last_seen_at: now
+      }, { transaction });
+    }
+  }
+
+  const reasons = [];
+
+  const otherOwners = await AttendanceDevice.count({
+    where: {
+      fingerprint_hash: fingerprintHash,
+      student_id: { [Op.ne]: studentId },
+      revoked_at: null
+    },
+    transaction
+  });
+  if (otherOwners > 0) {
+    reasons.push(`Device is also registered to ${otherOwners} other student(s)`);
+  }
+
+  const sharedRecords = await AttendanceRecord.findAll({
+    where: {
+      session_id: sessionId,
+      device_fingerprint: fingerprintHash,
+      student_id: { [Op.ne]: studentId }
+    },
+    transaction
+  });
+  if (sharedRecords.length > 0) {
+    reasons.push(`Same device checked in ${sharedRecords.length} other student(s) in this session`);
+  }
+
+  return { fingerprintHash, device, reasons, sharedRecords };
+};
+
+/**
+ * Flag the earlier check-ins of a device that was used again by another student
+ * @param {Array} records - Earlier records from the same device and session
+ * @param {Object} transaction - Optional transaction
+ */
+const flagSharedRecords = async (records, transaction = null) => {
+  for (const record of records) {
+    const note = 'Same device checked in another student in this session';
+    if (record.is_flagged && (record.notes || '').includes(note)) continue;
+
+    await record.update({
+      is_flagged: true,
+      notes: appendNote(record.notes, note)
+    }, { transaction });
+  }
+};
+
+/**
+ * Devices that checked in more than one student in the same session,
+ * with the evidence an instructor needs to act on them
+ * @param {Object} options - { since, sectionIds } (sectionIds limits to those sections)
+ * @returns {Array} - Clusters, most students first
+ */
+const getSharedDeviceClusters = async (options = {}) => {
+  const since = options.since || new Date(Date.now() - SHARED_DEVICE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const sessionWhere = { start_time: { [Op.gte]: since } };
+  if (options.sectionIds) {
+    sessionWhere.section_id = { [Op.in]: options.sectionIds };
+  }
+
+  const records = await AttendanceRecord.findAll({
+    where: { device_fingerprint: { [Op.not]: null } },
+    include: [
+      {
+        model: AttendanceSession,
+        as: 'session',
+        where: sessionWhere,
+        attributes: ['id', 'section_id', 'start_time', 'check_in_mode'],
+        include: [
+          {
+            model: CourseSection,
+            as: 'section',
+            attributes: ['id', 'section_number'],
+            include: [{ model: Course, as: 'course', attributes: ['code', 'name'] }]
+          }
+        ]
+      },
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number'],
+        include: [{ model: User, as: 'user', attributes: ['first_name', 'last_name', 'email'] }]
+      }
+    ],
+    order: [['check_in_time', 'ASC']]
+  });
+
+  const groups = new Map();
+  records.forEach((record) => {
+    const key = `${record.session_id}:${record.device_fingerprint}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const clusters = [];
+  for (const group of groups.values()) {
+    const studentIds = new Set(group.map(r => r.student_id));
+    if (studentIds.size < 2) continue;
+
+    const first = group[0];
+    const times = group.map(r => new Date(r.check_in_time).getTime()).filter(t => !isNaN(t));
+
+    const owners = await AttendanceDevice.findAll({
+      where: { fingerprint_hash: first.device_fingerprint, revoked_at: null },
+      attributes: ['student_id']
+    });
+
+    clusters.push({
+      session: {
+        id: first.session.id,
+        start_time: first.session.start_time,
+        check_in_mode: first.session.check_in_mode,
+        section_id: first.session.section_id,
+        section_number: first.session.section?.section_number,
+        course: first.session.section?.course
+          ? { code: first.session.section.course.code, name: first.session.section.course.name }
+          : null
+      },
+      device: first.device_fingerprint.slice(0, 12),
+      student_count: studentIds.size,
+      check_in_spread_seconds: times.length > 1 ? Math.round((Math.max(...times) - Math.min(...times)) / 1000) : 0,
+      registered_to: owners.map(owner => owner.student_id),
+      records: group.map(r => ({
+        id: r.id,
+        student: {
+          id: r.student_id,
+          student_number: r.student?.student_number,
+          name: r.student?.user ? `${r.student.user.first_name} ${r.student.user.last_name}` : null,
+          email: r.student?.user?.email
+        },
+        status: r.status,
+        check_in_time: r.check_in_time,
+        check_in_method: r.check_in_method,
+        location: { lat: r.student_lat, lon: r.student_long },
+        is_flagged: r.is_flagged,
+        notes: r.notes
+      }))
+    });
+  }
+
+  return clusters.sort((a, b) => b.student_count - a.student_count ||
+    new Date(b.session.start_time) - new Date(a.session.start_time));
+};
+
+/**
+ * Devices bound to a student
+ * @param {string} studentId - The student ID
+ * @param {Object} options - { includeRevoked }
+ */
+const getStudentDevices = async (studentId, options = {}) => {
+  const where = { student_id: studentId };
+  if (!options.includeRevoked) {
+    where.revoked_at = null;
+  }
+
+  return AttendanceDevice.findAll({
+    where,
+    attributes: ['id', 'user_agent', 'first_seen_at', 'last_seen_at', 'revoked_at'],
+    order: [['last_seen_at', 'DESC']]
+  });
+};
+
+/**
+ * Unbind a device, freeing the student's slot
+ * @param {string} deviceId - The device ID
+ * @param {string} userId - Admin user
+ */
+const revokeDevice = async (deviceId, userId) => {
+  const device = await AttendanceDevice.findByPk(deviceId);
+  if (!device) {
+    throw new AppError('Device not found', 404, 'DEVICE_NOT_FOUND');
+  }
+
+  if (device.revoked_at) {
+    throw new AppError('Device is already unbound', 400, 'DEVICE_ALREADY_REVOKED');
+  }
+
+  await device.update({ revoked_at: new Date(), revoked_by: userId });
+
+  return device;
+};
+
+module.exports = {
+  MAX_DEVICES_PER_STUDENT,
+  hashFingerprint,
+  checkDevice,
+  flagSharedRecords,
+  getSharedDeviceClusters,
+  getStudentDevices,
+  revokeDevice
+};
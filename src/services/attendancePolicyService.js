@@ -0,0 +1,482 @@
+/**
+ * Attendance Policy Service
+ * Per-section absence limits: maximum absence percentage or count, how many
+ * lates make an absence, whether excused absences count and the late grace
+ * period. Students over the limit fail the course on attendance
+ * (devamsızlıktan kalma) with an FF, and their final grade cannot be entered
+ * until an instructor overrides it.
+ */
+
+const { Op } = require('sequelize');
+const {
+  AttendancePolicy,
+  AttendanceSession,
+  AttendanceRecord,
+  CourseSection,
+  Course,
+  Enrollment,
+  Student
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const gradeReleaseService = require('./gradeReleaseService');
+
+/**
+ * Read a percentage from the environment, falling back when unset
+ */
+const envPercent = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Policy used when a section has not defined its own
+ * (ATTENDANCE_MAX_ABSENCE_PERCENT, ATTENDANCE_WARNING_PERCENT)
+ */
+const DEFAULT_ATTENDANCE_POLICY = Object.freeze({
+  max_absence_percent: envPercent('ATTENDANCE_MAX_ABSENCE_PERCENT', 30),
+  max_absence_count: null,
+  warning_percent: envPercent('ATTENDANCE_WARNING_PERCENT', 20),
+  planned_sessions: null,
+  lates_per_absence: 0,
+  count_excused: false,
+  late_grace_minutes: 15
+});
+
+const POLICY_FIELDS = Object.keys(DEFAULT_ATTENDANCE_POLICY);
+
+/**
+ * Result recorded for a student failed on attendance, and the in-progress
+ * state restored when the fail is cleared or overridden
+ */
+const ATTENDANCE_FAIL_RESULT = Object.freeze({ status: 'failed', letter_grade: 'FF', numeric_grade: null });
+const IN_PROGRESS_RESULT = Object.freeze({ status: 'enrolled', letter_grade: null, numeric_grade: null });
+
+/**
+ * Closed sessions needed before a percentage limit is enforced in a section
+ * without planned_sessions (ATTENDANCE_MIN_SESSIONS); early in the term a
+ * couple of absences would otherwise be a large share of the sessions held
+ */
+const MIN_SESSIONS_FOR_PERCENT = parseInt(process.env.ATTENDANCE_MIN_SESSIONS, 10) || 10;
+
+/**
+ * Validate and normalize an attendance policy definition
+ * @param {Object} data - Policy fields (missing ones take the default)
+ * @returns {Object} - Normalized policy
+ */
+const validateAttendancePolicy = (data) => {
+  const invalid = (message) => new AppError(message, 400, 'INVALID_ATTENDANCE_POLICY');
+  const policy = {};
+
+  POLICY_FIELDS.forEach((field) => {
+    policy[field] = data[field] !== undefined ? data[field] : DEFAULT_ATTENDANCE_POLICY[field];
+  });
+
+  ['max_absence_percent', 'warning_percent'].forEach((field) => {
+    if (policy[field] === null) return;
+    const value = parseFloat(policy[field]);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw invalid(`${field} must be between 0 and 100`);
+    }
+    policy[field] = value;
+  });
+
+  ['max_absence_count', 'planned_sessions', 'lates_per_absence', 'late_grace_minutes'].forEach((field) => {
+    if (policy[field] === null) return;
+    const value = Number(policy[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw invalid(`${field} must be a non-negative integer`);
+    }
+    policy[field] = value;
+  });
+
+  if (policy.max_absence_percent === null && policy.max_absence_count === null) {
+    throw invalid('Either max_absence_percent or max_absence_count is required');
+  }
+
+  if (policy.planned_sessions === 0) {
+    throw invalid('planned_sessions must be at least 1');
+  }
+
+  if (policy.lates_per_absence === null) {
+    policy.lates_per_absence = 0;
+  }
+
+  if (policy.late_grace_minutes === null || policy.late_grace_minutes > 240) {
+    throw invalid('late_grace_minutes must be between 0 and 240');
+  }
+
+  if (policy.warning_percent !== null && policy.max_absence_percent !== null &&
+    policy.warning_percent > policy.max_absence_percent) {
+    throw invalid('warning_percent cannot exceed max_absence_percent');
+  }
+
+  policy.count_excused = Boolean(policy.count_excused);
+
+  return policy;
+};
+
+/**
+ * Attendance policy in effect for a section (default when none is defined)
+ * @param {string} sectionId - The section ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object} - Plain policy with is_default flag
+ */
+const getSectionAttendancePolicy = async (sectionId, transaction = null) => {
+  const policy = await AttendancePolicy.findOne({
+    where: { section_id: sectionId },
+    transaction
+  });
+
+  if (!policy) {
+    return { section_id: sectionId, ...DEFAULT_ATTENDANCE_POLICY, is_default: true };
+  }
+
+  const plain = { id: policy.id, section_id: policy.section_id };
+  POLICY_FIELDS.forEach((field) => {
+    plain[field] = policy[field];
+  });
+
+  return { ...plain, updated_at: policy.updated_at, is_default: false };
+};
+
+/**
+ * Verify the section exists and the instructor teaches it
+ */
+const assertSectionInstructor = async (sectionId, instructorId) => {
+  const section = await CourseSection.findByPk(sectionId);
+
+  if (!section) {
+    throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
+  }
+
+  if (instructorId && section.instructor_id !== instructorId) {
+    throw new AppError(
+      'You are not authorized to manage attendance for this section',
+      403,
+      'NOT_SECTION_INSTRUCTOR'
+    );
+  }
+
+  return section;
+};
+
+/**
+ * Create or replace a section's attendance policy
+ * @param {string} sectionId - The section ID
+ * @param {Object} data - Policy definition
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - User making the change
+ * @returns {Object} - Saved policy
+ */
+const saveSectionAttendancePolicy = async (sectionId, data, instructorId, userId) => {
+  await assertSectionInstructor(sectionId, instructorId);
+
+  const normalized = validateAttendancePolicy(data);
+
+  const existing = await AttendancePolicy.findOne({ where: { section_id: sectionId } });
+
+  if (existing) {
+    await existing.update({ ...normalized, updated_by: userId });
+  } else {
+    await AttendancePolicy.create({ section_id: sectionId, ...normalized, updated_by: userId });
+  }
+
+  return getSectionAttendancePolicy(sectionId);
+};
+
+/**
+ * Remove a section's attendance policy (falls back to the default)
+ */
+const deleteSectionAttendancePolicy = async (sectionId, instructorId) => {
+  await assertSectionInstructor(sectionId, instructorId);
+
+  await AttendancePolicy.destroy({ where: { section_id: sectionId } });
+
+  return getSectionAttendancePolicy(sectionId);
+};
+
+/**
+ * Apply a policy to a student's attendance counts
+ * Sessions without a present, late or excused record count as absences.
+ * @param {Object} policy - Attendance policy
+ * @param {Object} counts - { sessions, present, late, excused }
+ * @returns {Object} - Counts with absences, absence_percent, warning and limit_exceeded
+ */
+const summarizeAttendance = (policy, counts) => {
+  const { sessions, present = 0, late = 0, excused = 0 } = counts;
+  const absent = Math.max(0, sessions - present - late - excused);
+
+  const latesAsAbsences = policy.lates_per_absence > 0 ? Math.floor(late / policy.lates_per_absence) : 0;
+  const absences = absent + latesAsAbsences + (policy.count_excused ? excused : 0);
+
+  // Percentages are measured against the planned term length when known,
+  // otherwise against the sessions held so far once there are enough of them
+  const base = Math.max(policy.planned_sessions || 0, sessions);
+  const absencePercent = base > 0 ? Math.round((absences / base) * 10000) / 100 : 0;
+  const percentApplies = Boolean(policy.planned_sessions) || sessions >= MIN_SESSIONS_FOR_PERCENT;
+
+  const overPercent = percentApplies &&
+    policy.max_absence_percent !== null && policy.max_absence_percent !== undefined &&
+    absencePercent > policy.max_absence_percent;
+  const overCount = policy.max_absence_count !== null && policy.max_absence_count !== undefined &&
+    absences > policy.max_absence_count;
+  const limitExceeded = overPercent || overCount;
+
+  return {
+    sessions,
+    present,
+    late,
+    excused,
+    absent,
+    absences,
+    absence_percent: absencePercent,
+    warning: !limitExceeded && percentApplies &&
+      policy.warning_percent !== null && policy.warning_percent !== undefined &&
+      absencePercent >= policy.warning_percent,
+    limit_exceeded: limitExceeded
+  };
+};
+
+/**
+ * Attendance counts of a student in a section's closed sessions
+ * @param {string} sectionId - The section ID
+ * @param {string} studentId - The student ID
+ * @param {Object} transaction - Optional transaction
+ */
+const getAttendanceCounts = async (sectionId, studentId, transaction = null) => {
+  const sessions = await AttendanceSession.count({
+    where: { section_id: sectionId, is_active: false },
+    transaction
+  });
+
+  const records = await AttendanceRecord.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ['present', 'late', 'excused'] }
+    },
+    attributes: ['status'],
+    include: [
+      {
+        model: AttendanceSession,
+        as: 'session',
+        attributes: [],
+        where: { section_id: sectionId, is_active: false }
+      }
+    ],
+    transaction
+  });
+
+  return {
+    sessions,
+    present: records.filter(r => r.status === 'present').length,
+    late: records.filter(r => r.status === 'late').length,
+    excused: records.filter(r => r.status === 'excused').length
+  };
+};
+
+/**
+ * Re-check an enrollment against its section's policy
+ * Marks it attendance-failed with an FF once over the limit and clears the
+ * mark when corrections (e.g. an approved excuse) bring it back under.
+ * Overridden enrollments are left alone, and so are sections whose grades
+ * are no longer in draft.
+ * @param {Object} enrollment - Enrollment with section.course and student
+ * @param {Object} policy - The section's attendance policy
+ * @returns {Object} - Attendance summary with the resulting attendance_status
+ */
+const evaluateEnrollmentAttendance = async (enrollment, policy) => {
+  const counts = await getAttendanceCounts(enrollment.section_id, enrollment.student_id);
+  const summary = summarizeAttendance(policy, counts);
+
+  const marking = summary.limit_exceeded && enrollment.attendance_status === 'ok';
+  const clearing = !summary.limit_exceeded && enrollment.attendance_status === 'failed';
+  if (marking || clearing) {
+    const release = await gradeReleaseService.getSectionRelease(enrollment.section_id);
+    if (release.status !== 'draft') {
+      return { ...summary, attendance_status: enrollment.attendance_status };
+    }
+  }
+
+  if (marking) {
+    await enrollment.update({ attendance_status: 'failed', ...ATTENDANCE_FAIL_RESULT });
+
+    const course = enrollment.section?.course;
+    if (enrollment.student?.user_id) {
+      await NotificationService.sendNotification({
+        userId: enrollment.student.user_id,
+        title: `Attendance Limit Exceeded - ${course ? course.code : 'Course'}`,
+        message: `You have ${summary.absences} absences (${summary.absence_percent}%) in ` +
+          `${course ? course.name : 'this course'}, over the attendance limit. ` +
+          'You cannot take the final exam unless your instructor approves an exception.',
+        type: 'error',
+        priority: 'high',
+        actionUrl: '/attendance'
+      });
+    }
+  } else if (clearing) {
+    await enrollment.update({ attendance_status: 'ok', ...IN_PROGRESS_RESULT });
+  }
+
+  return { ...summary, attendance_status: enrollment.attendance_status };
+};
+
+/**
+ * Enrolled (or attendance-failed) students of a section with what attendance
+ * evaluation needs
+ */
+const findSectionEnrollments = (sectionId) => Enrollment.findAll({
+  where: {
+    section_id: sectionId,
+    [Op.or]: [{ status: 'enrolled' }, { status: 'failed', attendance_status: 'failed' }]
+  },
+  include: [
+    {
+      model: CourseSection,
+      as: 'section',
+      include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'name'] }]
+    },
+    { model: Student, as: 'student', attributes: ['id', 'user_id', 'student_number'] }
+  ]
+});
+
+/**
+ * Re-check every enrolled student of a section
+ * @param {string} sectionId - The section ID
+ * @returns {Array} - Per-student attendance summaries
+ */
+const evaluateSectionAttendance = async (sectionId) => {
+  const policy = await getSectionAttendancePolicy(sectionId);
+  const enrollments = await findSectionEnrollments(sectionId);
+
+  const results = [];
+  for (const enrollment of enrollments) {
+    const summary = await evaluateEnrollmentAttendance(enrollment, policy);
+    results.push({
+      enrollment_id: enrollment.id,
+      student_id: enrollment.student_id,
+      student_number: enrollment.student?.student_number,
+      ...summary
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Section attendance standing for the instructor
+ * Read-only: shows each student's absences against the policy next to the
+ * recorded attendance_status, which the daily job and policy changes update.
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @returns {Object} - { policy, students }
+ */
+const getSectionAttendanceStanding = async (sectionId, instructorId) => {
+  await assertSectionInstructor(sectionId, instructorId);
+
+  const policy = await getSectionAttendancePolicy(sectionId);
+  const enrollments = await findSectionEnrollments(sectionId);
+
+  const students = [];
+  for (const enrollment of enrollments) {
+    const counts = await getAttendanceCounts(sectionId, enrollment.student_id);
+    students.push({
+      enrollment_id: enrollment.id,
+      student_id: enrollment.student_id,
+      student_number: enrollment.student?.student_number,
+      ...summarizeAttendance(policy, counts),
+      attendance_status: enrollment.attendance_status
+    });
+  }
+
+  return { policy, students };
+};
+
+/**
+ * Lift (or restore) the final-grade block of an attendance-failed enrollment
+ * Lifting takes back the FF so the instructor can grade the student;
+ * restoring records it again. Both follow the grade release rules (a
+ * reason is required, and the change is recorded, once grades are published).
+ * @param {string} enrollmentId - The enrollment ID
+ * @param {Object} data - { override, reason }
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - User making the change
+ * @returns {Object} - Updated enrollment
+ */
+const setAttendanceOverride = async (enrollmentId, data, instructorId, userId) => {
+  const enrollment = await Enrollment.findByPk(enrollmentId, {
+    include: [{ model: CourseSection, as: 'section' }]
+  });
+
+  if (!enrollment) {
+    throw new AppError('Enrollment not found', 404, 'ENROLLMENT_NOT_FOUND');
+  }
+
+  if (instructorId && enrollment.section.instructor_id !== instructorId) {
+    throw new AppError(
+      'You are not authorized to manage attendance for this section',
+      403,
+      'NOT_SECTION_INSTRUCTOR'
+    );
+  }
+
+  const applyResult = async (changes) => {
+    const release = await gradeReleaseService.assertGradesEditable(enrollment.section_id, data.reason);
+    const before = gradeReleaseService.gradeSnapshot(enrollment);
+
+    await enrollment.update(changes);
+
+    if (release.status === 'published') {
+      await gradeReleaseService.recordGradeChange(before, enrollment, data.reason, userId);
+    }
+  };
+
+  if (data.override === false) {
+    if (enrollment.attendance_status !== 'overridden') {
+      throw new AppError('Enrollment has no attendance override', 400, 'NO_ATTENDANCE_OVERRIDE');
+    }
+
+    await applyResult({
+      attendance_status: 'failed',
+      attendance_override_by: null,
+      attendance_override_at: null,
+      attendance_override_reason: null,
+      ...ATTENDANCE_FAIL_RESULT
+    });
+    return enrollment;
+  }
+
+  if (enrollment.attendance_status !== 'failed') {
+    throw new AppError('Enrollment is not failed on attendance', 400, 'NOT_ATTENDANCE_FAILED');
+  }
+
+  if (!data.reason || !String(data.reason).trim()) {
+    throw new AppError('A reason is required to override an attendance fail', 400, 'REASON_REQUIRED');
+  }
+
+  await applyResult({
+    attendance_status: 'overridden',
+    attendance_override_by: userId,
+    attendance_override_at: new Date(),
+    attendance_override_reason: String(data.reason).trim(),
+    ...IN_PROGRESS_RESULT
+  });
+
+  return enrollment;
+};
+
+module.exports = {
+  DEFAULT_ATTENDANCE_POLICY,
+  ATTENDANCE_FAIL_RESULT,
+  MIN_SESSIONS_FOR_PERCENT,
+  validateAttendancePolicy,
+  getSectionAttendancePolicy,
+  saveSectionAttendancePolicy,
+  deleteSectionAttendancePolicy,
+  summarizeAttendance,
+  getAttendanceCounts,
+  evaluateEnrollmentAttendance,
+  evaluateSectionAttendance,
+  getSectionAttendanceStanding,
+  setAttendanceOverride
+};
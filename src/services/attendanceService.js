@@ -15,9 +15,13 @@ const {
   Student,
   Enrollment,
   Faculty,
-  Classroom
+  Classroom,
+  ExcuseRequest
 } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const { getIo } = require('../socket');
+const attendancePolicyService = require('./attendancePolicyService');
+const attendanceDeviceService = require('./attendanceDeviceService');
 
 /**
  * Earth's radius in meters
@@ -29,6 +33,29 @@ const EARTH_RADIUS_METERS = 6371000;
  */
 const DEFAULT_RADIUS = 15;
 
+/**
+ * Minutes after its scheduled end that a session nobody ended is closed
+ * automatically (ATTENDANCE_AUTO_CLOSE_MINUTES)
+ */
+const AUTO_CLOSE_AFTER_MINUTES = Number.isFinite(parseInt(process.env.ATTENDANCE_AUTO_CLOSE_MINUTES, 10))
+  ? parseInt(process.env.ATTENDANCE_AUTO_CLOSE_MINUTES, 10)
+  : 30;
+
+/**
+ * How students prove they are in the room
+ * - gps: within the session geofence
+ * - beacon: the classroom's BLE beacon or Wi-Fi access point is in range
+ * - qr: the rotating QR code alone
+ * - combined: beacon or Wi-Fi, falling back to GPS when neither is seen
+ */
+const CHECK_IN_MODES = ['gps', 'beacon', 'qr', 'combined'];
+
+/**
+ * Weakest signal (dBm) taken as being in the room when the classroom does
+ * not set min_rssi (ATTENDANCE_MIN_RSSI)
+ */
+const DEFAULT_MIN_RSSI = parseInt(process.env.ATTENDANCE_MIN_RSSI, 10) || -80;
+
 /**
  * Spoofing detection thresholds
  */
@@ -83,6 +110,229 @@ const generateSessionCode = () => {
   return `ATT-${timestamp}-${random}`.toUpperCase();
 };
 
+/**
+ * Rotating QR tokens (TOTP, RFC 6238 style)
+ * - QR_TOKEN_PERIOD_SECONDS: how long each token stays on screen
+ * - QR_TOKEN_SKEW_STEPS: neighbouring periods still accepted, to allow for
+ *   clock drift and the time between scanning and submitting
+ */
+const QR_TOKEN_PERIOD_SECONDS = parseInt(process.env.ATTENDANCE_QR_PERIOD_SECONDS, 10) || 15;
+const QR_TOKEN_SKEW_STEPS = 1;
+const QR_TOKEN_DIGITS = 6;
+
+/**
+ * Generate a per-session secret for QR tokens
+ * @returns {string} - Hex encoded secret
+ */
+const generateQrSecret = () => crypto.randomBytes(20).toString('hex');
+
+/**
+ * QR token for the period containing the given time
+ * @param {string} secret - Hex encoded session secret
+ * @param {number} periodSeconds - Token lifetime
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {string} - Zero-padded numeric token
+ */
+const generateQrToken = (secret, periodSeconds = QR_TOKEN_PERIOD_SECONDS, time = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / periodSeconds)));
+
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** QR_TOKEN_DIGITS).toString().padStart(QR_TOKEN_DIGITS, '0');
+};
+
+/**
+ * Check a scanned QR token against the current period and its neighbours
+ * @param {string} secret - Hex encoded session secret
+ * @param {string} token - Token from the scanned code
+ * @param {number} periodSeconds - Token lifetime
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {boolean}
+ */
+const verifyQrToken = (secret, token, periodSeconds = QR_TOKEN_PERIOD_SECONDS, time = Date.now()) => {
+  const candidate = String(token || '');
+  if (!new RegExp(`^\\d{${QR_TOKEN_DIGITS}}$`).test(candidate)) {
+    return false;
+  }
+
+  for (let step = -QR_TOKEN_SKEW_STEPS; step <= QR_TOKEN_SKEW_STEPS; step++) {
+    const expected = generateQrToken(secret, periodSeconds, time + step * periodSeconds * 1000);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * The QR code to show for a session right now
+ * @param {Object} session - Session with qr_secret and qr_period_seconds
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {Object} - Code contents and when it expires
+ */
+const getCurrentQrCode = (session, time = Date.now()) => {
+  const periodSeconds = session.qr_period_seconds || QR_TOKEN_PERIOD_SECONDS;
+  const period = Math.floor(time / 1000 / periodSeconds);
+
+  return {
+    session_id: session.id,
+    session_code: session.session_code,
+    qr_token: generateQrToken(session.qr_secret, periodSeconds, time),
+    period_seconds: periodSeconds,
+    expires_at: new Date((period + 1) * periodSeconds * 1000)
+  };
+};
+
+/**
+ * Live QR streams: session ID -> timer that pushes each new token to the
+ * session:{id} room joined by the instructor's screen
+ */
+const qrStreams = new Map();
+
+/**
+ * Stop streaming a session's QR code
+ * @param {string} sessionId - Session ID
+ */
+const stopQrStream = (sessionId) => {
+  clearTimeout(qrStreams.get(sessionId));
+  qrStreams.delete(sessionId);
+};
+
+/**
+ * Push the session's QR code at every period boundary until it ends
+ * @param {Object} session - Session with qr_secret, qr_period_seconds and end_time
+ */
+const startQrStream = (session) => {
+  if (!session.qr_secret || qrStreams.has(session.id)) {
+    return;
+  }
+
+  const snapshot = {
+    id: session.id,
+    session_code: session.session_code,
+    qr_secret: session.qr_secret,
+    qr_period_seconds: session.qr_period_seconds || QR_TOKEN_PERIOD_SECONDS,
+    end_time: new Date(session.end_time)
+  };
+  const periodMs = snapshot.qr_period_seconds * 1000;
+
+  const tick = () => {
+    if (Date.now() >= snapshot.end_time.getTime()) {
+      stopQrStream(snapshot.id);
+      return;
+    }
+
+    try {
+      getIo().to(`session:${snapshot.id}`).emit('attendance:qr', getCurrentQrCode(snapshot));
+    } catch (err) {
+      console.error('[AttendanceService] QR emit failed (socket might not be init):', err.message);
+    }
+
+    const timer = setTimeout(tick, periodMs - (Date.now() % periodMs));
+    if (timer.unref) timer.unref();
+    qrStreams.set(snapshot.id, timer);
+  };
+
+  tick();
+};
+
+/**
+ * Let a user's socket follow a session's live feed (check-ins and QR codes)
+ * Only the session's instructor and admins may watch.
+ * @param {string} sessionId - Session ID
+ * @param {Object} user - Socket user ({ id, role })
+ * @returns {Object|null} - { qr } with the current code, or null if not allowed
+ */
+const authorizeSessionWatcher = async (sessionId, user) => {
+  const session = await AttendanceSession.findByPk(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  if (user.role !== 'admin') {
+    const faculty = await Faculty.findOne({ where: { user_id: user.id } });
+    if (!faculty || faculty.id !== session.instructor_id) {
+      return null;
+    }
+  }
+
+  const live = session.is_active && session.qr_secret && new Date() < new Date(session.end_time);
+  if (live) {
+    // Streams are in memory; resume after a restart when the screen rejoins
+    startQrStream(session);
+  }
+
+  return { qr: live ? getCurrentQrCode(session) : null };
+};
+
+/**
+ * Lower-case, colon-separated form of a Wi-Fi BSSID (MAC address)
+ */
+const normalizeBssid = (bssid) => String(bssid).trim().toLowerCase().replace(/-/g, ':');
+
+/**
+ * Beacon IDs and Wi-Fi BSSIDs configured on a classroom (features_json)
+ * @param {Object} classroom - Classroom
+ * @returns {Object} - { beacon_ids, wifi_bssids, min_rssi }
+ */
+const getClassroomProximity = (classroom) => {
+  const features = (classroom && classroom.features_json) || {};
+  const minRssi = parseInt(features.min_rssi, 10);
+
+  return {
+    beacon_ids: (features.beacon_ids || []).map(id => String(id).trim().toLowerCase()),
+    wifi_bssids: (features.wifi_bssids || []).map(normalizeBssid),
+    min_rssi: Number.isFinite(minRssi) ? minRssi : DEFAULT_MIN_RSSI
+  };
+};
+
+/**
+ * Whether a classroom can be used for beacon check-in
+ */
+const hasProximityConfig = (classroom) => {
+  const proximity = getClassroomProximity(classroom);
+  return proximity.beacon_ids.length > 0 || proximity.wifi_bssids.length > 0;
+};
+
+/**
+ * Match the beacons and Wi-Fi networks a student's device sees against the
+ * classroom's. Beacons are preferred; the strongest matching signal wins.
+ * @param {Object} classroom - Session classroom
+ * @param {Object} observed - { beacons: [{ id, rssi }], wifiNetworks: [{ bssid, rssi }] }
+ * @returns {Object} - { verified, method, matched, rssi, reason }
+ */
+const verifyProximity = (classroom, observed = {}) => {
+  const proximity = getClassroomProximity(classroom);
+
+  if (proximity.beacon_ids.length === 0 && proximity.wifi_bssids.length === 0) {
+    return { verified: false, method: null, reason: 'The classroom has no beacon or Wi-Fi access points configured' };
+  }
+
+  const strongest = (signals, known, key, normalize) => (signals || [])
+    .filter(signal => signal && known.includes(normalize(signal[key])) && Number(signal.rssi) >= proximity.min_rssi)
+    .sort((a, b) => Number(b.rssi) - Number(a.rssi))[0];
+
+  const beacon = strongest(observed.beacons, proximity.beacon_ids, 'id', id => String(id).trim().toLowerCase());
+  if (beacon) {
+    return { verified: true, method: 'beacon', matched: beacon.id, rssi: Number(beacon.rssi) };
+  }
+
+  const wifi = strongest(observed.wifiNetworks, proximity.wifi_bssids, 'bssid', normalizeBssid);
+  if (wifi) {
+    return { verified: true, method: 'wifi', matched: normalizeBssid(wifi.bssid), rssi: Number(wifi.rssi) };
+  }
+
+  return {
+    verified: false,
+    method: null,
+    reason: `No classroom beacon or Wi-Fi network was detected with a signal of at least ${proximity.min_rssi} dBm`
+  };
+};
+
 /**
  * Detect potential GPS spoofing
  * @param {Object} params - Check-in parameters
@@ -169,9 +419,14 @@ const createSession = async (params) => {
     centerLon,
     radius = DEFAULT_RADIUS,
     durationMinutes = 90,
-    useClassroomLocation = false
+    useClassroomLocation = false,
+    checkInMode = 'gps'
   } = params;
 
+  if (!CHECK_IN_MODES.includes(checkInMode)) {
+    throw new AppError(`Check-in mode must be one of: ${CHECK_IN_MODES.join(', ')}`, 400, 'INVALID_CHECK_IN_MODE');
+  }
+
   const transaction = await sequelize.transaction();
 
   try {
@@ -230,11 +485,20 @@ const createSession = async (params) => {
       finalLon = section.classroom.gps_long || centerLon;
     }
 
-    // Validate coordinates
-    if (!finalLat || !finalLon) {
+    // Validate coordinates (combined sessions without them only accept beacon/Wi-Fi)
+    const hasCoordinates = Boolean(finalLat && finalLon);
+    if (checkInMode === 'gps' && !hasCoordinates) {
       throw new AppError('GPS coordinates are required', 400, 'MISSING_COORDINATES');
     }
 
+    if ((checkInMode === 'beacon' || checkInMode === 'combined') && !hasProximityConfig(section.classroom)) {
+      throw new AppError(
+        'The section classroom has no beacon or Wi-Fi access points configured for proximity check-in',
+        400,
+        'NO_PROXIMITY_CONFIG'
+      );
+    }
+
     // Calculate times
     const startTime = new Date();
     const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
@@ -249,18 +513,25 @@ const createSession = async (params) => {
       start_time: startTime,
       end_time: endTime,
       session_code: sessionCode,
+      qr_secret: generateQrSecret(),
+      qr_period_seconds: QR_TOKEN_PERIOD_SECONDS,
+      check_in_mode: checkInMode,
       geofence_radius: radius,
-      center_lat: finalLat,
-      center_long: finalLon,
+      center_lat: hasCoordinates ? finalLat : null,
+      center_long: hasCoordinates ? finalLon : null,
       is_active: true
     }, { transaction });
 
     await transaction.commit();
 
+    startQrStream(session);
+
     // Return session with related data
     return {
       id: session.id,
       session_code: sessionCode,
+      qr: getCurrentQrCode(session),
+      check_in_mode: checkInMode,
       course: {
         code: section.course.code,
         name: section.course.name
@@ -272,8 +543,8 @@ const createSession = async (params) => {
         section_number: section.section_number
       },
       location: {
-        lat: finalLat,
-        lon: finalLon,
+        lat: hasCoordinates ? finalLat : null,
+        lon: hasCoordinates ? finalLon : null,
         radius: radius,
         classroom: section.classroom ? {
           building: section.classroom.building,
@@ -304,9 +575,14 @@ const checkIn = async (params) => {
     studentId,
     sessionId,
     sessionCode,
+    qrToken,
     studentLat,
     studentLon,
-    gpsAccuracy
+    gpsAccuracy,
+    beacons = [],
+    wifiNetworks = [],
+    deviceFingerprint,
+    userAgent
   } = params;
 
   const transaction = await sequelize.transaction();
@@ -320,7 +596,10 @@ const checkIn = async (params) => {
           {
             model: CourseSection,
             as: 'section',
-            include: [{ model: Course, as: 'course' }]
+            include: [
+              { model: Course, as: 'course' },
+              { model: Classroom, as: 'classroom' }
+            ]
           }
         ],
         transaction
@@ -332,7 +611,10 @@ const checkIn = async (params) => {
           {
             model: CourseSection,
             as: 'section',
-            include: [{ model: Course, as: 'course' }]
+            include: [
+              { model: Course, as: 'course' },
+              { model: Classroom, as: 'classroom' }
+            ]
           }
         ],
         transaction
@@ -358,6 +640,16 @@ const checkIn = async (params) => {
       throw new AppError('Attendance session has not started yet', 400, 'SESSION_NOT_STARTED');
     }
 
+    // Rotating QR codes: only the token currently on screen is accepted,
+    // so a shared photo of the code stops working within a period
+    if (session.qr_secret && !verifyQrToken(session.qr_secret, qrToken, session.qr_period_seconds, now.getTime())) {
+      throw new AppError(
+        'QR code is invalid or has expired. Scan the code currently shown in class.',
+        400,
+        'INVALID_QR_TOKEN'
+      );
+    }
+
     // Verify student is enrolled in this section
     const enrollment = await Enrollment.findOne({
       where: {
@@ -393,32 +685,70 @@ const checkIn = async (params) => {
       );
     }
 
+    // Proximity check-in: a classroom beacon or Wi-Fi access point in range
+    const mode = session.check_in_mode || 'gps';
+    let proximity = null;
+
+    if (mode === 'beacon' || mode === 'combined') {
+      proximity = verifyProximity(session.section.classroom, { beacons, wifiNetworks });
+
+      if (!proximity.verified && (mode === 'beacon' || session.center_lat === null)) {
+        throw new AppError(`Check-in rejected: ${proximity.reason}`, 400, 'PROXIMITY_NOT_VERIFIED');
+      }
+    }
+
+    // GPS geofence for GPS sessions, and for combined sessions without a proximity match
+    const useGps = mode === 'gps' || (mode === 'combined' && !proximity.verified);
+
+    if (useGps && (studentLat === undefined || studentLat === null || studentLon === undefined || studentLon === null)) {
+      throw new AppError(
+        mode === 'combined'
+          ? `${proximity.reason}. GPS coordinates (lat, lon) are required instead.`
+          : 'GPS coordinates (lat, lon) are required',
+        400,
+        'MISSING_COORDINATES'
+      );
+    }
+
     // Calculate distance using Haversine formula
-    const distance = calculateHaversineDistance(
-      studentLat,
-      studentLon,
-      session.center_lat,
-      session.center_long
-    );
+    const distance = useGps
+      ? calculateHaversineDistance(studentLat, studentLon, session.center_lat, session.center_long)
+      : null;
 
     // Check if within geofence
-    const isWithinRadius = distance <= session.geofence_radius;
+    const isWithinRadius = !useGps || distance <= session.geofence_radius;
 
     // Detect spoofing
-    const spoofingCheck = await detectSpoofing({
-      studentId,
-      studentLat,
-      studentLon,
-      sessionLat: session.center_lat,
-      sessionLon: session.center_long,
-      radius: session.geofence_radius,
-      gpsAccuracy
-    });
+    const spoofingCheck = useGps
+      ? await detectSpoofing({
+        studentId,
+        studentLat,
+        studentLon,
+        sessionLat: session.center_lat,
+        sessionLon: session.center_long,
+        radius: session.geofence_radius,
+        gpsAccuracy
+      })
+      : { isSuspicious: false, reasons: [] };
+
+    // Device binding and shared-device detection
+    const deviceCheck = deviceFingerprint
+      ? await attendanceDeviceService.checkDevice({
+        studentId,
+        sessionId: session.id,
+        fingerprint: deviceFingerprint,
+        userAgent
+      }, transaction)
+      : { fingerprintHash: null, reasons: [], sharedRecords: [] };
+
+    const flagReasons = [...spoofingCheck.reasons, ...deviceCheck.reasons];
+    const isFlagged = flagReasons.length > 0;
 
     // Determine status
     let status = 'present';
     const sessionStart = new Date(session.start_time);
-    const lateThreshold = new Date(sessionStart.getTime() + 15 * 60 * 1000); // 15 minutes late threshold
+    const policy = await attendancePolicyService.getSectionAttendancePolicy(session.section_id, transaction);
+    const lateThreshold = new Date(sessionStart.getTime() + policy.late_grace_minutes * 60 * 1000);
 
     if (now > lateThreshold) {
       status = 'late';
@@ -435,24 +765,32 @@ const checkIn = async (params) => {
       );
     }
 
+    let checkInMethod = 'qr';
+    if (useGps) checkInMethod = 'gps';
+    else if (proximity && proximity.verified) checkInMethod = proximity.method;
+
     // Create attendance record
     const record = await AttendanceRecord.create({
       session_id: session.id,
       student_id: studentId,
       check_in_time: now,
       status: isWithinRadius ? status : 'absent',
-      student_lat: studentLat,
-      student_long: studentLon,
-      is_flagged: spoofingCheck.isSuspicious,
-      notes: spoofingCheck.isSuspicious
-        ? `Flagged for review: ${spoofingCheck.reasons.join('; ')}`
-        : null
+      student_lat: studentLat ?? null,
+      student_long: studentLon ?? null,
+      check_in_method: checkInMethod,
+      device_fingerprint: deviceCheck.fingerprintHash,
+      is_flagged: isFlagged,
+      notes: isFlagged
+        ? `Flagged for review: ${flagReasons.join('; ')}`
+        : (proximity && proximity.verified ? `Detected ${proximity.matched} at ${proximity.rssi} dBm` : null)
     }, { transaction });
 
+    await attendanceDeviceService.flagSharedRecords(deviceCheck.sharedRecords, transaction);
+
     await transaction.commit();
 
-    // If spoofing detected but within radius, allow check-in but flag
-    if (spoofingCheck.isSuspicious && isWithinRadius) {
+    // If spoofing or a shared device detected but within radius, allow check-in but flag
+    if (isFlagged && isWithinRadius) {
       return {
         success: true,
         warning: true,
@@ -461,9 +799,10 @@ const checkIn = async (params) => {
           record_id: record.id,
           status: record.status,
           check_in_time: record.check_in_time,
+          check_in_method: checkInMethod,
           distance: distance,
           is_flagged: true,
-          flag_reasons: spoofingCheck.reasons,
+          flag_reasons: flagReasons,
           course: {
             code: session.section.course.code,
             name: session.section.course.name
@@ -495,6 +834,7 @@ const checkIn = async (params) => {
         record_id: record.id,
         status: record.status,
         check_in_time: record.check_in_time,
+        check_in_method: checkInMethod,
         distance: distance,
         is_flagged: false,
         course: {
@@ -510,6 +850,106 @@ const checkIn = async (params) => {
   }
 };
 
+/**
+ * Record every enrolled student without a record as absent
+ * Absences are linked to the student's excuse request for the session, so
+ * approving a pending request marks them excused (an approved one already does).
+ * @param {Object} session - The closing session
+ * @param {Object} transaction - Optional transaction
+ * @returns {Array} - The created records
+ */
+const markAbsentees = async (session, transaction = null) => {
+  const enrollments = await Enrollment.findAll({
+    where: { section_id: session.section_id, status: 'enrolled' },
+    attributes: ['student_id'],
+    transaction
+  });
+
+  const existing = await AttendanceRecord.findAll({
+    where: { session_id: session.id },
+    attributes: ['student_id'],
+    transaction
+  });
+  const recorded = new Set(existing.map(record => record.student_id));
+  const missing = enrollments.map(e => e.student_id).filter(studentId => !recorded.has(studentId));
+
+  if (missing.length === 0) {
+    return [];
+  }
+
+  const excuses = await ExcuseRequest.findAll({
+    where: {
+      session_id: session.id,
+      student_id: { [Op.in]: missing },
+      status: { [Op.in]: ['pending', 'approved'] }
+    },
+    attributes: ['id', 'student_id', 'status'],
+    transaction
+  });
+  const excuseByStudent = new Map(excuses.map(excuse => [excuse.student_id, excuse]));
+
+  return AttendanceRecord.bulkCreate(missing.map((studentId) => {
+    const excuse = excuseByStudent.get(studentId);
+    return {
+      session_id: session.id,
+      student_id: studentId,
+      check_in_time: null,
+      status: excuse && excuse.status === 'approved' ? 'excused' : 'absent',
+      excuse_request_id: excuse ? excuse.id : null,
+      notes: 'No check-in when the session closed'
+    };
+  }), { transaction });
+};
+
+/**
+ * Close a session and mark students who never checked in absent
+ * @param {Object} session - Active session
+ * @param {Date} endTime - Recorded end time
+ * @returns {Array} - Records created for absent students
+ */
+const closeSession = async (session, endTime = new Date()) => {
+  const transaction = await sequelize.transaction();
+
+  let marked;
+  try {
+    await session.update({ is_active: false, end_time: endTime }, { transaction });
+    marked = await markAbsentees(session, transaction);
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  stopQrStream(session.id);
+
+  return marked;
+};
+
+/**
+ * Close sessions left open AUTO_CLOSE_AFTER_MINUTES past their scheduled end
+ * @param {Date} now - Reference time
+ * @returns {Object} - { closed, marked_absent }
+ */
+const closeExpiredSessions = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - AUTO_CLOSE_AFTER_MINUTES * 60 * 1000);
+
+  const sessions = await AttendanceSession.findAll({
+    where: {
+      is_active: true,
+      end_time: { [Op.lte]: cutoff }
+    }
+  });
+
+  let markedAbsent = 0;
+  for (const session of sessions) {
+    const marked = await closeSession(session, session.end_time);
+    markedAbsent += marked.length;
+  }
+
+  return { closed: sessions.length, marked_absent: markedAbsent };
+};
+
 /**
  * End an attendance session
  * @param {string} sessionId - Session ID
@@ -538,11 +978,7 @@ const endSession = async (sessionId, instructorId) => {
     throw new AppError('Session is already ended', 400, 'SESSION_ALREADY_ENDED');
   }
 
-  // Update session
-  await session.update({
-    is_active: false,
-    end_time: new Date()
-  });
+  const marked = await closeSession(session);
 
   // Get summary
   const records = await AttendanceRecord.findAll({
@@ -555,12 +991,12 @@ const endSession = async (sessionId, instructorId) => {
     }),
     present: records.filter(r => r.status === 'present').length,
     late: records.filter(r => r.status === 'late').length,
-    absent: 0,
+    absent: records.filter(r => r.status === 'absent').length,
+    excused: records.filter(r => r.status === 'excused').length,
+    marked_absent: marked.length,
     flagged: records.filter(r => r.is_flagged).length
   };
 
-  summary.absent = summary.total_enrolled - summary.present - summary.late;
-
   return {
     session_id: session.id,
     ended_at: new Date(),
@@ -619,6 +1055,7 @@ const getSessionRecords = async (sessionId, instructorId = null) => {
         code: session.section.course.code,
         name: session.section.course.name
       },
+      check_in_mode: session.check_in_mode,
       start_time: session.start_time,
       end_time: session.end_time,
       is_active: session.is_active
@@ -632,6 +1069,8 @@ const getSessionRecords = async (sessionId, instructorId = null) => {
       },
       status: r.status,
       check_in_time: r.check_in_time,
+      check_in_method: r.check_in_method,
+      device: r.device_fingerprint ? r.device_fingerprint.slice(0, 12) : null,
       location: {
         lat: r.student_lat,
         lon: r.student_long
@@ -703,6 +1142,7 @@ const getActiveSessionsForStudent = async (studentId) => {
         building: session.section.classroom.building,
         room: session.section.classroom.room_number
       } : null,
+      check_in_mode: session.check_in_mode,
       location: {
         lat: session.center_lat,
         lon: session.center_long,
@@ -785,6 +1225,12 @@ const getStudentAttendanceHistory = async (studentId, options = {}) => {
   }));
 };
 
+/**
+ * Replace a session's code and QR secret, e.g. after a code leaked
+ * @param {string} sessionId - Session ID
+ * @param {string} instructorId - Instructor ID (for authorization)
+ * @returns {Object} - The new current QR code
+ */
 const rotateSessionQrCode = async (sessionId, instructorId) => {
   const session = await AttendanceSession.findByPk(sessionId);
 
@@ -800,22 +1246,39 @@ const rotateSessionQrCode = async (sessionId, instructorId) => {
     throw new AppError('Session is not active', 400, 'SESSION_NOT_ACTIVE');
   }
 
-  const newCode = generateSessionCode();
-  await session.update({ session_code: newCode });
+  // A new secret also invalidates every token derived from the old one
+  await session.update({ session_code: generateSessionCode(), qr_secret: generateQrSecret() });
+
+  stopQrStream(session.id);
+  startQrStream(session);
 
-  return { session_code: newCode };
+  return getCurrentQrCode(session);
 };
 
 module.exports = {
   calculateHaversineDistance,
+  verifyProximity,
   generateSessionCode,
   detectSpoofing,
   createSession,
   checkIn,
+  markAbsentees,
+  closeSession,
+  closeExpiredSessions,
   endSession,
   getSessionRecords,
   getActiveSessionsForStudent,
   getStudentAttendanceHistory,
   rotateSessionQrCode,
+  generateQrSecret,
+  generateQrToken,
+  verifyQrToken,
+  getCurrentQrCode,
+  startQrStream,
+  stopQrStream,
+  authorizeSessionWatcher,
+  QR_TOKEN_PERIOD_SECONDS,
+  AUTO_CLOSE_AFTER_MINUTES,
+  CHECK_IN_MODES,
   SPOOFING_THRESHOLDS
 };
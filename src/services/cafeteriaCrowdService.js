@@ -0,0 +1,466 @@
+/**
+ * Cafeteria Crowd Service
+ *
+ * Estimates how crowded each cafeteria is from door-counter sensor data and
+ * today's meal reservations, forecasts the next hours in 15-minute slots and
+ * pushes updates over Socket.IO.
+ *
+ * Door counters are IoT sensors of type `door_counter` linked through
+ * `cafeteria_id`. Each reading's value is the number of people that passed;
+ * `data.direction` is `in` (default) or `out`.
+ */
+
+const { sequelize, Cafeteria, IoTSensor } = require('../models');
+const MealService = require('./mealService');
+const { AppError } = require('../middleware/errorHandler');
+const { getIo } = require('../socket');
+const { Op } = require('sequelize');
+
+const DOOR_COUNTER_TYPE = 'door_counter';
+
+const SLOT_MINUTES = 15;
+const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES;
+
+/**
+ * Typical time a diner stays, in slots (used when counters report entries only)
+ */
+const DWELL_SLOTS = 2;
+
+/**
+ * Diners served per minute at the counter
+ */
+const SERVICE_RATE_PER_MINUTE = 8;
+
+/**
+ * Forecast horizon (12 x 15 min = 3 hours)
+ */
+const FORECAST_SLOTS = 12;
+
+/**
+ * Same-weekday history used for the walk-in baseline
+ */
+const HISTORY_WEEKS = 4;
+
+/**
+ * Serving windows; outstanding reservations are spread over the rest of the window
+ */
+const MEAL_WINDOWS = {
+    breakfast: { start: '07:00', end: '10:00' },
+    lunch: { start: '11:30', end: '14:00' },
+    dinner: { start: '17:00', end: '20:00' }
+};
+
+/**
+ * Crowd level by occupancy / capacity
+ */
+const CROWD_LEVELS = [
+    { max: 0.3, level: 'low' },
+    { max: 0.6, level: 'moderate' },
+    { max: 0.85, level: 'busy' },
+    { max: Infinity, level: 'full' }
+];
+
+const MAX_WAIT_MINUTES = 60;
+const DEFAULT_CAPACITY = 500;
+
+/**
+ * Minimum gap between socket pushes for the same cafeteria
+ */
+const PUBLISH_THROTTLE_MS = 30 * 1000;
+const lastPublishedAt = new Map();
+
+class CafeteriaCrowdService {
+    /**
+     * Crowd status and forecast for every active cafeteria
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>} { generated_at, least_crowded_id, cafeterias }
+     */
+    static async getCrowdStatus(now = new Date()) {
+        const cafeterias = await Cafeteria.findAll({
+            where: { is_active: true },
+            order: [['name', 'ASC']]
+        });
+
+        const results = await this._computeCrowd(cafeterias, now);
+
+        const leastCrowded = results.reduce(
+            (best, c) => (!best || c.crowd.occupancy_ratio < best.crowd.occupancy_ratio ? c : best),
+            null
+        );
+
+        return {
+            generated_at: now,
+            least_crowded_id: leastCrowded ? leastCrowded.id : null,
+            cafeterias: results
+        };
+    }
+
+    /**
+     * Crowd status and forecast for one cafeteria
+     * @param {string} cafeteriaId - Cafeteria ID
+     * @param {Date} [now] - Reference time
+     * @returns {Promise<object>}
+     */
+    static async getCafeteriaCrowd(cafeteriaId, now = new Date()) {
+        const cafeteria = await Cafeteria.findByPk(cafeteriaId);
+
+        if (!cafeteria || !cafeteria.is_active) {
+            throw new AppError('Cafeteria not found', 404, 'CAFETERIA_NOT_FOUND');
+        }
+
+        const [result] = await this._computeCrowd([cafeteria], now);
+        return result;
+    }
+
+    /**
+     * Let a user's socket follow crowd updates; like the crowd endpoints any
+     * signed-in user may, but only for cafeterias that are open
+     * @param {string|null} cafeteriaId - Cafeteria ID, null for all cafeterias
+     * @param {object} user - Socket user ({ id, role })
+     * @returns {Promise<boolean>} Whether the user may join the room
+     */
+    static async authorizeWatcher(cafeteriaId, user) {
+        if (!user || !user.id) {
+            return false;
+        }
+
+        if (!cafeteriaId) {
+            return true;
+        }
+
+        const cafeteria = await Cafeteria.findByPk(cafeteriaId);
+        return Boolean(cafeteria && cafeteria.is_active);
+    }
+
+    /**
+     * Push the latest crowd status for a cafeteria to `cafeterias` and `cafeteria:{id}`
+     * Throttled per cafeteria so busy door counters don't flood clients.
+     *
+     * @param {string} cafeteriaId - Cafeteria ID
+     * @param {object} [options] - { force: skip throttling }
+     * @returns {Promise<object|null>} Published payload, or null when throttled
+     */
+    static async publishCrowdUpdate(cafeteriaId, options = {}) {
+        const last = lastPublishedAt.get(cafeteriaId);
+        if (!options.force && last && Date.now() - last < PUBLISH_THROTTLE_MS) {
+            return null;
+        }
+        lastPublishedAt.set(cafeteriaId, Date.now());
+
+        const crowd = await this.getCafeteriaCrowd(cafeteriaId);
+
+        try {
+            const io = getIo();
+            io.to('cafeterias').emit('cafeteria:crowd', crowd);
+            io.to(`cafeteria:${cafeteriaId}`).emit('cafeteria:crowd', crowd);
+        } catch (socketErr) {
+            console.error('[CafeteriaCrowdService] WebSocket emit failed (socket might not be init):', socketErr.message);
+        }
+
+        return crowd;
+    }
+
+    /**
+     * Push crowd status for every active cafeteria (used by the scheduled job)
+     * @returns {Promise<number>} Number of cafeterias published
+     */
+    static async publishAll() {
+        const status = await this.getCrowdStatus();
+
+        try {
+            const io = getIo();
+            status.cafeterias.forEach(crowd => {
+                lastPublishedAt.set(crowd.id, Date.now());
+                io.to('cafeterias').emit('cafeteria:crowd', crowd);
+                io.to(`cafeteria:${crowd.id}`).emit('cafeteria:crowd', crowd);
+            });
+        } catch (socketErr) {
+            console.error('[CafeteriaCrowdService] WebSocket emit failed (socket might not be init):', socketErr.message);
+        }
+
+        return status.cafeterias.length;
+    }
+
+    // ==================== Private Helper Methods ====================
+
+    /**
+     * Build crowd status and forecast for a list of cafeterias
+     * @private
+     */
+    static async _computeCrowd(cafeterias, now) {
+        if (cafeterias.length === 0) return [];
+
+        const cafeteriaIds = cafeterias.map(c => c.id);
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const currentSlot = Math.floor((now - dayStart) / (SLOT_MINUTES * 60 * 1000));
+
+        const [counters, todayRows, historyRows, reservations] = await Promise.all([
+            IoTSensor.findAll({
+                where: {
+                    type: DOOR_COUNTER_TYPE,
+                    cafeteria_id: { [Op.in]: cafeteriaIds },
+                    status: { [Op.in]: ['active', 'error'] }
+                },
+                attributes: ['id', 'cafeteria_id']
+            }),
+            this._queryTodaySlots(cafeteriaIds, dayStart, now),
+            this._queryHistoricalSlots(cafeteriaIds, dayStart),
+            MealService.getReservationCountsByCafeteria(this._formatDate(now))
+        ]);
+
+        const hasCounters = new Set(counters.map(s => s.cafeteria_id));
+
+        return cafeterias.map(cafeteria => {
+            const capacity = cafeteria.capacity || DEFAULT_CAPACITY;
+            const today = this._slotMap(todayRows, cafeteria.id, ['entries', 'exits']);
+            const history = this._slotMap(historyRows, cafeteria.id, ['avg_entries']);
+            const mealCounts = reservations[cafeteria.id] || {};
+            const reservationShare = this._reservationShare(mealCounts, currentSlot);
+            const measured = hasCounters.has(cafeteria.id);
+
+            // Arrivals per slot: actual counts up to now, forecast afterwards
+            const arrivals = {};
+            const forecastArrivals = slot => Math.max(
+                history[slot] ? history[slot].avg_entries : 0,
+                reservationShare[slot] || 0
+            );
+
+            for (let slot = Math.max(0, currentSlot - DWELL_SLOTS); slot <= currentSlot + FORECAST_SLOTS; slot++) {
+                if (measured && slot <= currentSlot) {
+                    arrivals[slot] = today[slot] ? today[slot].entries : 0;
+                } else {
+                    arrivals[slot] = forecastArrivals(slot);
+                }
+            }
+
+            const occupancy = measured
+                ? this._measuredOccupancy(today, currentSlot)
+                : this._windowOccupancy(arrivals, currentSlot);
+
+            const minutesIntoSlot = Math.max(1, ((now - dayStart) / 60000) - currentSlot * SLOT_MINUTES);
+            const arrivalRate = measured
+                ? (arrivals[currentSlot] / minutesIntoSlot)
+                : (arrivals[currentSlot] / SLOT_MINUTES);
+
+            const forecast = [];
+            for (let slot = currentSlot + 1; slot <= currentSlot + FORECAST_SLOTS && slot < SLOTS_PER_DAY; slot++) {
+                const expectedOccupancy = Math.round(this._windowOccupancy(arrivals, slot));
+                forecast.push({
+                    start: new Date(dayStart.getTime() + slot * SLOT_MINUTES * 60 * 1000),
+                    end: new Date(dayStart.getTime() + (slot + 1) * SLOT_MINUTES * 60 * 1000),
+                    expected_arrivals: Math.round(arrivals[slot]),
+                    expected_occupancy: expectedOccupancy,
+                    level: this._crowdLevel(expectedOccupancy / capacity),
+                    expected_wait_minutes: this._expectedWait(arrivals[slot] / SLOT_MINUTES, expectedOccupancy, capacity)
+                });
+            }
+
+            const roundedOccupancy = Math.round(occupancy);
+
+            return {
+                id: cafeteria.id,
+                name: cafeteria.name,
+                location: cafeteria.location,
+                capacity,
+                crowd: {
+                    source: measured ? 'sensors' : 'reservations',
+                    occupancy: roundedOccupancy,
+                    occupancy_ratio: Math.round((roundedOccupancy / capacity) * 100) / 100,
+                    level: this._crowdLevel(roundedOccupancy / capacity),
+                    expected_wait_minutes: this._expectedWait(arrivalRate, roundedOccupancy, capacity),
+                    updated_at: now
+                },
+                reservations: mealCounts,
+                forecast
+            };
+        });
+    }
+
+    /**
+     * Door-counter entries/exits per cafeteria and 15-minute slot for today
+     * @private
+     */
+    static async _queryTodaySlots(cafeteriaIds, dayStart, now) {
+        return sequelize.query(
+            `SELECT
+                s.cafeteria_id,
+                CAST(floor(extract(epoch from (d."timestamp" - CAST(:dayStart AS timestamptz))) / :slotSeconds) AS integer) AS slot,
+                SUM(CASE WHEN d.additional_data_json->>'direction' = 'out' THEN 0 ELSE d.value END) AS entries,
+                SUM(CASE WHEN d.additional_data_json->>'direction' = 'out' THEN d.value ELSE 0 END) AS exits
+            FROM sensor_data d
+            JOIN iot_sensors s ON s.id = d.sensor_id
+            WHERE s.cafeteria_id IN (:cafeteriaIds)
+                AND s.type = :sensorType
+                AND d."timestamp" >= :dayStart
+                AND d."timestamp" <= :now
+            GROUP BY s.cafeteria_id, slot`,
+            {
+                replacements: {
+                    cafeteriaIds,
+                    sensorType: DOOR_COUNTER_TYPE,
+                    dayStart: dayStart.toISOString(),
+                    now: now.toISOString(),
+                    slotSeconds: SLOT_MINUTES * 60
+                },
+                type: sequelize.QueryTypes.SELECT
+            }
+        );
+    }
+
+    /**
+     * Average entries per slot on the same weekday over the previous weeks
+     * Days are counted from today's local midnight so slots line up with today.
+     * @private
+     */
+    static async _queryHistoricalSlots(cafeteriaIds, dayStart) {
+        const historyStart = new Date(dayStart.getTime() - HISTORY_WEEKS * 7 * 24 * 60 * 60 * 1000);
+
+        return sequelize.query(
+            `SELECT cafeteria_id, CAST(slot - day_offset * :slotsPerDay AS integer) AS slot, SUM(entries) / :weeks AS avg_entries
+            FROM (
+                SELECT
+                    s.cafeteria_id,
+                    floor(extract(epoch from (d."timestamp" - CAST(:dayStart AS timestamptz))) / :slotSeconds) AS slot,
+                    floor(extract(epoch from (d."timestamp" - CAST(:dayStart AS timestamptz))) / 86400) AS day_offset,
+                    CASE WHEN d.additional_data_json->>'direction' = 'out' THEN 0 ELSE d.value END AS entries
+                FROM sensor_data d
+                JOIN iot_sensors s ON s.id = d.sensor_id
+                WHERE s.cafeteria_id IN (:cafeteriaIds)
+                    AND s.type = :sensorType
+                    AND d."timestamp" >= :historyStart
+                    AND d."timestamp" < :dayStart
+            ) h
+            WHERE mod(CAST(day_offset AS integer), 7) = 0
+            GROUP BY cafeteria_id, slot - day_offset * :slotsPerDay`,
+            {
+                replacements: {
+                    cafeteriaIds,
+                    sensorType: DOOR_COUNTER_TYPE,
+                    dayStart: dayStart.toISOString(),
+                    historyStart: historyStart.toISOString(),
+                    slotSeconds: SLOT_MINUTES * 60,
+                    slotsPerDay: SLOTS_PER_DAY,
+                    weeks: HISTORY_WEEKS
+                },
+                type: sequelize.QueryTypes.SELECT
+            }
+        );
+    }
+
+    /**
+     * Index query rows for one cafeteria by slot
+     * @private
+     */
+    static _slotMap(rows, cafeteriaId, fields) {
+        const map = {};
+        rows.filter(r => r.cafeteria_id === cafeteriaId).forEach(row => {
+            map[row.slot] = {};
+            fields.forEach(f => {
+                map[row.slot][f] = parseFloat(row[f]) || 0;
+            });
+        });
+        return map;
+    }
+
+    /**
+     * Spread outstanding reservations evenly over the remaining slots of each meal window
+     * @private
+     */
+    static _reservationShare(mealCounts, currentSlot) {
+        const share = {};
+
+        Object.entries(MEAL_WINDOWS).forEach(([mealType, window]) => {
+            const outstanding = mealCounts[mealType] ? mealCounts[mealType].outstanding : 0;
+            if (!outstanding) return;
+
+            const startSlot = Math.max(this._timeToSlot(window.start), currentSlot);
+            const endSlot = this._timeToSlot(window.end);
+            if (startSlot >= endSlot) return;
+
+            const perSlot = outstanding / (endSlot - startSlot);
+            for (let slot = startSlot; slot < endSlot; slot++) {
+                share[slot] = (share[slot] || 0) + perSlot;
+            }
+        });
+
+        return share;
+    }
+
+    /**
+     * Occupancy from counters: entries - exits when exits are reported,
+     * otherwise entries within the dwell window
+     * @private
+     */
+    static _measuredOccupancy(today, currentSlot) {
+        const slots = Object.keys(today).map(Number).filter(slot => slot <= currentSlot);
+        const reportsExits = slots.some(slot => today[slot].exits > 0);
+
+        if (reportsExits) {
+            const net = slots.reduce((sum, slot) => sum + today[slot].entries - today[slot].exits, 0);
+            return Math.max(0, net);
+        }
+
+        return slots
+            .filter(slot => slot > currentSlot - DWELL_SLOTS)
+            .reduce((sum, slot) => sum + today[slot].entries, 0);
+    }
+
+    /**
+     * Occupancy at a slot as the arrivals still inside (dwell window)
+     * @private
+     */
+    static _windowOccupancy(arrivals, slot) {
+        let total = 0;
+        for (let s = slot - DWELL_SLOTS + 1; s <= slot; s++) {
+            total += arrivals[s] || 0;
+        }
+        return total;
+    }
+
+    /**
+     * Expected wait: M/M/1 queueing time at the counter plus time waiting for a seat when full
+     * @private
+     */
+    static _expectedWait(arrivalsPerMinute, occupancy, capacity) {
+        const lambda = Math.max(0, arrivalsPerMinute || 0);
+        const mu = SERVICE_RATE_PER_MINUTE;
+
+        let wait = lambda >= mu ? MAX_WAIT_MINUTES : lambda / (mu * (mu - lambda));
+
+        if (occupancy > capacity) {
+            wait += ((occupancy - capacity) / capacity) * DWELL_SLOTS * SLOT_MINUTES;
+        }
+
+        return Math.min(MAX_WAIT_MINUTES, Math.ceil(wait));
+    }
+
+    /**
+     * Map occupancy ratio to a crowd level
+     * @private
+     */
+    static _crowdLevel(ratio) {
+        return CROWD_LEVELS.find(l => ratio <= l.max).level;
+    }
+
+    /**
+     * "HH:MM" -> slot index of the day
+     * @private
+     */
+    static _timeToSlot(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return Math.floor((hours * 60 + minutes) / SLOT_MINUTES);
+    }
+
+    /**
+     * Local YYYY-MM-DD for a date
+     * @private
+     */
+    static _formatDate(d) {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+}
+
+CafeteriaCrowdService.DOOR_COUNTER_TYPE = DOOR_COUNTER_TYPE;
+CafeteriaCrowdService.MEAL_WINDOWS = MEAL_WINDOWS;
+
+module.exports = CafeteriaCrowdService;
@@ -0,0 +1,203 @@
+/**
+ * Course Recommendation Service
+ * Ranks the open sections of a coming semester that a student can actually
+ * register for: prerequisites met and no time conflict with their schedule.
+ */
+
+const { Op } = require('sequelize');
+const {
+  Enrollment,
+  CourseSection,
+  Course,
+  CoursePrerequisite,
+  Student,
+  TransferCredit
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const enrollmentService = require('./enrollmentService');
+const gradeReleaseService = require('./gradeReleaseService');
+const academicCalendarService = require('./academicCalendarService');
+
+/**
+ * Semester to plan: the requested one, else the current/next academic term
+ * @param {Object} options - { semester, year }
+ */
+const resolveTargetTerm = async ({ semester, year } = {}) => {
+  if (semester && year) {
+    return { semester, year: parseInt(year) };
+  }
+
+  const term = await academicCalendarService.getCurrentTerm();
+  if (!term) {
+    throw new AppError('Specify the semester and year to plan', 400, 'TERM_REQUIRED');
+  }
+
+  return { semester: term.semester, year: term.year };
+};
+
+/**
+ * Courses that (transitively) require each course, from the prerequisite graph
+ * @param {Set} passedCourseIds - Courses the student has already passed
+ * @returns {Function} - courseId => Array of downstream course IDs
+ */
+const buildDownstreamLookup = async (passedCourseIds) => {
+  const edges = await CoursePrerequisite.findAll({
+    attributes: ['course_id', 'prerequisite_course_id']
+  });
+
+  const dependents = new Map();
+  edges.forEach((edge) => {
+    if (!dependents.has(edge.prerequisite_course_id)) {
+      dependents.set(edge.prerequisite_course_id, []);
+    }
+    dependents.get(edge.prerequisite_course_id).push(edge.course_id);
+  });
+
+  return (courseId) => {
+    const reached = new Set();
+    const queue = [...(dependents.get(courseId) || [])];
+
+    while (queue.length > 0) {
+      const next = queue.shift();
+      if (reached.has(next) || next === courseId || passedCourseIds.has(next)) continue;
+      reached.add(next);
+      queue.push(...(dependents.get(next) || []));
+    }
+
+    return Array.from(reached);
+  };
+};
+
+/**
+ * Recommend sections of a semester for a student
+ * Courses unblocking the most downstream courses rank first. Sections that
+ * conflict with the student's current schedule are left out.
+ * @param {string} studentId - The student ID
+ * @param {Object} options - { semester, year } (defaults to the upcoming term)
+ * @returns {Object} - { semester, year, recommendations, ineligible }
+ */
+const recommendSections = async (studentId, options = {}) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const { semester, year } = await resolveTargetTerm(options);
+
+  const enrollments = (await Enrollment.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ['pending_approval', 'enrolled', 'completed', 'failed'] }
+    },
+    include: [{ model: CourseSection, as: 'section', attributes: ['id', 'course_id', 'semester', 'year'] }]
+  })).filter(enrollment => enrollment.section);
+
+  // Count grades the way prerequisite checks do: published only, under the repeat policy
+  await gradeReleaseService.hideUnpublishedGrades(enrollments);
+  const isFinished = enrollment => enrollment.status === 'completed' || enrollment.status === 'failed';
+  const superseded = enrollmentService.findSupersededAttempts(enrollments.filter(e => isFinished(e) && e.letter_grade));
+
+  const passedCourseIds = new Set();
+  const takingCourseIds = new Set();
+  enrollments.forEach((enrollment) => {
+    if (isFinished(enrollment)) {
+      if (!superseded.has(enrollment) && enrollmentService.hasPassedCourse(enrollment.letter_grade)) {
+        passedCourseIds.add(enrollment.section.course_id);
+      }
+    } else {
+      takingCourseIds.add(enrollment.section.course_id);
+    }
+  });
+
+  const transferCredits = await TransferCredit.findAll({
+    where: { student_id: studentId, course_id: { [Op.not]: null } },
+    attributes: ['id', 'course_id', 'letter_grade']
+  });
+  transferCredits
+    .filter(credit => enrollmentService.hasPassedCourse(credit.letter_grade))
+    .forEach(credit => passedCourseIds.add(credit.course_id));
+
+  const excluded = [...passedCourseIds, ...takingCourseIds];
+  const sections = await CourseSection.findAll({
+    where: {
+      semester,
+      year,
+      ...(excluded.length > 0 && { course_id: { [Op.notIn]: excluded } })
+    },
+    include: [
+      { model: Course, as: 'course', attributes: ['id', 'code', 'name', 'credits', 'ects'] }
+    ],
+    order: [['section_number', 'ASC']]
+  });
+
+  const openSections = sections.filter(section => section.course && section.enrolled_count < section.capacity);
+
+  const downstreamOf = await buildDownstreamLookup(passedCourseIds);
+  const downstreamIds = new Set();
+  const byCourse = new Map();
+  openSections.forEach((section) => {
+    if (!byCourse.has(section.course_id)) {
+      const downstream = downstreamOf(section.course_id);
+      downstream.forEach(id => downstreamIds.add(id));
+      byCourse.set(section.course_id, { course: section.course, downstream, sections: [] });
+    }
+    byCourse.get(section.course_id).sections.push(section);
+  });
+
+  const downstreamCourses = downstreamIds.size > 0
+    ? await Course.findAll({ where: { id: { [Op.in]: Array.from(downstreamIds) } }, attributes: ['id', 'code'] })
+    : [];
+  const codeOf = new Map(downstreamCourses.map(course => [course.id, course.code]));
+
+  const recommendations = [];
+  const ineligible = [];
+
+  for (const [courseId, entry] of byCourse) {
+    const prerequisites = await enrollmentService.checkPrerequisitesRecursive(courseId, studentId, new Set(), {
+      semester,
+      year
+    });
+    if (!prerequisites.passed) {
+      ineligible.push({
+        course_id: courseId,
+        code: entry.course.code,
+        name: entry.course.name,
+        missing_prerequisites: prerequisites.missingPrerequisites.map(p => p.course_code),
+        reasons: (prerequisites.failedClauses || []).map(clause => clause.message)
+      });
+      continue;
+    }
+
+    for (const section of entry.sections) {
+      const { hasConflict } = await enrollmentService.checkScheduleConflicts(studentId, section.id, { semester, year });
+      if (hasConflict) continue;
+
+      recommendations.push({
+        section_id: section.id,
+        section_number: section.section_number,
+        course: entry.course,
+        schedule: section.schedule_json,
+        available_seats: section.capacity - section.enrolled_count,
+        unlocks_count: entry.downstream.length,
+        unlocks: entry.downstream.map(id => codeOf.get(id)).filter(Boolean).sort()
+      });
+    }
+  }
+
+  recommendations.sort((a, b) =>
+    b.unlocks_count - a.unlocks_count ||
+    a.course.code.localeCompare(b.course.code) ||
+    String(a.section_number).localeCompare(String(b.section_number), undefined, { numeric: true })
+  );
+
+  return {
+    semester,
+    year,
+    recommendations: recommendations.map((recommendation, index) => ({ rank: index + 1, ...recommendation })),
+    ineligible
+  };
+};
+
+module.exports = {
+  recommendSections
+};
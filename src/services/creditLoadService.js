@@ -0,0 +1,371 @@
+/**
+ * Credit Load Service
+ * Per-department minimum and maximum semester loads, with a higher cap for
+ * high-CGPA students, a lower cap for students on probation, and audited
+ * per-student overrides granted by admins.
+ */
+
+const { Op } = require('sequelize');
+const {
+  CreditLoadOverride,
+  AcademicStanding,
+  Enrollment,
+  CourseSection,
+  Course,
+  Student,
+  Department,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+
+/**
+ * Default policy, overridable through the environment or per department
+ * - unit: count Course.credits or Course.ects
+ * - min_load / max_load: standard semester load
+ * - high_cgpa_threshold / high_cgpa_max_load: raised cap for strong students
+ * - probation_max_load: reduced cap while on probation or suspension
+ */
+const DEFAULT_CREDIT_LIMITS = {
+  unit: process.env.CREDIT_LOAD_UNIT === 'ects' ? 'ects' : 'credits',
+  min_load: parseInt(process.env.CREDIT_LOAD_MIN, 10) || 12,
+  max_load: parseInt(process.env.CREDIT_LOAD_MAX, 10) || 21,
+  high_cgpa_threshold: parseFloat(process.env.CREDIT_LOAD_HIGH_CGPA) || 3.50,
+  high_cgpa_max_load: parseInt(process.env.CREDIT_LOAD_HIGH_CGPA_MAX, 10) || 24,
+  probation_max_load: parseInt(process.env.CREDIT_LOAD_PROBATION_MAX, 10) || 15
+};
+
+/**
+ * Enrollments that occupy part of the semester load
+ */
+const LOAD_STATUSES = ['pending_approval', 'enrolled'];
+
+/**
+ * Merge and validate a department's limits over the defaults
+ * @param {Object} overrides - Partial limits
+ * @returns {Object} - Complete limits
+ */
+const resolveCreditLimits = (overrides = {}) => {
+  const limits = { ...DEFAULT_CREDIT_LIMITS };
+
+  if (overrides.unit !== undefined && overrides.unit !== null) {
+    if (!['credits', 'ects'].includes(overrides.unit)) {
+      throw new AppError('Credit load unit must be credits or ects', 400, 'INVALID_CREDIT_LIMITS');
+    }
+    limits.unit = overrides.unit;
+  }
+
+  Object.keys(DEFAULT_CREDIT_LIMITS).forEach((key) => {
+    if (key === 'unit' || overrides[key] === undefined || overrides[key] === null) return;
+
+    const value = Number(overrides[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new AppError(`Credit limit ${key} must be a non-negative number`, 400, 'INVALID_CREDIT_LIMITS');
+    }
+    limits[key] = value;
+  });
+
+  if (limits.min_load > limits.max_load) {
+    throw new AppError('min_load cannot be above max_load', 400, 'INVALID_CREDIT_LIMITS');
+  }
+  if (limits.high_cgpa_max_load < limits.max_load) {
+    throw new AppError('high_cgpa_max_load cannot be below max_load', 400, 'INVALID_CREDIT_LIMITS');
+  }
+  if (limits.probation_max_load > limits.max_load) {
+    throw new AppError('probation_max_load cannot be above max_load', 400, 'INVALID_CREDIT_LIMITS');
+  }
+  if (limits.high_cgpa_threshold > 4) {
+    throw new AppError('high_cgpa_threshold cannot exceed 4.00', 400, 'INVALID_CREDIT_LIMITS');
+  }
+
+  return limits;
+};
+
+/**
+ * Load a course adds in the given unit
+ */
+const courseLoad = (course, unit) => (course ? Number(course[unit]) || 0 : 0);
+
+/**
+ * Student's current load in a semester
+ * @param {string} studentId - The student ID
+ * @param {string} semester - Semester
+ * @param {number} year - Year
+ * @param {string} unit - credits or ects
+ * @param {Object} transaction - Optional transaction
+ */
+const getCurrentLoad = async (studentId, semester, year, unit, transaction = null) => {
+  const enrollments = await Enrollment.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: LOAD_STATUSES }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        where: { semester, year },
+        attributes: ['id'],
+        include: [{ model: Course, as: 'course', attributes: ['credits', 'ects'] }]
+      }
+    ],
+    transaction
+  });
+
+  return enrollments.reduce((sum, enrollment) => sum + courseLoad(enrollment.section.course, unit), 0);
+};
+
+/**
+ * Whether the student's most recent standing before the term is probation
+ * or suspension
+ */
+const isOnProbation = async (studentId, semester, year, transaction = null) => {
+  const standings = await AcademicStanding.findAll({
+    where: { student_id: studentId },
+    attributes: ['year', 'semester', 'standing'],
+    transaction
+  });
+
+  // Required here: academicStandingService depends on enrollmentService, which depends on this module
+  const { termIndex } = require('./academicStandingService');
+  const target = termIndex(year, semester);
+  const latest = standings
+    .filter(s => termIndex(s.year, s.semester) < target)
+    .sort((a, b) => termIndex(b.year, b.semester) - termIndex(a.year, a.semester))[0];
+
+  return Boolean(latest && ['probation', 'suspension'].includes(latest.standing));
+};
+
+/**
+ * Active override for a student's term
+ */
+const getActiveOverride = async (studentId, semester, year, transaction = null) => {
+  return CreditLoadOverride.findOne({
+    where: { student_id: studentId, semester, year, is_active: true },
+    order: [['created_at', 'DESC']],
+    transaction
+  });
+};
+
+/**
+ * Minimum and maximum load that apply to a student in a semester
+ * @param {Object} student - Student with department_id and cgpa
+ * @param {string} semester - Semester
+ * @param {number} year - Year
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object} - { unit, min_load, max_load, basis, override_id }
+ */
+const getLoadLimits = async (student, semester, year, transaction = null) => {
+  const department = student.department_id
+    ? await Department.findByPk(student.department_id, { attributes: ['id', 'credit_limits'], transaction })
+    : null;
+  const limits = resolveCreditLimits(department?.credit_limits || {});
+
+  let basis = 'standard';
+  let maxLoad = limits.max_load;
+
+  if (await isOnProbation(student.id, semester, year, transaction)) {
+    basis = 'probation';
+    maxLoad = limits.probation_max_load;
+  } else if (Number(student.cgpa) >= limits.high_cgpa_threshold) {
+    basis = 'high_cgpa';
+    maxLoad = limits.high_cgpa_max_load;
+  }
+
+  const result = {
+    unit: limits.unit,
+    min_load: limits.min_load,
+    max_load: maxLoad,
+    basis,
+    override_id: null
+  };
+
+  const override = await getActiveOverride(student.id, semester, year, transaction);
+  if (override) {
+    if (override.max_load !== null) result.max_load = override.max_load;
+    if (override.min_load !== null) result.min_load = override.min_load;
+    result.basis = 'override';
+    result.override_id = override.id;
+  }
+
+  return result;
+};
+
+/**
+ * Ensure adding a section keeps the student within the maximum load
+ * @param {Object} student - Student with department_id and cgpa
+ * @param {Object} section - Section with semester, year and course
+ * @param {Object} transaction - Optional transaction
+ */
+const assertWithinMaxLoad = async (student, section, transaction = null) => {
+  const limits = await getLoadLimits(student, section.semester, section.year, transaction);
+  const current = await getCurrentLoad(student.id, section.semester, section.year, limits.unit, transaction);
+  const adding = courseLoad(section.course, limits.unit);
+
+  if (current + adding > limits.max_load) {
+    const error = new AppError(
+      `Adding ${section.course.code} would bring your ${section.semester} ${section.year} load to ${current + adding} ${limits.unit}, above your maximum of ${limits.max_load}`,
+      400,
+      'CREDIT_LOAD_EXCEEDED'
+    );
+    error.creditLoad = { ...limits, current, adding };
+    throw error;
+  }
+
+  return limits;
+};
+
+/**
+ * Ensure dropping a section does not leave the student below the minimum load
+ * Students already below the minimum can still drop.
+ * @param {Object} enrollment - Enrollment with section.course
+ * @param {Object} transaction - Optional transaction
+ */
+const assertAboveMinLoad = async (enrollment, transaction = null) => {
+  const { section } = enrollment;
+  const student = await Student.findByPk(enrollment.student_id, { transaction });
+  const limits = await getLoadLimits(student, section.semester, section.year, transaction);
+  const current = await getCurrentLoad(student.id, section.semester, section.year, limits.unit, transaction);
+  const removing = courseLoad(section.course, limits.unit);
+
+  if (current >= limits.min_load && current - removing < limits.min_load) {
+    const error = new AppError(
+      `Dropping ${section.course.code} would leave you with ${current - removing} ${limits.unit} in ${section.semester} ${section.year}, below the minimum of ${limits.min_load}`,
+      400,
+      'CREDIT_LOAD_BELOW_MINIMUM'
+    );
+    error.creditLoad = { ...limits, current, removing };
+    throw error;
+  }
+};
+
+/**
+ * Limits and current load of a student for a semester
+ */
+const getStudentLoadSummary = async (studentId, semester, year) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const limits = await getLoadLimits(student, semester, year);
+  const current = await getCurrentLoad(studentId, semester, year, limits.unit);
+
+  return { semester, year, ...limits, current };
+};
+
+/**
+ * Grant a load override for one student and semester
+ * A new override supersedes the active one; both stay in the audit trail.
+ * @param {string} studentId - The student ID
+ * @param {Object} data - { semester, year, max_load, min_load, reason }
+ * @param {string} userId - Admin granting the override
+ */
+const grantOverride = async (studentId, data, userId) => {
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const maxLoad = data.max_load === undefined ? null : data.max_load;
+  const minLoad = data.min_load === undefined ? null : data.min_load;
+
+  if (maxLoad === null && minLoad === null) {
+    throw new AppError('An override must set max_load or min_load', 400, 'INVALID_OVERRIDE');
+  }
+  if (maxLoad !== null && minLoad !== null && minLoad > maxLoad) {
+    throw new AppError('min_load cannot be above max_load', 400, 'INVALID_OVERRIDE');
+  }
+
+  const replaced = await getLoadLimits(student, data.semester, data.year);
+
+  await CreditLoadOverride.update(
+    { is_active: false, revoked_by: userId, revoked_at: new Date() },
+    { where: { student_id: studentId, semester: data.semester, year: data.year, is_active: true } }
+  );
+
+  const override = await CreditLoadOverride.create({
+    student_id: studentId,
+    semester: data.semester,
+    year: data.year,
+    max_load: maxLoad,
+    min_load: minLoad,
+    reason: data.reason,
+    limits_snapshot: replaced,
+    granted_by: userId
+  });
+
+  const changes = [];
+  if (maxLoad !== null) changes.push(`maximum ${maxLoad} ${replaced.unit}`);
+  if (minLoad !== null) changes.push(`minimum ${minLoad} ${replaced.unit}`);
+
+  await NotificationService.sendNotification({
+    userId: student.user_id,
+    title: 'Credit Load Override Granted',
+    message: `Your ${data.semester} ${data.year} load limits have been changed: ${changes.join(', ')}.`,
+    type: 'info',
+    priority: 'medium',
+    actionUrl: '/enrollments'
+  });
+
+  return override;
+};
+
+/**
+ * Revoke an override; the policy limits apply again
+ * @param {string} overrideId - The override ID
+ * @param {string} userId - Admin revoking the override
+ */
+const revokeOverride = async (overrideId, userId) => {
+  const override = await CreditLoadOverride.findByPk(overrideId);
+  if (!override) {
+    throw new AppError('Override not found', 404, 'OVERRIDE_NOT_FOUND');
+  }
+
+  if (!override.is_active) {
+    throw new AppError('Override is no longer active', 400, 'OVERRIDE_NOT_ACTIVE');
+  }
+
+  await override.update({ is_active: false, revoked_by: userId, revoked_at: new Date() });
+
+  return override;
+};
+
+/**
+ * Override audit trail, newest first
+ * @param {Object} filters - { student_id, semester, year }
+ */
+const listOverrides = async (filters = {}) => {
+  const where = {};
+  if (filters.student_id) where.student_id = filters.student_id;
+  if (filters.semester) where.semester = filters.semester;
+  if (filters.year) where.year = filters.year;
+
+  return CreditLoadOverride.findAll({
+    where,
+    include: [
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number'],
+        include: [{ model: User, as: 'user', attributes: ['first_name', 'last_name'] }]
+      },
+      { model: User, as: 'grantedBy', attributes: ['id', 'first_name', 'last_name'] },
+      { model: User, as: 'revokedBy', attributes: ['id', 'first_name', 'last_name'] }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+module.exports = {
+  DEFAULT_CREDIT_LIMITS,
+  resolveCreditLimits,
+  getCurrentLoad,
+  getLoadLimits,
+  assertWithinMaxLoad,
+  assertAboveMinLoad,
+  getStudentLoadSummary,
+  grantOverride,
+  revokeOverride,
+  listOverrides
+};
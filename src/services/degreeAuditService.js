@@ -0,0 +1,507 @@
+/**
+ * Degree Audit Service
+ * Department curricula (required courses, elective pools, total credit and
+ * ECTS requirements) and audits of a student's passed courses against them,
+ * with a projected graduation semester.
+ */
+
+const { Op } = require('sequelize');
+const {
+  Curriculum,
+  Enrollment,
+  CourseSection,
+  Course,
+  Student,
+  Department,
+  User,
+  TransferCredit
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const enrollmentService = require('./enrollmentService');
+const gradeReleaseService = require('./gradeReleaseService');
+const { DEFAULT_CREDIT_LIMITS } = require('./creditLoadService');
+const { termIndex } = require('./academicStandingService');
+
+/**
+ * Next regular semester; summer terms are not planned
+ */
+const nextSemester = ({ semester, year }) => {
+  return semester === 'Fall'
+    ? { semester: 'Spring', year }
+    : { semester: 'Fall', year: year + 1 };
+};
+
+const courseAttributes = ['id', 'code', 'name', 'credits', 'ects'];
+
+/**
+ * All course IDs a curriculum refers to
+ */
+const curriculumCourseIds = (curriculum) => {
+  const ids = new Set(curriculum.required_course_ids || []);
+  (curriculum.elective_pools || []).forEach(pool => pool.course_ids.forEach(id => ids.add(id)));
+  return Array.from(ids);
+};
+
+/**
+ * Check a curriculum definition and that its courses exist
+ * @param {Object} data - Curriculum fields
+ */
+const validateCurriculum = async (data) => {
+  const required = data.required_course_ids || [];
+  const pools = data.elective_pools || [];
+
+  if (!Array.isArray(required) || !Array.isArray(pools)) {
+    throw new AppError('required_course_ids and elective_pools must be arrays', 400, 'INVALID_CURRICULUM');
+  }
+
+  pools.forEach((pool, index) => {
+    if (!pool.name || !Array.isArray(pool.course_ids) || pool.course_ids.length === 0) {
+      throw new AppError(`Elective pool ${index + 1} needs a name and at least one course`, 400, 'INVALID_CURRICULUM');
+    }
+    if (!Number.isFinite(Number(pool.min_credits)) || Number(pool.min_credits) < 0) {
+      throw new AppError(`Elective pool "${pool.name}" needs non-negative min_credits`, 400, 'INVALID_CURRICULUM');
+    }
+  });
+
+  const ids = curriculumCourseIds({ required_course_ids: required, elective_pools: pools });
+  if (ids.length > 0) {
+    const found = await Course.count({ where: { id: { [Op.in]: ids } } });
+    if (found !== ids.length) {
+      throw new AppError('Curriculum refers to courses that do not exist', 400, 'INVALID_CURRICULUM');
+    }
+  }
+};
+
+/**
+ * Curricula, optionally of one department
+ * @param {Object} filters - { department_id }
+ */
+const listCurricula = async (filters = {}) => {
+  const where = {};
+  if (filters.department_id) where.department_id = filters.department_id;
+
+  return Curriculum.findAll({
+    where,
+    include: [{ model: Department, as: 'department', attributes: ['id', 'name', 'code'] }],
+    order: [['department_id', 'ASC'], ['catalog_year', 'DESC']]
+  });
+};
+
+/**
+ * Curriculum with its courses resolved
+ * @param {string} curriculumId - The curriculum ID
+ */
+const getCurriculum = async (curriculumId) => {
+  const curriculum = await Curriculum.findByPk(curriculumId, {
+    include: [{ model: Department, as: 'department', attributes: ['id', 'name', 'code'] }]
+  });
+
+  if (!curriculum) {
+    throw new AppError('Curriculum not found', 404, 'CURRICULUM_NOT_FOUND');
+  }
+
+  const courses = await Course.findAll({
+    where: { id: { [Op.in]: curriculumCourseIds(curriculum) } },
+    attributes: courseAttributes
+  });
+  const byId = new Map(courses.map(course => [course.id, course]));
+
+  return {
+    ...curriculum.toJSON(),
+    required_courses: curriculum.required_course_ids.map(id => byId.get(id)).filter(Boolean),
+    elective_pools: curriculum.elective_pools.map(pool => ({
+      ...pool,
+      courses: pool.course_ids.map(id => byId.get(id)).filter(Boolean)
+    }))
+  };
+};
+
+/**
+ * Define a department curriculum for a catalog year
+ * @param {Object} data - Curriculum fields
+ */
+const createCurriculum = async (data) => {
+  const department = await Department.findByPk(data.department_id);
+  if (!department) {
+    throw new AppError('Department not found', 404, 'DEPARTMENT_NOT_FOUND');
+  }
+
+  const existing = await Curriculum.findOne({
+    where: { department_id: data.department_id, catalog_year: data.catalog_year }
+  });
+  if (existing) {
+    throw new AppError(
+      `${department.code} already has a ${data.catalog_year} curriculum`,
+      400,
+      'DUPLICATE_CURRICULUM'
+    );
+  }
+
+  await validateCurriculum(data);
+
+  return Curriculum.create({
+    department_id: data.department_id,
+    name: data.name,
+    catalog_year: data.catalog_year,
+    total_credits: data.total_credits || 0,
+    total_ects: data.total_ects || 0,
+    required_course_ids: data.required_course_ids || [],
+    elective_pools: data.elective_pools || [],
+    is_active: data.is_active !== undefined ? data.is_active : true
+  });
+};
+
+/**
+ * Update a curriculum
+ * @param {string} curriculumId - The curriculum ID
+ * @param {Object} data - Fields to change
+ */
+const updateCurriculum = async (curriculumId, data) => {
+  const curriculum = await Curriculum.findByPk(curriculumId);
+  if (!curriculum) {
+    throw new AppError('Curriculum not found', 404, 'CURRICULUM_NOT_FOUND');
+  }
+
+  const changes = {};
+  ['name', 'total_credits', 'total_ects', 'required_course_ids', 'elective_pools', 'is_active'].forEach((field) => {
+    if (data[field] !== undefined) changes[field] = data[field];
+  });
+
+  await validateCurriculum({
+    required_course_ids: changes.required_course_ids || curriculum.required_course_ids,
+    elective_pools: changes.elective_pools || curriculum.elective_pools
+  });
+
+  await curriculum.update(changes);
+
+  return curriculum;
+};
+
+/**
+ * Delete a curriculum
+ * @param {string} curriculumId - The curriculum ID
+ */
+const deleteCurriculum = async (curriculumId) => {
+  const curriculum = await Curriculum.findByPk(curriculumId);
+  if (!curriculum) {
+    throw new AppError('Curriculum not found', 404, 'CURRICULUM_NOT_FOUND');
+  }
+
+  await curriculum.destroy();
+};
+
+/**
+ * Curriculum a student is audited against: the newest active catalog of
+ * their department not newer than their entry year
+ * @param {Object} student - Student with department_id and enrollment_year
+ */
+const getCurriculumForStudent = async (student) => {
+  if (!student.department_id) {
+    throw new AppError('Student has no department', 400, 'NO_DEPARTMENT');
+  }
+
+  const where = { department_id: student.department_id, is_active: true };
+
+  let curriculum = student.enrollment_year
+    ? await Curriculum.findOne({
+      where: { ...where, catalog_year: { [Op.lte]: student.enrollment_year } },
+      order: [['catalog_year', 'DESC']]
+    })
+    : null;
+
+  // Students who entered before the oldest catalog follow the current one
+  if (!curriculum) {
+    curriculum = await Curriculum.findOne({ where, order: [['catalog_year', 'DESC']] });
+  }
+
+  if (!curriculum) {
+    throw new AppError('No curriculum is defined for the student\'s department', 404, 'CURRICULUM_NOT_FOUND');
+  }
+
+  return curriculum;
+};
+
+const sum = (items, field) => items.reduce((total, item) => total + (Number(item[field]) || 0), 0);
+
+/**
+ * Audit a student's record against their curriculum
+ * A course counts once: required courses first, then elective pools in order.
+ * @param {string} studentId - The student ID
+ * @returns {Object} - Satisfied and outstanding requirements and projection
+ */
+const runAudit = async (studentId) => {
+  const student = await Student.findByPk(studentId, {
+    include: [
+      { model: User, as: 'user', attributes: ['first_name', 'last_name'] },
+      { model: Department, as: 'department', attributes: ['id', 'name', 'code'] }
+    ]
+  });
+
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const curriculum = await getCurriculumForStudent(student);
+
+  const enrollments = await Enrollment.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ['pending_approval', 'enrolled', 'completed', 'failed'] }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        attributes: ['id', 'semester', 'year'],
+        include: [{ model: Course, as: 'course', attributes: courseAttributes }]
+      }
+    ]
+  });
+
+  // Unpublished grades count as still in progress
+  await gradeReleaseService.hideUnpublishedGrades(enrollments);
+
+  const passed = new Map();
+  const inProgress = new Map();
+
+  enrollments.forEach((enrollment) => {
+    const { course, semester, year } = enrollment.section;
+    const record = {
+      course_id: course.id,
+      code: course.code,
+      name: course.name,
+      credits: course.credits || 0,
+      ects: course.ects || 0,
+      letter_grade: enrollment.letter_grade,
+      semester,
+      year
+    };
+
+    if (enrollment.letter_grade === null || enrollment.letter_grade === undefined) {
+      inProgress.set(course.id, record);
+    } else if (enrollmentService.hasPassedCourse(enrollment.letter_grade)) {
+      const previous = passed.get(course.id);
+      if (!previous || termIndex(year, semester) < termIndex(previous.year, previous.semester)) {
+        passed.set(course.id, record);
+      }
+    }
+  });
+
+  // Transfer credits count as passed: mapped ones satisfy their local
+  // equivalent, the rest only add to the credit totals
+  const transferCredits = await TransferCredit.findAll({
+    where: { student_id: studentId },
+    include: [{ model: Course, as: 'course', attributes: courseAttributes }]
+  });
+
+  const unmappedTransfers = [];
+  transferCredits
+    .filter(credit => enrollmentService.hasPassedCourse(credit.letter_grade))
+    .forEach((credit) => {
+      const record = {
+        course_id: credit.course_id,
+        code: credit.course ? credit.course.code : credit.external_course_code,
+        name: credit.course ? credit.course.name : credit.external_course_name,
+        credits: credit.credits || 0,
+        ects: credit.ects || 0,
+        letter_grade: credit.letter_grade,
+        semester: credit.semester,
+        year: credit.year,
+        transfer: true,
+        institution: credit.institution
+      };
+
+      if (!credit.course_id) {
+        unmappedTransfers.push(record);
+      } else if (!passed.has(credit.course_id)) {
+        passed.set(credit.course_id, record);
+      }
+    });
+  passed.forEach((record, courseId) => inProgress.delete(courseId));
+
+  const courses = await Course.findAll({
+    where: { id: { [Op.in]: curriculumCourseIds(curriculum) } },
+    attributes: courseAttributes
+  });
+  const courseById = new Map(courses.map(course => [course.id, course]));
+
+  const describe = (courseId) => {
+    const course = courseById.get(courseId);
+    return {
+      course_id: courseId,
+      code: course?.code,
+      name: course?.name,
+      credits: course?.credits || 0
+    };
+  };
+
+  const outcome = (courseId) => {
+    if (passed.has(courseId)) {
+      const record = passed.get(courseId);
+      const result = { status: 'satisfied', letter_grade: record.letter_grade, semester: record.semester, year: record.year };
+      if (record.transfer) result.transfer_institution = record.institution;
+      return result;
+    }
+    if (inProgress.has(courseId)) {
+      const record = inProgress.get(courseId);
+      return { status: 'in_progress', semester: record.semester, year: record.year };
+    }
+    return { status: 'outstanding' };
+  };
+
+  const requiredCourses = curriculum.required_course_ids.map(id => ({ ...describe(id), ...outcome(id) }));
+
+  const used = new Set(curriculum.required_course_ids);
+  const electivePools = curriculum.elective_pools.map((pool) => {
+    const counted = [];
+    const taking = [];
+    const options = [];
+
+    pool.course_ids.forEach((id) => {
+      if (used.has(id)) return;
+      if (passed.has(id)) {
+        counted.push({ ...describe(id), ...outcome(id) });
+        used.add(id);
+      } else if (inProgress.has(id)) {
+        taking.push({ ...describe(id), ...outcome(id) });
+        used.add(id);
+      } else {
+        options.push(describe(id));
+      }
+    });
+
+    const minCredits = Number(pool.min_credits) || 0;
+    const earned = sum(counted, 'credits');
+    const pending = sum(taking, 'credits');
+
+    let status = 'outstanding';
+    if (earned >= minCredits) status = 'satisfied';
+    else if (earned + pending >= minCredits) status = 'in_progress';
+
+    return {
+      name: pool.name,
+      min_credits: minCredits,
+      earned_credits: earned,
+      in_progress_credits: pending,
+      remaining_credits: Math.max(0, minCredits - earned),
+      status,
+      counted_courses: counted,
+      in_progress_courses: taking,
+      options
+    };
+  });
+
+  const passedRecords = [...passed.values(), ...unmappedTransfers];
+  const inProgressRecords = Array.from(inProgress.values());
+
+  const credits = {
+    required: curriculum.total_credits,
+    earned: sum(passedRecords, 'credits'),
+    in_progress: sum(inProgressRecords, 'credits'),
+    transfer: sum(passedRecords.filter(r => r.transfer), 'credits')
+  };
+  credits.remaining = Math.max(0, credits.required - credits.earned);
+
+  const ects = {
+    required: curriculum.total_ects,
+    earned: sum(passedRecords, 'ects'),
+    in_progress: sum(inProgressRecords, 'ects')
+  };
+  ects.remaining = Math.max(0, ects.required - ects.earned);
+
+  const requirementsMet = requiredCourses.every(c => c.status === 'satisfied') &&
+    electivePools.every(p => p.status === 'satisfied') &&
+    credits.remaining === 0 &&
+    ects.remaining === 0;
+
+  return {
+    student: {
+      id: student.id,
+      student_number: student.student_number,
+      name: student.user ? `${student.user.first_name} ${student.user.last_name}` : null,
+      department: student.department
+    },
+    curriculum: {
+      id: curriculum.id,
+      name: curriculum.name,
+      catalog_year: curriculum.catalog_year
+    },
+    summary: {
+      requirements_met: requirementsMet,
+      credits,
+      ects,
+      required_courses_outstanding: requiredCourses.filter(c => c.status === 'outstanding').length,
+      elective_pools_outstanding: electivePools.filter(p => p.status === 'outstanding').length
+    },
+    required_courses: requiredCourses,
+    elective_pools: electivePools,
+    projection: projectGraduation({
+      passedRecords,
+      inProgressRecords,
+      credits,
+      requiredCourses,
+      electivePools
+    })
+  };
+};
+
+/**
+ * Projected graduation semester at the student's usual pace
+ * Credits still to plan are whichever is larger: the remaining total or
+ * what the outstanding requirements need after courses in progress.
+ */
+const projectGraduation = ({ passedRecords, inProgressRecords, credits, requiredCourses, electivePools }) => {
+  const outstandingRequired = sum(requiredCourses.filter(c => c.status === 'outstanding'), 'credits');
+  const outstandingElectives = electivePools.reduce(
+    (total, pool) => total + Math.max(0, pool.min_credits - pool.earned_credits - pool.in_progress_credits),
+    0
+  );
+  const creditsToPlan = Math.max(
+    credits.required - credits.earned - credits.in_progress,
+    outstandingRequired + outstandingElectives,
+    0
+  );
+
+  // Average credits passed per semester here so far; transfer credits
+  // say nothing about the student's pace at this university
+  const localRecords = passedRecords.filter(record => !record.transfer);
+  const perTerm = new Map();
+  localRecords.forEach((record) => {
+    const key = termIndex(record.year, record.semester);
+    perTerm.set(key, (perTerm.get(key) || 0) + record.credits);
+  });
+  const totalPassed = Array.from(perTerm.values()).reduce((total, c) => total + c, 0);
+  const creditsPerSemester = perTerm.size > 0
+    ? Math.max(1, Math.round(totalPassed / perTerm.size))
+    : DEFAULT_CREDIT_LIMITS.min_load;
+
+  const latest = [...inProgressRecords, ...localRecords]
+    .sort((a, b) => termIndex(b.year, b.semester) - termIndex(a.year, a.semester))[0];
+
+  const semestersRemaining = Math.ceil(creditsToPlan / creditsPerSemester);
+
+  let projected = latest ? { semester: latest.semester, year: latest.year } : null;
+  if (projected) {
+    for (let i = 0; i < semestersRemaining; i++) {
+      projected = nextSemester(projected);
+    }
+  }
+
+  return {
+    credits_to_plan: creditsToPlan,
+    credits_per_semester: creditsPerSemester,
+    semesters_remaining: semestersRemaining,
+    projected_graduation: projected
+  };
+};
+
+module.exports = {
+  validateCurriculum,
+  listCurricula,
+  getCurriculum,
+  createCurriculum,
+  updateCurriculum,
+  deleteCurriculum,
+  getCurriculumForStudent,
+  runAudit
+};
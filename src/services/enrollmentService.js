@@ -13,31 +13,26 @@ const {
   Course,
   CoursePrerequisite,
   Student,
-  Classroom
+  Classroom,
+  TransferCredit
 } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const gradingService = require('./gradingService');
+const gradeReleaseService = require('./gradeReleaseService');
+const academicCalendarService = require('./academicCalendarService');
+const creditLoadService = require('./creditLoadService');
 
 /**
  * Calculate letter grade based on midterm and final grades
- * Uses standard Turkish university grading scale
- * Formula: 40% midterm + 60% final
+ * Uses the given grading scheme, or the default 40% midterm + 60% final
+ * split with the standard Turkish university scale
  */
-const calculateLetterGrade = (midterm, final) => {
+const calculateLetterGrade = (midterm, final, scheme = gradingService.DEFAULT_GRADING_SCHEME) => {
   if (midterm === null || final === null) {
     return null;
   }
 
-  const average = (midterm * 0.4) + (final * 0.6);
-
-  if (average >= 90) return 'AA';
-  if (average >= 85) return 'BA';
-  if (average >= 80) return 'BB';
-  if (average >= 75) return 'CB';
-  if (average >= 70) return 'CC';
-  if (average >= 65) return 'DC';
-  if (average >= 60) return 'DD';
-  if (average >= 50) return 'FD';
-  return 'FF';
+  return gradingService.calculateGrade(scheme, { midterm, final }).letter_grade;
 };
 
 /**
@@ -66,23 +61,205 @@ const hasPassedCourse = (letterGrade) => {
   return passingGrades.includes(letterGrade);
 };
 
+/**
+ * How retaken courses count (GRADE_REPEAT_POLICY):
+ * - latest: the most recent attempt replaces earlier ones
+ * - best: only the highest grade counts
+ * - all: every attempt counts, averaging into the GPA
+ */
+const REPEAT_POLICIES = ['latest', 'best', 'all'];
+const REPEAT_POLICY = REPEAT_POLICIES.includes(process.env.GRADE_REPEAT_POLICY)
+  ? process.env.GRADE_REPEAT_POLICY
+  : 'all';
+
+const SEMESTER_ORDER = { 'Fall': 1, 'Spring': 2, 'Summer': 3 };
+
+/**
+ * Graded attempts that no longer count under a repeat policy
+ * @param {Array} enrollments - Graded enrollments with section.course_id, semester and year
+ * @param {string} policy - One of REPEAT_POLICIES
+ * @returns {Set} - The superseded enrollments
+ */
+const findSupersededAttempts = (enrollments, policy = REPEAT_POLICY) => {
+  const superseded = new Set();
+  if (policy === 'all') return superseded;
+
+  const term = (enrollment) => enrollment.section.year * 10 + (SEMESTER_ORDER[enrollment.section.semester] || 0);
+  const counted = new Map();
+
+  enrollments.forEach((enrollment) => {
+    const courseId = enrollment.section.course_id;
+    const current = counted.get(courseId);
+    if (!current) {
+      counted.set(courseId, enrollment);
+      return;
+    }
+
+    const gradeDiff = letterGradeToGPA(enrollment.letter_grade) - letterGradeToGPA(current.letter_grade);
+    const replaces = policy === 'best'
+      ? gradeDiff > 0 || (gradeDiff === 0 && term(enrollment) > term(current))
+      : term(enrollment) > term(current);
+
+    if (replaces) {
+      superseded.add(current);
+      counted.set(courseId, enrollment);
+    } else {
+      superseded.add(enrollment);
+    }
+  });
+
+  return superseded;
+};
+
+/**
+ * Check if a grade satisfies a rule's minimum grade (any passing grade if none)
+ */
+const meetsMinimumGrade = (letterGrade, minGrade) => {
+  if (!letterGrade) return false;
+  if (!minGrade) return hasPassedCourse(letterGrade);
+  return letterGradeToGPA(letterGrade) >= letterGradeToGPA(minGrade);
+};
+
+/**
+ * Human-readable form of an OR group, e.g. "MATH101 (BB or better) or MATH103"
+ */
+const describeRuleGroup = (rules) => rules
+  .map(rule => `${rule.prerequisiteCourse.code}${rule.min_grade ? ` (${rule.min_grade} or better)` : ''}`)
+  .join(' or ');
+
+/**
+ * Standing requirement of a course (minimum year of study), null when met
+ * The year of study in a semester counts from the student's entry year.
+ */
+const checkStandingRequirement = async (courseId, studentId, options = {}) => {
+  const course = await Course.findByPk(courseId, {
+    attributes: ['id', 'code', 'min_year_of_study'],
+    transaction: options.transaction
+  });
+  if (!course || !course.min_year_of_study) return null;
+
+  const student = await Student.findByPk(studentId, {
+    attributes: ['id', 'enrollment_year'],
+    transaction: options.transaction
+  });
+  if (!student || !student.enrollment_year) return null;
+
+  const year = parseInt(options.year) || new Date().getFullYear();
+  const yearOfStudy = year - student.enrollment_year + 1;
+  if (yearOfStudy >= course.min_year_of_study) return null;
+
+  return {
+    type: 'standing',
+    requirement: `Year ${course.min_year_of_study} or later`,
+    satisfied: false,
+    message: `${course.code} is open to year ${course.min_year_of_study} students and above (you are in year ${yearOfStudy})`,
+    required_year: course.min_year_of_study,
+    current_year: yearOfStudy
+  };
+};
+
+/**
+ * The student's record in the given courses: the grade that counts under the
+ * repeat policy, and whether they are taking the course in the target
+ * semester. Transfer credits mapped to a course count as completing it.
+ */
+const getCourseRecords = async (studentId, courseIds, options = {}) => {
+  const enrollments = await Enrollment.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ['pending_approval', 'enrolled', 'completed', 'failed'] }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        attributes: ['id', 'course_id', 'semester', 'year'],
+        where: { course_id: { [Op.in]: courseIds } }
+      }
+    ],
+    transaction: options.transaction
+  });
+
+  // Grades still in draft or review don't count yet
+  await gradeReleaseService.hideUnpublishedGrades(enrollments);
+
+  const isFinished = enrollment => enrollment.status === 'completed' || enrollment.status === 'failed';
+  const superseded = findSupersededAttempts(enrollments.filter(e => isFinished(e) && e.letter_grade));
+
+  const records = new Map();
+  enrollments.forEach((enrollment) => {
+    const courseId = enrollment.section.course_id;
+    const record = records.get(courseId) || { grade: null, status: 'not_taken', taking: false };
+
+    if (isFinished(enrollment)) {
+      if (superseded.has(enrollment)) return;
+      if (!record.grade || letterGradeToGPA(enrollment.letter_grade) > letterGradeToGPA(record.grade)) {
+        record.grade = enrollment.letter_grade;
+      }
+      record.status = 'completed';
+    } else {
+      const sameTerm = !options.semester ||
+        (enrollment.section.semester === options.semester && enrollment.section.year === parseInt(options.year));
+      if (sameTerm) record.taking = true;
+      if (record.status === 'not_taken') record.status = 'in_progress';
+    }
+
+    records.set(courseId, record);
+  });
+
+  const transferCredits = await TransferCredit.findAll({
+    where: { student_id: studentId, course_id: { [Op.in]: courseIds } },
+    attributes: ['id', 'course_id', 'letter_grade'],
+    transaction: options.transaction
+  });
+
+  transferCredits.forEach((credit) => {
+    const record = records.get(credit.course_id) || { grade: null, status: 'not_taken', taking: false };
+
+    if (!record.grade || letterGradeToGPA(credit.letter_grade) > letterGradeToGPA(record.grade)) {
+      record.grade = credit.letter_grade;
+    }
+    record.status = 'completed';
+    record.transfer = true;
+
+    records.set(credit.course_id, record);
+  });
+
+  return records;
+};
+
 /**
  * Recursively check prerequisites for a course
+ * Rules in the same group are alternatives (OR) and groups are all required
+ * (AND). A rule may set a minimum grade. Corequisites are also met by taking
+ * the course in the same semester (or alongside in options.plannedCourseIds)
+ * and, like the year-of-study requirement, apply only to the course itself,
+ * not to its prerequisites.
  * @param {string} courseId - The course ID to check prerequisites for
  * @param {string} studentId - The student ID
  * @param {Set} checkedCourses - Set of already checked courses to prevent infinite loops
- * @returns {Object} - { passed: boolean, missingPrerequisites: Array }
+ * @param {Object} options - { semester, year, plannedCourseIds, transaction }
+ * @returns {Object} - { passed: boolean, missingPrerequisites: Array, failedClauses: Array }
  */
-const checkPrerequisitesRecursive = async (courseId, studentId, checkedCourses = new Set()) => {
+const checkPrerequisitesRecursive = async (courseId, studentId, checkedCourses = new Set(), options = {}) => {
   console.log(`[DEBUG] checkPrerequisitesRecursive: checking course ${courseId} for student ${studentId}`);
   // Prevent infinite loops in case of circular dependencies
   if (checkedCourses.has(courseId)) {
-    return { passed: true, missingPrerequisites: [] };
+    return { passed: true, missingPrerequisites: [], failedClauses: [] };
   }
   checkedCourses.add(courseId);
 
-  // Get all prerequisites for this course
-  const prerequisites = await CoursePrerequisite.findAll({
+  const topLevel = !options.nested;
+  const failedClauses = [];
+  const missingPrerequisites = [];
+
+  if (topLevel) {
+    const standing = await checkStandingRequirement(courseId, studentId, options);
+    if (standing) failedClauses.push(standing);
+  }
+
+  // Get all prerequisite rules for this course
+  const rules = await CoursePrerequisite.findAll({
     where: { course_id: courseId },
     include: [
       {
@@ -90,58 +267,91 @@ const checkPrerequisitesRecursive = async (courseId, studentId, checkedCourses =
         as: 'prerequisiteCourse',
         attributes: ['id', 'code', 'name']
       }
-    ]
+    ],
+    transaction: options.transaction
   });
 
-  if (prerequisites.length === 0) {
-    return { passed: true, missingPrerequisites: [] };
-  }
+  const groups = new Map();
+  rules.forEach((rule) => {
+    const type = rule.requirement_type || 'prerequisite';
+    if (type === 'corequisite' && !topLevel) return;
 
-  const missingPrerequisites = [];
-
-  for (const prereq of prerequisites) {
-    const prereqCourse = prereq.prerequisiteCourse;
+    const key = `${type}:${rule.group_number ?? rule.prerequisite_course_id}`;
+    if (!groups.has(key)) groups.set(key, { type, rules: [] });
+    groups.get(key).rules.push(rule);
+  });
 
-    // First, recursively check if the prerequisite itself has prerequisites
-    const nestedCheck = await checkPrerequisitesRecursive(
-      prereqCourse.id,
+  if (groups.size > 0) {
+    const records = await getCourseRecords(
       studentId,
-      new Set(checkedCourses)
+      rules.map(rule => rule.prerequisite_course_id),
+      options
     );
+    const planned = new Set(options.plannedCourseIds || []);
+
+    for (const group of groups.values()) {
+      let satisfied = false;
+      const groupMissing = [];
+
+      for (const rule of group.rules) {
+        const prereqCourse = rule.prerequisiteCourse;
+        const record = records.get(prereqCourse.id) || { grade: null, status: 'not_taken', taking: false };
+        let met = meetsMinimumGrade(record.grade, rule.min_grade);
+
+        if (group.type === 'corequisite') {
+          met = met || record.taking || planned.has(prereqCourse.id);
+        } else {
+          // A prerequisite's own prerequisites must be met as well
+          const nestedCheck = await checkPrerequisitesRecursive(
+            prereqCourse.id,
+            studentId,
+            new Set(checkedCourses),
+            { ...options, nested: true }
+          );
+          if (!nestedCheck.passed) {
+            groupMissing.push(...nestedCheck.missingPrerequisites);
+            met = false;
+          }
+        }
 
-    if (!nestedCheck.passed) {
-      missingPrerequisites.push(...nestedCheck.missingPrerequisites);
-    }
+        if (met) {
+          satisfied = true;
+          break;
+        }
 
-    // Check if student has completed this prerequisite course with passing grade
-    const completedEnrollment = await Enrollment.findOne({
-      where: {
-        student_id: studentId,
-        status: 'completed'
-      },
-      include: [
-        {
-          model: CourseSection,
-          as: 'section',
-          where: { course_id: prereqCourse.id }
+        if (!meetsMinimumGrade(record.grade, rule.min_grade)) {
+          groupMissing.push({
+            course_id: prereqCourse.id,
+            course_code: prereqCourse.code,
+            course_name: prereqCourse.name,
+            requirement_type: group.type,
+            min_grade: rule.min_grade || null,
+            current_grade: record.grade,
+            status: record.status
+          });
         }
-      ]
-    });
+      }
 
-    if (!completedEnrollment || !hasPassedCourse(completedEnrollment.letter_grade)) {
-      missingPrerequisites.push({
-        course_id: prereqCourse.id,
-        course_code: prereqCourse.code,
-        course_name: prereqCourse.name,
-        current_grade: completedEnrollment?.letter_grade || null,
-        status: completedEnrollment?.status || 'not_taken'
-      });
+      if (!satisfied) {
+        const requirement = describeRuleGroup(group.rules);
+        missingPrerequisites.push(...groupMissing);
+        failedClauses.push({
+          type: group.type,
+          requirement,
+          satisfied: false,
+          message: group.type === 'corequisite'
+            ? `Take ${requirement} before or in the same semester`
+            : `Requires ${requirement}`,
+          options: groupMissing
+        });
+      }
     }
   }
 
   return {
-    passed: missingPrerequisites.length === 0,
-    missingPrerequisites
+    passed: failedClauses.length === 0,
+    missingPrerequisites,
+    failedClauses
   };
 };
 
@@ -189,11 +399,13 @@ const normalizeSchedule = (scheduleJson) => {
 
 /**
  * Check for schedule conflicts between a new section and existing enrollments
+ * Only enrollments in the same term can clash.
  * @param {string} studentId - The student ID
  * @param {string} newSectionId - The new section to check
+ * @param {Object} options - { semester, year } (defaults to the new section's term)
  * @returns {Object} - { hasConflict: boolean, conflicts: Array }
  */
-const checkScheduleConflicts = async (studentId, newSectionId) => {
+const checkScheduleConflicts = async (studentId, newSectionId, options = {}) => {
   console.log(`[DEBUG] checkScheduleConflicts: student ${studentId}, section ${newSectionId}`);
   // Get the new section's schedule
   const newSection = await CourseSection.findByPk(newSectionId, {
@@ -221,16 +433,20 @@ const checkScheduleConflicts = async (studentId, newSectionId) => {
     return { hasConflict: false, conflicts: [] };
   }
 
-  // Get all active enrollments for the student
+  const semester = options.semester || newSection.semester;
+  const year = options.year || newSection.year;
+
+  // Get the student's active enrollments in that term (including those awaiting advisor approval)
   const existingEnrollments = await Enrollment.findAll({
     where: {
       student_id: studentId,
-      status: 'enrolled'
+      status: { [Op.in]: ['pending_approval', 'enrolled'] }
     },
     include: [
       {
         model: CourseSection,
         as: 'section',
+        ...(semester && year && { where: { semester, year: parseInt(year) } }),
         include: [
           {
             model: Course,
@@ -290,12 +506,16 @@ const checkScheduleConflicts = async (studentId, newSectionId) => {
  * Uses database transaction to ensure atomicity
  * @param {string} studentId - The student ID
  * @param {string} sectionId - The section ID
+ * @param {Object} options - { transaction } to enroll as part of a larger
+ *   transaction; the caller then commits or rolls back. { plannedCourseIds }
+ *   are courses being enrolled alongside (they satisfy corequisites)
  * @returns {Object} - The created enrollment
  */
-const enrollStudent = async (studentId, sectionId) => {
+const enrollStudent = async (studentId, sectionId, options = {}) => {
   console.log(`[DEBUG] enrollStudent: student ${studentId}, section ${sectionId}`);
   // Start a transaction for atomic operations
-  const transaction = await sequelize.transaction();
+  const ownsTransaction = !options.transaction;
+  const transaction = options.transaction || await sequelize.transaction();
   console.log('[DEBUG] transaction started');
 
   try {
@@ -306,13 +526,16 @@ const enrollStudent = async (studentId, sectionId) => {
       throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
     }
 
+    // Holds (unpaid balance, advisor approval, disciplinary) block registration
+    await academicCalendarService.assertNoRegistrationHolds(studentId, transaction);
+
     // 2. Verify section exists and get course info
     const section = await CourseSection.findByPk(sectionId, {
       include: [
         {
           model: Course,
           as: 'course',
-          attributes: ['id', 'code', 'name', 'credits']
+          attributes: ['id', 'code', 'name', 'credits', 'ects']
         }
       ],
       transaction
@@ -323,12 +546,15 @@ const enrollStudent = async (studentId, sectionId) => {
       throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
     }
 
+    // Courses can only be added during registration and add/drop
+    await academicCalendarService.assertRegistrationOpen(section, transaction);
+
     // 3. Check if already enrolled in this section or same course
     const existingEnrollment = await Enrollment.findOne({
       where: {
         student_id: studentId,
         section_id: sectionId,
-        status: { [Op.in]: ['enrolled', 'completed'] }
+        status: { [Op.in]: ['pending_approval', 'enrolled', 'completed'] }
       },
       transaction
     });
@@ -345,7 +571,7 @@ const enrollStudent = async (studentId, sectionId) => {
     const enrolledInSameCourse = await Enrollment.findOne({
       where: {
         student_id: studentId,
-        status: 'enrolled'
+        status: { [Op.in]: ['pending_approval', 'enrolled'] }
       },
       include: [
         {
@@ -368,16 +594,25 @@ const enrollStudent = async (studentId, sectionId) => {
     // 4. PREREQUISITE CHECK (Recursive)
     const prereqCheck = await checkPrerequisitesRecursive(
       section.course.id,
-      studentId
+      studentId,
+      new Set(),
+      {
+        semester: section.semester,
+        year: section.year,
+        plannedCourseIds: options.plannedCourseIds,
+        transaction
+      }
     );
 
     if (!prereqCheck.passed) {
-      throw new AppError(
-        'Prerequisites not met',
+      const error = new AppError(
+        `Prerequisites not met: ${prereqCheck.failedClauses.map(clause => clause.message).join('; ')}`,
         400,
-        'PREREQUISITES_NOT_MET',
-        { missingPrerequisites: prereqCheck.missingPrerequisites }
+        'PREREQUISITES_NOT_MET'
       );
+      error.missingPrerequisites = prereqCheck.missingPrerequisites;
+      error.failedClauses = prereqCheck.failedClauses;
+      throw error;
     }
 
     // 5. SCHEDULE CONFLICT CHECK
@@ -392,6 +627,9 @@ const enrollStudent = async (studentId, sectionId) => {
       );
     }
 
+    // Semester credit load (department policy, CGPA/probation caps, overrides)
+    await creditLoadService.assertWithinMaxLoad(student, section, transaction);
+
     // 6. CAPACITY CHECK with Atomic Update (Race Condition Prevention)
     // Use optimistic locking with WHERE clause to prevent race conditions
     const [updatedCount] = await CourseSection.update(
@@ -412,7 +650,7 @@ const enrollStudent = async (studentId, sectionId) => {
       const currentSection = await CourseSection.findByPk(sectionId, { transaction });
       if (currentSection && currentSection.enrolled_count >= currentSection.capacity) {
         throw new AppError(
-          `Section is full (${currentSection.enrolled_count}/${currentSection.capacity})`,
+          `Section is full (${currentSection.enrolled_count}/${currentSection.capacity}). Join the waitlist to be enrolled when a seat opens`,
           400,
           'SECTION_FULL'
         );
@@ -421,18 +659,21 @@ const enrollStudent = async (studentId, sectionId) => {
     }
 
     // 7. Create enrollment record
+    // Students with an advisor hold the seat until the advisor approves the course
     const enrollment = await Enrollment.create(
       {
         student_id: studentId,
         section_id: sectionId,
-        status: 'enrolled',
+        status: student.advisor_id ? 'pending_approval' : 'enrolled',
         enrollment_date: new Date()
       },
       { transaction }
     );
 
     // Commit transaction
-    await transaction.commit();
+    if (ownsTransaction) {
+      await transaction.commit();
+    }
 
     // Fetch complete enrollment with associations
     const completeEnrollment = await Enrollment.findByPk(enrollment.id, {
@@ -451,36 +692,54 @@ const enrollStudent = async (studentId, sectionId) => {
           model: Student,
           as: 'student'
         }
-      ]
+      ],
+      transaction: ownsTransaction ? null : transaction
     });
 
     return completeEnrollment;
   } catch (error) {
-    await transaction.rollback();
+    if (ownsTransaction) {
+      await transaction.rollback();
+    }
     throw error;
   }
 };
 
 /**
  * Drop a course (withdraw from enrollment)
+ * Dropping is free during add/drop; during the withdrawal window the
+ * enrollment is kept with a W grade. Afterwards the course cannot be left.
+ * The freed seat goes to the next eligible student on the section waitlist.
  * @param {string} studentId - The student ID
  * @param {string} enrollmentId - The enrollment ID
+ * @param {Object} options - { enforceMinimumLoad } to keep students from
+ *   dropping below their minimum credit load (withdrawals are not limited);
+ *   { systemRelease } for seats the system takes back (e.g. an unconfirmed
+ *   waitlist offer): always a plain drop, whatever the calendar says
  * @returns {Object} - Updated enrollment
  */
-const dropEnrollment = async (studentId, enrollmentId) => {
+const dropEnrollment = async (studentId, enrollmentId, options = {}) => {
   const transaction = await sequelize.transaction();
+  let enrollment;
 
   try {
-    const enrollment = await Enrollment.findOne({
+    enrollment = await Enrollment.findOne({
       where: {
         id: enrollmentId,
         student_id: studentId,
-        status: 'enrolled'
+        status: { [Op.in]: ['pending_approval', 'enrolled'] }
       },
       include: [
         {
           model: CourseSection,
-          as: 'section'
+          as: 'section',
+          include: [
+            {
+              model: Course,
+              as: 'course',
+              attributes: ['id', 'code', 'name', 'credits', 'ects']
+            }
+          ]
         }
       ],
       transaction
@@ -494,8 +753,22 @@ const dropEnrollment = async (studentId, enrollmentId) => {
       );
     }
 
-    // Update enrollment status
-    await enrollment.update({ status: 'dropped' }, { transaction });
+    // After add/drop the course stays on record as a withdrawal (W);
+    // a course the advisor never approved, or a seat the system releases,
+    // is simply removed
+    const dropType = enrollment.status === 'pending_approval' || options.systemRelease
+      ? 'drop'
+      : await academicCalendarService.resolveDropType(enrollment.section, transaction);
+
+    if (options.enforceMinimumLoad && dropType === 'drop') {
+      await creditLoadService.assertAboveMinLoad(enrollment, transaction);
+    }
+
+    if (dropType === 'withdraw') {
+      await enrollment.update({ status: 'withdrawn', letter_grade: 'W' }, { transaction });
+    } else {
+      await enrollment.update({ status: 'dropped' }, { transaction });
+    }
 
     // Decrease enrolled count
     await CourseSection.update(
@@ -509,23 +782,120 @@ const dropEnrollment = async (studentId, enrollmentId) => {
     );
 
     await transaction.commit();
-
-    return enrollment;
   } catch (error) {
     await transaction.rollback();
     throw error;
   }
+
+  // Hand the freed seat to the waitlist (required here: waitlistService depends on this module)
+  const waitlistService = require('./waitlistService');
+  try {
+    await waitlistService.handleSeatReleased(enrollment.section_id, enrollment.id);
+  } catch (error) {
+    console.error('Waitlist promotion failed:', error.message);
+  }
+
+  return enrollment;
+};
+
+/**
+ * Derive numeric/letter grade and status for an enrollment from its scores
+ * Returns only the fields that changed
+ */
+const deriveGradeFields = (enrollment, scores, scheme, context = {}) => {
+  const result = gradingService.calculateGrade(scheme, scores, context);
+
+  if (result.letter_grade === null) {
+    // Incomplete again (e.g. a component was added): back to in-progress
+    if (enrollment.letter_grade === null || enrollment.letter_grade === undefined) return {};
+    return { numeric_grade: null, letter_grade: null, status: 'enrolled' };
+  }
+
+  return {
+    numeric_grade: result.numeric_grade,
+    letter_grade: result.letter_grade,
+    status: hasPassedCourse(result.letter_grade) ? 'completed' : 'failed'
+  };
+};
+
+/**
+ * Whether derived grade fields differ from what is stored
+ * (numeric_grade comes back from DECIMAL columns as a string)
+ */
+const gradeFieldsChanged = (enrollment, updateData) => {
+  return Object.keys(updateData).some(key => {
+    const current = enrollment[key] === undefined ? null : enrollment[key];
+    if (key === 'numeric_grade') {
+      return (current === null ? null : parseFloat(current)) !== updateData[key];
+    }
+    return current !== updateData[key];
+  });
+};
+
+/**
+ * Recompute grades for every graded or in-progress enrollment in a section
+ * Needed when the grading scheme changes or when a section-wide curve is used
+ * @param {string} sectionId - The section ID
+ * @param {Object} transaction - Optional transaction
+ * @param {Object} history - { reason, userId } to record changes to published grades
+ * @returns {number} - Number of enrollments whose grade changed
+ */
+const recalculateSectionGrades = async (sectionId, transaction = null, history = null) => {
+  const scheme = await gradingService.getSectionGradingScheme(sectionId, transaction);
+
+  const enrollments = await Enrollment.findAll({
+    where: {
+      section_id: sectionId,
+      status: { [Op.in]: ['enrolled', 'completed', 'failed'] }
+    },
+    transaction
+  });
+
+  const scored = enrollments.map(enrollment => {
+    const scores = gradingService.getComponentScores(enrollment);
+    return { enrollment, scores, raw: gradingService.calculateWeightedScore(scheme, scores) };
+  });
+
+  const complete = scored.filter(s => s.raw !== null);
+  const sectionMean = complete.length > 0
+    ? complete.reduce((sum, s) => sum + s.raw, 0) / complete.length
+    : null;
+
+  let changed = 0;
+
+  for (const { enrollment, scores } of scored) {
+    // Attendance-failed students keep their FF until the fail is overridden
+    if (enrollment.attendance_status === 'failed') continue;
+
+    const updateData = deriveGradeFields(enrollment, scores, scheme, { sectionMean });
+
+    if (gradeFieldsChanged(enrollment, updateData)) {
+      const before = gradeReleaseService.gradeSnapshot(enrollment);
+      await enrollment.update(updateData, { transaction });
+      if (history) {
+        await gradeReleaseService.recordGradeChange(before, enrollment, history.reason, history.userId, transaction);
+      }
+      changed++;
+    }
+  }
+
+  return changed;
 };
 
 /**
  * Update grades for an enrollment
- * Automatically calculates letter grade when both midterm and final are provided
+ * Scores are combined with the section's grading scheme (default: 40% midterm + 60% final);
+ * the letter grade is calculated once every component has a score.
+ * Grades under department review are locked; changing published grades
+ * requires grades.reason and is recorded in the grade change history
  * @param {string} enrollmentId - The enrollment ID
- * @param {Object} grades - { midterm_grade, final_grade }
+ * @param {Object} grades - { midterm_grade, final_grade, components: { [key]: score }, reason }
  * @param {string} instructorId - The instructor making the update (for authorization)
+ * @param {Object} options - { recalculateSection: false to defer section-wide curves (bulk updates), userId }
  * @returns {Object} - Updated enrollment with calculated letter grade
  */
-const updateGrades = async (enrollmentId, grades, instructorId) => {
+const updateGrades = async (enrollmentId, grades, instructorId, options = {}) => {
+  const { recalculateSection = true, userId = null } = options;
   const transaction = await sequelize.transaction();
 
   try {
@@ -553,6 +923,10 @@ const updateGrades = async (enrollmentId, grades, instructorId) => {
       throw new AppError('Enrollment not found', 404, 'ENROLLMENT_NOT_FOUND');
     }
 
+    if (enrollment.status === 'withdrawn') {
+      throw new AppError('The student withdrew from this course', 400, 'ENROLLMENT_WITHDRAWN');
+    }
+
     // Verify instructor is teaching this section (if instructorId provided)
     if (instructorId && enrollment.section.instructor_id !== instructorId) {
       throw new AppError(
@@ -562,6 +936,13 @@ const updateGrades = async (enrollmentId, grades, instructorId) => {
       );
     }
 
+    const release = await gradeReleaseService.assertGradesEditable(enrollment.section_id, grades.reason, transaction);
+    const history = release.status === 'published' ? { reason: grades.reason, userId } : null;
+    const before = gradeReleaseService.gradeSnapshot(enrollment);
+
+    const scheme = await gradingService.getSectionGradingScheme(enrollment.section_id, transaction);
+    const componentKeys = scheme.components.map(c => c.key);
+
     // Prepare update data
     const updateData = {};
 
@@ -579,32 +960,68 @@ const updateGrades = async (enrollmentId, grades, instructorId) => {
       updateData.final_grade = grades.final_grade;
     }
 
-    // Get current grades (merge with new ones)
-    const midterm = grades.midterm_grade !== undefined
-      ? grades.midterm_grade
-      : enrollment.midterm_grade;
-    const final = grades.final_grade !== undefined
-      ? grades.final_grade
-      : enrollment.final_grade;
+    if (grades.components !== undefined) {
+      const componentScores = { ...(enrollment.component_scores || {}) };
 
-    // Calculate letter grade if both grades are available
-    if (midterm !== null && final !== null) {
-      updateData.letter_grade = calculateLetterGrade(
-        parseFloat(midterm),
-        parseFloat(final)
+      Object.entries(grades.components || {}).forEach(([key, score]) => {
+        if (!componentKeys.includes(key)) {
+          throw new AppError(
+            `Unknown grading component: ${key}. Section components: ${componentKeys.join(', ')}`,
+            400,
+            'UNKNOWN_GRADE_COMPONENT'
+          );
+        }
+        if (score !== null && (isNaN(parseFloat(score)) || score < 0 || score > 100)) {
+          throw new AppError(`Score for ${key} must be between 0 and 100`, 400, 'INVALID_GRADE');
+        }
+
+        // midterm/final components are stored in their dedicated columns
+        if (key === 'midterm') updateData.midterm_grade = score;
+        else if (key === 'final') updateData.final_grade = score;
+        else componentScores[key] = score === null ? null : parseFloat(score);
+      });
+
+      updateData.component_scores = componentScores;
+    }
+
+    // Merge current and new scores, then derive the grade from the scheme
+    const scores = gradingService.getComponentScores({
+      component_scores: updateData.component_scores || enrollment.component_scores,
+      midterm_grade: updateData.midterm_grade !== undefined ? updateData.midterm_grade : enrollment.midterm_grade,
+      final_grade: updateData.final_grade !== undefined ? updateData.final_grade : enrollment.final_grade
+    });
+
+    // Students failed on attendance cannot sit the final, or complete the
+    // course under a scheme without one, unless the instructor overrides it
+    if (enrollment.attendance_status === 'failed' &&
+      ((updateData.final_grade !== undefined && updateData.final_grade !== null) ||
+        gradingService.calculateWeightedScore(scheme, scores) !== null)) {
+      throw new AppError(
+        'The student failed this course on attendance; override the attendance fail before entering a final grade',
+        409,
+        'ATTENDANCE_FAIL'
       );
+    }
 
-      // Determine if passed or failed
-      if (hasPassedCourse(updateData.letter_grade)) {
-        updateData.status = 'completed';
-      } else {
-        updateData.status = 'failed';
-      }
+    const sectionDependent = gradingService.isSectionDependent(scheme);
+
+    // An attendance fail keeps its FF until overridden
+    if (!sectionDependent && enrollment.attendance_status !== 'failed') {
+      Object.assign(updateData, deriveGradeFields(enrollment, scores, scheme));
     }
 
     // Update enrollment
     await enrollment.update(updateData, { transaction });
 
+    if (history) {
+      await gradeReleaseService.recordGradeChange(before, enrollment, history.reason, history.userId, transaction);
+    }
+
+    // Section-wide curves change everyone's grade
+    if (sectionDependent && recalculateSection) {
+      await recalculateSectionGrades(enrollment.section_id, transaction, history);
+    }
+
     await transaction.commit();
 
     // Fetch updated enrollment
@@ -731,18 +1148,19 @@ const getSectionEnrollments = async (sectionId, instructorId = null) => {
 /**
  * Bulk update grades for a section
  * @param {string} sectionId - The section ID
- * @param {Array} gradesArray - Array of { enrollment_id, midterm_grade, final_grade }
- * @param {string} instructorId - The instructor ID
+ * @param {Array} gradesArray - Array of { enrollment_id, midterm_grade, final_grade, components, reason }
+ * @param {string} instructorId - The instructor ID (null for admin)
+ * @param {Object} options - { reason (default change reason for published grades), userId }
  * @returns {Object} - Summary of updates
  */
-const bulkUpdateGrades = async (sectionId, gradesArray, instructorId) => {
+const bulkUpdateGrades = async (sectionId, gradesArray, instructorId, options = {}) => {
   const section = await CourseSection.findByPk(sectionId);
 
   if (!section) {
     throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
   }
 
-  if (section.instructor_id !== instructorId) {
+  if (instructorId && section.instructor_id !== instructorId) {
     throw new AppError(
       'You are not authorized to grade this section',
       403,
@@ -755,15 +1173,21 @@ const bulkUpdateGrades = async (sectionId, gradesArray, instructorId) => {
     failed: []
   };
 
+  const scheme = await gradingService.getSectionGradingScheme(sectionId);
+  const sectionDependent = gradingService.isSectionDependent(scheme);
+
   for (const gradeData of gradesArray) {
     try {
       const updated = await updateGrades(
         gradeData.enrollment_id,
         {
           midterm_grade: gradeData.midterm_grade,
-          final_grade: gradeData.final_grade
+          final_grade: gradeData.final_grade,
+          components: gradeData.components,
+          reason: gradeData.reason || options.reason
         },
-        instructorId
+        instructorId,
+        { recalculateSection: false, userId: options.userId }
       );
       results.successful.push({
         enrollment_id: gradeData.enrollment_id,
@@ -777,6 +1201,22 @@ const bulkUpdateGrades = async (sectionId, gradesArray, instructorId) => {
     }
   }
 
+  // Apply section-wide curves once, after all scores are in
+  if (sectionDependent && results.successful.length > 0) {
+    const reason = options.reason || (gradesArray.find(g => g.reason) || {}).reason;
+    const release = await gradeReleaseService.assertGradesEditable(sectionId, reason);
+    const history = release.status === 'published' ? { reason, userId: options.userId } : null;
+    await recalculateSectionGrades(sectionId, null, history);
+
+    const regraded = await Enrollment.findAll({
+      where: { id: { [Op.in]: results.successful.map(r => r.enrollment_id) } },
+      attributes: ['id', 'letter_grade']
+    });
+    const letterById = {};
+    regraded.forEach(e => { letterById[e.id] = e.letter_grade; });
+    results.successful.forEach(r => { r.letter_grade = letterById[r.enrollment_id] || null; });
+  }
+
   return results;
 };
 
@@ -787,10 +1227,16 @@ module.exports = {
   getStudentEnrollments,
   getSectionEnrollments,
   bulkUpdateGrades,
+  recalculateSectionGrades,
   checkPrerequisitesRecursive,
   checkScheduleConflicts,
+  timeSlotsOverlap,
+  normalizeSchedule,
   calculateLetterGrade,
   letterGradeToGPA,
-  hasPassedCourse
+  hasPassedCourse,
+  REPEAT_POLICIES,
+  REPEAT_POLICY,
+  findSupersededAttempts
 };
 
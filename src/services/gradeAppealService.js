@@ -0,0 +1,392 @@
+/**
+ * Grade Appeal Service
+ * Students object to a published grade; the section instructor decides
+ * (and may amend the grade), admins can escalate and decide themselves.
+ * Appeals must be filed within a window after publication and overdue
+ * appeals are escalated automatically.
+ */
+
+const { Op } = require('sequelize');
+const {
+  GradeAppeal,
+  Enrollment,
+  CourseSection,
+  Course,
+  Faculty,
+  Student,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const gradeReleaseService = require('./gradeReleaseService');
+const enrollmentService = require('./enrollmentService');
+
+/**
+ * Days after publication a student may file an appeal
+ */
+const APPEAL_FILING_DAYS = parseInt(process.env.GRADE_APPEAL_FILING_DAYS, 10) || 14;
+
+/**
+ * Days the instructor has to decide before the appeal is escalated
+ */
+const APPEAL_RESPONSE_DAYS = parseInt(process.env.GRADE_APPEAL_RESPONSE_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Include tree for appeal listings
+ */
+const appealIncludes = (sectionWhere = null) => [
+  {
+    model: Enrollment,
+    as: 'enrollment',
+    attributes: ['id', 'section_id', 'midterm_grade', 'final_grade', 'numeric_grade', 'letter_grade'],
+    required: Boolean(sectionWhere),
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        attributes: ['id', 'section_number', 'semester', 'year', 'instructor_id'],
+        required: Boolean(sectionWhere),
+        ...(sectionWhere ? { where: sectionWhere } : {}),
+        include: [
+          {
+            model: Course,
+            as: 'course',
+            attributes: ['code', 'name']
+          }
+        ]
+      }
+    ]
+  },
+  {
+    model: Student,
+    as: 'student',
+    attributes: ['id', 'student_number', 'user_id'],
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['first_name', 'last_name', 'email']
+      }
+    ]
+  }
+];
+
+/**
+ * Load an appeal with enrollment, section and student
+ */
+const findAppeal = async (appealId) => {
+  const appeal = await GradeAppeal.findByPk(appealId, { include: appealIncludes() });
+
+  if (!appeal) {
+    throw new AppError('Grade appeal not found', 404, 'APPEAL_NOT_FOUND');
+  }
+
+  return appeal;
+};
+
+/**
+ * Course label for notifications
+ */
+const courseLabel = (section) => {
+  return section && section.course ? `${section.course.code} - ${section.course.name}` : 'your course';
+};
+
+/**
+ * Notify the section instructor
+ */
+const notifyInstructor = async (section, notification) => {
+  const instructor = await Faculty.findByPk(section.instructor_id);
+  if (!instructor) return;
+
+  await NotificationService.sendNotification({ userId: instructor.user_id, ...notification });
+};
+
+/**
+ * Notify every admin
+ */
+const notifyAdmins = async (notification) => {
+  const admins = await User.findAll({ where: { role: 'admin' }, attributes: ['id'] });
+
+  await Promise.all(admins.map(admin => NotificationService.sendNotification({ userId: admin.id, ...notification })));
+};
+
+/**
+ * File an appeal against a published grade
+ * @param {string} studentId - The student ID
+ * @param {Object} data - { enrollment_id, reason, document_url }
+ * @returns {Object} - Created appeal
+ */
+const createAppeal = async (studentId, data) => {
+  const enrollment = await Enrollment.findByPk(data.enrollment_id, {
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        include: [{ model: Course, as: 'course', attributes: ['code', 'name'] }]
+      }
+    ]
+  });
+
+  if (!enrollment || enrollment.student_id !== studentId) {
+    throw new AppError('Enrollment not found', 404, 'ENROLLMENT_NOT_FOUND');
+  }
+
+  const release = await gradeReleaseService.getSectionRelease(enrollment.section_id);
+
+  if (release.status !== 'published' || !enrollment.letter_grade) {
+    throw new AppError('Only published grades can be appealed', 400, 'GRADE_NOT_PUBLISHED');
+  }
+
+  const filingDeadline = new Date(new Date(release.published_at).getTime() + APPEAL_FILING_DAYS * DAY_MS);
+  if (new Date() > filingDeadline) {
+    throw new AppError(
+      `The appeal period ended on ${filingDeadline.toISOString().split('T')[0]}`,
+      400,
+      'APPEAL_PERIOD_OVER'
+    );
+  }
+
+  const existing = await GradeAppeal.findOne({ where: { enrollment_id: enrollment.id } });
+  if (existing) {
+    throw new AppError('An appeal for this grade already exists', 400, 'DUPLICATE_APPEAL');
+  }
+
+  const appeal = await GradeAppeal.create({
+    student_id: studentId,
+    enrollment_id: enrollment.id,
+    reason: data.reason,
+    document_url: data.document_url || null,
+    status: 'pending',
+    original_letter_grade: enrollment.letter_grade,
+    response_due_at: new Date(Date.now() + APPEAL_RESPONSE_DAYS * DAY_MS)
+  });
+
+  await notifyInstructor(enrollment.section, {
+    title: 'New Grade Appeal',
+    message: `A student has appealed their ${enrollment.letter_grade} grade in ${courseLabel(enrollment.section)}. Please respond within ${APPEAL_RESPONSE_DAYS} days.`,
+    type: 'info',
+    priority: 'high',
+    actionUrl: `/grade-appeals/${appeal.id}`
+  });
+
+  return appeal;
+};
+
+/**
+ * Appeals filed by a student
+ */
+const getStudentAppeals = async (studentId) => {
+  return GradeAppeal.findAll({
+    where: { student_id: studentId },
+    include: appealIncludes(),
+    order: [['created_at', 'DESC']]
+  });
+};
+
+/**
+ * Appeals against grades in sections taught by an instructor
+ * @param {string} instructorId - Faculty ID
+ * @param {Object} filters - { status }
+ */
+const getInstructorAppeals = async (instructorId, filters = {}) => {
+  const where = {};
+  if (filters.status) where.status = filters.status;
+
+  return GradeAppeal.findAll({
+    where,
+    include: appealIncludes({ instructor_id: instructorId }),
+    order: [['response_due_at', 'ASC']]
+  });
+};
+
+/**
+ * All appeals (admin)
+ * @param {Object} filters - { status }
+ */
+const getAllAppeals = async (filters = {}) => {
+  const where = {};
+  if (filters.status) where.status = filters.status;
+
+  return GradeAppeal.findAll({
+    where,
+    include: appealIncludes(),
+    order: [['created_at', 'DESC']]
+  });
+};
+
+/**
+ * A single appeal, visible to its student, the section instructor and admins
+ * @param {string} appealId - The appeal ID
+ * @param {Object} user - { id, role, studentProfile, facultyProfile }
+ */
+const getAppealForUser = async (appealId, user) => {
+  const appeal = await findAppeal(appealId);
+
+  const isOwner = user.role === 'student' && user.studentProfile && appeal.student_id === user.studentProfile.id;
+  const isInstructor = user.role === 'faculty' && user.facultyProfile &&
+    appeal.enrollment.section.instructor_id === user.facultyProfile.id;
+
+  if (user.role !== 'admin' && !isOwner && !isInstructor) {
+    throw new AppError('Not authorized to view this appeal', 403, 'FORBIDDEN');
+  }
+
+  return appeal;
+};
+
+/**
+ * Decide an appeal
+ * The instructor decides pending appeals; escalated appeals are decided by an admin.
+ * Accepting may amend the grade, which goes through the regular grade update
+ * (and so into the grade change history).
+ * @param {string} appealId - The appeal ID
+ * @param {Object} user - Reviewer { id, role }
+ * @param {string} instructorId - Reviewer's faculty ID (null for admin)
+ * @param {Object} data - { decision: 'accepted'|'rejected', notes, grades }
+ */
+const reviewAppeal = async (appealId, user, instructorId, data) => {
+  const appeal = await findAppeal(appealId);
+  const section = appeal.enrollment.section;
+  const isAdmin = user.role === 'admin';
+
+  if (!isAdmin && section.instructor_id !== instructorId) {
+    throw new AppError('Not authorized to review this appeal', 403, 'FORBIDDEN');
+  }
+
+  if (appeal.status === 'escalated' && !isAdmin) {
+    throw new AppError('This appeal has been escalated and is decided by an admin', 403, 'APPEAL_ESCALATED');
+  }
+
+  if (appeal.status !== 'pending' && appeal.status !== 'escalated') {
+    throw new AppError(`Appeal is already ${appeal.status}`, 400, 'APPEAL_CLOSED');
+  }
+
+  if (data.decision === 'rejected' && !data.notes) {
+    throw new AppError('Please explain why the appeal is rejected', 400, 'NOTES_REQUIRED');
+  }
+
+  let newLetterGrade = null;
+
+  if (data.decision === 'accepted' && data.grades) {
+    const updated = await enrollmentService.updateGrades(
+      appeal.enrollment_id,
+      {
+        ...data.grades,
+        reason: `Grade appeal accepted${data.notes ? `: ${data.notes}` : ''}`
+      },
+      isAdmin ? null : instructorId,
+      { userId: user.id }
+    );
+    newLetterGrade = updated.letter_grade;
+  }
+
+  await appeal.update({
+    status: data.decision,
+    reviewed_by: user.id,
+    reviewed_at: new Date(),
+    review_notes: data.notes || null,
+    new_letter_grade: newLetterGrade
+  });
+
+  const outcome = data.decision === 'accepted'
+    ? `was accepted${newLetterGrade ? `. Your new grade is ${newLetterGrade}` : ''}`
+    : `was rejected: ${data.notes}`;
+
+  await NotificationService.sendNotification({
+    userId: appeal.student.user_id,
+    title: 'Grade Appeal Decided',
+    message: `Your grade appeal for ${courseLabel(section)} ${outcome}.`,
+    type: data.decision === 'accepted' ? 'success' : 'warning',
+    priority: 'high',
+    actionUrl: `/grade-appeals/${appeal.id}`
+  });
+
+  return appeal;
+};
+
+/**
+ * Escalate an appeal to admin decision
+ * @param {string} appealId - The appeal ID
+ * @param {string} userId - Escalating admin (null for automatic escalation)
+ * @param {string} notes - Why it was escalated
+ */
+const escalateAppeal = async (appealId, userId, notes = null) => {
+  const appeal = await findAppeal(appealId);
+
+  if (appeal.status !== 'pending' && appeal.status !== 'rejected') {
+    throw new AppError('Only pending or rejected appeals can be escalated', 400, 'APPEAL_NOT_ESCALATABLE');
+  }
+
+  await appeal.update({
+    status: 'escalated',
+    escalated_by: userId,
+    escalated_at: new Date(),
+    escalation_notes: notes
+  });
+
+  const section = appeal.enrollment.section;
+  const message = `The grade appeal for ${courseLabel(section)} has been escalated for admin review.`;
+
+  await NotificationService.sendNotification({
+    userId: appeal.student.user_id,
+    title: 'Grade Appeal Escalated',
+    message,
+    type: 'info',
+    priority: 'medium',
+    actionUrl: `/grade-appeals/${appeal.id}`
+  });
+  await notifyInstructor(section, {
+    title: 'Grade Appeal Escalated',
+    message,
+    type: 'warning',
+    priority: 'medium',
+    actionUrl: `/grade-appeals/${appeal.id}`
+  });
+
+  if (!userId) {
+    await notifyAdmins({
+      title: 'Overdue Grade Appeal',
+      message: `The instructor did not respond in time. ${message}`,
+      type: 'warning',
+      priority: 'high',
+      actionUrl: `/grade-appeals/${appeal.id}`
+    });
+  }
+
+  return appeal;
+};
+
+/**
+ * Escalate pending appeals past their response deadline
+ * @param {Date} now - Current time
+ * @returns {number} - Number of appeals escalated
+ */
+const escalateOverdueAppeals = async (now = new Date()) => {
+  const overdue = await GradeAppeal.findAll({
+    where: {
+      status: 'pending',
+      response_due_at: { [Op.lt]: now }
+    },
+    attributes: ['id']
+  });
+
+  for (const appeal of overdue) {
+    await escalateAppeal(appeal.id, null, 'Instructor response deadline passed');
+  }
+
+  return overdue.length;
+};
+
+module.exports = {
+  APPEAL_FILING_DAYS,
+  APPEAL_RESPONSE_DAYS,
+  createAppeal,
+  getStudentAppeals,
+  getInstructorAppeals,
+  getAllAppeals,
+  getAppealForUser,
+  reviewAppeal,
+  escalateAppeal,
+  escalateOverdueAppeals
+};
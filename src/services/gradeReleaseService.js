@@ -0,0 +1,533 @@
+/**
+ * Grade Release Service
+ * Publication workflow for section grades: instructors keep grades in draft,
+ * submit them for department-head review, and approved grades are published
+ * to students on the release date. Changes after publication need a reason
+ * and are kept in the grade change history.
+ */
+
+const { Op } = require('sequelize');
+const {
+  GradeRelease,
+  GradeChange,
+  Enrollment,
+  CourseSection,
+  Course,
+  Department,
+  Faculty,
+  Student,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+
+/**
+ * Grade fields tracked in the change history
+ */
+const GRADE_FIELDS = ['midterm_grade', 'final_grade', 'component_scores', 'numeric_grade', 'letter_grade', 'status'];
+
+/**
+ * Snapshot of an enrollment's grade fields
+ */
+const gradeSnapshot = (enrollment) => {
+  const snapshot = {};
+  GRADE_FIELDS.forEach((field) => {
+    const value = enrollment[field];
+    snapshot[field] = value === undefined ? null : value;
+  });
+  return snapshot;
+};
+
+/**
+ * Release record of a section; sections graded before the workflow existed
+ * have none and get one on first use (published when grades were already out)
+ * @param {string} sectionId - The section ID
+ * @param {Object} transaction - Optional transaction
+ */
+const getOrCreateRelease = async (sectionId, transaction = null) => {
+  const release = await GradeRelease.findOne({
+    where: { section_id: sectionId },
+    transaction
+  });
+
+  if (release) return release;
+
+  const gradedCount = await Enrollment.count({
+    where: { section_id: sectionId, letter_grade: { [Op.not]: null } },
+    transaction
+  });
+
+  return GradeRelease.create({
+    section_id: sectionId,
+    status: gradedCount > 0 ? 'published' : 'draft',
+    published_at: gradedCount > 0 ? new Date() : null
+  }, { transaction });
+};
+
+/**
+ * Check that grades of a section may be changed
+ * Draft grades change freely; grades under review are locked and
+ * published grades need a reason.
+ * @param {string} sectionId - The section ID
+ * @param {string} reason - Change reason (required after publication)
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object} - The section's release record
+ */
+const assertGradesEditable = async (sectionId, reason, transaction = null) => {
+  const release = await getOrCreateRelease(sectionId, transaction);
+
+  if (release.status === 'submitted' || release.status === 'approved') {
+    throw new AppError(
+      'Grades are under review and cannot be changed. Withdraw the submission first',
+      409,
+      'GRADES_UNDER_REVIEW'
+    );
+  }
+
+  if (release.status === 'published' && !(reason && String(reason).trim())) {
+    throw new AppError(
+      'Grades have been published; a reason is required to change them',
+      400,
+      'CHANGE_REASON_REQUIRED'
+    );
+  }
+
+  return release;
+};
+
+/**
+ * Check that a section's grades are still in draft
+ * Used for changes that regrade the whole section (grading scheme, gradebook items)
+ * @param {string} sectionId - The section ID
+ * @param {string} action - What is being changed, for the error message
+ * @param {Object} transaction - Optional transaction
+ */
+const assertDraft = async (sectionId, action = 'This change', transaction = null) => {
+  const release = await getOrCreateRelease(sectionId, transaction);
+
+  if (release.status !== 'draft') {
+    throw new AppError(
+      `${action} is only possible while grades are in draft (current status: ${release.status})`,
+      409,
+      'GRADES_LOCKED'
+    );
+  }
+
+  return release;
+};
+
+/**
+ * Record a change to published grades
+ * @param {Object} before - Grade snapshot before the change
+ * @param {Object} enrollment - Updated enrollment
+ * @param {string} reason - Why the grade changed
+ * @param {string} userId - User making the change
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object|null} - The change record, null when nothing changed
+ */
+const recordGradeChange = async (before, enrollment, reason, userId, transaction = null) => {
+  const after = gradeSnapshot(enrollment);
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return null;
+  }
+
+  return GradeChange.create({
+    enrollment_id: enrollment.id,
+    changed_by: userId,
+    reason: String(reason).trim(),
+    previous_values: before,
+    new_values: after
+  }, { transaction });
+};
+
+/**
+ * Load a section with course and department for the workflow
+ */
+const findSection = async (sectionId) => {
+  const section = await CourseSection.findByPk(sectionId, {
+    include: [
+      {
+        model: Course,
+        as: 'course',
+        include: [{ model: Department, as: 'department' }]
+      }
+    ]
+  });
+
+  if (!section) {
+    throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
+  }
+
+  return section;
+};
+
+/**
+ * Verify the instructor teaches the section (null = admin)
+ */
+const assertInstructor = (section, instructorId) => {
+  if (instructorId && section.instructor_id !== instructorId) {
+    throw new AppError(
+      'You are not authorized to manage grades for this section',
+      403,
+      'NOT_SECTION_INSTRUCTOR'
+    );
+  }
+};
+
+/**
+ * Verify the faculty member teaches the section or heads its department
+ * (read access for the reviewer; null = admin)
+ */
+const assertInstructorOrHead = (section, instructorId) => {
+  const department = section.course && section.course.department;
+
+  if (instructorId && department && department.head_faculty_id === instructorId) return;
+
+  assertInstructor(section, instructorId);
+};
+
+/**
+ * Users who review grades for a section: the department head, or all
+ * admins when the department has none (or the head teaches the section)
+ */
+const getReviewerUserIds = async (section) => {
+  const department = section.course && section.course.department;
+
+  if (department && department.head_faculty_id) {
+    const head = await Faculty.findByPk(department.head_faculty_id);
+    if (head && head.id !== section.instructor_id) return [head.user_id];
+  }
+
+  const admins = await User.findAll({ where: { role: 'admin' }, attributes: ['id'] });
+  return admins.map(admin => admin.id);
+};
+
+/**
+ * Verify the user may review grades for the section
+ * @param {Object} section - Section with course.department
+ * @param {Object} user - { id, role }
+ */
+const assertReviewer = async (section, user) => {
+  if (user.role === 'admin') return;
+
+  const department = section.course && section.course.department;
+  const faculty = await Faculty.findOne({ where: { user_id: user.id } });
+
+  if (!faculty || !department || department.head_faculty_id !== faculty.id) {
+    throw new AppError(
+      'Only the department head or an admin can review these grades',
+      403,
+      'NOT_DEPARTMENT_HEAD'
+    );
+  }
+
+  if (faculty.id === section.instructor_id) {
+    throw new AppError('You cannot review grades for your own section', 403, 'SELF_REVIEW');
+  }
+};
+
+/**
+ * Course label for notifications
+ */
+const sectionLabel = (section) => {
+  const course = section.course;
+  return course ? `${course.code} - ${course.name} (Section ${section.section_number})` : `Section ${section.section_number}`;
+};
+
+/**
+ * Release state of a section with grading progress
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Faculty ID (null for admin)
+ */
+const getReleaseStatus = async (sectionId, instructorId = null) => {
+  const section = await findSection(sectionId);
+  assertInstructorOrHead(section, instructorId);
+
+  const release = await getOrCreateRelease(sectionId);
+
+  const [total, graded] = await Promise.all([
+    Enrollment.count({
+      where: { section_id: sectionId, status: { [Op.in]: ['enrolled', 'completed', 'failed'] } }
+    }),
+    Enrollment.count({
+      where: {
+        section_id: sectionId,
+        status: { [Op.in]: ['enrolled', 'completed', 'failed'] },
+        letter_grade: { [Op.not]: null }
+      }
+    })
+  ]);
+
+  return {
+    section_id: sectionId,
+    status: release.status,
+    release_at: release.release_at,
+    submitted_at: release.submitted_at,
+    reviewed_at: release.reviewed_at,
+    review_comment: release.review_comment,
+    published_at: release.published_at,
+    enrollments: total,
+    graded
+  };
+};
+
+/**
+ * Submit draft grades for department review
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - Submitting user
+ * @param {Object} options - { release_at }
+ */
+const submitGrades = async (sectionId, instructorId, userId, options = {}) => {
+  const section = await findSection(sectionId);
+  assertInstructor(section, instructorId);
+
+  const release = await getOrCreateRelease(sectionId);
+
+  if (release.status !== 'draft') {
+    throw new AppError(`Grades are already ${release.status}`, 409, 'INVALID_RELEASE_STATUS');
+  }
+
+  const ungraded = await Enrollment.count({
+    where: { section_id: sectionId, status: 'enrolled', letter_grade: null }
+  });
+
+  if (ungraded > 0) {
+    throw new AppError(
+      `${ungraded} students do not have a final grade yet`,
+      400,
+      'INCOMPLETE_GRADES'
+    );
+  }
+
+  await release.update({
+    status: 'submitted',
+    release_at: options.release_at || release.release_at,
+    submitted_by: userId,
+    submitted_at: new Date(),
+    reviewed_by: null,
+    reviewed_at: null,
+    review_comment: null
+  });
+
+  const reviewerIds = await getReviewerUserIds(section);
+  await Promise.all(reviewerIds.map(reviewerId => NotificationService.sendNotification({
+    userId: reviewerId,
+    title: 'Grades Submitted for Review',
+    message: `Grades for ${sectionLabel(section)} are waiting for your review.`,
+    type: 'info',
+    priority: 'medium',
+    actionUrl: `/sections/${sectionId}/grades/release`
+  })));
+
+  return release;
+};
+
+/**
+ * Withdraw a submission so grades can be edited again
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Faculty ID (null for admin)
+ */
+const withdrawSubmission = async (sectionId, instructorId) => {
+  const section = await findSection(sectionId);
+  assertInstructor(section, instructorId);
+
+  const release = await getOrCreateRelease(sectionId);
+
+  if (release.status !== 'submitted' && release.status !== 'approved') {
+    throw new AppError('Only submitted or approved grades can be withdrawn', 409, 'INVALID_RELEASE_STATUS');
+  }
+
+  await release.update({ status: 'draft' });
+
+  return release;
+};
+
+/**
+ * Mark grades published and notify the students
+ * @param {Object} release - Release record
+ * @param {Object} section - Section with course (loaded when omitted)
+ */
+const publishRelease = async (release, section = null) => {
+  await release.update({ status: 'published', published_at: new Date() });
+
+  const releasedSection = section || await findSection(release.section_id);
+
+  const enrollments = await Enrollment.findAll({
+    where: {
+      section_id: release.section_id,
+      status: { [Op.in]: ['enrolled', 'completed', 'failed'] }
+    },
+    include: [{ model: Student, as: 'student', attributes: ['user_id'] }]
+  });
+
+  await Promise.all(enrollments
+    .filter(enrollment => enrollment.student)
+    .map(enrollment => NotificationService.sendNotification({
+      userId: enrollment.student.user_id,
+      title: 'Grades Published',
+      message: `Your grade for ${sectionLabel(releasedSection)} is now available.`,
+      type: 'announcement',
+      priority: 'medium',
+      actionUrl: '/grades'
+    })));
+
+  return release;
+};
+
+/**
+ * Approve or send back submitted grades
+ * Approved grades are published right away unless a future release date is set.
+ * @param {string} sectionId - The section ID
+ * @param {Object} user - Reviewer { id, role }
+ * @param {Object} data - { decision: 'approve'|'reject', comment, release_at }
+ */
+const reviewGrades = async (sectionId, user, data) => {
+  const section = await findSection(sectionId);
+  await assertReviewer(section, user);
+
+  const release = await getOrCreateRelease(sectionId);
+
+  if (release.status !== 'submitted') {
+    throw new AppError('Only submitted grades can be reviewed', 409, 'INVALID_RELEASE_STATUS');
+  }
+
+  const reviewed = {
+    reviewed_by: user.id,
+    reviewed_at: new Date(),
+    review_comment: data.comment || null
+  };
+
+  if (data.decision === 'reject') {
+    if (!data.comment) {
+      throw new AppError('A comment is required when sending grades back', 400, 'COMMENT_REQUIRED');
+    }
+
+    await release.update({ ...reviewed, status: 'draft' });
+
+    const instructor = await Faculty.findByPk(section.instructor_id);
+    if (instructor) {
+      await NotificationService.sendNotification({
+        userId: instructor.user_id,
+        title: 'Grades Returned',
+        message: `Grades for ${sectionLabel(section)} were sent back: ${data.comment}`,
+        type: 'warning',
+        priority: 'high',
+        actionUrl: `/sections/${sectionId}/grades/release`
+      });
+    }
+
+    return release;
+  }
+
+  const releaseAt = data.release_at ? new Date(data.release_at) : release.release_at;
+
+  await release.update({ ...reviewed, status: 'approved', release_at: releaseAt });
+
+  if (!releaseAt || new Date(releaseAt) <= new Date()) {
+    await publishRelease(release, section);
+  }
+
+  return release;
+};
+
+/**
+ * Publish approved grades whose release date has passed
+ * @param {Date} now - Current time
+ * @returns {number} - Number of sections published
+ */
+const publishDueReleases = async (now = new Date()) => {
+  const due = await GradeRelease.findAll({
+    where: {
+      status: 'approved',
+      release_at: { [Op.lte]: now }
+    }
+  });
+
+  for (const release of due) {
+    await publishRelease(release);
+  }
+
+  return due.length;
+};
+
+/**
+ * Change history of a section's published grades
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Faculty ID (null for admin)
+ */
+const getGradeChanges = async (sectionId, instructorId = null) => {
+  const section = await findSection(sectionId);
+  assertInstructorOrHead(section, instructorId);
+
+  return GradeChange.findAll({
+    include: [
+      {
+        model: Enrollment,
+        as: 'enrollment',
+        where: { section_id: sectionId },
+        attributes: ['id', 'student_id'],
+        include: [{ model: Student, as: 'student', attributes: ['student_number'] }]
+      },
+      {
+        model: User,
+        as: 'changedBy',
+        attributes: ['id', 'first_name', 'last_name']
+      }
+    ],
+    order: [['created_at', 'DESC']]
+  });
+};
+
+/**
+ * Hide grades of unpublished sections (student-facing views)
+ * Mutates the enrollment instances in place; nothing is saved.
+ * @param {Array} enrollments - Enrollment instances
+ * @returns {Array} - The same enrollments
+ */
+const hideUnpublishedGrades = async (enrollments) => {
+  if (enrollments.length === 0) return enrollments;
+
+  const sectionIds = [...new Set(enrollments.map(e => e.section_id))];
+  const unpublished = await GradeRelease.findAll({
+    where: {
+      section_id: { [Op.in]: sectionIds },
+      status: { [Op.ne]: 'published' }
+    },
+    attributes: ['section_id']
+  });
+  const hidden = new Set(unpublished.map(r => r.section_id));
+
+  enrollments.forEach((enrollment) => {
+    // W is a registration record, not an instructor grade
+    if (!hidden.has(enrollment.section_id) || enrollment.status === 'withdrawn') return;
+
+    enrollment.midterm_grade = null;
+    enrollment.final_grade = null;
+    enrollment.component_scores = {};
+    enrollment.numeric_grade = null;
+    enrollment.letter_grade = null;
+    // Completed/failed would give the result away
+    if (enrollment.status === 'completed' || enrollment.status === 'failed') {
+      enrollment.status = 'enrolled';
+    }
+  });
+
+  return enrollments;
+};
+
+module.exports = {
+  getSectionRelease: getOrCreateRelease,
+  gradeSnapshot,
+  assertGradesEditable,
+  assertDraft,
+  recordGradeChange,
+  getReleaseStatus,
+  submitGrades,
+  withdrawSubmission,
+  reviewGrades,
+  publishDueReleases,
+  getGradeChanges,
+  hideUnpublishedGrades
+};
@@ -0,0 +1,694 @@
+/**
+ * Gradebook Service
+ * Assessment items (quizzes, homework, labs) per section with per-student
+ * scores. Item scores roll up into the grading scheme components, so the
+ * midterm/final and other component grades are derived automatically.
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  GradebookItem,
+  GradebookScore,
+  Enrollment,
+  Student,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const gradingService = require('./gradingService');
+const enrollmentService = require('./enrollmentService');
+const gradeReleaseService = require('./gradeReleaseService');
+
+const STUDENT_NUMBER_HEADER = 'Student Number';
+const STUDENT_NAME_HEADER = 'Student Name';
+const EXCUSED_MARK = 'EX';
+
+/**
+ * Export-only columns, ignored silently on import
+ */
+const isDerivedHeader = (header) => /\s%$/.test(header) || ['score', 'letter grade'].includes(header.toLowerCase());
+
+/**
+ * Round to two decimals
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Plain value of an ExcelJS cell (formulas, rich text and hyperlinks unwrapped)
+ */
+const cellValue = (cell) => {
+  const value = cell && cell.value;
+
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (value.result !== undefined) return value.result;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return value.text;
+
+  return null;
+};
+
+/**
+ * Roll item scores up into grading scheme components
+ * A component is complete once every item in it is scored or excused;
+ * excused items are left out of both earned and possible points.
+ * @param {Array} items - Gradebook items of the section
+ * @param {Object} scoresByItem - { [itemId]: { points, is_excused } } for one student
+ * @returns {Object} - { [componentKey]: { earned, possible, percent, graded, total, complete } }
+ */
+const calculateComponentTotals = (items, scoresByItem) => {
+  const totals = {};
+
+  items.forEach((item) => {
+    const key = item.component_key;
+    if (!totals[key]) {
+      totals[key] = { earned: 0, possible: 0, graded: 0, total: 0 };
+    }
+
+    const total = totals[key];
+    const score = scoresByItem[item.id];
+    total.total++;
+
+    if (!score) return;
+
+    if (score.is_excused) {
+      total.graded++;
+    } else if (score.points !== null && score.points !== undefined) {
+      total.graded++;
+      total.earned += parseFloat(score.points);
+      total.possible += parseFloat(item.max_points);
+    }
+  });
+
+  Object.values(totals).forEach((total) => {
+    total.earned = round2(total.earned);
+    total.possible = round2(total.possible);
+    // Running percentage over what has been graded so far
+    total.percent = total.possible > 0 ? round2((total.earned / total.possible) * 100) : null;
+    total.complete = total.graded === total.total && total.possible > 0;
+  });
+
+  return totals;
+};
+
+/**
+ * Validate a component key against the section's grading scheme
+ */
+const assertComponentKey = (scheme, componentKey) => {
+  const keys = scheme.components.map(c => c.key);
+
+  if (!keys.includes(componentKey)) {
+    throw new AppError(
+      `Unknown grading component: ${componentKey}. Section components: ${keys.join(', ')}`,
+      400,
+      'UNKNOWN_GRADE_COMPONENT'
+    );
+  }
+};
+
+/**
+ * Load an item and verify it belongs to the section
+ */
+const findSectionItem = async (sectionId, itemId) => {
+  const item = await GradebookItem.findOne({
+    where: { id: itemId, section_id: sectionId }
+  });
+
+  if (!item) {
+    throw new AppError('Gradebook item not found', 404, 'GRADEBOOK_ITEM_NOT_FOUND');
+  }
+
+  return item;
+};
+
+/**
+ * Active enrollments of a section with student names
+ */
+const getSectionRoster = async (sectionId) => {
+  return Enrollment.findAll({
+    where: {
+      section_id: sectionId,
+      status: { [Op.in]: ['enrolled', 'completed', 'failed'] }
+    },
+    include: [
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number'],
+        include: [
+          {
+            model: User,
+            as: 'user',
+            attributes: ['first_name', 'last_name', 'email']
+          }
+        ]
+      }
+    ],
+    order: [[{ model: Student, as: 'student' }, 'student_number', 'ASC']]
+  });
+};
+
+/**
+ * Full name of a roster entry
+ */
+const studentName = (enrollment) => {
+  const user = enrollment.student && enrollment.student.user;
+  return user ? `${user.first_name} ${user.last_name}` : null;
+};
+
+/**
+ * Gradebook items of a section in column order
+ */
+const getSectionItems = async (sectionId) => {
+  return GradebookItem.findAll({
+    where: { section_id: sectionId },
+    order: [['position', 'ASC'], ['created_at', 'ASC']]
+  });
+};
+
+/**
+ * Push derived component scores into the enrollments' grades
+ * Only components that have gradebook items are touched; incomplete
+ * components are cleared so no letter grade is issued early.
+ * @param {string} sectionId - The section ID
+ * @param {Array} enrollmentIds - Enrollments to recalculate (all when omitted)
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {Array} clearKeys - Components that lost their last item
+ * @param {Object} options - { reason, userId } for changes to published grades
+ * @returns {Object} - bulkUpdateGrades summary
+ */
+const syncDerivedGrades = async (sectionId, enrollmentIds = null, instructorId = null, clearKeys = [], options = {}) => {
+  const items = await getSectionItems(sectionId);
+  const scheme = await gradingService.getSectionGradingScheme(sectionId);
+  const schemeKeys = scheme.components.map(c => c.key);
+
+  // Items pointing at components no longer in the scheme are ignored
+  const countedItems = items.filter(item => schemeKeys.includes(item.component_key));
+  const derivedKeys = [...new Set(countedItems.map(item => item.component_key))];
+  const keysToClear = clearKeys.filter(key => schemeKeys.includes(key) && !derivedKeys.includes(key));
+
+  if (derivedKeys.length === 0 && keysToClear.length === 0) {
+    return { successful: [], failed: [] };
+  }
+
+  const where = {
+    section_id: sectionId,
+    status: { [Op.in]: ['enrolled', 'completed', 'failed'] }
+  };
+  if (enrollmentIds) {
+    where.id = { [Op.in]: enrollmentIds };
+  }
+
+  const enrollments = await Enrollment.findAll({ where, attributes: ['id'] });
+  const ids = enrollments.map(e => e.id);
+
+  const scores = ids.length > 0
+    ? await GradebookScore.findAll({
+      where: {
+        enrollment_id: { [Op.in]: ids },
+        item_id: { [Op.in]: countedItems.map(item => item.id) }
+      }
+    })
+    : [];
+
+  const scoresByEnrollment = {};
+  scores.forEach((score) => {
+    if (!scoresByEnrollment[score.enrollment_id]) scoresByEnrollment[score.enrollment_id] = {};
+    scoresByEnrollment[score.enrollment_id][score.item_id] = score;
+  });
+
+  const updates = ids.map((enrollmentId) => {
+    const totals = calculateComponentTotals(countedItems, scoresByEnrollment[enrollmentId] || {});
+    const components = {};
+
+    derivedKeys.forEach((key) => {
+      components[key] = totals[key].complete ? totals[key].percent : null;
+    });
+    keysToClear.forEach((key) => {
+      components[key] = null;
+    });
+
+    return { enrollment_id: enrollmentId, components };
+  });
+
+  return enrollmentService.bulkUpdateGrades(sectionId, updates, instructorId, options);
+};
+
+/**
+ * List a section's gradebook items
+ */
+const listItems = async (sectionId, instructorId) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+  return getSectionItems(sectionId);
+};
+
+/**
+ * Create an assessment item
+ * @param {string} sectionId - The section ID
+ * @param {Object} data - { title, component_key, max_points, due_date, position }
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - User creating the item
+ */
+const createItem = async (sectionId, data, instructorId, userId) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+  await gradeReleaseService.assertDraft(sectionId, 'Changing gradebook items');
+
+  const scheme = await gradingService.getSectionGradingScheme(sectionId);
+  assertComponentKey(scheme, data.component_key);
+
+  const existing = await GradebookItem.findOne({
+    where: { section_id: sectionId, title: data.title }
+  });
+  if (existing) {
+    throw new AppError(`An item named "${data.title}" already exists`, 409, 'DUPLICATE_GRADEBOOK_ITEM');
+  }
+
+  const position = data.position !== undefined
+    ? data.position
+    : await GradebookItem.count({ where: { section_id: sectionId } });
+
+  const item = await GradebookItem.create({
+    section_id: sectionId,
+    title: data.title,
+    component_key: data.component_key,
+    max_points: data.max_points,
+    due_date: data.due_date || null,
+    position,
+    created_by: userId
+  });
+
+  // A new ungraded item makes its component incomplete again
+  await syncDerivedGrades(sectionId, null, instructorId);
+
+  return item;
+};
+
+/**
+ * Update an assessment item; grades are re-derived when scoring changes
+ */
+const updateItem = async (sectionId, itemId, data, instructorId) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+  await gradeReleaseService.assertDraft(sectionId, 'Changing gradebook items');
+
+  const item = await findSectionItem(sectionId, itemId);
+  const previousKey = item.component_key;
+
+  if (data.component_key !== undefined) {
+    const scheme = await gradingService.getSectionGradingScheme(sectionId);
+    assertComponentKey(scheme, data.component_key);
+  }
+
+  if (data.title !== undefined && data.title !== item.title) {
+    const existing = await GradebookItem.findOne({
+      where: { section_id: sectionId, title: data.title, id: { [Op.ne]: itemId } }
+    });
+    if (existing) {
+      throw new AppError(`An item named "${data.title}" already exists`, 409, 'DUPLICATE_GRADEBOOK_ITEM');
+    }
+  }
+
+  const updateData = {};
+  ['title', 'component_key', 'max_points', 'due_date', 'position'].forEach((field) => {
+    if (data[field] !== undefined) updateData[field] = data[field];
+  });
+
+  if (updateData.max_points !== undefined) {
+    const overMax = await GradebookScore.count({
+      where: { item_id: itemId, points: { [Op.gt]: updateData.max_points } }
+    });
+    if (overMax > 0) {
+      throw new AppError(
+        `${overMax} existing scores exceed the new maximum of ${updateData.max_points} points`,
+        400,
+        'SCORES_EXCEED_MAX_POINTS'
+      );
+    }
+  }
+
+  const scoringChanged = (updateData.max_points !== undefined && parseFloat(updateData.max_points) !== parseFloat(item.max_points)) ||
+    (updateData.component_key !== undefined && updateData.component_key !== previousKey);
+
+  await item.update(updateData);
+
+  if (scoringChanged) {
+    await syncDerivedGrades(sectionId, null, instructorId, [previousKey]);
+  }
+
+  return item;
+};
+
+/**
+ * Delete an assessment item and its scores
+ */
+const deleteItem = async (sectionId, itemId, instructorId) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+  await gradeReleaseService.assertDraft(sectionId, 'Changing gradebook items');
+
+  const item = await findSectionItem(sectionId, itemId);
+  const componentKey = item.component_key;
+
+  await item.destroy();
+
+  await syncDerivedGrades(sectionId, null, instructorId, [componentKey]);
+};
+
+/**
+ * Full gradebook: items, roster, scores and derived component totals
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Faculty ID (null for admin)
+ */
+const getGradebook = async (sectionId, instructorId) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+
+  const [items, roster, scheme] = await Promise.all([
+    getSectionItems(sectionId),
+    getSectionRoster(sectionId),
+    gradingService.getSectionGradingScheme(sectionId)
+  ]);
+
+  const scores = items.length > 0 && roster.length > 0
+    ? await GradebookScore.findAll({
+      where: {
+        item_id: { [Op.in]: items.map(item => item.id) },
+        enrollment_id: { [Op.in]: roster.map(e => e.id) }
+      }
+    })
+    : [];
+
+  const scoresByEnrollment = {};
+  scores.forEach((score) => {
+    if (!scoresByEnrollment[score.enrollment_id]) scoresByEnrollment[score.enrollment_id] = {};
+    scoresByEnrollment[score.enrollment_id][score.item_id] = score;
+  });
+
+  const students = roster.map((enrollment) => {
+    const studentScores = scoresByEnrollment[enrollment.id] || {};
+
+    return {
+      enrollment_id: enrollment.id,
+      student_id: enrollment.student_id,
+      student_number: enrollment.student ? enrollment.student.student_number : null,
+      name: studentName(enrollment),
+      scores: items.map((item) => {
+        const score = studentScores[item.id];
+        return {
+          item_id: item.id,
+          points: score && score.points !== null ? parseFloat(score.points) : null,
+          is_excused: score ? score.is_excused : false,
+          comment: score ? score.comment : null
+        };
+      }),
+      components: calculateComponentTotals(items, studentScores),
+      midterm_grade: enrollment.midterm_grade,
+      final_grade: enrollment.final_grade,
+      numeric_grade: enrollment.numeric_grade,
+      letter_grade: enrollment.letter_grade
+    };
+  });
+
+  return {
+    section_id: sectionId,
+    scheme,
+    items,
+    students
+  };
+};
+
+/**
+ * Enter or change scores
+ * @param {string} sectionId - The section ID
+ * @param {Array} entries - [{ enrollment_id, item_id, points, is_excused, comment }]
+ *   points null (and not excused) clears the score
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - User entering the scores
+ * @param {string} reason - Change reason, required once grades are published
+ * @returns {Object} - { saved, cleared, failed, grades }
+ */
+const saveScores = async (sectionId, entries, instructorId, userId, reason = null) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+  await gradeReleaseService.assertGradesEditable(sectionId, reason);
+
+  const items = await getSectionItems(sectionId);
+  const itemsById = {};
+  items.forEach((item) => { itemsById[item.id] = item; });
+
+  const enrollments = await Enrollment.findAll({
+    where: {
+      section_id: sectionId,
+      status: { [Op.in]: ['enrolled', 'completed', 'failed'] }
+    },
+    attributes: ['id']
+  });
+  const enrollmentIds = new Set(enrollments.map(e => e.id));
+
+  const result = { saved: 0, cleared: 0, failed: [] };
+  const valid = [];
+
+  entries.forEach((entry) => {
+    const item = itemsById[entry.item_id];
+    const fail = (error) => result.failed.push({
+      enrollment_id: entry.enrollment_id,
+      item_id: entry.item_id,
+      error
+    });
+
+    if (!item) return fail('Gradebook item not found in this section');
+    if (!enrollmentIds.has(entry.enrollment_id)) return fail('Enrollment not found in this section');
+
+    if (!entry.is_excused && entry.points !== null && entry.points !== undefined) {
+      const points = parseFloat(entry.points);
+      if (isNaN(points) || points < 0 || points > parseFloat(item.max_points)) {
+        return fail(`Points must be between 0 and ${parseFloat(item.max_points)}`);
+      }
+    }
+
+    valid.push(entry);
+  });
+
+  const touched = new Set();
+  const transaction = await sequelize.transaction();
+
+  try {
+    for (const entry of valid) {
+      const excused = Boolean(entry.is_excused);
+      const hasPoints = entry.points !== null && entry.points !== undefined && entry.points !== '';
+
+      const existing = await GradebookScore.findOne({
+        where: { item_id: entry.item_id, enrollment_id: entry.enrollment_id },
+        transaction
+      });
+
+      if (!excused && !hasPoints) {
+        if (existing) {
+          await existing.destroy({ transaction });
+          result.cleared++;
+          touched.add(entry.enrollment_id);
+        }
+        continue;
+      }
+
+      const data = {
+        points: excused ? null : parseFloat(entry.points),
+        is_excused: excused,
+        graded_by: userId
+      };
+      if (entry.comment !== undefined) data.comment = entry.comment;
+
+      if (existing) {
+        await existing.update(data, { transaction });
+      } else {
+        await GradebookScore.create({
+          item_id: entry.item_id,
+          enrollment_id: entry.enrollment_id,
+          ...data
+        }, { transaction });
+      }
+
+      result.saved++;
+      touched.add(entry.enrollment_id);
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  result.grades = touched.size > 0
+    ? await syncDerivedGrades(sectionId, [...touched], instructorId, [], { reason, userId })
+    : { successful: [], failed: [] };
+
+  return result;
+};
+
+/**
+ * Build the gradebook spreadsheet (one row per student, one column per item)
+ * @returns {ExcelJS.Workbook}
+ */
+const buildGradebookWorkbook = async (sectionId, instructorId) => {
+  const gradebook = await getGradebook(sectionId, instructorId);
+  const componentNames = {};
+  gradebook.scheme.components.forEach((c) => { componentNames[c.key] = c.name; });
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Gradebook');
+
+  const componentKeys = [...new Set(gradebook.items.map(item => item.component_key))];
+
+  sheet.columns = [
+    { header: STUDENT_NUMBER_HEADER, key: 'student_number', width: 16 },
+    { header: STUDENT_NAME_HEADER, key: 'name', width: 28 },
+    ...gradebook.items.map(item => ({ header: item.title, key: `item_${item.id}`, width: 14 })),
+    ...componentKeys.map(key => ({ header: `${componentNames[key] || key} %`, key: `component_${key}`, width: 14 })),
+    { header: 'Score', key: 'numeric_grade', width: 10 },
+    { header: 'Letter Grade', key: 'letter_grade', width: 12 }
+  ];
+
+  gradebook.students.forEach((student) => {
+    const row = {
+      student_number: student.student_number,
+      name: student.name,
+      numeric_grade: student.numeric_grade !== null ? parseFloat(student.numeric_grade) : null,
+      letter_grade: student.letter_grade
+    };
+
+    student.scores.forEach((score) => {
+      row[`item_${score.item_id}`] = score.is_excused ? EXCUSED_MARK : score.points;
+    });
+    componentKeys.forEach((key) => {
+      row[`component_${key}`] = student.components[key] ? student.components[key].percent : null;
+    });
+
+    sheet.addRow(row);
+  });
+
+  sheet.getRow(1).font = { bold: true };
+
+  return workbook;
+};
+
+/**
+ * Read an uploaded CSV or Excel file into a worksheet
+ */
+const readWorksheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(file.originalname || '') || file.mimetype === 'text/csv';
+
+  try {
+    if (isCsv) {
+      return await workbook.csv.read(Readable.from(file.buffer));
+    }
+
+    await workbook.xlsx.load(file.buffer);
+    return workbook.worksheets[0];
+  } catch (error) {
+    throw new AppError('Could not read the gradebook file', 400, 'INVALID_GRADEBOOK_FILE');
+  }
+};
+
+/**
+ * Import scores from a CSV or Excel file in the export layout
+ * Rows are matched by student number and columns by item title.
+ * Empty cells are skipped, "EX" marks the item as excused.
+ * @param {string} sectionId - The section ID
+ * @param {Object} file - Uploaded file { buffer, originalname, mimetype }
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - User importing the scores
+ * @param {string} reason - Change reason, required once grades are published
+ */
+const importGradebook = async (sectionId, file, instructorId, userId, reason = null) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+  await gradeReleaseService.assertGradesEditable(sectionId, reason);
+
+  const worksheet = await readWorksheet(file);
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new AppError('The gradebook file has no data rows', 400, 'INVALID_GRADEBOOK_FILE');
+  }
+
+  const items = await getSectionItems(sectionId);
+  const itemsByTitle = {};
+  items.forEach((item) => { itemsByTitle[item.title.trim().toLowerCase()] = item; });
+
+  // Map header columns to items
+  let studentNumberColumn = null;
+  const itemColumns = [];
+  const ignoredColumns = [];
+
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = String(cellValue(cell) || '').trim();
+    const item = itemsByTitle[header.toLowerCase()];
+
+    if (header.toLowerCase() === STUDENT_NUMBER_HEADER.toLowerCase()) {
+      studentNumberColumn = columnNumber;
+    } else if (item) {
+      itemColumns.push({ columnNumber, item });
+    } else if (header && header !== STUDENT_NAME_HEADER && !isDerivedHeader(header)) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  if (!studentNumberColumn) {
+    throw new AppError(`The gradebook file needs a "${STUDENT_NUMBER_HEADER}" column`, 400, 'INVALID_GRADEBOOK_FILE');
+  }
+  if (itemColumns.length === 0) {
+    throw new AppError('No columns match a gradebook item title', 400, 'INVALID_GRADEBOOK_FILE');
+  }
+
+  const roster = await getSectionRoster(sectionId);
+  const enrollmentByNumber = {};
+  roster.forEach((enrollment) => {
+    if (enrollment.student) enrollmentByNumber[String(enrollment.student.student_number)] = enrollment.id;
+  });
+
+  const entries = [];
+  const unknownStudents = [];
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const studentNumber = cellValue(row.getCell(studentNumberColumn));
+    if (studentNumber === null || studentNumber === '') return;
+
+    const enrollmentId = enrollmentByNumber[String(studentNumber).trim()];
+    if (!enrollmentId) {
+      unknownStudents.push(String(studentNumber));
+      return;
+    }
+
+    itemColumns.forEach(({ columnNumber, item }) => {
+      const value = cellValue(row.getCell(columnNumber));
+      if (value === null || value === '') return;
+
+      if (String(value).trim().toUpperCase() === EXCUSED_MARK) {
+        entries.push({ enrollment_id: enrollmentId, item_id: item.id, is_excused: true });
+      } else {
+        entries.push({ enrollment_id: enrollmentId, item_id: item.id, points: value });
+      }
+    });
+  });
+
+  const result = await saveScores(sectionId, entries, instructorId, userId, reason);
+
+  return {
+    ...result,
+    unknown_students: unknownStudents,
+    ignored_columns: ignoredColumns
+  };
+};
+
+module.exports = {
+  EXCUSED_MARK,
+  calculateComponentTotals,
+  syncDerivedGrades,
+  listItems,
+  createItem,
+  updateItem,
+  deleteItem,
+  getGradebook,
+  saveScores,
+  buildGradebookWorkbook,
+  importGradebook
+};
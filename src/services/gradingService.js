@@ -0,0 +1,335 @@
+/**
+ * Grading Service
+ * Per-section grading schemes: weighted components, optional curve and
+ * letter-grade cutoffs. Sections without a scheme use the default
+ * 40% midterm / 60% final split and the standard letter scale.
+ */
+
+const { GradingScheme, CourseSection } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const gradeReleaseService = require('./gradeReleaseService');
+
+/**
+ * Letter grades known to GPA calculation, best to worst
+ */
+const LETTER_GRADES = ['AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD', 'FD', 'FF'];
+
+const CURVE_TYPES = ['none', 'add_points', 'sqrt', 'target_mean'];
+
+/**
+ * Scheme used when a section has not defined its own
+ */
+const DEFAULT_GRADING_SCHEME = Object.freeze({
+  components: [
+    { key: 'midterm', name: 'Midterm', weight: 40 },
+    { key: 'final', name: 'Final', weight: 60 }
+  ],
+  curve_type: 'none',
+  curve_value: null,
+  letter_cutoffs: [
+    { letter: 'AA', min: 90 },
+    { letter: 'BA', min: 85 },
+    { letter: 'BB', min: 80 },
+    { letter: 'CB', min: 75 },
+    { letter: 'CC', min: 70 },
+    { letter: 'DC', min: 65 },
+    { letter: 'DD', min: 60 },
+    { letter: 'FD', min: 50 },
+    { letter: 'FF', min: 0 }
+  ]
+});
+
+/**
+ * Round to two decimals (DECIMAL(5,2) storage)
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate and normalize a grading scheme definition
+ * @param {Object} data - { components, curve_type, curve_value, letter_cutoffs }
+ * @returns {Object} - Normalized scheme
+ */
+const validateGradingScheme = (data) => {
+  const invalid = (message) => new AppError(message, 400, 'INVALID_GRADING_SCHEME');
+
+  const components = data.components || [];
+  if (!Array.isArray(components) || components.length === 0) {
+    throw invalid('At least one grading component is required');
+  }
+
+  const keys = new Set();
+  const normalizedComponents = components.map((component) => {
+    const key = String(component.key || '').trim().toLowerCase();
+    const weight = parseFloat(component.weight);
+
+    if (!/^[a-z0-9_]{1,50}$/.test(key)) {
+      throw invalid('Component keys must be 1-50 lowercase letters, digits or underscores');
+    }
+    if (keys.has(key)) {
+      throw invalid(`Duplicate component key: ${key}`);
+    }
+    if (isNaN(weight) || weight <= 0) {
+      throw invalid(`Component ${key} must have a positive weight`);
+    }
+
+    keys.add(key);
+    return { key, name: component.name || key, weight };
+  });
+
+  const totalWeight = normalizedComponents.reduce((sum, c) => sum + c.weight, 0);
+  if (Math.abs(totalWeight - 100) > 0.01) {
+    throw invalid(`Component weights must sum to 100 (got ${totalWeight})`);
+  }
+
+  const curveType = data.curve_type || 'none';
+  if (!CURVE_TYPES.includes(curveType)) {
+    throw invalid(`curve_type must be one of: ${CURVE_TYPES.join(', ')}`);
+  }
+
+  let curveValue = null;
+  if (curveType === 'add_points' || curveType === 'target_mean') {
+    curveValue = parseFloat(data.curve_value);
+    if (isNaN(curveValue) || curveValue < 0 || curveValue > 100) {
+      throw invalid(`curve_value between 0 and 100 is required for ${curveType}`);
+    }
+  }
+
+  const cutoffs = data.letter_cutoffs || DEFAULT_GRADING_SCHEME.letter_cutoffs;
+  if (!Array.isArray(cutoffs) || cutoffs.length === 0) {
+    throw invalid('letter_cutoffs must be a non-empty array');
+  }
+
+  const normalizedCutoffs = cutoffs
+    .map((cutoff) => {
+      const min = parseFloat(cutoff.min);
+      if (!LETTER_GRADES.includes(cutoff.letter)) {
+        throw invalid(`Unknown letter grade: ${cutoff.letter}`);
+      }
+      if (isNaN(min) || min < 0 || min > 100) {
+        throw invalid(`Cutoff for ${cutoff.letter} must be between 0 and 100`);
+      }
+      return { letter: cutoff.letter, min };
+    })
+    .sort((a, b) => b.min - a.min);
+
+  // Better letters must need higher scores
+  for (let i = 1; i < normalizedCutoffs.length; i++) {
+    const prev = normalizedCutoffs[i - 1];
+    const curr = normalizedCutoffs[i];
+    if (prev.min === curr.min || LETTER_GRADES.indexOf(prev.letter) >= LETTER_GRADES.indexOf(curr.letter)) {
+      throw invalid('Letter cutoffs must be strictly decreasing from best to worst letter');
+    }
+  }
+
+  if (normalizedCutoffs[normalizedCutoffs.length - 1].min !== 0) {
+    throw invalid('The lowest letter cutoff must start at 0');
+  }
+
+  return {
+    components: normalizedComponents,
+    curve_type: curveType,
+    curve_value: curveValue,
+    letter_cutoffs: normalizedCutoffs
+  };
+};
+
+/**
+ * Weighted score from component scores
+ * @returns {number|null} - null while any component is missing
+ */
+const calculateWeightedScore = (scheme, scores) => {
+  let total = 0;
+
+  for (const component of scheme.components) {
+    const score = scores[component.key];
+    if (score === null || score === undefined || score === '') {
+      return null;
+    }
+    total += parseFloat(score) * (component.weight / 100);
+  }
+
+  return round2(total);
+};
+
+/**
+ * Apply the scheme's curve to a raw weighted score
+ * @param {number} raw - Weighted score
+ * @param {Object} scheme - Grading scheme
+ * @param {Object} context - { sectionMean } (required for target_mean)
+ */
+const applyCurve = (raw, scheme, context = {}) => {
+  let curved = raw;
+
+  switch (scheme.curve_type) {
+    case 'add_points':
+      curved = raw + scheme.curve_value;
+      break;
+    case 'sqrt':
+      curved = 10 * Math.sqrt(raw);
+      break;
+    case 'target_mean':
+      // Only ever raises grades
+      if (context.sectionMean !== null && context.sectionMean !== undefined && context.sectionMean < scheme.curve_value) {
+        curved = raw + (scheme.curve_value - context.sectionMean);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return round2(Math.min(100, Math.max(0, curved)));
+};
+
+/**
+ * Map a score to a letter using the scheme cutoffs
+ */
+const scoreToLetter = (score, cutoffs) => {
+  const sorted = [...cutoffs].sort((a, b) => b.min - a.min);
+  const match = sorted.find((cutoff) => score >= cutoff.min);
+  return match ? match.letter : sorted[sorted.length - 1].letter;
+};
+
+/**
+ * Compute numeric and letter grade from component scores
+ * @returns {Object} - { raw, numeric_grade, letter_grade } (nulls while incomplete)
+ */
+const calculateGrade = (scheme, scores, context = {}) => {
+  const raw = calculateWeightedScore(scheme, scores);
+
+  if (raw === null) {
+    return { raw: null, numeric_grade: null, letter_grade: null };
+  }
+
+  const numeric = applyCurve(raw, scheme, context);
+
+  return {
+    raw,
+    numeric_grade: numeric,
+    letter_grade: scoreToLetter(numeric, scheme.letter_cutoffs)
+  };
+};
+
+/**
+ * Whether grades depend on the whole section (recompute everyone on change)
+ */
+const isSectionDependent = (scheme) => scheme.curve_type === 'target_mean';
+
+/**
+ * Component scores for an enrollment; the midterm/final columns
+ * feed the `midterm` and `final` components
+ */
+const getComponentScores = (enrollment) => {
+  const scores = { ...(enrollment.component_scores || {}) };
+
+  if (enrollment.midterm_grade !== null && enrollment.midterm_grade !== undefined) {
+    scores.midterm = parseFloat(enrollment.midterm_grade);
+  }
+  if (enrollment.final_grade !== null && enrollment.final_grade !== undefined) {
+    scores.final = parseFloat(enrollment.final_grade);
+  }
+
+  return scores;
+};
+
+/**
+ * Grading scheme in effect for a section (default when none is defined)
+ * @param {string} sectionId - The section ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object} - Plain scheme with is_default flag
+ */
+const getSectionGradingScheme = async (sectionId, transaction = null) => {
+  const scheme = await GradingScheme.findOne({
+    where: { section_id: sectionId },
+    transaction
+  });
+
+  if (!scheme) {
+    return { section_id: sectionId, ...DEFAULT_GRADING_SCHEME, is_default: true };
+  }
+
+  return {
+    id: scheme.id,
+    section_id: scheme.section_id,
+    components: scheme.components,
+    curve_type: scheme.curve_type,
+    curve_value: scheme.curve_value,
+    letter_cutoffs: scheme.letter_cutoffs,
+    updated_at: scheme.updated_at,
+    is_default: false
+  };
+};
+
+/**
+ * Verify the section exists and the instructor teaches it
+ */
+const assertSectionInstructor = async (sectionId, instructorId, transaction = null) => {
+  const section = await CourseSection.findByPk(sectionId, { transaction });
+
+  if (!section) {
+    throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
+  }
+
+  if (instructorId && section.instructor_id !== instructorId) {
+    throw new AppError(
+      'You are not authorized to manage grading for this section',
+      403,
+      'NOT_SECTION_INSTRUCTOR'
+    );
+  }
+
+  return section;
+};
+
+/**
+ * Create or replace a section's grading scheme
+ * @param {string} sectionId - The section ID
+ * @param {Object} data - Scheme definition
+ * @param {string} instructorId - Faculty ID (null for admin)
+ * @param {string} userId - User making the change
+ * @param {Object} transaction - Optional transaction (to regrade the section in the same write)
+ * @returns {Object} - Saved scheme
+ */
+const saveSectionGradingScheme = async (sectionId, data, instructorId, userId, transaction = null) => {
+  await assertSectionInstructor(sectionId, instructorId, transaction);
+  await gradeReleaseService.assertDraft(sectionId, 'Changing the grading scheme', transaction);
+
+  const normalized = validateGradingScheme(data);
+
+  const existing = await GradingScheme.findOne({ where: { section_id: sectionId }, transaction });
+
+  if (existing) {
+    await existing.update({ ...normalized, updated_by: userId }, { transaction });
+  } else {
+    await GradingScheme.create({ section_id: sectionId, ...normalized, updated_by: userId }, { transaction });
+  }
+
+  return getSectionGradingScheme(sectionId, transaction);
+};
+
+/**
+ * Remove a section's grading scheme (falls back to the default)
+ */
+const deleteSectionGradingScheme = async (sectionId, instructorId, transaction = null) => {
+  await assertSectionInstructor(sectionId, instructorId, transaction);
+  await gradeReleaseService.assertDraft(sectionId, 'Changing the grading scheme', transaction);
+
+  await GradingScheme.destroy({ where: { section_id: sectionId }, transaction });
+
+  return getSectionGradingScheme(sectionId, transaction);
+};
+
+module.exports = {
+  LETTER_GRADES,
+  DEFAULT_GRADING_SCHEME,
+  validateGradingScheme,
+  calculateWeightedScore,
+  applyCurve,
+  scoreToLetter,
+  calculateGrade,
+  isSectionDependent,
+  getComponentScores,
+  assertSectionInstructor,
+  getSectionGradingScheme,
+  saveSectionGradingScheme,
+  deleteSectionGradingScheme
+};
@@ -618,6 +618,38 @@ class MealService {
         }));
     }
 
+    /**
+     * Reservation counts for a date, grouped by cafeteria and meal type
+     * outstanding = reserved/confirmed (not yet picked up), consumed = already served
+     *
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<object>} { [cafeteriaId]: { [mealType]: { outstanding, consumed } } }
+     */
+    static async getReservationCountsByCafeteria(date) {
+        const rows = await MealReservation.findAll({
+            attributes: [
+                [Sequelize.col('menu.cafeteria_id'), 'cafeteria_id'],
+                [Sequelize.col('menu.type'), 'meal_type'],
+                'status',
+                [Sequelize.fn('COUNT', Sequelize.col('MealReservation.id')), 'count']
+            ],
+            where: { status: { [Op.in]: ['reserved', 'confirmed', 'consumed'] } },
+            include: [{ model: MealMenu, as: 'menu', attributes: [], where: { date } }],
+            group: ['menu.cafeteria_id', 'menu.type', 'MealReservation.status'],
+            raw: true
+        });
+
+        const counts = {};
+        rows.forEach(row => {
+            const byMeal = counts[row.cafeteria_id] = counts[row.cafeteria_id] || {};
+            const entry = byMeal[row.meal_type] = byMeal[row.meal_type] || { outstanding: 0, consumed: 0 };
+            const key = row.status === 'consumed' ? 'consumed' : 'outstanding';
+            entry[key] += parseInt(row.count);
+        });
+
+        return counts;
+    }
+
     /**
      * Seed menus for the next 7 days
      * @param {number} days - Number of days to seed (default: 7)
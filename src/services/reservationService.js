@@ -7,6 +7,7 @@
 
 const { sequelize, ClassroomReservation, Classroom, Schedule, User, CourseSection, Course } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const SensorService = require('./sensorService');
 const { Op } = require('sequelize');
 
 class ReservationService {
@@ -494,6 +495,8 @@ class ReservationService {
 
     /**
      * Get all classrooms with availability summary
+     * When the date is today, each room also carries its measured occupancy
+     * (from linked occupancy sensors) and is flagged if booked but empty.
      * 
      * @param {string} date - Date to check
      * @returns {Promise<Array>}
@@ -504,14 +507,36 @@ class ReservationService {
             order: [['building', 'ASC'], ['room_number', 'ASC']]
         });
 
+        const now = new Date();
+        const isToday = date === this._formatDate(now);
+        const occupancyByClassroom = isToday
+            ? await SensorService.getClassroomOccupancy(classrooms, now)
+            : {};
+
         const result = [];
 
         for (const classroom of classrooms) {
             const availability = await this.getClassroomAvailability(classroom.id, date);
+            const currentBooking = isToday ? this._findCurrentBooking(availability.booked_slots, now) : null;
+            const occupancy = occupancyByClassroom[classroom.id] || null;
+
             result.push({
                 ...availability.classroom,
                 available_slots_count: availability.available_slots.length,
-                booked_slots_count: availability.booked_slots.length
+                booked_slots_count: availability.booked_slots.length,
+                is_booked_now: !!currentBooking,
+                current_booking: currentBooking,
+                occupancy: occupancy
+                    ? {
+                        count: occupancy.count,
+                        utilization: classroom.capacity
+                            ? Math.round((occupancy.count / classroom.capacity) * 100)
+                            : null,
+                        measured_at: occupancy.measured_at,
+                        is_stale: occupancy.is_stale
+                    }
+                    : null,
+                booked_but_empty: !!currentBooking && !!occupancy && !occupancy.is_stale && occupancy.count === 0
             });
         }
 
@@ -638,6 +663,26 @@ class ReservationService {
         ];
     }
 
+    /**
+     * Class or approved reservation covering the current time (pending bookings are ignored)
+     */
+    static _findCurrentBooking(bookedSlots, now) {
+        const current = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+
+        return bookedSlots.find(slot =>
+            slot.type !== 'pending' &&
+            slot.start.substring(0, 5) <= current &&
+            slot.end.substring(0, 5) > current
+        ) || null;
+    }
+
+    /**
+     * Local YYYY-MM-DD for a date
+     */
+    static _formatDate(d) {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
     /**
      * Get available time slots
      */
@@ -0,0 +1,290 @@
+/**
+ * Schedule Builder Service
+ * Generates the conflict-free section combinations (timetables) for a set of
+ * desired courses, ranks them by the student's preferences, and enrolls a
+ * chosen combination all-or-nothing.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Enrollment, CourseSection, Course, Student } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const enrollmentService = require('./enrollmentService');
+
+const { timeSlotsOverlap, normalizeSchedule } = enrollmentService;
+
+const MAX_COURSES = 8;
+
+/**
+ * Combinations explored before the search stops (reported as truncated)
+ */
+const MAX_COMBINATIONS = 2000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const overlapsAny = (slots, others) => slots.some(slot => others.some(other => timeSlotsOverlap(slot, other)));
+
+/**
+ * How well a timetable fits the preferences
+ * @param {Array} slots - All weekly slots of the combination
+ * @param {Object} preferences - { no_classes_before, free_days, minimize_gaps }
+ */
+const evaluateTimetable = (slots, preferences) => {
+  const byDay = new Map();
+  slots.forEach((slot) => {
+    if (!byDay.has(slot.day)) byDay.set(slot.day, []);
+    byDay.get(slot.day).push(slot);
+  });
+
+  let gapMinutes = 0;
+  byDay.forEach((daySlots) => {
+    daySlots.sort((a, b) => toMinutes(a.start_time) - toMinutes(b.start_time));
+    for (let i = 1; i < daySlots.length; i++) {
+      gapMinutes += Math.max(0, toMinutes(daySlots[i].start_time) - toMinutes(daySlots[i - 1].end_time));
+    }
+  });
+
+  const earliest = slots.length > 0 ? Math.min(...slots.map(slot => toMinutes(slot.start_time))) : null;
+  const earlyClasses = preferences.no_classes_before
+    ? slots.filter(slot => toMinutes(slot.start_time) < toMinutes(preferences.no_classes_before)).length
+    : 0;
+  const freeDays = preferences.free_days || [];
+  const classesOnFreeDays = slots.filter(slot => freeDays.includes(slot.day)).length;
+
+  return {
+    days_on_campus: byDay.size,
+    gap_minutes: gapMinutes,
+    earliest_start: earliest === null ? null : toTime(earliest),
+    early_classes: earlyClasses,
+    classes_on_free_days: classesOnFreeDays,
+    preferences_met: earlyClasses === 0 && classesOnFreeDays === 0
+  };
+};
+
+/**
+ * Order timetables: fewest preference violations, then (if wanted) fewest
+ * gap minutes, then fewest days on campus, then latest first class
+ */
+const compareTimetables = (minimizeGaps) => (a, b) => {
+  const violations = m => m.early_classes + m.classes_on_free_days;
+  const earliest = m => (m.earliest_start ? toMinutes(m.earliest_start) : 24 * 60);
+
+  return violations(a.metrics) - violations(b.metrics) ||
+    (minimizeGaps ? a.metrics.gap_minutes - b.metrics.gap_minutes : 0) ||
+    a.metrics.days_on_campus - b.metrics.days_on_campus ||
+    earliest(b.metrics) - earliest(a.metrics);
+};
+
+/**
+ * Active enrollments in the term whose times new sections must not overlap
+ */
+const getCurrentSchedule = async (studentId, semester, year) => {
+  const enrollments = await Enrollment.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ['pending_approval', 'enrolled'] }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        attributes: ['id', 'course_id', 'schedule_json'],
+        where: { semester, year: parseInt(year) }
+      }
+    ]
+  });
+
+  return enrollments.filter(enrollment => enrollment.section);
+};
+
+/**
+ * Generate and rank conflict-free timetables for the desired courses
+ * @param {string} studentId - The student ID
+ * @param {Object} options - { course_ids, semester, year, preferences, limit }
+ * @returns {Object} - Ranked schedules and courses that cannot be scheduled
+ */
+const buildSchedules = async (studentId, options) => {
+  const courseIds = Array.from(new Set(options.course_ids || []));
+  const { semester, year } = options;
+  const preferences = {
+    no_classes_before: options.preferences?.no_classes_before || null,
+    free_days: options.preferences?.free_days || [],
+    minimize_gaps: options.preferences?.minimize_gaps !== false
+  };
+  const limit = Math.min(parseInt(options.limit) || 20, 100);
+
+  if (courseIds.length === 0 || courseIds.length > MAX_COURSES) {
+    throw new AppError(`Choose between 1 and ${MAX_COURSES} courses`, 400, 'INVALID_COURSE_SELECTION');
+  }
+
+  const student = await Student.findByPk(studentId);
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const [sections, current] = await Promise.all([
+    CourseSection.findAll({
+      where: { course_id: { [Op.in]: courseIds }, semester, year: parseInt(year) },
+      include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'name', 'credits'] }],
+      order: [['section_number', 'ASC']]
+    }),
+    getCurrentSchedule(studentId, semester, year)
+  ]);
+
+  const busySlots = current.flatMap(enrollment => normalizeSchedule(enrollment.section.schedule_json));
+  const heldCourseIds = new Set(current.map(enrollment => enrollment.section.course_id));
+
+  // Candidate sections per course, and why a course has none
+  const candidates = [];
+  const unavailable = [];
+  courseIds.forEach((courseId) => {
+    const offered = sections.filter(section => section.course_id === courseId);
+    const open = offered.filter(section => section.enrolled_count < section.capacity);
+    const fitting = open.filter(section => !overlapsAny(normalizeSchedule(section.schedule_json), busySlots));
+
+    let reason = null;
+    if (heldCourseIds.has(courseId)) reason = 'already_enrolled';
+    else if (offered.length === 0) reason = 'not_offered';
+    else if (open.length === 0) reason = 'full';
+    else if (fitting.length === 0) reason = 'conflicts_with_current_schedule';
+
+    if (reason) {
+      unavailable.push({ course_id: courseId, code: offered[0]?.course?.code || null, reason });
+    } else {
+      candidates.push(fitting);
+    }
+  });
+
+  const result = {
+    semester,
+    year: parseInt(year),
+    preferences,
+    unavailable_courses: unavailable,
+    total: 0,
+    truncated: false,
+    schedules: []
+  };
+
+  if (unavailable.length > 0) {
+    return result;
+  }
+
+  // Depth-first over courses with the fewest sections first
+  candidates.sort((a, b) => a.length - b.length);
+  const combinations = [];
+
+  const search = (index, chosen, slots) => {
+    if (combinations.length >= MAX_COMBINATIONS) {
+      result.truncated = true;
+      return;
+    }
+    if (index === candidates.length) {
+      combinations.push({ sections: [...chosen], slots: [...slots] });
+      return;
+    }
+    for (const section of candidates[index]) {
+      const sectionSlots = normalizeSchedule(section.schedule_json);
+      if (overlapsAny(sectionSlots, slots)) continue;
+      chosen.push(section);
+      search(index + 1, chosen, slots.concat(sectionSlots));
+      chosen.pop();
+    }
+  };
+  search(0, [], []);
+
+  const ranked = combinations
+    .map(combination => ({
+      sections: combination.sections,
+      metrics: evaluateTimetable(combination.slots, preferences)
+    }))
+    .sort(compareTimetables(preferences.minimize_gaps));
+
+  result.total = ranked.length;
+  result.schedules = ranked.slice(0, limit).map((timetable, index) => ({
+    rank: index + 1,
+    section_ids: timetable.sections.map(section => section.id),
+    sections: timetable.sections.map(section => ({
+      section_id: section.id,
+      section_number: section.section_number,
+      course: section.course,
+      schedule: normalizeSchedule(section.schedule_json),
+      available_seats: section.capacity - section.enrolled_count
+    })),
+    metrics: timetable.metrics
+  }));
+
+  return result;
+};
+
+/**
+ * Enroll in every section of a timetable, or in none of them
+ * @param {string} studentId - The student ID
+ * @param {Array} sectionIds - Sections of the chosen timetable
+ * @returns {Array} - Created enrollments
+ */
+const enrollInSchedule = async (studentId, sectionIds) => {
+  const ids = Array.from(new Set(sectionIds || []));
+  if (ids.length === 0 || ids.length > MAX_COURSES) {
+    throw new AppError(`Choose between 1 and ${MAX_COURSES} sections`, 400, 'INVALID_COURSE_SELECTION');
+  }
+
+  const sections = await CourseSection.findAll({
+    where: { id: { [Op.in]: ids } },
+    include: [{ model: Course, as: 'course', attributes: ['id', 'code'] }]
+  });
+
+  if (sections.length !== ids.length) {
+    throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
+  }
+
+  if (new Set(sections.map(section => section.course_id)).size !== sections.length) {
+    throw new AppError('A timetable can contain only one section per course', 400, 'DUPLICATE_COURSE');
+  }
+
+  for (let i = 0; i < sections.length; i++) {
+    for (let j = i + 1; j < sections.length; j++) {
+      if (overlapsAny(normalizeSchedule(sections[i].schedule_json), normalizeSchedule(sections[j].schedule_json))) {
+        throw new AppError(
+          `${sections[i].course.code} and ${sections[j].course.code} overlap`,
+          400,
+          'SCHEDULE_CONFLICT'
+        );
+      }
+    }
+  }
+
+  const transaction = await sequelize.transaction();
+  const enrollments = [];
+  let current = null;
+
+  try {
+    for (const section of sections) {
+      current = section;
+      enrollments.push(await enrollmentService.enrollStudent(studentId, section.id, {
+        transaction,
+        plannedCourseIds: sections.map(s => s.course_id)
+      }));
+    }
+
+    await transaction.commit();
+    return enrollments;
+  } catch (error) {
+    await transaction.rollback();
+    // Tell the student which section stopped the timetable
+    error.section_id = current.id;
+    error.course_code = current.course.code;
+    throw error;
+  }
+};
+
+module.exports = {
+  buildSchedules,
+  enrollInSchedule
+};
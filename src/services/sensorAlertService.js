@@ -0,0 +1,495 @@
+/**
+ * Sensor Alert Service
+ *
+ * Threshold and silence alert rules for IoT sensors. Rules are evaluated
+ * on every ingestion batch and periodically by the sensor alert job.
+ * Alerts move through open -> acknowledged -> resolved.
+ */
+
+const { IoTSensor, SensorData, SensorAlertRule, SensorAlert, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const { getIo } = require('../socket');
+const { Op } = require('sequelize');
+
+/**
+ * Comparison operators and their negation (used to find the last non-breaching reading)
+ */
+const COMPARISONS = {
+    gt: { symbol: '>', op: Op.gt, negated: Op.lte, test: (v, t) => v > t },
+    gte: { symbol: '>=', op: Op.gte, negated: Op.lt, test: (v, t) => v >= t },
+    lt: { symbol: '<', op: Op.lt, negated: Op.gte, test: (v, t) => v < t },
+    lte: { symbol: '<=', op: Op.lte, negated: Op.gt, test: (v, t) => v <= t }
+};
+
+/**
+ * Notification type/priority per rule severity
+ */
+const SEVERITY_NOTIFICATION = {
+    info: { type: 'info', priority: 'medium' },
+    warning: { type: 'warning', priority: 'high' },
+    critical: { type: 'error', priority: 'urgent' }
+};
+
+const ACTIVE_ALERT_STATUSES = ['open', 'acknowledged'];
+
+const UPDATABLE_RULE_FIELDS = [
+    'name', 'condition', 'threshold', 'duration_minutes', 'severity', 'notify_user_ids', 'is_active'
+];
+
+class SensorAlertService {
+    // ==================== Rule Management ====================
+
+    /**
+     * Create an alert rule for a sensor or a sensor type
+     * @param {object} data - Rule fields
+     * @param {string} userId - Creating admin
+     * @returns {Promise<object>}
+     */
+    static async createRule(data, userId) {
+        const { sensor_id, sensor_type } = data;
+
+        if (!sensor_id && !sensor_type) {
+            throw new AppError('Either sensor_id or sensor_type is required', 400, 'MISSING_RULE_TARGET');
+        }
+
+        if (sensor_id) {
+            const sensor = await IoTSensor.findByPk(sensor_id);
+            if (!sensor) {
+                throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+            }
+        }
+
+        this._validateRule(data);
+
+        return SensorAlertRule.create({
+            name: data.name,
+            sensor_id: sensor_id || null,
+            sensor_type: sensor_id ? null : sensor_type,
+            condition: data.condition,
+            threshold: data.condition === 'no_data' ? null : data.threshold,
+            duration_minutes: data.duration_minutes || 0,
+            severity: data.severity || 'warning',
+            notify_user_ids: data.notify_user_ids || [],
+            is_active: data.is_active !== undefined ? data.is_active : true,
+            created_by: userId
+        });
+    }
+
+    /**
+     * List alert rules
+     * @param {object} options - { sensor_id, sensor_type, is_active }
+     * @returns {Promise<Array>}
+     */
+    static async getRules(options = {}) {
+        const where = {};
+
+        if (options.sensor_id) where.sensor_id = options.sensor_id;
+        if (options.sensor_type) where.sensor_type = options.sensor_type;
+        if (options.is_active !== undefined) where.is_active = options.is_active === true || options.is_active === 'true';
+
+        return SensorAlertRule.findAll({
+            where,
+            include: [{ model: IoTSensor, as: 'sensor', attributes: ['id', 'sensor_code', 'type', 'location'] }],
+            order: [['created_at', 'DESC']]
+        });
+    }
+
+    /**
+     * Update an alert rule
+     * @param {string} ruleId - Rule ID
+     * @param {object} data - Fields to update
+     * @returns {Promise<object>}
+     */
+    static async updateRule(ruleId, data) {
+        const rule = await SensorAlertRule.findByPk(ruleId);
+
+        if (!rule) {
+            throw new AppError('Alert rule not found', 404, 'RULE_NOT_FOUND');
+        }
+
+        const updateData = {};
+        UPDATABLE_RULE_FIELDS.forEach(field => {
+            if (data[field] !== undefined) updateData[field] = data[field];
+        });
+
+        this._validateRule({ ...rule.get({ plain: true }), ...updateData });
+
+        if (updateData.condition === 'no_data') updateData.threshold = null;
+
+        await rule.update(updateData);
+
+        return rule;
+    }
+
+    /**
+     * Delete an alert rule and its alerts
+     * @param {string} ruleId - Rule ID
+     */
+    static async deleteRule(ruleId) {
+        const rule = await SensorAlertRule.findByPk(ruleId);
+
+        if (!rule) {
+            throw new AppError('Alert rule not found', 404, 'RULE_NOT_FOUND');
+        }
+
+        await rule.destroy();
+
+        return { success: true, message: 'Alert rule deleted' };
+    }
+
+    // ==================== Alerts ====================
+
+    /**
+     * List alerts, newest first
+     * @param {object} options - { status, sensor_id, limit }
+     * @returns {Promise<Array>}
+     */
+    static async getAlerts(options = {}) {
+        const where = {};
+
+        if (options.status) where.status = options.status;
+        if (options.sensor_id) where.sensor_id = options.sensor_id;
+
+        return SensorAlert.findAll({
+            where,
+            include: [
+                { model: SensorAlertRule, as: 'rule', attributes: ['id', 'name', 'condition', 'threshold', 'duration_minutes', 'severity'] },
+                { model: IoTSensor, as: 'sensor', attributes: ['id', 'sensor_code', 'type', 'location', 'status'] }
+            ],
+            order: [['triggered_at', 'DESC']],
+            limit: Math.min(parseInt(options.limit) || 100, 500)
+        });
+    }
+
+    /**
+     * Acknowledge an open alert
+     * @param {string} alertId - Alert ID
+     * @param {string} userId - Acknowledging user
+     * @returns {Promise<object>}
+     */
+    static async acknowledgeAlert(alertId, userId) {
+        const alert = await SensorAlert.findByPk(alertId);
+
+        if (!alert) {
+            throw new AppError('Alert not found', 404, 'ALERT_NOT_FOUND');
+        }
+
+        if (alert.status !== 'open') {
+            throw new AppError(`Cannot acknowledge an alert that is ${alert.status}`, 400, 'INVALID_ALERT_STATUS');
+        }
+
+        await alert.update({
+            status: 'acknowledged',
+            acknowledged_at: new Date(),
+            acknowledged_by: userId
+        });
+
+        this._broadcast(alert.sensor_id, 'sensor:alert', { alert_id: alert.id, status: alert.status });
+
+        return alert;
+    }
+
+    /**
+     * Manually resolve an alert
+     * @param {string} alertId - Alert ID
+     * @param {string} userId - Resolving user
+     * @returns {Promise<object>}
+     */
+    static async resolveAlert(alertId, userId) {
+        const alert = await SensorAlert.findByPk(alertId);
+
+        if (!alert) {
+            throw new AppError('Alert not found', 404, 'ALERT_NOT_FOUND');
+        }
+
+        if (alert.status === 'resolved') {
+            throw new AppError('Alert is already resolved', 400, 'INVALID_ALERT_STATUS');
+        }
+
+        await alert.update({
+            status: 'resolved',
+            resolved_at: new Date(),
+            resolved_by: userId
+        });
+
+        this._broadcast(alert.sensor_id, 'sensor:alert', { alert_id: alert.id, status: alert.status });
+
+        return alert;
+    }
+
+    // ==================== Evaluation ====================
+
+    /**
+     * Evaluate every active rule that applies to a sensor
+     * Opens alerts for breached rules, resolves alerts whose condition cleared
+     * and flips the sensor to `error` while a no_data rule is breached.
+     *
+     * @param {object} sensor - IoTSensor instance
+     * @param {Date} [now] - Evaluation time
+     * @returns {Promise<object>} { triggered, resolved }
+     */
+    static async evaluateSensor(sensor, now = new Date()) {
+        const rules = await this._rulesForSensor(sensor);
+        const result = { triggered: 0, resolved: 0 };
+
+        let hasSilenceRule = false;
+        let isSilent = false;
+
+        for (const rule of rules) {
+            const breach = rule.condition === 'no_data'
+                ? this._checkSilence(sensor, rule, now)
+                : await this._checkThreshold(sensor, rule);
+
+            if (rule.condition === 'no_data') {
+                hasSilenceRule = true;
+                if (breach.triggered) isSilent = true;
+            }
+
+            if (breach.triggered) {
+                const alert = await this._openAlert(rule, sensor, breach, now);
+                if (alert) result.triggered++;
+            } else {
+                result.resolved += await this._autoResolve(rule, sensor, now);
+            }
+        }
+
+        if (isSilent && sensor.status === 'active') {
+            await sensor.update({ status: 'error' });
+        } else if (hasSilenceRule && !isSilent && sensor.status === 'error') {
+            await sensor.update({ status: 'active' });
+        }
+
+        return result;
+    }
+
+    /**
+     * Evaluate all monitored sensors (used by the scheduled job)
+     * Sensors that are inactive or under maintenance are skipped.
+     *
+     * @returns {Promise<object>} { evaluated, triggered, resolved }
+     */
+    static async evaluateAllSensors() {
+        const sensors = await IoTSensor.findAll({
+            where: { status: { [Op.in]: ['active', 'error'] } }
+        });
+
+        const summary = { evaluated: 0, triggered: 0, resolved: 0 };
+        const now = new Date();
+
+        for (const sensor of sensors) {
+            try {
+                const result = await this.evaluateSensor(sensor, now);
+                summary.evaluated++;
+                summary.triggered += result.triggered;
+                summary.resolved += result.resolved;
+            } catch (error) {
+                console.error(`[SensorAlertService] Failed to evaluate sensor ${sensor.id}:`, error.message);
+            }
+        }
+
+        return summary;
+    }
+
+    // ==================== Private Helper Methods ====================
+
+    /**
+     * Check rule shape: comparisons need a threshold, no_data needs a duration
+     * @private
+     */
+    static _validateRule(rule) {
+        if (rule.condition !== 'no_data' && !COMPARISONS[rule.condition]) {
+            throw new AppError('condition must be one of: gt, gte, lt, lte, no_data', 400, 'INVALID_RULE');
+        }
+
+        if (rule.condition !== 'no_data' && (rule.threshold === null || rule.threshold === undefined || isNaN(parseFloat(rule.threshold)))) {
+            throw new AppError('A numeric threshold is required for comparison rules', 400, 'INVALID_RULE');
+        }
+
+        if (rule.condition === 'no_data' && !(parseInt(rule.duration_minutes) > 0)) {
+            throw new AppError('no_data rules need a duration_minutes greater than 0', 400, 'INVALID_RULE');
+        }
+    }
+
+    /**
+     * Active rules targeting this sensor directly or by type
+     * @private
+     */
+    static async _rulesForSensor(sensor) {
+        return SensorAlertRule.findAll({
+            where: {
+                is_active: true,
+                [Op.or]: [
+                    { sensor_id: sensor.id },
+                    { sensor_id: null, sensor_type: sensor.type }
+                ]
+            }
+        });
+    }
+
+    /**
+     * no_data: breached when the last reading (or registration) is older than the duration
+     * @private
+     */
+    static _checkSilence(sensor, rule, now) {
+        const lastSeen = new Date(sensor.last_reading_at || sensor.created_at);
+        const silentMinutes = (now - lastSeen) / 60000;
+
+        return {
+            triggered: silentMinutes >= rule.duration_minutes,
+            value: null,
+            since: lastSeen
+        };
+    }
+
+    /**
+     * Comparison rule: breached when the latest reading matches the condition and
+     * every reading since the condition started holding spans at least the duration.
+     * @private
+     */
+    static async _checkThreshold(sensor, rule) {
+        const comparison = COMPARISONS[rule.condition];
+
+        const latest = await SensorData.findOne({
+            where: { sensor_id: sensor.id },
+            order: [['timestamp', 'DESC']]
+        });
+
+        if (!latest || !comparison.test(latest.value, rule.threshold)) {
+            return { triggered: false };
+        }
+
+        const lastOk = await SensorData.max('timestamp', {
+            where: { sensor_id: sensor.id, value: { [comparison.negated]: rule.threshold } }
+        });
+
+        const breachWhere = { sensor_id: sensor.id, value: { [comparison.op]: rule.threshold } };
+        if (lastOk) breachWhere.timestamp = { [Op.gt]: lastOk };
+
+        const since = new Date(await SensorData.min('timestamp', { where: breachWhere }));
+        const heldMinutes = (new Date(latest.timestamp) - since) / 60000;
+
+        return {
+            triggered: heldMinutes >= rule.duration_minutes,
+            value: latest.value,
+            since
+        };
+    }
+
+    /**
+     * Open an alert unless one is already open/acknowledged for this rule and sensor
+     * @private
+     */
+    static async _openAlert(rule, sensor, breach, now) {
+        const existing = await SensorAlert.findOne({
+            where: {
+                rule_id: rule.id,
+                sensor_id: sensor.id,
+                status: { [Op.in]: ACTIVE_ALERT_STATUSES }
+            }
+        });
+
+        if (existing) return null;
+
+        const message = this._describe(rule, sensor, breach);
+
+        const alert = await SensorAlert.create({
+            rule_id: rule.id,
+            sensor_id: sensor.id,
+            status: 'open',
+            message,
+            trigger_value: breach.value,
+            triggered_at: now
+        });
+
+        await this._notify(rule, sensor, message);
+
+        this._broadcast(sensor.id, 'sensor:alert', {
+            alert_id: alert.id,
+            rule_id: rule.id,
+            status: alert.status,
+            severity: rule.severity,
+            message
+        });
+
+        return alert;
+    }
+
+    /**
+     * Resolve open/acknowledged alerts for a rule whose condition cleared
+     * @private
+     */
+    static async _autoResolve(rule, sensor, now) {
+        const [count] = await SensorAlert.update(
+            { status: 'resolved', resolved_at: now },
+            {
+                where: {
+                    rule_id: rule.id,
+                    sensor_id: sensor.id,
+                    status: { [Op.in]: ACTIVE_ALERT_STATUSES }
+                }
+            }
+        );
+
+        if (count > 0) {
+            this._broadcast(sensor.id, 'sensor:alert', { rule_id: rule.id, status: 'resolved' });
+        }
+
+        return count;
+    }
+
+    /**
+     * Alert the rule's responsible users, or every admin when none are set
+     * @private
+     */
+    static async _notify(rule, sensor, message) {
+        let userIds = Array.isArray(rule.notify_user_ids) ? rule.notify_user_ids : [];
+
+        if (userIds.length === 0) {
+            const admins = await User.findAll({ where: { role: 'admin' }, attributes: ['id'] });
+            userIds = admins.map(a => a.id);
+        }
+
+        const { type, priority } = SEVERITY_NOTIFICATION[rule.severity] || SEVERITY_NOTIFICATION.warning;
+
+        await Promise.all(userIds.map(userId => NotificationService.sendNotification({
+            userId,
+            title: `Sensor Alert: ${rule.name}`,
+            message,
+            type,
+            priority,
+            actionUrl: `/sensors/${sensor.id}`,
+            sendEmail: rule.severity === 'critical'
+        })));
+    }
+
+    /**
+     * Human readable alert message
+     * @private
+     */
+    static _describe(rule, sensor, breach) {
+        const where = `${sensor.sensor_code} (${sensor.location})`;
+
+        if (rule.condition === 'no_data') {
+            return `${where}: no reading for ${rule.duration_minutes} minutes`;
+        }
+
+        const held = rule.duration_minutes > 0 ? ` for ${rule.duration_minutes} minutes` : '';
+        return `${where}: ${sensor.type} ${COMPARISONS[rule.condition].symbol} ${rule.threshold}${held} (latest ${parseFloat(breach.value)})`;
+    }
+
+    /**
+     * Emit to the sensor:{id} room; socket failures never block evaluation
+     * @private
+     */
+    static _broadcast(sensorId, event, payload) {
+        try {
+            const io = getIo();
+            io.to(`sensor:${sensorId}`).emit(event, payload);
+        } catch (socketErr) {
+            console.error('[SensorAlertService] WebSocket emit failed (socket might not be init):', socketErr.message);
+        }
+    }
+}
+
+module.exports = SensorAlertService;
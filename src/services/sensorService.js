@@ -0,0 +1,752 @@
+/**
+ * Sensor Service
+ *
+ * Handles IoT sensor registration, per-sensor API key management,
+ * batched reading ingestion and live updates over Socket.IO.
+ */
+
+const { sequelize, IoTSensor, SensorData, Classroom, Cafeteria } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const SensorAlertService = require('./sensorAlertService');
+const CafeteriaCrowdService = require('./cafeteriaCrowdService');
+const { getIo } = require('../socket');
+const { Op } = require('sequelize');
+const crypto = require('crypto');
+
+/**
+ * Maximum number of readings accepted in a single ingestion request
+ */
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Supported aggregation bucket sizes (date_trunc field -> step)
+ */
+const AGGREGATION_INTERVALS = {
+    minute: { step: '1 minute', ms: 60 * 1000 },
+    hour: { step: '1 hour', ms: 60 * 60 * 1000 },
+    day: { step: '1 day', ms: 24 * 60 * 60 * 1000 }
+};
+
+/**
+ * Upper bound on buckets per sensor so a single query stays chartable
+ */
+const MAX_BUCKETS = 10000;
+
+/**
+ * Roles that may read sensor data, over REST or the live sensor room
+ * (facilities dashboards and alerts are run by admins and staff)
+ */
+const SENSOR_WATCHER_ROLES = ['admin', 'staff'];
+
+/**
+ * Sensor type that reports people counts for a room
+ */
+const OCCUPANCY_SENSOR_TYPE = 'occupancy';
+
+/**
+ * Occupancy readings older than this are not treated as the current state of a room
+ */
+const OCCUPANCY_STALE_MINUTES = 15;
+
+/**
+ * Fields an admin may change on an existing sensor
+ */
+const UPDATABLE_FIELDS = ['type', 'location', 'classroom_id', 'cafeteria_id', 'gps_lat', 'gps_long', 'status', 'metadata_json'];
+
+class SensorService {
+    /**
+     * Generate a new plaintext API key for a sensor
+     * @returns {string}
+     */
+    static generateApiKey() {
+        return `SNS-${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Hash an API key for storage and lookup
+     * @param {string} apiKey - Plaintext API key
+     * @returns {string}
+     */
+    static hashApiKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    /**
+     * Register a new sensor
+     * The plaintext API key is only returned once, at creation time
+     *
+     * @param {object} data - Sensor fields (sensor_code, type, location, ...)
+     * @returns {Promise<object>} Created sensor and its API key
+     */
+    static async createSensor(data) {
+        const { sensor_code, type, location } = data;
+
+        if (!sensor_code || !type || !location) {
+            throw new AppError('sensor_code, type and location are required', 400, 'MISSING_FIELDS');
+        }
+
+        const existing = await IoTSensor.findOne({ where: { sensor_code } });
+        if (existing) {
+            throw new AppError('A sensor with this code already exists', 400, 'DUPLICATE_SENSOR');
+        }
+
+        if (data.classroom_id) {
+            await this._assertClassroomExists(data.classroom_id);
+        }
+
+        if (data.cafeteria_id) {
+            await this._assertCafeteriaExists(data.cafeteria_id);
+        }
+
+        const apiKey = this.generateApiKey();
+
+        const sensor = await IoTSensor.create({
+            sensor_code,
+            type,
+            location,
+            classroom_id: data.classroom_id || null,
+            cafeteria_id: data.cafeteria_id || null,
+            gps_lat: data.gps_lat,
+            gps_long: data.gps_long,
+            status: data.status || 'active',
+            metadata_json: data.metadata_json || {},
+            api_key_hash: this.hashApiKey(apiKey)
+        });
+
+        return {
+            sensor: this._formatSensor(sensor),
+            api_key: apiKey
+        };
+    }
+
+    /**
+     * List sensors with optional filters
+     * @param {object} options - { type, status, location }
+     * @returns {Promise<Array>}
+     */
+    static async getSensors(options = {}) {
+        const { type, status, location } = options;
+        const where = {};
+
+        if (type) where.type = type;
+        if (status) where.status = status;
+        if (location) where.location = { [Op.iLike]: `%${location}%` };
+
+        const sensors = await IoTSensor.findAll({
+            where,
+            order: [['location', 'ASC'], ['sensor_code', 'ASC']]
+        });
+
+        return sensors.map(s => this._formatSensor(s));
+    }
+
+    /**
+     * Get a single sensor with its latest reading
+     * @param {string} sensorId - Sensor ID
+     * @returns {Promise<object>}
+     */
+    static async getSensorById(sensorId) {
+        const sensor = await IoTSensor.findByPk(sensorId);
+
+        if (!sensor) {
+            throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+        }
+
+        const latest = await SensorData.findOne({
+            where: { sensor_id: sensorId },
+            order: [['timestamp', 'DESC']]
+        });
+
+        return {
+            ...this._formatSensor(sensor),
+            latest_reading: latest ? this._formatReading(latest) : null
+        };
+    }
+
+    /**
+     * Let a user's socket follow a sensor's live feed (readings and alerts)
+     * @param {string} sensorId - Sensor ID
+     * @param {object} user - Socket user ({ id, role })
+     * @returns {Promise<boolean>} Whether the user may join the sensor room
+     */
+    static async authorizeWatcher(sensorId, user) {
+        if (!SENSOR_WATCHER_ROLES.includes(user.role)) {
+            return false;
+        }
+
+        const sensor = await IoTSensor.findByPk(sensorId);
+        return Boolean(sensor);
+    }
+
+    /**
+     * Update sensor details
+     * @param {string} sensorId - Sensor ID
+     * @param {object} data - Fields to update
+     * @returns {Promise<object>}
+     */
+    static async updateSensor(sensorId, data) {
+        const sensor = await IoTSensor.findByPk(sensorId);
+
+        if (!sensor) {
+            throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+        }
+
+        const updateData = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (data[field] !== undefined) updateData[field] = data[field];
+        });
+
+        if (updateData.classroom_id) {
+            await this._assertClassroomExists(updateData.classroom_id);
+        }
+
+        if (updateData.cafeteria_id) {
+            await this._assertCafeteriaExists(updateData.cafeteria_id);
+        }
+
+        await sensor.update(updateData);
+
+        return this._formatSensor(sensor);
+    }
+
+    /**
+     * Delete a sensor and its readings
+     * @param {string} sensorId - Sensor ID
+     */
+    static async deleteSensor(sensorId) {
+        const sensor = await IoTSensor.findByPk(sensorId);
+
+        if (!sensor) {
+            throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+        }
+
+        await sensor.destroy();
+
+        return { success: true, message: 'Sensor deleted' };
+    }
+
+    /**
+     * Issue a new API key, invalidating the previous one
+     * @param {string} sensorId - Sensor ID
+     * @returns {Promise<object>}
+     */
+    static async rotateApiKey(sensorId) {
+        const sensor = await IoTSensor.findByPk(sensorId);
+
+        if (!sensor) {
+            throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+        }
+
+        const apiKey = this.generateApiKey();
+        await sensor.update({ api_key_hash: this.hashApiKey(apiKey) });
+
+        return {
+            sensor_id: sensor.id,
+            api_key: apiKey
+        };
+    }
+
+    /**
+     * Resolve the sensor that owns an API key
+     * @param {string} apiKey - Plaintext API key
+     * @returns {Promise<object>} IoTSensor instance
+     */
+    static async authenticateSensor(apiKey) {
+        if (!apiKey) {
+            throw new AppError('Sensor API key is required', 401, 'NO_SENSOR_KEY');
+        }
+
+        const sensor = await IoTSensor.findOne({
+            where: { api_key_hash: this.hashApiKey(apiKey) }
+        });
+
+        if (!sensor) {
+            throw new AppError('Invalid sensor API key', 401, 'INVALID_SENSOR_KEY');
+        }
+
+        if (sensor.status === 'inactive') {
+            throw new AppError('Sensor is inactive', 403, 'SENSOR_INACTIVE');
+        }
+
+        return sensor;
+    }
+
+    /**
+     * Store a batch of readings for a sensor
+     * Updates last_reading_at, broadcasts to the sensor:{id} room,
+     * evaluates the sensor's alert rules in the background and, for
+     * cafeteria door counters, pushes a crowd update
+     *
+     * @param {object} sensor - Authenticated IoTSensor instance
+     * @param {Array} readings - [{ value, unit, timestamp, data }]
+     * @returns {Promise<object>} Ingestion summary
+     */
+    static async ingestReadings(sensor, readings) {
+        if (!Array.isArray(readings) || readings.length === 0) {
+            throw new AppError('readings must be a non-empty array', 400, 'INVALID_READINGS');
+        }
+
+        if (readings.length > MAX_BATCH_SIZE) {
+            throw new AppError(
+                `A batch may contain at most ${MAX_BATCH_SIZE} readings`,
+                400,
+                'BATCH_TOO_LARGE'
+            );
+        }
+
+        const now = new Date();
+        const rows = readings.map((reading, index) => {
+            const value = parseFloat(reading.value);
+            if (reading.value === null || reading.value === undefined || isNaN(value)) {
+                throw new AppError(`Reading ${index} has no numeric value`, 400, 'INVALID_READINGS');
+            }
+
+            const timestamp = reading.timestamp ? new Date(reading.timestamp) : now;
+            if (isNaN(timestamp.getTime())) {
+                throw new AppError(`Reading ${index} has an invalid timestamp`, 400, 'INVALID_READINGS');
+            }
+
+            return {
+                sensor_id: sensor.id,
+                value,
+                unit: reading.unit || null,
+                timestamp,
+                additional_data_json: reading.data || {}
+            };
+        });
+
+        const latestTimestamp = rows.reduce(
+            (latest, row) => (row.timestamp > latest ? row.timestamp : latest),
+            rows[0].timestamp
+        );
+
+        const t = await sequelize.transaction();
+
+        try {
+            await SensorData.bulkCreate(rows, { transaction: t });
+
+            if (!sensor.last_reading_at || latestTimestamp > new Date(sensor.last_reading_at)) {
+                await sensor.update({ last_reading_at: latestTimestamp }, { transaction: t });
+            }
+
+            await t.commit();
+        } catch (error) {
+            await t.rollback();
+            throw error;
+        }
+
+        const latestRow = rows.find(row => row.timestamp === latestTimestamp);
+        this._broadcast(sensor.id, 'sensor:reading', {
+            sensor_id: sensor.id,
+            sensor_code: sensor.sensor_code,
+            type: sensor.type,
+            count: rows.length,
+            latest: {
+                value: latestRow.value,
+                unit: latestRow.unit,
+                timestamp: latestRow.timestamp
+            }
+        });
+
+        SensorAlertService.evaluateSensor(sensor).catch(err => {
+            console.error(`[SensorService] Alert evaluation failed for sensor ${sensor.id}:`, err.message);
+        });
+
+        if (sensor.type === CafeteriaCrowdService.DOOR_COUNTER_TYPE && sensor.cafeteria_id) {
+            CafeteriaCrowdService.publishCrowdUpdate(sensor.cafeteria_id).catch(err => {
+                console.error(`[SensorService] Crowd update failed for cafeteria ${sensor.cafeteria_id}:`, err.message);
+            });
+        }
+
+        return {
+            sensor_id: sensor.id,
+            accepted: rows.length,
+            last_reading_at: latestTimestamp
+        };
+    }
+
+    /**
+     * Get raw readings for a sensor
+     * @param {string} sensorId - Sensor ID
+     * @param {object} options - { from, to, limit }
+     * @returns {Promise<Array>}
+     */
+    static async getReadings(sensorId, options = {}) {
+        const { from, to, limit = 100 } = options;
+
+        const sensor = await IoTSensor.findByPk(sensorId);
+        if (!sensor) {
+            throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+        }
+
+        const where = { sensor_id: sensorId };
+        if (from || to) {
+            where.timestamp = {};
+            if (from) where.timestamp[Op.gte] = new Date(from);
+            if (to) where.timestamp[Op.lte] = new Date(to);
+        }
+
+        const readings = await SensorData.findAll({
+            where,
+            order: [['timestamp', 'DESC']],
+            limit: Math.min(limit, 1000)
+        });
+
+        return readings.map(r => this._formatReading(r));
+    }
+
+    /**
+     * Live dashboard: every sensor with its most recent reading
+     * @param {object} options - { type, status, location }
+     * @returns {Promise<object>}
+     */
+    static async getDashboard(options = {}) {
+        const sensors = await this.getSensors(options);
+
+        if (sensors.length === 0) {
+            return { summary: this._summarize([]), sensors: [] };
+        }
+
+        // DISTINCT ON keeps this to one row per sensor instead of loading history
+        const latestRows = await sequelize.query(
+            `SELECT DISTINCT ON (sensor_id) sensor_id, value, unit, timestamp
+             FROM sensor_data
+             WHERE sensor_id IN (:sensorIds)
+             ORDER BY sensor_id, timestamp DESC`,
+            {
+                replacements: { sensorIds: sensors.map(s => s.id) },
+                type: sequelize.QueryTypes.SELECT
+            }
+        );
+
+        const latestBySensor = {};
+        latestRows.forEach(row => {
+            latestBySensor[row.sensor_id] = {
+                value: parseFloat(row.value),
+                unit: row.unit,
+                timestamp: row.timestamp
+            };
+        });
+
+        return {
+            summary: this._summarize(sensors),
+            sensors: sensors.map(s => ({
+                ...s,
+                latest_reading: latestBySensor[s.id] || null
+            }))
+        };
+    }
+
+    /**
+     * Bucketed readings for one or more sensors
+     * Aggregation and gap filling run in Postgres: generate_series produces every
+     * bucket in the range and the readings are LEFT JOINed onto it.
+     *
+     * @param {Array<string>} sensorIds - Sensor IDs
+     * @param {object} options - { interval: minute|hour|day, from, to, fill: null|zero|previous }
+     * @returns {Promise<object>} Series per sensor
+     */
+    static async getAggregatedReadings(sensorIds, options = {}) {
+        const { interval = 'hour', fill = 'null' } = options;
+        const config = AGGREGATION_INTERVALS[interval];
+
+        if (!config) {
+            throw new AppError(
+                `interval must be one of: ${Object.keys(AGGREGATION_INTERVALS).join(', ')}`,
+                400,
+                'INVALID_INTERVAL'
+            );
+        }
+
+        if (!Array.isArray(sensorIds) || sensorIds.length === 0) {
+            throw new AppError('At least one sensor ID is required', 400, 'MISSING_SENSORS');
+        }
+
+        const to = options.to ? new Date(options.to) : new Date();
+        const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+        if (from >= to) {
+            throw new AppError('from must be before to', 400, 'INVALID_TIME_RANGE');
+        }
+
+        const bucketCount = Math.ceil((to - from) / config.ms);
+        if (bucketCount > MAX_BUCKETS) {
+            throw new AppError(
+                `Requested range produces ${bucketCount} ${interval} buckets (max ${MAX_BUCKETS}). Use a larger interval.`,
+                400,
+                'TOO_MANY_BUCKETS'
+            );
+        }
+
+        const sensors = await IoTSensor.findAll({
+            where: { id: { [Op.in]: sensorIds } }
+        });
+
+        if (sensors.length !== new Set(sensorIds).size) {
+            throw new AppError('One or more sensors not found', 404, 'SENSOR_NOT_FOUND');
+        }
+
+        const rows = await sequelize.query(
+            `WITH buckets AS (
+                SELECT s.id AS sensor_id, gs AS bucket
+                FROM iot_sensors s
+                CROSS JOIN generate_series(
+                    date_trunc(:interval, CAST(:from AS timestamptz)),
+                    CAST(:to AS timestamptz),
+                    CAST(:step AS interval)
+                ) AS gs
+                WHERE s.id IN (:sensorIds)
+            ),
+            aggregated AS (
+                SELECT
+                    sensor_id,
+                    date_trunc(:interval, "timestamp") AS bucket,
+                    MIN(value) AS min,
+                    MAX(value) AS max,
+                    AVG(value) AS avg,
+                    COUNT(*) AS count,
+                    (ARRAY_AGG(value ORDER BY "timestamp" DESC))[1] AS last
+                FROM sensor_data
+                WHERE sensor_id IN (:sensorIds)
+                    AND "timestamp" >= :from
+                    AND "timestamp" < :to
+                GROUP BY sensor_id, date_trunc(:interval, "timestamp")
+            )
+            SELECT b.sensor_id, b.bucket, a.min, a.max, a.avg, COALESCE(a.count, 0) AS count, a.last
+            FROM buckets b
+            LEFT JOIN aggregated a ON a.sensor_id = b.sensor_id AND a.bucket = b.bucket
+            WHERE b.bucket < :to
+            ORDER BY b.sensor_id, b.bucket`,
+            {
+                replacements: {
+                    interval,
+                    step: config.step,
+                    from: from.toISOString(),
+                    to: to.toISOString(),
+                    sensorIds
+                },
+                type: sequelize.QueryTypes.SELECT
+            }
+        );
+
+        const bucketsBySensor = {};
+        rows.forEach(row => {
+            if (!bucketsBySensor[row.sensor_id]) bucketsBySensor[row.sensor_id] = [];
+            bucketsBySensor[row.sensor_id].push({
+                bucket: row.bucket,
+                min: row.min !== null ? parseFloat(row.min) : null,
+                max: row.max !== null ? parseFloat(row.max) : null,
+                avg: row.avg !== null ? parseFloat(row.avg) : null,
+                count: parseInt(row.count),
+                last: row.last !== null ? parseFloat(row.last) : null
+            });
+        });
+
+        return {
+            interval,
+            from,
+            to,
+            fill,
+            series: sensors.map(sensor => ({
+                sensor_id: sensor.id,
+                sensor_code: sensor.sensor_code,
+                type: sensor.type,
+                buckets: this._fillGaps(bucketsBySensor[sensor.id] || [], fill)
+            }))
+        };
+    }
+
+    /**
+     * Current measured occupancy per classroom
+     * Uses occupancy sensors linked by classroom_id, or by location when the
+     * sensor has no explicit link. When a room has several sensors their
+     * latest counts are summed.
+     *
+     * @param {Array} classrooms - Classroom instances or { id, building, room_number }
+     * @param {Date} [now] - Reference time for staleness
+     * @returns {Promise<object>} Map of classroom ID -> { count, measured_at, sensor_ids, is_stale }
+     */
+    static async getClassroomOccupancy(classrooms, now = new Date()) {
+        if (!classrooms || classrooms.length === 0) return {};
+
+        const sensors = await IoTSensor.findAll({
+            where: {
+                type: OCCUPANCY_SENSOR_TYPE,
+                status: { [Op.in]: ['active', 'error'] }
+            }
+        });
+
+        const classroomIds = new Set(classrooms.map(c => c.id));
+        const classroomByLocation = {};
+        classrooms.forEach(c => {
+            classroomByLocation[this._locationKey(`${c.building} ${c.room_number}`)] = c.id;
+        });
+
+        const sensorsByClassroom = {};
+        sensors.forEach(sensor => {
+            const classroomId = sensor.classroom_id || classroomByLocation[this._locationKey(sensor.location)];
+            if (!classroomId || !classroomIds.has(classroomId)) return;
+            (sensorsByClassroom[classroomId] = sensorsByClassroom[classroomId] || []).push(sensor.id);
+        });
+
+        const linkedSensorIds = Object.values(sensorsByClassroom).flat();
+        if (linkedSensorIds.length === 0) return {};
+
+        const latestRows = await sequelize.query(
+            `SELECT DISTINCT ON (sensor_id) sensor_id, value, timestamp
+             FROM sensor_data
+             WHERE sensor_id IN (:sensorIds)
+             ORDER BY sensor_id, timestamp DESC`,
+            {
+                replacements: { sensorIds: linkedSensorIds },
+                type: sequelize.QueryTypes.SELECT
+            }
+        );
+
+        const latestBySensor = {};
+        latestRows.forEach(row => {
+            latestBySensor[row.sensor_id] = row;
+        });
+
+        const staleBefore = new Date(now.getTime() - OCCUPANCY_STALE_MINUTES * 60 * 1000);
+        const occupancy = {};
+
+        Object.entries(sensorsByClassroom).forEach(([classroomId, sensorIds]) => {
+            const readings = sensorIds.map(id => latestBySensor[id]).filter(Boolean);
+            if (readings.length === 0) return;
+
+            const measuredAt = readings.reduce(
+                (oldest, r) => (new Date(r.timestamp) < oldest ? new Date(r.timestamp) : oldest),
+                new Date(readings[0].timestamp)
+            );
+
+            occupancy[classroomId] = {
+                count: readings.reduce((sum, r) => sum + Math.max(0, Math.round(parseFloat(r.value))), 0),
+                measured_at: measuredAt,
+                sensor_ids: sensorIds,
+                is_stale: measuredAt < staleBefore
+            };
+        });
+
+        return occupancy;
+    }
+
+    // ==================== Private Helper Methods ====================
+
+    /**
+     * Ensure a classroom exists before linking a sensor to it
+     * @private
+     */
+    static async _assertClassroomExists(classroomId) {
+        const classroom = await Classroom.findByPk(classroomId);
+        if (!classroom) {
+            throw new AppError('Classroom not found', 404, 'CLASSROOM_NOT_FOUND');
+        }
+    }
+
+    /**
+     * Ensure a cafeteria exists before linking a door counter to it
+     * @private
+     */
+    static async _assertCafeteriaExists(cafeteriaId) {
+        const cafeteria = await Cafeteria.findByPk(cafeteriaId);
+        if (!cafeteria) {
+            throw new AppError('Cafeteria not found', 404, 'CAFETERIA_NOT_FOUND');
+        }
+    }
+
+    /**
+     * Normalize a location string for matching ("Eng-B 101" == "eng b 101")
+     * @private
+     */
+    static _locationKey(location) {
+        return String(location || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Apply the gap fill strategy to empty buckets (count = 0)
+     * null: leave values null, zero: report 0, previous: carry the last known value forward
+     * @private
+     */
+    static _fillGaps(buckets, fill) {
+        if (fill === 'null') return buckets;
+
+        let previous = null;
+        return buckets.map(b => {
+            if (b.count > 0) {
+                previous = b.last;
+                return b;
+            }
+
+            const value = fill === 'zero' ? 0 : previous;
+            return { ...b, min: value, max: value, avg: value, last: value, filled: true };
+        });
+    }
+
+    /**
+     * Emit an event to the sensor's room
+     * @private
+     */
+    static _broadcast(sensorId, event, payload) {
+        try {
+            const io = getIo();
+            io.to(`sensor:${sensorId}`).emit(event, payload);
+        } catch (err) {
+            console.error('[SensorService] Socket emit failed:', err.message);
+        }
+    }
+
+    /**
+     * Count sensors by status
+     * @private
+     */
+    static _summarize(sensors) {
+        const summary = { total: sensors.length, active: 0, inactive: 0, maintenance: 0, error: 0 };
+        sensors.forEach(s => {
+            summary[s.status] = (summary[s.status] || 0) + 1;
+        });
+        return summary;
+    }
+
+    /**
+     * Format sensor for response (never exposes the key hash)
+     * @private
+     */
+    static _formatSensor(s) {
+        return {
+            id: s.id,
+            sensor_code: s.sensor_code,
+            type: s.type,
+            location: s.location,
+            classroom_id: s.classroom_id,
+            cafeteria_id: s.cafeteria_id,
+            gps_lat: s.gps_lat,
+            gps_long: s.gps_long,
+            status: s.status,
+            metadata: s.metadata_json,
+            last_reading_at: s.last_reading_at,
+            created_at: s.created_at
+        };
+    }
+
+    /**
+     * Format reading for response
+     * @private
+     */
+    static _formatReading(r) {
+        return {
+            id: r.id,
+            value: parseFloat(r.value),
+            unit: r.unit,
+            timestamp: r.timestamp,
+            data: r.additional_data_json
+        };
+    }
+}
+
+SensorService.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+SensorService.AGGREGATION_INTERVALS = AGGREGATION_INTERVALS;
+SensorService.OCCUPANCY_STALE_MINUTES = OCCUPANCY_STALE_MINUTES;
+SensorService.WATCHER_ROLES = SENSOR_WATCHER_ROLES;
+
+module.exports = SensorService;
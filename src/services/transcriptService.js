@@ -11,9 +11,15 @@ const {
   Course,
   Student,
   Department,
-  User
+  User,
+  AcademicStanding,
+  TransferCredit
 } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const gradeReleaseService = require('./gradeReleaseService');
+const enrollmentService = require('./enrollmentService');
+const { STANDING_LABELS } = require('./academicStandingService');
+const transferCreditService = require('./transferCreditService');
 
 /**
  * Grade points mapping for GPA calculation
@@ -59,7 +65,7 @@ const getStudentTranscriptData = async (studentId) => {
   const enrollments = await Enrollment.findAll({
     where: {
       student_id: studentId,
-      status: { [Op.in]: ['completed', 'failed', 'enrolled'] },
+      status: { [Op.in]: ['completed', 'failed', 'enrolled', 'withdrawn'] },
       letter_grade: { [Op.not]: null }
     },
     include: [
@@ -81,13 +87,24 @@ const getStudentTranscriptData = async (studentId) => {
     ]
   });
 
+  // Only published grades appear on the transcript
+  await gradeReleaseService.hideUnpublishedGrades(enrollments);
+  const publishedEnrollments = enrollments.filter(enrollment => enrollment.letter_grade !== null);
+
+  // Retaken courses: attempts replaced under the repeat policy stay listed
+  // (and in their semester GPA) but leave the cumulative totals
+  const superseded = enrollmentService.findSupersededAttempts(
+    publishedEnrollments.filter(enrollment => enrollment.status !== 'withdrawn')
+  );
+
   // Group enrollments by semester
   const semesters = {};
   let totalCredits = 0;
   let totalPoints = 0;
   let totalEcts = 0;
+  let gpaCredits = 0;
 
-  enrollments.forEach(enrollment => {
+  publishedEnrollments.forEach(enrollment => {
     const section = enrollment.section;
     const course = section.course;
     const semesterKey = `${section.year}-${section.semester}`;
@@ -105,6 +122,23 @@ const getStudentTranscriptData = async (studentId) => {
     const credits = course.credits || 0;
     const points = gradePoints[enrollment.letter_grade] || 0;
 
+    // Withdrawals (W) are listed but carry no credit or grade points
+    if (enrollment.status === 'withdrawn') {
+      semesters[semesterKey].courses.push({
+        code: course.code,
+        name: course.name,
+        credits: credits,
+        ects: course.ects || 0,
+        midterm: null,
+        final: null,
+        score: null,
+        letterGrade: 'W',
+        points: null,
+        status: enrollment.status
+      });
+      return;
+    }
+
     semesters[semesterKey].courses.push({
       code: course.code,
       name: course.name,
@@ -112,17 +146,71 @@ const getStudentTranscriptData = async (studentId) => {
       ects: course.ects || 0,
       midterm: enrollment.midterm_grade,
       final: enrollment.final_grade,
+      score: enrollment.numeric_grade,
       letterGrade: enrollment.letter_grade,
       points: points,
-      status: enrollment.status
+      status: enrollment.status,
+      superseded: superseded.has(enrollment)
     });
 
     semesters[semesterKey].semesterCredits += credits;
     semesters[semesterKey].semesterPoints += credits * points;
 
+    if (superseded.has(enrollment)) return;
+
     totalCredits += credits;
     totalPoints += credits * points;
     totalEcts += course.ects || 0;
+    gpaCredits += credits;
+  });
+
+  // Courses taken at other institutions; their grades count toward the
+  // CGPA only where the record (or institution policy) says so
+  const transfers = await TransferCredit.findAll({
+    where: { student_id: studentId },
+    include: [{ model: Course, as: 'course', attributes: ['code', 'name'] }],
+    order: [['year', 'ASC'], ['semester', 'ASC']]
+  });
+
+  let transferTotal = 0;
+  const transferCredits = transfers.map(credit => {
+    const credits = credit.credits || 0;
+    const inGpa = transferCreditService.countsTowardGpa(credit);
+    const passed = transferCreditService.isPassed(credit);
+
+    if (inGpa) {
+      totalPoints += credits * (gradePoints[credit.letter_grade] || 0);
+      gpaCredits += credits;
+    }
+    if (inGpa || passed) {
+      totalCredits += credits;
+      transferTotal += credits;
+    }
+    if (passed) {
+      totalEcts += credit.ects || 0;
+    }
+
+    return {
+      institution: credit.institution,
+      source: credit.source,
+      externalCode: credit.external_course_code,
+      externalName: credit.external_course_name,
+      externalGrade: credit.external_grade,
+      code: credit.course ? credit.course.code : null,
+      name: credit.course ? credit.course.name : null,
+      credits,
+      ects: credit.ects || 0,
+      letterGrade: credit.letter_grade,
+      inGpa,
+      semester: credit.semester,
+      year: credit.year
+    };
+  });
+
+  // Standing recorded when each semester was closed
+  const standings = await AcademicStanding.findAll({
+    where: { student_id: studentId },
+    attributes: ['year', 'semester', 'standing']
   });
 
   // Calculate semester GPAs
@@ -130,11 +218,14 @@ const getStudentTranscriptData = async (studentId) => {
     semester.gpa = semester.semesterCredits > 0
       ? (semester.semesterPoints / semester.semesterCredits).toFixed(2)
       : '0.00';
+
+    const record = standings.find(s => s.year === semester.year && s.semester === semester.semester);
+    semester.standing = record ? STANDING_LABELS[record.standing] : null;
   });
 
   // Calculate CGPA
-  const cgpa = totalCredits > 0
-    ? (totalPoints / totalCredits).toFixed(2)
+  const cgpa = gpaCredits > 0
+    ? (totalPoints / gpaCredits).toFixed(2)
     : '0.00';
 
   return {
@@ -152,9 +243,12 @@ const getStudentTranscriptData = async (studentId) => {
       const semesterOrder = { 'Fall': 1, 'Spring': 2, 'Summer': 3 };
       return semesterOrder[a.semester] - semesterOrder[b.semester];
     }),
+    transferCredits,
     summary: {
       totalCredits,
       totalEcts,
+      transferCredits: transferTotal,
+      repeatPolicy: enrollmentService.REPEAT_POLICY,
       cgpa: parseFloat(cgpa)
     }
   };
@@ -193,6 +287,17 @@ const generateTranscriptPDF = async (studentId) => {
   doc.moveTo(50, yPosition).lineTo(545, yPosition).stroke(lightGray);
   yPosition += 20;
 
+  // Transfer credits
+  if (data.transferCredits.length > 0) {
+    const estimatedHeight = 80 + (data.transferCredits.length * 20);
+    if (yPosition + estimatedHeight > 750) {
+      doc.addPage();
+      yPosition = 50;
+    }
+
+    yPosition = drawTransferCredits(doc, data.transferCredits, yPosition, secondaryColor, lightGray, darkGray);
+  }
+
   // Semesters
   for (const semester of data.semesters) {
     // Check if we need a new page
@@ -205,6 +310,20 @@ const generateTranscriptPDF = async (studentId) => {
     yPosition = drawSemester(doc, semester, yPosition, primaryColor, secondaryColor, accentColor, lightGray, darkGray);
   }
 
+  // Legend for repeated courses
+  if (data.semesters.some(semester => semester.courses.some(course => course.superseded))) {
+    doc.font('Helvetica-Oblique')
+      .fontSize(8)
+      .fillColor(darkGray)
+      .text(
+        `(R) Repeated course: attempt superseded under the ${data.summary.repeatPolicy} attempt policy and excluded from the CGPA and totals.`,
+        50,
+        yPosition,
+        { width: 495 }
+      );
+    yPosition += 20;
+  }
+
   // Summary Section
   if (yPosition + 100 > 750) {
     doc.addPage();
@@ -307,6 +426,12 @@ const drawSemester = (doc, semester, startY, primaryColor, secondaryColor, accen
     .fillColor('#ffffff')
     .text(`${semester.semester} ${semester.year}`, 60, y + 7);
 
+  if (semester.standing) {
+    doc.font('Helvetica-Oblique')
+      .fontSize(10)
+      .text(`Standing: ${semester.standing}`, 200, y + 7, { width: 190, align: 'center' });
+  }
+
   doc.font('Helvetica')
     .fontSize(10)
     .text(`Semester GPA: ${semester.gpa}`, 400, y + 7, { width: 135, align: 'right' });
@@ -314,7 +439,7 @@ const drawSemester = (doc, semester, startY, primaryColor, secondaryColor, accen
   y += 30;
 
   // Table header
-  const colWidths = { code: 70, name: 180, credits: 50, ects: 40, midterm: 50, final: 45, grade: 60 };
+  const colWidths = { code: 70, name: 180, credits: 50, ects: 40, score: 95, grade: 60 };
   const tableX = 50;
 
   doc.rect(tableX, y, 495, 20).fill(lightGray);
@@ -329,10 +454,8 @@ const drawSemester = (doc, semester, startY, primaryColor, secondaryColor, accen
   x += colWidths.credits;
   doc.text('ECTS', x, y + 5, { width: colWidths.ects, align: 'center' });
   x += colWidths.ects;
-  doc.text('Midterm', x, y + 5, { width: colWidths.midterm, align: 'center' });
-  x += colWidths.midterm;
-  doc.text('Final', x, y + 5, { width: colWidths.final, align: 'center' });
-  x += colWidths.final;
+  doc.text('Score', x, y + 5, { width: colWidths.score, align: 'center' });
+  x += colWidths.score;
   doc.text('Grade', x, y + 5, { width: colWidths.grade, align: 'center' });
 
   y += 20;
@@ -363,18 +486,18 @@ const drawSemester = (doc, semester, startY, primaryColor, secondaryColor, accen
     doc.text(course.ects.toString(), x, y + 4, { width: colWidths.ects, align: 'center' });
     x += colWidths.ects;
 
-    doc.text(course.midterm ? course.midterm.toString() : '-', x, y + 4, { width: colWidths.midterm, align: 'center' });
-    x += colWidths.midterm;
-
-    doc.text(course.final ? course.final.toString() : '-', x, y + 4, { width: colWidths.final, align: 'center' });
-    x += colWidths.final;
+    // Weighted course score from the section's grading scheme
+    doc.text(course.score ? course.score.toString() : '-', x, y + 4, { width: colWidths.score, align: 'center' });
+    x += colWidths.score;
 
     // Color grade based on pass/fail
     const passGrades = ['AA', 'BA', 'BB', 'CB', 'CC'];
-    const gradeColor = passGrades.includes(course.letterGrade) ? '#38a169' : '#e53e3e';
+    let gradeColor = passGrades.includes(course.letterGrade) ? '#38a169' : '#e53e3e';
+    if (course.letterGrade === 'W' || course.superseded) gradeColor = darkGray;
     doc.fillColor(gradeColor);
     doc.font('Helvetica-Bold');
-    doc.text(course.letterGrade || '-', x, y + 4, { width: colWidths.grade, align: 'center' });
+    const gradeLabel = course.superseded ? `${course.letterGrade} (R)` : course.letterGrade;
+    doc.text(gradeLabel || '-', x, y + 4, { width: colWidths.grade, align: 'center' });
     doc.font('Helvetica');
     doc.fillColor(darkGray);
 
@@ -388,6 +511,84 @@ const drawSemester = (doc, semester, startY, primaryColor, secondaryColor, accen
   return y;
 };
 
+/**
+ * Draw transfer credits with their local equivalents
+ */
+const drawTransferCredits = (doc, transferCredits, startY, secondaryColor, lightGray, darkGray) => {
+  let y = startY;
+
+  doc.rect(50, y, 495, 25).fill(secondaryColor);
+  doc.font('Helvetica-Bold')
+    .fontSize(11)
+    .fillColor('#ffffff')
+    .text('TRANSFER CREDITS', 60, y + 7);
+
+  y += 30;
+
+  const colWidths = { external: 180, local: 110, credits: 50, ects: 40, grade: 60, gpa: 50 };
+  const tableX = 50;
+
+  doc.rect(tableX, y, 495, 20).fill(lightGray);
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(darkGray);
+
+  let x = tableX + 5;
+  doc.text('External Course', x, y + 5, { width: colWidths.external });
+  x += colWidths.external;
+  doc.text('Equivalent', x, y + 5, { width: colWidths.local });
+  x += colWidths.local;
+  doc.text('Credits', x, y + 5, { width: colWidths.credits, align: 'center' });
+  x += colWidths.credits;
+  doc.text('ECTS', x, y + 5, { width: colWidths.ects, align: 'center' });
+  x += colWidths.ects;
+  doc.text('Grade', x, y + 5, { width: colWidths.grade, align: 'center' });
+  x += colWidths.grade;
+  doc.text('GPA', x, y + 5, { width: colWidths.gpa, align: 'center' });
+
+  y += 20;
+
+  doc.font('Helvetica').fontSize(9);
+
+  transferCredits.forEach((credit, index) => {
+    if (index % 2 === 0) {
+      doc.rect(tableX, y, 495, 28).fill('#f7fafc');
+    }
+
+    doc.fillColor(darkGray);
+    x = tableX + 5;
+
+    const externalName = `${credit.externalCode} ${credit.externalName}`;
+    doc.text(externalName.length > 34 ? externalName.substring(0, 31) + '...' : externalName, x, y + 4, { width: colWidths.external });
+    doc.fontSize(7)
+      .fillColor('#a0aec0')
+      .text(`${credit.institution}, ${credit.semester} ${credit.year}`, x, y + 15, { width: colWidths.external });
+    doc.fontSize(9).fillColor(darkGray);
+    x += colWidths.external;
+
+    doc.text(credit.code || 'Elective', x, y + 4, { width: colWidths.local });
+    x += colWidths.local;
+
+    doc.text(credit.credits.toString(), x, y + 4, { width: colWidths.credits, align: 'center' });
+    x += colWidths.credits;
+
+    doc.text(credit.ects.toString(), x, y + 4, { width: colWidths.ects, align: 'center' });
+    x += colWidths.ects;
+
+    doc.font('Helvetica-Bold');
+    doc.text(credit.letterGrade, x, y + 4, { width: colWidths.grade, align: 'center' });
+    doc.font('Helvetica');
+    x += colWidths.grade;
+
+    doc.text(credit.inGpa ? 'Yes' : 'Not in GPA', x, y + 4, { width: colWidths.gpa, align: 'center' });
+
+    y += 28;
+  });
+
+  doc.moveTo(tableX, y).lineTo(tableX + 495, y).stroke(lightGray);
+  y += 15;
+
+  return y;
+};
+
 /**
  * Draw summary section
  */
@@ -0,0 +1,187 @@
+/**
+ * Transfer Credit Service
+ * Courses taken at other universities (transfer, Erasmus exchange) recorded
+ * with their grades and mapped to local Course equivalents. Mapped credits
+ * count for prerequisites, degree progress and the transcript.
+ */
+
+const { Course, Student, TransferCredit } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const enrollmentService = require('./enrollmentService');
+
+/**
+ * Whether transfer grades count toward GPA when a record does not say
+ * (TRANSFER_CREDITS_IN_GPA=true to include them)
+ */
+const TRANSFER_CREDITS_IN_GPA = process.env.TRANSFER_CREDITS_IN_GPA === 'true';
+
+/**
+ * Whether a transfer credit's grade counts toward GPA
+ * @param {Object} credit - Transfer credit
+ */
+const countsTowardGpa = (credit) => {
+  if (credit.counts_toward_gpa === null || credit.counts_toward_gpa === undefined) {
+    return TRANSFER_CREDITS_IN_GPA;
+  }
+  return credit.counts_toward_gpa;
+};
+
+/**
+ * Whether a transfer credit is a pass (and so earns its credits)
+ * @param {Object} credit - Transfer credit
+ */
+const isPassed = (credit) => enrollmentService.hasPassedCourse(credit.letter_grade);
+
+const EDITABLE_FIELDS = [
+  'course_id',
+  'source',
+  'institution',
+  'external_course_code',
+  'external_course_name',
+  'external_credits',
+  'external_grade',
+  'letter_grade',
+  'credits',
+  'ects',
+  'semester',
+  'year',
+  'counts_toward_gpa',
+  'notes'
+];
+
+/**
+ * Local equivalent course, checked for duplicate mappings
+ */
+const resolveEquivalent = async (studentId, courseId, excludeId = null) => {
+  if (!courseId) return null;
+
+  const course = await Course.findByPk(courseId, { attributes: ['id', 'code', 'name', 'credits', 'ects'] });
+  if (!course) {
+    throw new AppError('Equivalent course not found', 404, 'COURSE_NOT_FOUND');
+  }
+
+  const existing = await TransferCredit.findOne({ where: { student_id: studentId, course_id: courseId } });
+  if (existing && existing.id !== excludeId) {
+    throw new AppError(
+      `A transfer credit is already mapped to ${course.code} for this student`,
+      400,
+      'DUPLICATE_TRANSFER_CREDIT'
+    );
+  }
+
+  return course;
+};
+
+/**
+ * Transfer credits of a student, oldest term first
+ * @param {string} studentId - The student ID
+ */
+const getStudentTransferCredits = async (studentId) => {
+  const credits = await TransferCredit.findAll({
+    where: { student_id: studentId },
+    include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'name', 'credits', 'ects'] }],
+    order: [['year', 'ASC'], ['semester', 'ASC'], ['external_course_code', 'ASC']]
+  });
+
+  return credits.map(credit => ({
+    ...credit.toJSON(),
+    passed: isPassed(credit),
+    in_gpa: countsTowardGpa(credit)
+  }));
+};
+
+/**
+ * Record an external course for a student
+ * Credits and ECTS default to those of the local equivalent.
+ * @param {string} studentId - The student ID
+ * @param {Object} data - Transfer credit fields
+ * @param {string} userId - Recording user
+ */
+const recordTransferCredit = async (studentId, data, userId) => {
+  const student = await Student.findByPk(studentId, { attributes: ['id', 'user_id'] });
+  if (!student) {
+    throw new AppError('Student not found', 404, 'STUDENT_NOT_FOUND');
+  }
+
+  const course = await resolveEquivalent(studentId, data.course_id);
+
+  const credits = data.credits !== undefined ? data.credits : course?.credits;
+  if (credits === undefined || credits === null) {
+    throw new AppError('Credits are required when there is no local equivalent', 400, 'INVALID_TRANSFER_CREDIT');
+  }
+
+  const values = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) values[field] = data[field];
+  });
+
+  const credit = await TransferCredit.create({
+    ...values,
+    student_id: studentId,
+    course_id: course ? course.id : null,
+    credits,
+    ects: data.ects !== undefined ? data.ects : (course?.ects || 0),
+    recorded_by: userId
+  });
+
+  await NotificationService.sendNotification({
+    userId: student.user_id,
+    title: 'Transfer Credit Recorded',
+    message: `${data.external_course_code} from ${data.institution} was recorded` +
+      (course ? ` as ${course.code}` : '') + ` (${credit.letter_grade}, ${credits} credits).`,
+    type: 'info',
+    priority: 'medium',
+    actionUrl: '/grades'
+  });
+
+  return credit;
+};
+
+/**
+ * Update a transfer credit
+ * @param {string} creditId - The transfer credit ID
+ * @param {Object} data - Fields to change
+ */
+const updateTransferCredit = async (creditId, data) => {
+  const credit = await TransferCredit.findByPk(creditId);
+  if (!credit) {
+    throw new AppError('Transfer credit not found', 404, 'TRANSFER_CREDIT_NOT_FOUND');
+  }
+
+  if (data.course_id !== undefined && data.course_id !== credit.course_id) {
+    await resolveEquivalent(credit.student_id, data.course_id, credit.id);
+  }
+
+  const changes = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) changes[field] = data[field];
+  });
+
+  await credit.update(changes);
+
+  return credit;
+};
+
+/**
+ * Delete a transfer credit
+ * @param {string} creditId - The transfer credit ID
+ */
+const deleteTransferCredit = async (creditId) => {
+  const credit = await TransferCredit.findByPk(creditId);
+  if (!credit) {
+    throw new AppError('Transfer credit not found', 404, 'TRANSFER_CREDIT_NOT_FOUND');
+  }
+
+  await credit.destroy();
+};
+
+module.exports = {
+  TRANSFER_CREDITS_IN_GPA,
+  countsTowardGpa,
+  isPassed,
+  getStudentTransferCredits,
+  recordTransferCredit,
+  updateTransferCredit,
+  deleteTransferCredit
+};
@@ -0,0 +1,395 @@
+/**
+ * Waitlist Service
+ * Ordered waitlists for full course sections. When a seat frees up the next
+ * eligible student is enrolled automatically and has a limited time to
+ * confirm the seat before it passes on.
+ */
+
+const { Op } = require('sequelize');
+const {
+  WaitlistEntry,
+  Enrollment,
+  CourseSection,
+  Course,
+  Student,
+  User
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const NotificationService = require('./notificationService');
+const enrollmentService = require('./enrollmentService');
+const gradingService = require('./gradingService');
+const academicCalendarService = require('./academicCalendarService');
+
+/**
+ * Hours a promoted student has to confirm the seat
+ */
+const WAITLIST_CONFIRM_HOURS = parseInt(process.env.WAITLIST_CONFIRM_HOURS, 10) || 24;
+
+/**
+ * Entries still holding a place in the queue
+ */
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const sectionInclude = {
+  model: CourseSection,
+  as: 'section',
+  attributes: ['id', 'section_number', 'semester', 'year', 'capacity', 'enrolled_count'],
+  include: [
+    {
+      model: Course,
+      as: 'course',
+      attributes: ['id', 'code', 'name', 'credits']
+    }
+  ]
+};
+
+/**
+ * Course label for notifications
+ */
+const courseLabel = (section) => {
+  return section && section.course
+    ? `${section.course.code} - ${section.course.name} (Section ${section.section_number})`
+    : 'the course';
+};
+
+/**
+ * 1-based position of a waiting entry in its section's queue
+ * @param {Object} entry - Waitlist entry
+ * @returns {number|null} - Position, or null when no longer waiting
+ */
+const getWaitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await WaitlistEntry.count({
+    where: {
+      section_id: entry.section_id,
+      status: 'waiting',
+      joined_at: { [Op.lt]: entry.joined_at }
+    }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Join the waitlist of a full section
+ * Prerequisites are checked up front; they and schedule conflicts are
+ * checked again on promotion.
+ * @param {string} studentId - The student ID
+ * @param {string} sectionId - The section ID
+ * @returns {Object} - { entry, position }
+ */
+const joinWaitlist = async (studentId, sectionId) => {
+  const section = await CourseSection.findByPk(sectionId, {
+    include: [{ model: Course, as: 'course', attributes: ['id', 'code', 'name'] }]
+  });
+
+  if (!section) {
+    throw new AppError('Section not found', 404, 'SECTION_NOT_FOUND');
+  }
+
+  await academicCalendarService.assertNoRegistrationHolds(studentId);
+  await academicCalendarService.assertRegistrationOpen(section);
+
+  if (section.enrolled_count < section.capacity) {
+    throw new AppError('Section has open seats, enroll directly', 400, 'SECTION_NOT_FULL');
+  }
+
+  const enrolledInCourse = await Enrollment.findOne({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ['pending_approval', 'enrolled'] }
+    },
+    include: [
+      {
+        model: CourseSection,
+        as: 'section',
+        where: { course_id: section.course.id }
+      }
+    ]
+  });
+
+  if (enrolledInCourse) {
+    throw new AppError('Already enrolled in a section of this course', 400, 'ALREADY_ENROLLED_IN_COURSE');
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    where: {
+      student_id: studentId,
+      section_id: sectionId,
+      status: { [Op.in]: ACTIVE_STATUSES }
+    }
+  });
+
+  if (existing) {
+    throw new AppError('Already on the waitlist for this section', 400, 'ALREADY_WAITLISTED');
+  }
+
+  const prereqCheck = await enrollmentService.checkPrerequisitesRecursive(section.course.id, studentId, new Set(), {
+    semester: section.semester,
+    year: section.year
+  });
+  if (!prereqCheck.passed) {
+    const error = new AppError('Prerequisites not met', 400, 'PREREQUISITES_NOT_MET');
+    error.missingPrerequisites = prereqCheck.missingPrerequisites;
+    error.failedClauses = prereqCheck.failedClauses;
+    throw error;
+  }
+
+  const entry = await WaitlistEntry.create({
+    section_id: sectionId,
+    student_id: studentId,
+    status: 'waiting',
+    joined_at: new Date()
+  });
+
+  return {
+    entry,
+    position: await getWaitlistPosition(entry)
+  };
+};
+
+/**
+ * Student's active waitlist entries with their positions
+ * @param {string} studentId - The student ID
+ */
+const getStudentWaitlist = async (studentId) => {
+  const entries = await WaitlistEntry.findAll({
+    where: {
+      student_id: studentId,
+      status: { [Op.in]: ACTIVE_STATUSES }
+    },
+    include: [sectionInclude],
+    order: [['joined_at', 'ASC']]
+  });
+
+  return Promise.all(entries.map(async (entry) => ({
+    id: entry.id,
+    status: entry.status,
+    joined_at: entry.joined_at,
+    position: await getWaitlistPosition(entry),
+    enrollment_id: entry.enrollment_id,
+    confirm_by: entry.confirm_by,
+    section: entry.section
+  })));
+};
+
+/**
+ * Ordered waitlist of a section
+ * @param {string} sectionId - The section ID
+ * @param {string} instructorId - Restrict to the section instructor (null for admin)
+ */
+const getSectionWaitlist = async (sectionId, instructorId = null) => {
+  await gradingService.assertSectionInstructor(sectionId, instructorId);
+
+  const entries = await WaitlistEntry.findAll({
+    where: {
+      section_id: sectionId,
+      status: { [Op.in]: ACTIVE_STATUSES }
+    },
+    include: [
+      {
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'student_number'],
+        include: [{ model: User, as: 'user', attributes: ['first_name', 'last_name', 'email'] }]
+      }
+    ],
+    order: [['joined_at', 'ASC']]
+  });
+
+  let position = 0;
+  return entries.map(entry => ({
+    id: entry.id,
+    status: entry.status,
+    position: entry.status === 'waiting' ? ++position : null,
+    joined_at: entry.joined_at,
+    confirm_by: entry.confirm_by,
+    student: entry.student
+  }));
+};
+
+/**
+ * Enroll waiting students while the section has seats
+ * Students who are no longer eligible (prerequisites, schedule conflict,
+ * already in the course) are skipped and told why.
+ * @param {string} sectionId - The section ID
+ * @returns {Array} - Promoted entries
+ */
+const promoteFromWaitlist = async (sectionId) => {
+  const promoted = [];
+
+  for (;;) {
+    const next = await WaitlistEntry.findOne({
+      where: { section_id: sectionId, status: 'waiting' },
+      order: [['joined_at', 'ASC']]
+    });
+
+    if (!next) break;
+
+    let enrollment;
+    try {
+      enrollment = await enrollmentService.enrollStudent(next.student_id, sectionId);
+    } catch (error) {
+      // Nobody can take the seat right now
+      if (['SECTION_FULL', 'REGISTRATION_CLOSED', 'REGISTRATION_NOT_OPEN'].includes(error.code)) break;
+      if (!(error instanceof AppError)) throw error;
+
+      await next.update({ status: 'skipped', skip_reason: error.message });
+
+      const student = await Student.findByPk(next.student_id, { attributes: ['user_id'] });
+      const section = await CourseSection.findByPk(sectionId, { include: [{ model: Course, as: 'course' }] });
+      if (student) {
+        await NotificationService.sendNotification({
+          userId: student.user_id,
+          title: 'Waitlist Seat Could Not Be Assigned',
+          message: `A seat opened in ${courseLabel(section)}, but you could not be enrolled: ${error.message}. You have been removed from the waitlist.`,
+          type: 'warning',
+          priority: 'high',
+          actionUrl: '/enrollments'
+        });
+      }
+      continue;
+    }
+
+    const confirmBy = new Date(Date.now() + WAITLIST_CONFIRM_HOURS * 60 * 60 * 1000);
+    await next.update({
+      status: 'offered',
+      enrollment_id: enrollment.id,
+      offered_at: new Date(),
+      confirm_by: confirmBy
+    });
+
+    await NotificationService.sendNotification({
+      userId: enrollment.student.user_id,
+      title: 'Enrolled from Waitlist',
+      message: `A seat opened in ${courseLabel(enrollment.section)} and you have been enrolled. Please confirm within ${WAITLIST_CONFIRM_HOURS} hours or the seat will be released.`,
+      type: 'success',
+      priority: 'high',
+      actionUrl: '/enrollments'
+    });
+
+    promoted.push(next);
+  }
+
+  return promoted;
+};
+
+/**
+ * A seat was released (drop or expired offer)
+ * Closes a pending offer tied to the enrollment and promotes the next student.
+ * @param {string} sectionId - The section ID
+ * @param {string} enrollmentId - The released enrollment
+ */
+const handleSeatReleased = async (sectionId, enrollmentId) => {
+  await WaitlistEntry.update(
+    { status: 'cancelled' },
+    { where: { enrollment_id: enrollmentId, status: 'offered' } }
+  );
+
+  return promoteFromWaitlist(sectionId);
+};
+
+/**
+ * Confirm a seat obtained from the waitlist
+ * @param {string} studentId - The student ID
+ * @param {string} entryId - The waitlist entry ID
+ */
+const confirmSeat = async (studentId, entryId) => {
+  const entry = await WaitlistEntry.findOne({
+    where: { id: entryId, student_id: studentId }
+  });
+
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404, 'WAITLIST_ENTRY_NOT_FOUND');
+  }
+
+  if (entry.status !== 'offered') {
+    throw new AppError('There is no seat offer to confirm', 400, 'NO_PENDING_OFFER');
+  }
+
+  if (new Date(entry.confirm_by) < new Date()) {
+    throw new AppError('The confirmation window has passed', 400, 'OFFER_EXPIRED');
+  }
+
+  await entry.update({ status: 'confirmed', confirmed_at: new Date() });
+
+  return entry;
+};
+
+/**
+ * Leave a waitlist; declining an offered seat drops the enrollment
+ * @param {string} studentId - The student ID
+ * @param {string} entryId - The waitlist entry ID
+ */
+const leaveWaitlist = async (studentId, entryId) => {
+  const entry = await WaitlistEntry.findOne({
+    where: { id: entryId, student_id: studentId }
+  });
+
+  if (!entry || !ACTIVE_STATUSES.includes(entry.status)) {
+    throw new AppError('Active waitlist entry not found', 404, 'WAITLIST_ENTRY_NOT_FOUND');
+  }
+
+  if (entry.status === 'offered') {
+    // Releases the seat to the next student; never recorded as a withdrawal
+    await enrollmentService.dropEnrollment(studentId, entry.enrollment_id, { systemRelease: true });
+  }
+
+  await entry.update({ status: 'cancelled' });
+
+  return entry;
+};
+
+/**
+ * Release seats whose confirmation window has passed
+ * @param {Date} now - Current time
+ * @returns {number} - Number of offers expired
+ */
+const expireUnconfirmedOffers = async (now = new Date()) => {
+  const expired = await WaitlistEntry.findAll({
+    where: {
+      status: 'offered',
+      confirm_by: { [Op.lt]: now }
+    },
+    include: [sectionInclude]
+  });
+
+  for (const entry of expired) {
+    await entry.update({ status: 'expired' });
+
+    try {
+      await enrollmentService.dropEnrollment(entry.student_id, entry.enrollment_id, { systemRelease: true });
+    } catch (error) {
+      // Already dropped by the student
+      if (error.code !== 'ENROLLMENT_NOT_FOUND') throw error;
+    }
+
+    const student = await Student.findByPk(entry.student_id, { attributes: ['user_id'] });
+    if (student) {
+      await NotificationService.sendNotification({
+        userId: student.user_id,
+        title: 'Waitlist Seat Released',
+        message: `You did not confirm your seat in ${courseLabel(entry.section)} in time, so it was given to the next student.`,
+        type: 'warning',
+        priority: 'medium',
+        actionUrl: '/enrollments'
+      });
+    }
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  WAITLIST_CONFIRM_HOURS,
+  getWaitlistPosition,
+  joinWaitlist,
+  getStudentWaitlist,
+  getSectionWaitlist,
+  promoteFromWaitlist,
+  handleSeatReleased,
+  confirmSeat,
+  leaveWaitlist,
+  expireUnconfirmedOffers
+};
@@ -64,11 +64,76 @@ const initSocket = async (server) => {
             socket.join(`role:${socket.user.role}`);
         }
 
-        // Listen for session join events (e.g. from faculty frontend)
-        socket.on('join:session', (sessionId) => {
-            // Simple security check: In real app, verify they own the session
-            socket.join(`session:${sessionId}`);
-            console.log(`Socket ${socket.id} joined session:${sessionId}`);
+        // Attendance screens follow a session's check-ins and rotating QR code;
+        // only the session's instructor (or an admin) may join
+        socket.on('join:session', async (sessionId) => {
+            try {
+                // Required lazily: the service itself emits through this module
+                const attendanceService = require('./services/attendanceService');
+                const access = await attendanceService.authorizeSessionWatcher(sessionId, socket.user);
+
+                if (!access) {
+                    socket.emit('session:join_denied', { sessionId });
+                    return;
+                }
+
+                socket.join(`session:${sessionId}`);
+                if (access.qr) {
+                    socket.emit('attendance:qr', access.qr);
+                }
+                console.log(`Socket ${socket.id} joined session:${sessionId}`);
+            } catch (err) {
+                console.error('join:session failed', err.message);
+            }
+        });
+
+        socket.on('leave:session', (sessionId) => {
+            socket.leave(`session:${sessionId}`);
+        });
+
+        // Live sensor dashboards subscribe to individual sensors (admins and staff)
+        socket.on('join:sensor', async (sensorId) => {
+            try {
+                // Required lazily: the service itself emits through this module
+                const SensorService = require('./services/sensorService');
+
+                if (!(await SensorService.authorizeWatcher(sensorId, socket.user))) {
+                    socket.emit('sensor:join_denied', { sensorId });
+                    return;
+                }
+
+                socket.join(`sensor:${sensorId}`);
+            } catch (err) {
+                console.error('join:sensor failed', err.message);
+            }
+        });
+
+        socket.on('leave:sensor', (sensorId) => {
+            socket.leave(`sensor:${sensorId}`);
+        });
+
+        // Cafeteria crowd meter: all cafeterias or a single open one
+        const joinCrowdRoom = async (cafeteriaId, room) => {
+            try {
+                const CafeteriaCrowdService = require('./services/cafeteriaCrowdService');
+
+                if (!(await CafeteriaCrowdService.authorizeWatcher(cafeteriaId, socket.user))) {
+                    socket.emit('cafeteria:join_denied', { cafeteriaId });
+                    return;
+                }
+
+                socket.join(room);
+            } catch (err) {
+                console.error(`join:${room} failed`, err.message);
+            }
+        };
+
+        socket.on('join:cafeterias', () => joinCrowdRoom(null, 'cafeterias'));
+
+        socket.on('join:cafeteria', (cafeteriaId) => joinCrowdRoom(cafeteriaId, `cafeteria:${cafeteriaId}`));
+
+        socket.on('leave:cafeteria', (cafeteriaId) => {
+            socket.leave(`cafeteria:${cafeteriaId}`);
         });
 
         socket.on('disconnect', () => {
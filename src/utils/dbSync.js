@@ -20,10 +20,27 @@ async function syncDatabase(options = {}) {
     if (force) {
       console.log('⚠️  Dropping all tables manually...');
       // Drop tables in reverse dependency order
+      await sequelize.query('DROP TABLE IF EXISTS "sensor_alerts" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "sensor_alert_rules" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "excuse_requests" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "attendance_records" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "attendance_devices" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "meal_reservations" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "attendance_sessions" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "attendance_policies" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "waitlist_entries" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "academic_standings" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "student_holds" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "credit_load_overrides" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "transfer_credits" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "academic_terms" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "curricula" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "grade_appeals" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "grade_changes" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "grade_releases" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "gradebook_scores" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "gradebook_items" CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS "grading_schemes" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "enrollments" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "event_registrations" CASCADE;');
       await sequelize.query('DROP TABLE IF EXISTS "meal_menus" CASCADE;');
@@ -54,6 +71,8 @@ async function syncDatabase(options = {}) {
       await sequelize.query('DROP TYPE IF EXISTS "enum_transactions_type" CASCADE;');
       await sequelize.query('DROP TYPE IF EXISTS "enum_meal_menus_meal_type" CASCADE;');
       await sequelize.query('DROP TYPE IF EXISTS "enum_attendance_records_status" CASCADE;');
+      await sequelize.query('DROP TYPE IF EXISTS "enum_attendance_records_check_in_method" CASCADE;');
+      await sequelize.query('DROP TYPE IF EXISTS "enum_attendance_sessions_check_in_mode" CASCADE;');
       await sequelize.query('DROP TYPE IF EXISTS "enum_excuse_requests_status" CASCADE;');
       await sequelize.query('DROP TYPE IF EXISTS "enum_iot_sensors_sensor_type" CASCADE;');
       console.log('✅ All tables dropped.');
@@ -66,6 +85,7 @@ async function syncDatabase(options = {}) {
     await models.Classroom.sync({ force: false, alter });
     await models.Cafeteria.sync({ force: false, alter });
     await models.IoTSensor.sync({ force: false, alter });
+    await models.AcademicTerm.sync({ force: false, alter });
 
     // Level 2: Tables that depend on Level 1
     await models.Student.sync({ force: false, alter });
@@ -76,6 +96,7 @@ async function syncDatabase(options = {}) {
     await models.PasswordReset.sync({ force: false, alter });
     await models.Notification.sync({ force: false, alter });
     await models.Course.sync({ force: false, alter });
+    await models.Curriculum.sync({ force: false, alter });
     await models.Event.sync({ force: false, alter });
     await models.SensorData.sync({ force: false, alter });
 
@@ -83,19 +104,35 @@ async function syncDatabase(options = {}) {
     await models.Transaction.sync({ force: false, alter });
     await models.CoursePrerequisite.sync({ force: false, alter });
     await models.CourseSection.sync({ force: false, alter });
+    await models.AcademicStanding.sync({ force: false, alter });
+    await models.StudentHold.sync({ force: false, alter });
+    await models.CreditLoadOverride.sync({ force: false, alter });
+    await models.TransferCredit.sync({ force: false, alter });
+    await models.AttendanceDevice.sync({ force: false, alter });
     await models.MealMenu.sync({ force: false, alter });
     await models.EventRegistration.sync({ force: false, alter });
     await models.Club.sync({ force: false, alter });
     await models.ClubMembership.sync({ force: false, alter });
+    await models.SensorAlertRule.sync({ force: false, alter });
 
     // Level 4: Tables that depend on Level 3
     await models.Enrollment.sync({ force: false, alter });
+    await models.GradingScheme.sync({ force: false, alter });
+    await models.GradebookItem.sync({ force: false, alter });
+    await models.GradeRelease.sync({ force: false, alter });
     await models.AttendanceSession.sync({ force: false, alter });
+    await models.AttendancePolicy.sync({ force: false, alter });
     await models.MealReservation.sync({ force: false, alter });
+    await models.SensorAlert.sync({ force: false, alter });
 
     // Level 5: Tables that depend on Level 4
-    await models.AttendanceRecord.sync({ force: false, alter });
+    await models.GradebookScore.sync({ force: false, alter });
+    await models.GradeChange.sync({ force: false, alter });
+    await models.GradeAppeal.sync({ force: false, alter });
+    await models.WaitlistEntry.sync({ force: false, alter });
     await models.ExcuseRequest.sync({ force: false, alter });
+    // Absent records link to the excuse request that may excuse them
+    await models.AttendanceRecord.sync({ force: false, alter });
 
     if (force) {
       console.log('⚠️  All tables have been dropped and recreated.');
@@ -524,7 +524,13 @@ async function seedDatabase() {
                 capacity: 50,
                 gps_lat: 41.0082,
                 gps_long: 28.9784,
-                features_json: { projector: true, smartboard: true, ac: true }
+                features_json: {
+                    projector: true,
+                    smartboard: true,
+                    ac: true,
+                    beacon_ids: ['f7826da6-4fa2-4e98-8024-bc5b71e0893e-1-101'],
+                    wifi_bssids: ['a4:2b:b0:12:34:56', 'a4:2b:b0:12:34:57']
+                }
             },
             {
                 building: 'Engineering Building',
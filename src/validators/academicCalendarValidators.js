@@ -0,0 +1,95 @@
+/**
+ * Academic Calendar Validators
+ * Request validation schemas for academic terms and student holds
+ */
+
+const { body, param, query } = require('express-validator');
+
+const TERM_DATE_FIELDS = [
+  'start_date',
+  'end_date',
+  'registration_start',
+  'registration_end',
+  'add_drop_end',
+  'withdrawal_end'
+];
+
+const HOLD_TYPES = ['unpaid_balance', 'advisor_approval', 'disciplinary'];
+
+const idParam = param('id')
+  .notEmpty()
+  .withMessage('ID is required')
+  .isUUID()
+  .withMessage('ID must be a valid UUID');
+
+/**
+ * Validate academic term creation
+ */
+const createTermValidator = [
+  body('semester')
+    .isIn(['Fall', 'Spring', 'Summer'])
+    .withMessage('Semester must be Fall, Spring, or Summer'),
+  body('year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100'),
+  ...TERM_DATE_FIELDS.map(field => body(field)
+    .isISO8601()
+    .withMessage(`${field} must be a valid date`))
+];
+
+/**
+ * Validate academic term update
+ */
+const updateTermValidator = [
+  idParam,
+  ...TERM_DATE_FIELDS.map(field => body(field)
+    .optional()
+    .isISO8601()
+    .withMessage(`${field} must be a valid date`))
+];
+
+/**
+ * Validate term or hold ID parameter
+ */
+const calendarIdValidator = [idParam];
+
+/**
+ * Validate hold listing query
+ */
+const listHoldsValidator = [
+  query('student_id')
+    .optional()
+    .isUUID()
+    .withMessage('Student ID must be a valid UUID'),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+];
+
+/**
+ * Validate placing a hold
+ */
+const placeHoldValidator = [
+  body('student_id')
+    .notEmpty()
+    .withMessage('Student ID is required')
+    .isUUID()
+    .withMessage('Student ID must be a valid UUID'),
+  body('hold_type')
+    .isIn(HOLD_TYPES)
+    .withMessage(`Hold type must be one of: ${HOLD_TYPES.join(', ')}`),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+module.exports = {
+  createTermValidator,
+  updateTermValidator,
+  calendarIdValidator,
+  listHoldsValidator,
+  placeHoldValidator
+};
@@ -65,7 +65,16 @@ const updateGradesValidator = [
   body('final_grade')
     .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('Final grade must be between 0 and 100')
+    .withMessage('Final grade must be between 0 and 100'),
+  body('components')
+    .optional()
+    .isObject()
+    .withMessage('Components must be an object of { component_key: score }'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
 ];
 
 /**
@@ -92,7 +101,82 @@ const bulkUpdateGradesValidator = [
   body('grades.*.final_grade')
     .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('Final grade must be between 0 and 100')
+    .withMessage('Final grade must be between 0 and 100'),
+  body('grades.*.components')
+    .optional()
+    .isObject()
+    .withMessage('Components must be an object of { component_key: score }'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Validate grading scheme definition
+ */
+const gradingSchemeValidator = [
+  param('sectionId')
+    .notEmpty()
+    .withMessage('Section ID is required')
+    .isUUID()
+    .withMessage('Section ID must be a valid UUID'),
+  body('components')
+    .isArray({ min: 1 })
+    .withMessage('Components must be a non-empty array'),
+  body('components.*.key')
+    .notEmpty()
+    .withMessage('Each component needs a key'),
+  body('components.*.weight')
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Component weight must be between 0 and 100'),
+  body('curve_type')
+    .optional()
+    .isIn(['none', 'add_points', 'sqrt', 'target_mean'])
+    .withMessage('curve_type must be one of: none, add_points, sqrt, target_mean'),
+  body('curve_value')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('curve_value must be between 0 and 100'),
+  body('letter_cutoffs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('letter_cutoffs must be a non-empty array')
+];
+
+/**
+ * Validate grade submission for review
+ */
+const submitGradesValidator = [
+  param('sectionId')
+    .isUUID()
+    .withMessage('Section ID must be a valid UUID'),
+  body('release_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('release_at must be a valid date')
+];
+
+/**
+ * Validate department review of submitted grades
+ */
+const reviewGradesValidator = [
+  param('sectionId')
+    .isUUID()
+    .withMessage('Section ID must be a valid UUID'),
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('decision must be approve or reject'),
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Comment must be at most 1000 characters'),
+  body('release_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('release_at must be a valid date')
 ];
 
 /**
@@ -101,7 +185,7 @@ const bulkUpdateGradesValidator = [
 const listEnrollmentsValidator = [
   query('status')
     .optional()
-    .isIn(['enrolled', 'dropped', 'completed', 'failed'])
+    .isIn(['pending_approval', 'enrolled', 'rejected', 'dropped', 'withdrawn', 'completed', 'failed'])
     .withMessage('Invalid status value'),
   query('semester')
     .optional()
@@ -113,6 +197,101 @@ const listEnrollmentsValidator = [
     .withMessage('Year must be between 2020 and 2100')
 ];
 
+/**
+ * Validate prerequisite check: course plus the optional semester to check
+ * corequisites and year of study against
+ */
+const checkPrerequisitesValidator = [
+  param('courseId')
+    .isUUID()
+    .withMessage('Course ID must be a valid UUID'),
+  query('semester')
+    .optional()
+    .isIn(['Fall', 'Spring', 'Summer'])
+    .withMessage('Invalid semester value'),
+  query('year')
+    .optional()
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage('Year must be between 2020 and 2100')
+];
+
+/**
+ * Validate course recommendation query
+ * Semester and year go together; without them the upcoming term is used
+ */
+const recommendationsValidator = [
+  query('semester')
+    .optional()
+    .isIn(['Fall', 'Spring', 'Summer'])
+    .withMessage('Invalid semester value'),
+  query('year')
+    .if(query('semester').exists())
+    .notEmpty()
+    .withMessage('Year is required with semester')
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage('Year must be between 2020 and 2100')
+];
+
+/**
+ * Validate schedule builder request
+ */
+const scheduleBuilderValidator = [
+  body('course_ids')
+    .isArray({ min: 1, max: 8 })
+    .withMessage('course_ids must list 1 to 8 courses'),
+  body('course_ids.*')
+    .isUUID()
+    .withMessage('Course ID must be a valid UUID'),
+  body('semester')
+    .isIn(['Fall', 'Spring', 'Summer'])
+    .withMessage('Invalid semester value'),
+  body('year')
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage('Year must be between 2020 and 2100'),
+  body('preferences.no_classes_before')
+    .optional({ nullable: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('no_classes_before must be in HH:MM format'),
+  body('preferences.free_days')
+    .optional()
+    .isArray()
+    .withMessage('free_days must be an array'),
+  body('preferences.free_days.*')
+    .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+    .withMessage('Invalid day'),
+  body('preferences.minimize_gaps')
+    .optional()
+    .isBoolean()
+    .withMessage('minimize_gaps must be a boolean'),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validate enrolling in a chosen timetable
+ */
+const scheduleEnrollValidator = [
+  body('section_ids')
+    .isArray({ min: 1, max: 8 })
+    .withMessage('section_ids must list 1 to 8 sections'),
+  body('section_ids.*')
+    .isUUID()
+    .withMessage('Section ID must be a valid UUID')
+];
+
+/**
+ * Validate waitlist entry ID parameter
+ */
+const waitlistEntryIdValidator = [
+  param('entryId')
+    .notEmpty()
+    .withMessage('Waitlist entry ID is required')
+    .isUUID()
+    .withMessage('Waitlist entry ID must be a valid UUID')
+];
+
 module.exports = {
   createEnrollmentValidator,
   enrollmentIdValidator,
@@ -120,6 +299,14 @@ module.exports = {
   courseIdValidator,
   updateGradesValidator,
   bulkUpdateGradesValidator,
-  listEnrollmentsValidator
+  gradingSchemeValidator,
+  submitGradesValidator,
+  reviewGradesValidator,
+  listEnrollmentsValidator,
+  checkPrerequisitesValidator,
+  recommendationsValidator,
+  scheduleBuilderValidator,
+  scheduleEnrollValidator,
+  waitlistEntryIdValidator
 };
 
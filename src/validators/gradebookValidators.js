@@ -0,0 +1,146 @@
+/**
+ * Gradebook Validators
+ * Request validation schemas for gradebook items and scores
+ */
+
+const { body, param, query } = require('express-validator');
+
+const sectionIdParam = param('sectionId')
+  .notEmpty()
+  .withMessage('Section ID is required')
+  .isUUID()
+  .withMessage('Section ID must be a valid UUID');
+
+const itemIdParam = param('itemId')
+  .notEmpty()
+  .withMessage('Item ID is required')
+  .isUUID()
+  .withMessage('Item ID must be a valid UUID');
+
+/**
+ * Validate gradebook item creation
+ */
+const createItemValidator = [
+  sectionIdParam,
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 100 })
+    .withMessage('Title must be at most 100 characters'),
+  body('component_key')
+    .trim()
+    .notEmpty()
+    .withMessage('Grading component is required'),
+  body('max_points')
+    .isFloat({ gt: 0, max: 10000 })
+    .withMessage('Max points must be a positive number'),
+  body('due_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+];
+
+/**
+ * Validate gradebook item update
+ */
+const updateItemValidator = [
+  sectionIdParam,
+  itemIdParam,
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Title must be at most 100 characters'),
+  body('component_key')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Grading component cannot be empty'),
+  body('max_points')
+    .optional()
+    .isFloat({ gt: 0, max: 10000 })
+    .withMessage('Max points must be a positive number'),
+  body('due_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+];
+
+/**
+ * Validate gradebook item ID parameters
+ */
+const itemIdValidator = [
+  sectionIdParam,
+  itemIdParam
+];
+
+/**
+ * Validate section ID parameter
+ */
+const gradebookSectionValidator = [
+  sectionIdParam
+];
+
+/**
+ * Validate bulk score entry
+ */
+const saveScoresValidator = [
+  sectionIdParam,
+  body('scores')
+    .isArray({ min: 1 })
+    .withMessage('Scores must be a non-empty array'),
+  body('scores.*.enrollment_id')
+    .isUUID()
+    .withMessage('Each score needs a valid enrollment ID'),
+  body('scores.*.item_id')
+    .isUUID()
+    .withMessage('Each score needs a valid item ID'),
+  body('scores.*.points')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Points must be a non-negative number'),
+  body('scores.*.is_excused')
+    .optional()
+    .isBoolean()
+    .withMessage('is_excused must be a boolean'),
+  body('scores.*.comment')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Comment must be a string'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Validate gradebook export query
+ */
+const exportGradebookValidator = [
+  sectionIdParam,
+  query('format')
+    .optional()
+    .isIn(['xlsx', 'csv'])
+    .withMessage('Format must be xlsx or csv')
+];
+
+module.exports = {
+  createItemValidator,
+  updateItemValidator,
+  itemIdValidator,
+  gradebookSectionValidator,
+  saveScoresValidator,
+  exportGradebookValidator
+};
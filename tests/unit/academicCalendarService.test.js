@@ -0,0 +1,182 @@
+const academicCalendarService = require('../../src/services/academicCalendarService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const waitlistService = require('../../src/services/waitlistService');
+const NotificationService = require('../../src/services/notificationService');
+const { sequelize, AcademicTerm, StudentHold, Student, Enrollment, CourseSection } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/waitlistService');
+
+const { getEnrollmentPhase, validateTermDates } = academicCalendarService;
+
+describe('Unit: Academic Calendar Service', () => {
+    const term = {
+        semester: 'Fall',
+        year: 2026,
+        start_date: '2026-09-14',
+        end_date: '2027-01-15',
+        registration_start: '2026-08-24',
+        registration_end: '2026-09-11',
+        add_drop_end: '2026-09-25',
+        withdrawal_end: '2026-11-20'
+    };
+
+    const section = { semester: 'Fall', year: 2026 };
+
+    beforeEach(() => {
+        AcademicTerm.findOne = jest.fn().mockResolvedValue(term);
+        StudentHold.findAll = jest.fn().mockResolvedValue([]);
+        StudentHold.findOne = jest.fn().mockResolvedValue(null);
+        StudentHold.create = jest.fn(data => Promise.resolve({ id: 'hold-1', ...data }));
+        Student.findByPk = jest.fn(id => Promise.resolve({ id, user_id: `user-${id}` }));
+        NotificationService.sendNotification.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.clearAllMocks();
+    });
+
+    describe('getEnrollmentPhase', () => {
+        test('walks through the windows of a term', () => {
+            expect(getEnrollmentPhase(term, new Date('2026-08-01'))).toBe('not_open');
+            expect(getEnrollmentPhase(term, new Date('2026-09-01'))).toBe('registration');
+            expect(getEnrollmentPhase(term, new Date('2026-09-20'))).toBe('add_drop');
+            expect(getEnrollmentPhase(term, new Date('2026-10-15'))).toBe('withdrawal');
+            expect(getEnrollmentPhase(term, new Date('2026-12-01'))).toBe('closed');
+        });
+    });
+
+    describe('assertRegistrationOpen', () => {
+        test('allows adding courses during add/drop', async () => {
+            jest.useFakeTimers().setSystemTime(new Date('2026-09-20'));
+
+            await expect(academicCalendarService.assertRegistrationOpen(section)).resolves.toBe(term);
+        });
+
+        test('rejects registration before it opens and after add/drop', async () => {
+            jest.useFakeTimers().setSystemTime(new Date('2026-08-01'));
+            await expect(academicCalendarService.assertRegistrationOpen(section))
+                .rejects.toMatchObject({ code: 'REGISTRATION_NOT_OPEN' });
+
+            jest.setSystemTime(new Date('2026-10-15'));
+            await expect(academicCalendarService.assertRegistrationOpen(section))
+                .rejects.toMatchObject({ code: 'REGISTRATION_CLOSED' });
+        });
+
+        test('does not restrict semesters without a calendar', async () => {
+            AcademicTerm.findOne.mockResolvedValue(null);
+
+            await expect(academicCalendarService.assertRegistrationOpen(section)).resolves.toBeNull();
+        });
+    });
+
+    describe('resolveDropType', () => {
+        test('drops during add/drop and withdraws afterwards', async () => {
+            jest.useFakeTimers().setSystemTime(new Date('2026-09-20'));
+            await expect(academicCalendarService.resolveDropType(section)).resolves.toBe('drop');
+
+            jest.setSystemTime(new Date('2026-10-15'));
+            await expect(academicCalendarService.resolveDropType(section)).resolves.toBe('withdraw');
+        });
+
+        test('refuses to leave a course after the withdrawal deadline', async () => {
+            jest.useFakeTimers().setSystemTime(new Date('2026-12-01'));
+
+            await expect(academicCalendarService.resolveDropType(section))
+                .rejects.toMatchObject({ code: 'WITHDRAWAL_PERIOD_OVER' });
+        });
+    });
+
+    describe('dropEnrollment', () => {
+        const transaction = { commit: jest.fn(), rollback: jest.fn() };
+
+        const makeEnrollment = () => ({
+            id: 'enr-1',
+            student_id: 'stu-1',
+            section_id: 'sec-1',
+            status: 'enrolled',
+            section: { id: 'sec-1', ...section },
+            update: jest.fn(function (changes) {
+                Object.assign(this, changes);
+                return Promise.resolve(this);
+            })
+        });
+
+        beforeEach(() => {
+            sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+            sequelize.literal = jest.fn(sql => sql);
+            CourseSection.update = jest.fn().mockResolvedValue([1]);
+            waitlistService.handleSeatReleased.mockResolvedValue([]);
+        });
+
+        test('records a withdrawal when the student leaves after add/drop', async () => {
+            jest.useFakeTimers().setSystemTime(new Date('2026-10-15'));
+            const enrollment = makeEnrollment();
+            Enrollment.findOne = jest.fn().mockResolvedValue(enrollment);
+
+            await enrollmentService.dropEnrollment('stu-1', 'enr-1');
+
+            expect(enrollment).toMatchObject({ status: 'withdrawn', letter_grade: 'W' });
+        });
+
+        test('releases an expired waitlist offer as a plain drop after add/drop', async () => {
+            for (const now of ['2026-10-15', '2026-12-01']) {
+                jest.useFakeTimers().setSystemTime(new Date(now));
+                const enrollment = makeEnrollment();
+                Enrollment.findOne = jest.fn().mockResolvedValue(enrollment);
+
+                await enrollmentService.dropEnrollment('stu-1', 'enr-1', { systemRelease: true });
+
+                expect(enrollment.update).toHaveBeenCalledWith({ status: 'dropped' }, { transaction });
+                expect(enrollment.letter_grade).toBeUndefined();
+            }
+            expect(waitlistService.handleSeatReleased).toHaveBeenCalledWith('sec-1', 'enr-1');
+        });
+    });
+
+    describe('validateTermDates', () => {
+        test('requires every window date in order', () => {
+            expect(() => validateTermDates(term)).not.toThrow();
+            expect(() => validateTermDates({ ...term, add_drop_end: null })).toThrow(/add_drop_end/);
+            expect(() => validateTermDates({ ...term, withdrawal_end: '2026-09-01' }))
+                .toThrow(/add_drop_end must not be after withdrawal_end/);
+        });
+    });
+
+    describe('holds', () => {
+        test('blocks registration and lists the holds', async () => {
+            StudentHold.findAll.mockResolvedValue([
+                { id: 'hold-1', hold_type: 'unpaid_balance', reason: 'Spring tuition' },
+                { id: 'hold-2', hold_type: 'disciplinary', reason: null }
+            ]);
+
+            await expect(academicCalendarService.assertNoRegistrationHolds('stu-1')).rejects.toMatchObject({
+                statusCode: 403,
+                code: 'REGISTRATION_HOLD',
+                message: 'Registration is blocked by holds: Unpaid balance, Disciplinary hold',
+                holds: [
+                    { id: 'hold-1', hold_type: 'unpaid_balance', reason: 'Spring tuition' },
+                    { id: 'hold-2', hold_type: 'disciplinary', reason: null }
+                ]
+            });
+        });
+
+        test('places a hold and notifies the student', async () => {
+            const hold = await academicCalendarService.placeHold('stu-1', { hold_type: 'advisor_approval' }, 'admin-1');
+
+            expect(hold).toMatchObject({ student_id: 'stu-1', hold_type: 'advisor_approval', placed_by: 'admin-1' });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu-1', title: 'Registration Hold Placed' })
+            );
+        });
+
+        test('rejects a second active hold of the same type', async () => {
+            StudentHold.findOne.mockResolvedValue({ id: 'hold-1' });
+
+            await expect(academicCalendarService.placeHold('stu-1', { hold_type: 'unpaid_balance' }, 'admin-1'))
+                .rejects.toMatchObject({ code: 'DUPLICATE_HOLD' });
+        });
+    });
+});
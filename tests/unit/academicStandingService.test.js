@@ -0,0 +1,163 @@
+const academicStandingService = require('../../src/services/academicStandingService');
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const NotificationService = require('../../src/services/notificationService');
+const { AcademicStanding, Enrollment, CourseSection, Student, TransferCredit } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+
+const { classifyStanding, resolveThresholds, DEFAULT_STANDING_THRESHOLDS } = academicStandingService;
+
+describe('Unit: Academic Standing Service', () => {
+    const graded = (studentId, year, semester, letter, credits = 4) => ({
+        student_id: studentId,
+        section_id: `sec-${year}-${semester}`,
+        status: ['AA', 'BA', 'BB', 'CB', 'CC'].includes(letter) ? 'completed' : 'failed',
+        letter_grade: letter,
+        section: { year, semester, course: { credits } }
+    });
+
+    beforeEach(() => {
+        CourseSection.findAll = jest.fn().mockResolvedValue([{ id: 'sec-2025-Fall' }]);
+        Enrollment.findAll = jest.fn();
+        AcademicStanding.findAll = jest.fn().mockResolvedValue([]);
+        TransferCredit.findAll = jest.fn().mockResolvedValue([]);
+        AcademicStanding.create = jest.fn().mockResolvedValue({});
+        Student.update = jest.fn().mockResolvedValue([1]);
+        Student.findByPk = jest.fn(id => Promise.resolve({ id, user_id: `user-${id}` }));
+        NotificationService.sendNotification.mockResolvedValue(null);
+        jest.spyOn(gradeReleaseService, 'hideUnpublishedGrades').mockImplementation(e => Promise.resolve(e));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('classifyStanding', () => {
+        const base = { semesterGpa: 2.5, cgpa: 2.5, semesterCredits: 16, failedCourses: 0 };
+
+        test('puts low CGPA on probation', () => {
+            expect(classifyStanding({ ...base, cgpa: 1.95 })).toBe('probation');
+        });
+
+        test('suspends students who stay below the line while on probation', () => {
+            expect(classifyStanding({ ...base, cgpa: 1.7, previousStanding: 'probation' })).toBe('suspension');
+            expect(classifyStanding({ ...base, cgpa: 1.7 })).toBe('probation');
+            expect(classifyStanding({ ...base, cgpa: 1.9, previousStanding: 'probation' })).toBe('probation');
+        });
+
+        test('awards honors and high honors by semester GPA', () => {
+            expect(classifyStanding({ ...base, semesterGpa: 3.2, cgpa: 3.0 })).toBe('honors');
+            expect(classifyStanding({ ...base, semesterGpa: 3.6, cgpa: 3.0 })).toBe('high_honors');
+        });
+
+        test('requires a full load and no failed course for honors', () => {
+            expect(classifyStanding({ ...base, semesterGpa: 3.8, semesterCredits: 8 })).toBe('good_standing');
+            expect(classifyStanding({ ...base, semesterGpa: 3.8, failedCourses: 1 })).toBe('good_standing');
+        });
+
+        test('applies custom thresholds', () => {
+            const thresholds = resolveThresholds({ honors_gpa: 2.4, honors_min_credits: 0 });
+
+            expect(classifyStanding(base, thresholds)).toBe('honors');
+        });
+    });
+
+    describe('resolveThresholds', () => {
+        test('keeps defaults for missing values', () => {
+            expect(resolveThresholds({ probation_cgpa: '2.2' })).toEqual({
+                ...DEFAULT_STANDING_THRESHOLDS,
+                probation_cgpa: 2.2
+            });
+        });
+
+        test('rejects inconsistent thresholds', () => {
+            expect(() => resolveThresholds({ suspension_cgpa: 2.5 })).toThrow(/suspension_cgpa/);
+            expect(() => resolveThresholds({ honors_gpa: 3.9 })).toThrow(/honors_gpa/);
+        });
+    });
+
+    describe('evaluateSemester', () => {
+        test('refuses to close a semester with unpublished grades', async () => {
+            Enrollment.findAll.mockResolvedValueOnce([
+                { student_id: 'stu-1', section_id: 'sec-2025-Fall', status: 'enrolled', letter_grade: null }
+            ]);
+
+            await expect(academicStandingService.evaluateSemester(2025, 'Fall'))
+                .rejects.toMatchObject({ statusCode: 409, code: 'SEMESTER_NOT_CLOSED' });
+            expect(AcademicStanding.create).not.toHaveBeenCalled();
+        });
+
+        test('stores standing per student and notifies them', async () => {
+            const history = [
+                graded('stu-1', 2024, 'Fall', 'CC'),
+                graded('stu-1', 2025, 'Fall', 'AA'),
+                graded('stu-1', 2025, 'Fall', 'BA'),
+                graded('stu-1', 2025, 'Fall', 'AA'),
+                graded('stu-2', 2025, 'Fall', 'FF'),
+                graded('stu-2', 2025, 'Fall', 'DD')
+            ];
+            Enrollment.findAll
+                .mockResolvedValueOnce(history.filter(e => e.section.year === 2025))
+                .mockResolvedValueOnce(history);
+
+            const result = await academicStandingService.evaluateSemester(2025, 'Fall', { userId: 'admin-1' });
+
+            expect(result.evaluated).toBe(2);
+            expect(result.counts).toMatchObject({ high_honors: 1, probation: 1 });
+            expect(AcademicStanding.create).toHaveBeenCalledWith(expect.objectContaining({
+                student_id: 'stu-1',
+                year: 2025,
+                semester: 'Fall',
+                standing: 'high_honors',
+                semester_gpa: 3.83,
+                cgpa: 3.38,
+                semester_credits: 12,
+                total_credits: 16,
+                evaluated_by: 'admin-1'
+            }));
+            expect(Student.update).toHaveBeenCalledWith({ gpa: 0.5, cgpa: 0.5 }, { where: { id: 'stu-2' } });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user-stu-2',
+                title: 'Academic Standing: Academic Probation',
+                type: 'warning'
+            }));
+        });
+
+        test('re-evaluation updates the record and only notifies on change', async () => {
+            const history = [
+                graded('stu-1', 2025, 'Fall', 'CC'),
+                graded('stu-1', 2025, 'Fall', 'CB')
+            ];
+            const existing = { student_id: 'stu-1', year: 2025, semester: 'Fall', standing: 'good_standing', update: jest.fn() };
+            Enrollment.findAll.mockResolvedValueOnce(history).mockResolvedValueOnce(history);
+            AcademicStanding.findAll.mockResolvedValue([existing]);
+
+            await academicStandingService.evaluateSemester(2025, 'Fall');
+
+            expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({ standing: 'good_standing' }));
+            expect(AcademicStanding.create).not.toHaveBeenCalled();
+            expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+        });
+
+        test('uses the previous semester standing for suspension', async () => {
+            const history = [
+                graded('stu-1', 2024, 'Fall', 'DD'),
+                graded('stu-1', 2025, 'Fall', 'FD')
+            ];
+            Enrollment.findAll.mockResolvedValueOnce([history[1]]).mockResolvedValueOnce(history);
+            AcademicStanding.findAll.mockResolvedValue([
+                { student_id: 'stu-1', year: 2024, semester: 'Fall', standing: 'probation' }
+            ]);
+
+            const result = await academicStandingService.evaluateSemester(2025, 'Fall');
+
+            expect(result.counts.suspension).toBe(1);
+            expect(AcademicStanding.create).toHaveBeenCalledWith(expect.objectContaining({
+                standing: 'suspension',
+                previous_standing: 'probation'
+            }));
+        });
+    });
+});
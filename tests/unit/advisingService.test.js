@@ -0,0 +1,129 @@
+const advisingService = require('../../src/services/advisingService');
+const transcriptService = require('../../src/services/transcriptService');
+const waitlistService = require('../../src/services/waitlistService');
+const NotificationService = require('../../src/services/notificationService');
+const { sequelize, Enrollment, CourseSection, Student } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/transcriptService');
+jest.mock('../../src/services/waitlistService');
+
+describe('Unit: Advising Service', () => {
+    const transaction = { commit: jest.fn(), rollback: jest.fn() };
+
+    const makeEnrollment = (id, code, data = {}) => ({
+        id,
+        student_id: 'stu-1',
+        section_id: `sec-${code}`,
+        status: 'pending_approval',
+        advisor_comment: null,
+        enrollment_date: new Date('2026-09-01T09:00:00Z'),
+        student: {
+            id: 'stu-1',
+            student_number: '20260001',
+            advisor_id: 'fac-1',
+            user: { first_name: 'Deniz', last_name: 'Yilmaz', email: 'deniz@campus.edu' }
+        },
+        section: {
+            id: `sec-${code}`,
+            section_number: 1,
+            semester: 'Fall',
+            year: 2026,
+            course: { code, name: `${code} Course`, credits: 4 }
+        },
+        ...data,
+        update: jest.fn(function (changes) {
+            Object.assign(this, changes);
+            return Promise.resolve(this);
+        })
+    });
+
+    beforeEach(() => {
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+        sequelize.literal = jest.fn(sql => sql);
+        Student.findByPk = jest.fn().mockResolvedValue({ id: 'stu-1', user_id: 'user-stu-1', advisor_id: 'fac-1' });
+        Enrollment.findAll = jest.fn();
+        CourseSection.update = jest.fn().mockResolvedValue([1]);
+        transcriptService.getStudentTranscriptData.mockResolvedValue({
+            student: { department: 'Computer Engineering' },
+            semesters: [{ year: 2025, semester: 'Spring', standing: 'Good Standing' }],
+            summary: { totalCredits: 60, totalEcts: 90, cgpa: 3.1 }
+        });
+        waitlistService.handleSeatReleased.mockResolvedValue([]);
+        NotificationService.sendNotification.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getPendingBaskets', () => {
+        test('groups pending courses per student and semester with a transcript summary', async () => {
+            Enrollment.findAll.mockResolvedValue([
+                makeEnrollment('enr-1', 'CS301'),
+                makeEnrollment('enr-2', 'CS305')
+            ]);
+
+            const baskets = await advisingService.getPendingBaskets('fac-1');
+
+            expect(baskets).toHaveLength(1);
+            expect(baskets[0]).toMatchObject({
+                student: { id: 'stu-1', name: 'Deniz Yilmaz' },
+                semester: 'Fall',
+                year: 2026,
+                total_credits: 8,
+                transcript: { totalCredits: 60, cgpa: 3.1, standing: 'Good Standing' }
+            });
+            expect(baskets[0].courses.map(c => c.code)).toEqual(['CS301', 'CS305']);
+            expect(transcriptService.getStudentTranscriptData).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('reviewBasket', () => {
+        const decide = decisions => ({ semester: 'Fall', year: 2026, decisions });
+
+        test('enrolls approved courses and releases rejected seats', async () => {
+            const approved = makeEnrollment('enr-1', 'CS301');
+            const rejected = makeEnrollment('enr-2', 'CS305');
+            const commented = makeEnrollment('enr-3', 'MATH201');
+            Enrollment.findAll.mockResolvedValue([approved, rejected, commented]);
+
+            await advisingService.reviewBasket('fac-1', 'stu-1', decide([
+                { enrollment_id: 'enr-1', decision: 'approved' },
+                { enrollment_id: 'enr-2', decision: 'rejected', comment: 'Take CS205 first' },
+                { enrollment_id: 'enr-3', decision: 'comment', comment: 'Consider section 2' }
+            ]));
+
+            expect(approved.status).toBe('enrolled');
+            expect(rejected).toMatchObject({ status: 'rejected', advisor_comment: 'Take CS205 first' });
+            expect(commented).toMatchObject({ status: 'pending_approval', advisor_comment: 'Consider section 2' });
+            expect(CourseSection.update).toHaveBeenCalledTimes(1);
+            expect(transaction.commit).toHaveBeenCalled();
+            expect(waitlistService.handleSeatReleased).toHaveBeenCalledWith('sec-CS305', 'enr-2');
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user-stu-1',
+                title: 'Course Basket Reviewed',
+                type: 'warning'
+            }));
+        });
+
+        test('only the assigned advisor can review', async () => {
+            await expect(advisingService.reviewBasket('fac-2', 'stu-1', decide([
+                { enrollment_id: 'enr-1', decision: 'approved' }
+            ]))).rejects.toMatchObject({ statusCode: 403, code: 'NOT_ADVISOR' });
+        });
+
+        test('rejects the whole review if a course is not pending', async () => {
+            const pending = makeEnrollment('enr-1', 'CS301');
+            Enrollment.findAll.mockResolvedValue([pending]);
+
+            await expect(advisingService.reviewBasket('fac-1', 'stu-1', decide([
+                { enrollment_id: 'enr-1', decision: 'approved' },
+                { enrollment_id: 'enr-9', decision: 'approved' }
+            ]))).rejects.toMatchObject({ code: 'ENROLLMENT_NOT_PENDING' });
+
+            expect(pending.update).not.toHaveBeenCalled();
+        });
+    });
+});
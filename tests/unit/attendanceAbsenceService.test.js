@@ -0,0 +1,88 @@
+const { Op } = require('sequelize');
+const attendanceService = require('../../src/services/attendanceService');
+const { sequelize, AttendanceSession, AttendanceRecord, Enrollment, ExcuseRequest } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/socket');
+
+describe('Unit: Attendance Absence Marking', () => {
+    const session = (data = {}) => ({
+        id: 'ses-1',
+        section_id: 'sec-1',
+        instructor_id: 'fac-1',
+        is_active: true,
+        end_time: new Date('2026-03-02T10:30:00Z'),
+        update: jest.fn().mockResolvedValue(),
+        ...data
+    });
+
+    let transaction;
+
+    beforeEach(() => {
+        transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+        Enrollment.findAll = jest.fn().mockResolvedValue([
+            { student_id: 'stu-1' },
+            { student_id: 'stu-2' },
+            { student_id: 'stu-3' },
+            { student_id: 'stu-4' }
+        ]);
+        Enrollment.count = jest.fn().mockResolvedValue(4);
+        AttendanceRecord.findAll = jest.fn().mockResolvedValue([{ student_id: 'stu-1', status: 'present', is_flagged: false }]);
+        AttendanceRecord.bulkCreate = jest.fn(rows => Promise.resolve(rows));
+        ExcuseRequest.findAll = jest.fn().mockResolvedValue([
+            { id: 'exc-2', student_id: 'stu-2', status: 'pending' },
+            { id: 'exc-3', student_id: 'stu-3', status: 'approved' }
+        ]);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('marks students without a record absent and links their excuse requests', async () => {
+        const marked = await attendanceService.markAbsentees(session(), transaction);
+
+        expect(marked).toEqual([
+            expect.objectContaining({ student_id: 'stu-2', status: 'absent', excuse_request_id: 'exc-2', check_in_time: null }),
+            expect.objectContaining({ student_id: 'stu-3', status: 'excused', excuse_request_id: 'exc-3' }),
+            expect.objectContaining({ student_id: 'stu-4', status: 'absent', excuse_request_id: null })
+        ]);
+        expect(AttendanceRecord.bulkCreate).toHaveBeenCalledWith(expect.any(Array), { transaction });
+    });
+
+    test('ending a session records absences in the same transaction', async () => {
+        const active = session();
+        AttendanceSession.findByPk = jest.fn().mockResolvedValue(active);
+        AttendanceRecord.findAll
+            .mockResolvedValueOnce([{ student_id: 'stu-1' }])
+            .mockResolvedValueOnce([
+                { status: 'present', is_flagged: false },
+                { status: 'absent', is_flagged: false },
+                { status: 'excused', is_flagged: false },
+                { status: 'absent', is_flagged: false }
+            ]);
+
+        const result = await attendanceService.endSession('ses-1', 'fac-1');
+
+        expect(active.update).toHaveBeenCalledWith(
+            expect.objectContaining({ is_active: false }),
+            { transaction }
+        );
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(result.summary).toMatchObject({ total_enrolled: 4, present: 1, absent: 2, excused: 1, marked_absent: 3 });
+    });
+
+    test('auto-closes sessions left open past the grace period', async () => {
+        const forgotten = session();
+        AttendanceSession.findAll = jest.fn().mockResolvedValue([forgotten]);
+        const now = new Date('2026-03-02T11:30:00Z');
+
+        const result = await attendanceService.closeExpiredSessions(now);
+
+        const cutoff = new Date(now.getTime() - attendanceService.AUTO_CLOSE_AFTER_MINUTES * 60 * 1000);
+        expect(AttendanceSession.findAll.mock.calls[0][0].where).toEqual({ is_active: true, end_time: { [Op.lte]: cutoff } });
+        expect(forgotten.update).toHaveBeenCalledWith({ is_active: false, end_time: forgotten.end_time }, { transaction });
+        expect(result).toEqual({ closed: 1, marked_absent: 3 });
+    });
+});
@@ -0,0 +1,152 @@
+const attendanceDeviceService = require('../../src/services/attendanceDeviceService');
+const attendanceService = require('../../src/services/attendanceService');
+const { sequelize, AttendanceDevice, AttendanceRecord, AttendancePolicy, AttendanceSession, Enrollment } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/socket');
+
+describe('Unit: Attendance Device Binding', () => {
+    const hash = attendanceDeviceService.hashFingerprint('phone-a');
+
+    const makeDevice = (data = {}) => ({
+        id: 'dev-1',
+        student_id: 'stu-1',
+        fingerprint_hash: hash,
+        revoked_at: null,
+        ...data,
+        update: jest.fn().mockResolvedValue()
+    });
+
+    const makeRecord = (data = {}) => ({
+        id: 'rec-2',
+        student_id: 'stu-2',
+        is_flagged: false,
+        notes: null,
+        ...data,
+        update: jest.fn().mockResolvedValue()
+    });
+
+    beforeEach(() => {
+        AttendanceDevice.findAll = jest.fn().mockResolvedValue([]);
+        AttendanceDevice.create = jest.fn(data => Promise.resolve({ id: 'dev-new', ...data }));
+        AttendanceDevice.count = jest.fn().mockResolvedValue(0);
+        AttendanceRecord.findAll = jest.fn().mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('checkDevice', () => {
+        test('binds a new device while the student has a free slot', async () => {
+            const result = await attendanceDeviceService.checkDevice({
+                studentId: 'stu-1',
+                sessionId: 'ses-1',
+                fingerprint: 'phone-a',
+                userAgent: 'CampusApp/2.1 (Android 14)'
+            });
+
+            expect(AttendanceDevice.create).toHaveBeenCalledWith(
+                expect.objectContaining({ student_id: 'stu-1', fingerprint_hash: hash, user_agent: 'CampusApp/2.1 (Android 14)' }),
+                expect.anything()
+            );
+            expect(result).toMatchObject({ fingerprintHash: hash, reasons: [], sharedRecords: [] });
+        });
+
+        test('rejects unregistered devices once every slot is taken', async () => {
+            AttendanceDevice.findAll.mockResolvedValue(
+                Array.from({ length: attendanceDeviceService.MAX_DEVICES_PER_STUDENT }, (_, i) =>
+                    makeDevice({ id: `dev-${i}`, fingerprint_hash: `other-${i}` }))
+            );
+
+            await expect(attendanceDeviceService.checkDevice({ studentId: 'stu-1', sessionId: 'ses-1', fingerprint: 'phone-a' }))
+                .rejects.toMatchObject({ code: 'DEVICE_NOT_REGISTERED', statusCode: 403 });
+            expect(AttendanceDevice.create).not.toHaveBeenCalled();
+        });
+
+        test('gives reasons when the device checked in other students in the session', async () => {
+            const device = makeDevice();
+            AttendanceDevice.findAll.mockResolvedValue([device]);
+            AttendanceDevice.count.mockResolvedValue(1);
+            AttendanceRecord.findAll.mockResolvedValue([makeRecord()]);
+
+            const result = await attendanceDeviceService.checkDevice({ studentId: 'stu-1', sessionId: 'ses-1', fingerprint: 'phone-a' });
+
+            expect(device.update).toHaveBeenCalledWith({ last_seen_at: expect.any(Date) }, expect.anything());
+            expect(result.reasons).toEqual([
+                'Device is also registered to 1 other student(s)',
+                'Same device checked in 1 other student(s) in this session'
+            ]);
+        });
+    });
+
+    test('check-ins from a shared device flag every student it checked in', async () => {
+        const transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+        AttendanceSession.findByPk = jest.fn().mockResolvedValue({
+            id: 'ses-1',
+            section_id: 'sec-1',
+            check_in_mode: 'qr',
+            qr_secret: null,
+            is_active: true,
+            start_time: new Date(Date.now() - 60 * 1000),
+            end_time: new Date(Date.now() + 60 * 60 * 1000),
+            section: { id: 'sec-1', course: { code: 'CS101', name: 'Intro' } }
+        });
+        Enrollment.findOne = jest.fn().mockResolvedValue({ id: 'enr-1' });
+        AttendanceRecord.findOne = jest.fn().mockResolvedValue(null);
+        AttendanceRecord.create = jest.fn(data => Promise.resolve({ id: 'rec-1', ...data }));
+        AttendancePolicy.findOne = jest.fn().mockResolvedValue(null);
+        const earlier = makeRecord();
+        AttendanceRecord.findAll.mockResolvedValue([earlier]);
+
+        const result = await attendanceService.checkIn({
+            studentId: 'stu-1',
+            sessionId: 'ses-1',
+            deviceFingerprint: 'phone-a'
+        });
+
+        expect(result.warning).toBe(true);
+        expect(AttendanceRecord.create).toHaveBeenCalledWith(
+            expect.objectContaining({ device_fingerprint: hash, is_flagged: true }),
+            { transaction }
+        );
+        expect(earlier.update).toHaveBeenCalledWith(
+            { is_flagged: true, notes: 'Same device checked in another student in this session' },
+            { transaction }
+        );
+        expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    test('groups check-ins by session and device into clusters with evidence', async () => {
+        const session = { id: 'ses-1', section_id: 'sec-1', start_time: new Date('2026-03-02T09:00:00Z'), section: { section_number: 1, course: { code: 'CS101', name: 'Intro' } } };
+        const record = (id, studentId, time, fingerprint = hash) => ({
+            id,
+            session_id: 'ses-1',
+            student_id: studentId,
+            device_fingerprint: fingerprint,
+            check_in_time: new Date(time),
+            status: 'present',
+            session,
+            student: { student_number: studentId.toUpperCase(), user: { first_name: 'A', last_name: studentId } }
+        });
+        AttendanceRecord.findAll.mockResolvedValue([
+            record('rec-1', 'stu-1', '2026-03-02T09:01:00Z'),
+            record('rec-2', 'stu-2', '2026-03-02T09:01:40Z'),
+            record('rec-3', 'stu-3', '2026-03-02T09:02:00Z', 'other-device')
+        ]);
+        AttendanceDevice.findAll.mockResolvedValue([{ student_id: 'stu-1' }]);
+
+        const clusters = await attendanceDeviceService.getSharedDeviceClusters({ sectionIds: ['sec-1'] });
+
+        expect(clusters).toHaveLength(1);
+        expect(clusters[0]).toMatchObject({
+            session: { id: 'ses-1', course: { code: 'CS101' } },
+            device: hash.slice(0, 12),
+            student_count: 2,
+            check_in_spread_seconds: 40,
+            registered_to: ['stu-1']
+        });
+        expect(clusters[0].records.map(r => r.student.id)).toEqual(['stu-1', 'stu-2']);
+    });
+});
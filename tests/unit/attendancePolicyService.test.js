@@ -0,0 +1,314 @@
+const attendancePolicyService = require('../../src/services/attendancePolicyService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const gradingService = require('../../src/services/gradingService');
+const NotificationService = require('../../src/services/notificationService');
+const { sequelize, AttendancePolicy, AttendanceSession, AttendanceRecord, CourseSection, Enrollment, GradeRelease, User } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+
+describe('Unit: Attendance Policy Service', () => {
+    const policy = (data = {}) => ({
+        ...attendancePolicyService.DEFAULT_ATTENDANCE_POLICY,
+        max_absence_percent: 30,
+        warning_percent: 20,
+        ...data
+    });
+
+    const makeEnrollment = (data = {}) => ({
+        id: 'enr-1',
+        student_id: 'stu-1',
+        section_id: 'sec-1',
+        attendance_status: 'ok',
+        section: { id: 'sec-1', instructor_id: 'fac-1', course: { code: 'CS101', name: 'Intro' } },
+        student: { id: 'stu-1', user_id: 'user-stu' },
+        ...data,
+        update: jest.fn(function (changes) {
+            Object.assign(this, changes);
+            return Promise.resolve(this);
+        })
+    });
+
+    beforeEach(() => {
+        NotificationService.sendNotification.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('summarizeAttendance', () => {
+        test('counts lates as absences by the policy ratio', () => {
+            const summary = attendancePolicyService.summarizeAttendance(
+                policy({ lates_per_absence: 3 }),
+                { sessions: 10, present: 3, late: 5, excused: 0 }
+            );
+
+            expect(summary).toMatchObject({ absent: 2, absences: 3, absence_percent: 30, limit_exceeded: false, warning: true });
+        });
+
+        test('counts excused absences only when the policy says so', () => {
+            const counts = { sessions: 10, present: 6, late: 0, excused: 2 };
+
+            expect(attendancePolicyService.summarizeAttendance(policy(), counts).absences).toBe(2);
+            expect(attendancePolicyService.summarizeAttendance(policy({ count_excused: true }), counts)).toMatchObject({
+                absences: 4,
+                limit_exceeded: true
+            });
+        });
+
+        test('measures percentages against the planned term and applies count limits', () => {
+            const counts = { sessions: 4, present: 2, late: 0, excused: 0 };
+
+            expect(attendancePolicyService.summarizeAttendance(policy({ planned_sessions: 14 }), counts)).toMatchObject({
+                absence_percent: 14.29,
+                limit_exceeded: false
+            });
+            expect(attendancePolicyService.summarizeAttendance(
+                policy({ max_absence_percent: null, max_absence_count: 1, planned_sessions: 14 }),
+                counts
+            ).limit_exceeded).toBe(true);
+        });
+
+        test('enforces percentages without a planned term only after enough sessions', () => {
+            const early = { sessions: 4, present: 2, late: 0, excused: 0 };
+
+            expect(attendancePolicyService.summarizeAttendance(policy(), early)).toMatchObject({
+                absence_percent: 50,
+                warning: false,
+                limit_exceeded: false
+            });
+            expect(attendancePolicyService.summarizeAttendance(policy({ max_absence_count: 1 }), early).limit_exceeded)
+                .toBe(true);
+        });
+    });
+
+    describe('validateAttendancePolicy', () => {
+        test('requires some absence limit', () => {
+            expect(() => attendancePolicyService.validateAttendancePolicy({
+                max_absence_percent: null,
+                max_absence_count: null
+            })).toThrow(expect.objectContaining({ code: 'INVALID_ATTENDANCE_POLICY' }));
+        });
+
+        test('rejects a warning level above the limit', () => {
+            expect(() => attendancePolicyService.validateAttendancePolicy({
+                max_absence_percent: 20,
+                warning_percent: 25
+            })).toThrow('warning_percent cannot exceed max_absence_percent');
+        });
+    });
+
+    describe('evaluateEnrollmentAttendance', () => {
+        beforeEach(() => {
+            AttendanceSession.count = jest.fn().mockResolvedValue(10);
+            jest.spyOn(gradeReleaseService, 'getSectionRelease').mockResolvedValue({ status: 'draft' });
+        });
+
+        test('marks students over the limit failed and notifies them', async () => {
+            AttendanceRecord.findAll = jest.fn().mockResolvedValue(
+                Array.from({ length: 6 }, () => ({ status: 'present' }))
+            );
+            const enrollment = makeEnrollment();
+
+            const summary = await attendancePolicyService.evaluateEnrollmentAttendance(enrollment, policy());
+
+            expect(enrollment.update).toHaveBeenCalledWith({
+                attendance_status: 'failed',
+                status: 'failed',
+                letter_grade: 'FF',
+                numeric_grade: null
+            });
+            expect(summary).toMatchObject({ absences: 4, limit_exceeded: true, attendance_status: 'failed' });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu', title: 'Attendance Limit Exceeded - CS101' })
+            );
+        });
+
+        test('does not fail students early in a term of unknown length', async () => {
+            AttendanceSession.count.mockResolvedValue(3);
+            AttendanceRecord.findAll = jest.fn().mockResolvedValue([{ status: 'present' }]);
+            const enrollment = makeEnrollment();
+
+            const summary = await attendancePolicyService.evaluateEnrollmentAttendance(enrollment, policy());
+
+            expect(summary).toMatchObject({ absences: 2, limit_exceeded: false, attendance_status: 'ok' });
+            expect(enrollment.update).not.toHaveBeenCalled();
+            expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+        });
+
+        test('clears the mark when corrections bring the student under the limit', async () => {
+            AttendanceRecord.findAll = jest.fn().mockResolvedValue(
+                Array.from({ length: 8 }, () => ({ status: 'present' }))
+            );
+            const enrollment = makeEnrollment({ attendance_status: 'failed', status: 'failed', letter_grade: 'FF' });
+
+            await attendancePolicyService.evaluateEnrollmentAttendance(enrollment, policy());
+
+            expect(enrollment).toMatchObject({ attendance_status: 'ok', status: 'enrolled', letter_grade: null });
+            expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+        });
+
+        test('leaves sections whose grades are out of draft alone', async () => {
+            gradeReleaseService.getSectionRelease.mockResolvedValue({ status: 'published' });
+            AttendanceRecord.findAll = jest.fn().mockResolvedValue([]);
+            const enrollment = makeEnrollment();
+
+            await attendancePolicyService.evaluateEnrollmentAttendance(enrollment, policy());
+
+            expect(enrollment.update).not.toHaveBeenCalled();
+        });
+
+        test('a section with an attendance-failed student can be submitted', async () => {
+            AttendanceRecord.findAll = jest.fn().mockResolvedValue([]);
+            const enrollment = makeEnrollment({ status: 'enrolled', letter_grade: null });
+            await attendancePolicyService.evaluateEnrollmentAttendance(enrollment, policy());
+
+            const release = { status: 'draft', update: jest.fn().mockResolvedValue() };
+            GradeRelease.findOne = jest.fn().mockResolvedValue(release);
+            CourseSection.findByPk = jest.fn().mockResolvedValue({
+                id: 'sec-1',
+                instructor_id: 'fac-1',
+                course: { code: 'CS101', name: 'Intro', department: { id: 'dep-1', head_faculty_id: null } }
+            });
+            User.findAll = jest.fn().mockResolvedValue([]);
+            Enrollment.count = jest.fn(({ where }) => Promise.resolve(
+                [enrollment].filter(e => e.status === where.status && e.letter_grade === where.letter_grade).length
+            ));
+
+            await gradeReleaseService.submitGrades('sec-1', 'fac-1', 'user-fac');
+
+            expect(release.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'submitted' }));
+        });
+
+        test('leaves overridden enrollments alone', async () => {
+            AttendanceRecord.findAll = jest.fn().mockResolvedValue([]);
+            const enrollment = makeEnrollment({ attendance_status: 'overridden' });
+
+            await attendancePolicyService.evaluateEnrollmentAttendance(enrollment, policy());
+
+            expect(enrollment.update).not.toHaveBeenCalled();
+        });
+    });
+
+    test('section standing reports absences without marking or notifying', async () => {
+        const enrollment = makeEnrollment();
+        CourseSection.findByPk = jest.fn().mockResolvedValue({ id: 'sec-1', instructor_id: 'fac-1' });
+        AttendancePolicy.findOne = jest.fn().mockResolvedValue(null);
+        Enrollment.findAll = jest.fn().mockResolvedValue([enrollment]);
+        AttendanceSession.count = jest.fn().mockResolvedValue(10);
+        AttendanceRecord.findAll = jest.fn().mockResolvedValue(
+            Array.from({ length: 6 }, () => ({ status: 'present' }))
+        );
+
+        const standing = await attendancePolicyService.getSectionAttendanceStanding('sec-1', 'fac-1');
+
+        expect(standing.students).toEqual([
+            expect.objectContaining({ enrollment_id: 'enr-1', limit_exceeded: true, attendance_status: 'ok' })
+        ]);
+        expect(enrollment.update).not.toHaveBeenCalled();
+        expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+
+    describe('setAttendanceOverride', () => {
+        beforeEach(() => {
+            jest.spyOn(gradeReleaseService, 'assertGradesEditable').mockResolvedValue({ status: 'draft' });
+            jest.spyOn(gradeReleaseService, 'recordGradeChange').mockResolvedValue(null);
+        });
+
+        test('lifts the block with a reason', async () => {
+            const enrollment = makeEnrollment({ attendance_status: 'failed', status: 'failed', letter_grade: 'FF' });
+            Enrollment.findByPk = jest.fn().mockResolvedValue(enrollment);
+
+            await attendancePolicyService.setAttendanceOverride('enr-1', { reason: 'Medical report' }, 'fac-1', 'user-fac');
+
+            expect(enrollment).toMatchObject({
+                attendance_status: 'overridden',
+                attendance_override_by: 'user-fac',
+                attendance_override_reason: 'Medical report',
+                status: 'enrolled',
+                letter_grade: null
+            });
+            expect(gradeReleaseService.recordGradeChange).not.toHaveBeenCalled();
+        });
+
+        test('records the change when grades are already published', async () => {
+            gradeReleaseService.assertGradesEditable.mockResolvedValue({ status: 'published' });
+            const enrollment = makeEnrollment({ attendance_status: 'failed', status: 'failed', letter_grade: 'FF' });
+            Enrollment.findByPk = jest.fn().mockResolvedValue(enrollment);
+
+            await attendancePolicyService.setAttendanceOverride('enr-1', { reason: 'Medical report' }, 'fac-1', 'user-fac');
+
+            expect(gradeReleaseService.assertGradesEditable).toHaveBeenCalledWith('sec-1', 'Medical report');
+            expect(gradeReleaseService.recordGradeChange).toHaveBeenCalledWith(
+                expect.objectContaining({ letter_grade: 'FF', status: 'failed' }),
+                enrollment,
+                'Medical report',
+                'user-fac'
+            );
+        });
+
+        test('requires a reason and the section instructor', async () => {
+            Enrollment.findByPk = jest.fn().mockResolvedValue(makeEnrollment({ attendance_status: 'failed' }));
+
+            await expect(attendancePolicyService.setAttendanceOverride('enr-1', {}, 'fac-1', 'user-fac'))
+                .rejects.toMatchObject({ code: 'REASON_REQUIRED' });
+            await expect(attendancePolicyService.setAttendanceOverride('enr-1', { reason: 'x' }, 'fac-2', 'user-fac'))
+                .rejects.toMatchObject({ statusCode: 403 });
+        });
+    });
+
+    describe('final grade lockout', () => {
+        let transaction;
+
+        beforeEach(() => {
+            transaction = { commit: jest.fn(), rollback: jest.fn() };
+            sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+            jest.spyOn(gradeReleaseService, 'assertGradesEditable').mockResolvedValue({ status: 'draft' });
+            jest.spyOn(gradingService, 'getSectionGradingScheme').mockResolvedValue({
+                ...gradingService.DEFAULT_GRADING_SCHEME,
+                is_default: true
+            });
+        });
+
+        test('blocks final grade entry for students failed on attendance', async () => {
+            Enrollment.findByPk = jest.fn().mockResolvedValue(makeEnrollment({ attendance_status: 'failed' }));
+
+            await expect(enrollmentService.updateGrades('enr-1', { final_grade: 80 }, 'fac-1'))
+                .rejects.toMatchObject({ code: 'ATTENDANCE_FAIL', statusCode: 409 });
+            expect(transaction.rollback).toHaveBeenCalled();
+        });
+
+        test('blocks completing the grade under a scheme without a final', async () => {
+            gradingService.getSectionGradingScheme.mockResolvedValue({
+                ...gradingService.DEFAULT_GRADING_SCHEME,
+                components: [
+                    { key: 'project', name: 'Project', weight: 50 },
+                    { key: 'homework', name: 'Homework', weight: 50 }
+                ],
+                is_default: false
+            });
+            const enrollment = makeEnrollment({ attendance_status: 'failed', component_scores: { homework: 70 } });
+            Enrollment.findByPk = jest.fn().mockResolvedValue(enrollment);
+
+            await expect(enrollmentService.updateGrades('enr-1', { components: { project: 85 } }, 'fac-1'))
+                .rejects.toMatchObject({ code: 'ATTENDANCE_FAIL' });
+            expect(enrollment.update).not.toHaveBeenCalled();
+        });
+
+        test('still accepts other scores', async () => {
+            const enrollment = makeEnrollment({ attendance_status: 'failed' });
+            Enrollment.findByPk = jest.fn().mockResolvedValue(enrollment);
+
+            await enrollmentService.updateGrades('enr-1', { midterm_grade: 55 }, 'fac-1', { recalculateSection: false });
+
+            expect(enrollment.update).toHaveBeenCalledWith(
+                expect.objectContaining({ midterm_grade: 55 }),
+                expect.anything()
+            );
+            expect(transaction.commit).toHaveBeenCalled();
+        });
+    });
+});
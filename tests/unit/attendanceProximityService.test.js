@@ -0,0 +1,146 @@
+const attendanceService = require('../../src/services/attendanceService');
+const { sequelize, AttendanceSession, AttendanceRecord, AttendancePolicy, CourseSection, Enrollment } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/socket');
+
+describe('Unit: Attendance Proximity Check-in', () => {
+    const classroom = {
+        building: 'Engineering Building',
+        room_number: '101',
+        features_json: {
+            projector: true,
+            beacon_ids: ['F7826DA6-1-101'],
+            wifi_bssids: ['A4-2B-B0-12-34-56'],
+            min_rssi: -75
+        }
+    };
+
+    const activeSession = (data = {}) => ({
+        id: 'ses-1',
+        section_id: 'sec-1',
+        instructor_id: 'fac-1',
+        check_in_mode: 'beacon',
+        qr_secret: null,
+        geofence_radius: 15,
+        center_lat: null,
+        center_long: null,
+        is_active: true,
+        start_time: new Date(Date.now() - 60 * 1000),
+        end_time: new Date(Date.now() + 60 * 60 * 1000),
+        section: { id: 'sec-1', classroom, course: { code: 'CS101', name: 'Intro' } },
+        ...data
+    });
+
+    let transaction;
+
+    beforeEach(() => {
+        transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+        Enrollment.findOne = jest.fn().mockResolvedValue({ id: 'enr-1' });
+        AttendanceRecord.findOne = jest.fn().mockResolvedValue(null);
+        AttendanceRecord.create = jest.fn(data => Promise.resolve({ id: 'rec-1', ...data }));
+        AttendancePolicy.findOne = jest.fn().mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('verifyProximity', () => {
+        test('prefers the strongest classroom beacon over Wi-Fi', () => {
+            const result = attendanceService.verifyProximity(classroom, {
+                beacons: [{ id: 'other', rssi: -40 }, { id: 'f7826da6-1-101', rssi: -70 }],
+                wifiNetworks: [{ bssid: 'a4:2b:b0:12:34:56', rssi: -50 }]
+            });
+
+            expect(result).toEqual({ verified: true, method: 'beacon', matched: 'f7826da6-1-101', rssi: -70 });
+        });
+
+        test('matches Wi-Fi BSSIDs in any notation and ignores weak signals', () => {
+            expect(attendanceService.verifyProximity(classroom, {
+                beacons: [{ id: 'F7826DA6-1-101', rssi: -90 }],
+                wifiNetworks: [{ bssid: 'A4:2B:B0:12:34:56', rssi: -60 }]
+            })).toMatchObject({ verified: true, method: 'wifi', matched: 'a4:2b:b0:12:34:56' });
+
+            expect(attendanceService.verifyProximity(classroom, {
+                wifiNetworks: [{ bssid: 'a4:2b:b0:12:34:56', rssi: -80 }]
+            })).toMatchObject({ verified: false, method: null });
+        });
+
+        test('fails when the classroom has no beacons configured', () => {
+            expect(attendanceService.verifyProximity({ features_json: { projector: true } }, {
+                beacons: [{ id: 'f7826da6-1-101', rssi: -50 }]
+            }).verified).toBe(false);
+        });
+    });
+
+    describe('checkIn', () => {
+        test('records a beacon check-in without GPS', async () => {
+            AttendanceSession.findByPk = jest.fn().mockResolvedValue(activeSession());
+
+            const result = await attendanceService.checkIn({
+                studentId: 'stu-1',
+                sessionId: 'ses-1',
+                beacons: [{ id: 'f7826da6-1-101', rssi: -60 }]
+            });
+
+            expect(result.data).toMatchObject({ status: 'present', check_in_method: 'beacon', distance: null });
+            expect(AttendanceRecord.create).toHaveBeenCalledWith(
+                expect.objectContaining({ check_in_method: 'beacon', student_lat: null, is_flagged: false }),
+                { transaction }
+            );
+        });
+
+        test('rejects beacon sessions when no classroom beacon is in range', async () => {
+            AttendanceSession.findByPk = jest.fn().mockResolvedValue(activeSession());
+
+            await expect(attendanceService.checkIn({
+                studentId: 'stu-1',
+                sessionId: 'ses-1',
+                studentLat: 41.0082,
+                studentLon: 28.9784,
+                wifiNetworks: [{ bssid: 'ff:ff:ff:ff:ff:ff', rssi: -40 }]
+            })).rejects.toMatchObject({ code: 'PROXIMITY_NOT_VERIFIED' });
+            expect(transaction.rollback).toHaveBeenCalled();
+        });
+
+        test('combined sessions fall back to the GPS geofence', async () => {
+            AttendanceSession.findByPk = jest.fn().mockResolvedValue(activeSession({
+                check_in_mode: 'combined',
+                center_lat: 41.0082,
+                center_long: 28.9784
+            }));
+            const checkIn = (data) => attendanceService.checkIn({ studentId: 'stu-1', sessionId: 'ses-1', ...data });
+
+            await expect(checkIn({})).rejects.toMatchObject({ code: 'MISSING_COORDINATES' });
+
+            const result = await checkIn({ studentLat: 41.00825, studentLon: 28.97845, gpsAccuracy: 8 });
+            expect(result.data).toMatchObject({ check_in_method: 'gps', is_flagged: false });
+        });
+
+        test('QR-only sessions need no location', async () => {
+            AttendanceSession.findByPk = jest.fn().mockResolvedValue(activeSession({ check_in_mode: 'qr' }));
+
+            const result = await attendanceService.checkIn({ studentId: 'stu-1', sessionId: 'ses-1' });
+
+            expect(result.data.check_in_method).toBe('qr');
+        });
+    });
+
+    test('beacon sessions require a classroom with beacons or access points', async () => {
+        CourseSection.findByPk = jest.fn().mockResolvedValue({
+            id: 'sec-1',
+            instructor_id: 'fac-1',
+            course: { code: 'CS101', name: 'Intro' },
+            classroom: { features_json: { projector: true } }
+        });
+        AttendanceSession.findOne = jest.fn().mockResolvedValue(null);
+
+        await expect(attendanceService.createSession({
+            sectionId: 'sec-1',
+            instructorId: 'fac-1',
+            checkInMode: 'beacon'
+        })).rejects.toMatchObject({ code: 'NO_PROXIMITY_CONFIG' });
+    });
+});
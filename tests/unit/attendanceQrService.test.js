@@ -0,0 +1,103 @@
+const attendanceService = require('../../src/services/attendanceService');
+const { getIo } = require('../../src/socket');
+const { sequelize, AttendanceSession, Faculty } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/socket');
+
+describe('Unit: Attendance Rotating QR Codes', () => {
+    // RFC 6238 SHA-1 test secret ("12345678901234567890")
+    const secret = '3132333435363738393031323334353637383930';
+
+    const activeSession = (data = {}) => ({
+        id: 'ses-1',
+        instructor_id: 'fac-1',
+        section_id: 'sec-1',
+        session_code: 'ATT-TEST',
+        qr_secret: secret,
+        qr_period_seconds: 30,
+        is_active: true,
+        start_time: new Date(Date.now() - 60 * 1000),
+        end_time: new Date(Date.now() + 60 * 60 * 1000),
+        ...data
+    });
+
+    let emit;
+    let transaction;
+
+    beforeEach(() => {
+        emit = jest.fn();
+        getIo.mockReturnValue({ to: jest.fn(() => ({ emit })) });
+        transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+    });
+
+    afterEach(() => {
+        attendanceService.stopQrStream('ses-1');
+        jest.useRealTimers();
+        jest.clearAllMocks();
+    });
+
+    test('derives RFC 6238 tokens from the session secret', () => {
+        expect(attendanceService.generateQrToken(secret, 30, 59 * 1000)).toBe('287082');
+        expect(attendanceService.generateQrToken(secret, 30, 1111111109 * 1000)).toBe('081804');
+    });
+
+    test('accepts neighbouring periods for clock skew but not older codes', () => {
+        const now = 1111111109 * 1000;
+        const token = attendanceService.generateQrToken(secret, 30, now);
+
+        expect(attendanceService.verifyQrToken(secret, token, 30, now)).toBe(true);
+        expect(attendanceService.verifyQrToken(secret, token, 30, now + 30 * 1000)).toBe(true);
+        expect(attendanceService.verifyQrToken(secret, token, 30, now + 60 * 1000)).toBe(false);
+        expect(attendanceService.verifyQrToken(secret, undefined, 30, now)).toBe(false);
+        expect(attendanceService.verifyQrToken(secret, '12345', 30, now)).toBe(false);
+    });
+
+    test('rejects check-ins without the current token', async () => {
+        AttendanceSession.findByPk = jest.fn().mockResolvedValue(activeSession());
+
+        const checkIn = (qrToken) => attendanceService.checkIn({
+            studentId: 'stu-1',
+            sessionId: 'ses-1',
+            qrToken,
+            studentLat: 41,
+            studentLon: 29
+        });
+
+        await expect(checkIn(undefined)).rejects.toMatchObject({ code: 'INVALID_QR_TOKEN' });
+        const stale = attendanceService.generateQrToken(secret, 30, Date.now() - 120 * 1000);
+        await expect(checkIn(stale)).rejects.toMatchObject({ code: 'INVALID_QR_TOKEN' });
+        expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    test('streams a new code to the session room every period until the session ends', () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+
+        attendanceService.startQrStream(activeSession({ end_time: new Date('2026-03-02T09:01:00Z') }));
+        expect(getIo().to).toHaveBeenCalledWith('session:ses-1');
+        expect(emit).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(30 * 1000);
+        expect(emit).toHaveBeenCalledTimes(2);
+        const [, code] = emit.mock.calls[1];
+        expect(code).toMatchObject({ session_id: 'ses-1', period_seconds: 30 });
+        expect(code.qr_token).toBe(attendanceService.generateQrToken(secret, 30));
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(emit).toHaveBeenCalledTimes(2);
+    });
+
+    test('only lets the session instructor or admins watch the session', async () => {
+        AttendanceSession.findByPk = jest.fn().mockResolvedValue(activeSession());
+        Faculty.findOne = jest.fn().mockResolvedValue({ id: 'fac-2' });
+
+        await expect(attendanceService.authorizeSessionWatcher('ses-1', { id: 'user-2', role: 'faculty' }))
+            .resolves.toBeNull();
+
+        Faculty.findOne.mockResolvedValue({ id: 'fac-1' });
+        const access = await attendanceService.authorizeSessionWatcher('ses-1', { id: 'user-1', role: 'faculty' });
+        expect(access.qr).toMatchObject({ session_code: 'ATT-TEST', qr_token: expect.stringMatching(/^\d{6}$/) });
+    });
+});
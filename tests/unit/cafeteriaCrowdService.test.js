@@ -0,0 +1,91 @@
+const CafeteriaCrowdService = require('../../src/services/cafeteriaCrowdService');
+const MealService = require('../../src/services/mealService');
+const { sequelize, Cafeteria, IoTSensor } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/mealService');
+jest.mock('../../src/socket', () => {
+    const io = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+    return { getIo: jest.fn().mockReturnValue(io) };
+});
+
+const { getIo } = require('../../src/socket');
+
+describe('Unit: Cafeteria Crowd Service', () => {
+    // 12:05 local -> slot 48
+    const now = new Date(2026, 2, 2, 12, 5);
+    const cafeteria = { id: 'caf-1', name: 'Main Hall', location: 'Campus', capacity: 100, is_active: true };
+
+    beforeEach(() => {
+        Cafeteria.findByPk = jest.fn().mockResolvedValue(cafeteria);
+        Cafeteria.findAll = jest.fn().mockResolvedValue([cafeteria]);
+        IoTSensor.findAll = jest.fn().mockResolvedValue([]);
+        sequelize.query = jest.fn().mockResolvedValue([]);
+        MealService.getReservationCountsByCafeteria.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Should measure occupancy as entries minus exits when counters report both', async () => {
+        IoTSensor.findAll.mockResolvedValue([{ id: 'door-1', cafeteria_id: 'caf-1' }]);
+        sequelize.query
+            .mockResolvedValueOnce([
+                { cafeteria_id: 'caf-1', slot: 47, entries: '60', exits: '10' },
+                { cafeteria_id: 'caf-1', slot: 48, entries: '40', exits: '5' }
+            ])
+            .mockResolvedValueOnce([]);
+
+        const result = await CafeteriaCrowdService.getCafeteriaCrowd('caf-1', now);
+
+        expect(result.crowd).toMatchObject({ source: 'sensors', occupancy: 85, level: 'busy' });
+        // 40 arrivals in 5 minutes outpaces the serving counter
+        expect(result.crowd.expected_wait_minutes).toBe(60);
+        expect(result.forecast).toHaveLength(12);
+    });
+
+    test('Should fall back to spreading outstanding reservations over the meal window', async () => {
+        MealService.getReservationCountsByCafeteria.mockResolvedValue({
+            'caf-1': { lunch: { outstanding: 80, consumed: 20 } }
+        });
+
+        const result = await CafeteriaCrowdService.getCafeteriaCrowd('caf-1', now);
+
+        // Lunch ends 14:00 (slot 56): 80 reservations over slots 48..55 = 10 per slot
+        expect(result.crowd.source).toBe('reservations');
+        expect(result.crowd.occupancy).toBe(10);
+        expect(result.crowd.level).toBe('low');
+        expect(result.forecast[0]).toMatchObject({ expected_arrivals: 10, expected_occupancy: 20 });
+        expect(result.forecast[8]).toMatchObject({ expected_arrivals: 0 });
+    });
+
+    test('Should report the least crowded cafeteria and push updates to rooms', async () => {
+        const other = { ...cafeteria, id: 'caf-2', name: 'North' };
+        Cafeteria.findAll.mockResolvedValue([cafeteria, other]);
+        MealService.getReservationCountsByCafeteria.mockResolvedValue({
+            'caf-1': { lunch: { outstanding: 80, consumed: 0 } }
+        });
+
+        const status = await CafeteriaCrowdService.getCrowdStatus(now);
+        expect(status.least_crowded_id).toBe('caf-2');
+
+        await CafeteriaCrowdService.publishCrowdUpdate('caf-1', { force: true });
+        expect(getIo().to).toHaveBeenCalledWith('cafeterias');
+        expect(getIo().to).toHaveBeenCalledWith('cafeteria:caf-1');
+        expect(getIo().emit).toHaveBeenCalledWith('cafeteria:crowd', expect.objectContaining({ id: 'caf-1' }));
+    });
+
+    test('Should only let sockets follow open cafeterias', async () => {
+        const user = { id: 'user-1', role: 'student' };
+
+        await expect(CafeteriaCrowdService.authorizeWatcher(null, user)).resolves.toBe(true);
+        await expect(CafeteriaCrowdService.authorizeWatcher('caf-1', user)).resolves.toBe(true);
+
+        Cafeteria.findByPk.mockResolvedValue({ ...cafeteria, is_active: false });
+        await expect(CafeteriaCrowdService.authorizeWatcher('caf-1', user)).resolves.toBe(false);
+
+        Cafeteria.findByPk.mockResolvedValue(null);
+        await expect(CafeteriaCrowdService.authorizeWatcher('caf-x', user)).resolves.toBe(false);
+    });
+});
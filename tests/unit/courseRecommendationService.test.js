@@ -0,0 +1,164 @@
+const courseRecommendationService = require('../../src/services/courseRecommendationService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const academicCalendarService = require('../../src/services/academicCalendarService');
+const { Enrollment, CourseSection, Course, CoursePrerequisite, Student, TransferCredit, GradeRelease } = require('../../src/models');
+
+jest.mock('../../src/models');
+
+describe('Unit: Course Recommendation Service', () => {
+    const course = (id, code) => ({ id, code, name: code, credits: 3, ects: 5 });
+
+    const section = (id, courseId, code, data = {}) => ({
+        id,
+        course_id: courseId,
+        section_number: '01',
+        capacity: 30,
+        enrolled_count: 10,
+        schedule_json: [],
+        course: course(courseId, code),
+        ...data
+    });
+
+    const completed = (sectionId, courseId, letterGrade) => ({
+        status: 'completed',
+        letter_grade: letterGrade,
+        section_id: sectionId,
+        section: { id: sectionId, course_id: courseId, semester: 'Spring', year: 2026 }
+    });
+
+    // CS101 -> CS201 -> CS301, CS201 -> CS302; MATH101 -> CS302
+    const prerequisiteEdges = [
+        { course_id: 'c-201', prerequisite_course_id: 'c-101' },
+        { course_id: 'c-301', prerequisite_course_id: 'c-201' },
+        { course_id: 'c-302', prerequisite_course_id: 'c-201' },
+        { course_id: 'c-302', prerequisite_course_id: 'c-m101' }
+    ];
+
+    beforeEach(() => {
+        Student.findByPk = jest.fn().mockResolvedValue({ id: 'stu-1' });
+        Enrollment.findAll = jest.fn().mockResolvedValue([
+            completed('old-1', 'c-101', 'BB')
+        ]);
+        GradeRelease.findAll = jest.fn().mockResolvedValue([]);
+        CourseSection.findAll = jest.fn().mockResolvedValue([
+            section('s-m101', 'c-m101', 'MATH101'),
+            section('s-201a', 'c-201', 'CS201'),
+            section('s-201b', 'c-201', 'CS201', { section_number: '02' }),
+            section('s-301', 'c-301', 'CS301'),
+            section('s-hist', 'c-hist', 'HIST101'),
+            section('s-full', 'c-art', 'ART101', { enrolled_count: 30 })
+        ]);
+        TransferCredit.findAll = jest.fn().mockResolvedValue([]);
+        CoursePrerequisite.findAll = jest.fn().mockResolvedValue(prerequisiteEdges);
+        Course.findAll = jest.fn().mockResolvedValue([
+            course('c-201', 'CS201'),
+            course('c-301', 'CS301'),
+            course('c-302', 'CS302')
+        ]);
+        jest.spyOn(enrollmentService, 'checkPrerequisitesRecursive').mockImplementation(async courseId => (
+            courseId === 'c-301'
+                ? {
+                    passed: false,
+                    missingPrerequisites: [{ course_id: 'c-201', course_code: 'CS201' }],
+                    failedClauses: [{ type: 'prerequisite', message: 'Requires CS201' }]
+                }
+                : { passed: true, missingPrerequisites: [] }
+        ));
+        jest.spyOn(enrollmentService, 'checkScheduleConflicts').mockImplementation(async (studentId, sectionId) => (
+            { hasConflict: sectionId === 's-201b', conflicts: [] }
+        ));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('ranks eligible sections by the number of courses they unblock', async () => {
+        const result = await courseRecommendationService.recommendSections('stu-1', { semester: 'Fall', year: '2026' });
+
+        expect(result).toMatchObject({ semester: 'Fall', year: 2026 });
+        expect(result.recommendations.map(r => [r.rank, r.section_id, r.unlocks_count])).toEqual([
+            [1, 's-201a', 2],
+            [2, 's-m101', 1],
+            [3, 's-hist', 0]
+        ]);
+        expect(result.recommendations[0]).toMatchObject({ unlocks: ['CS301', 'CS302'], available_seats: 20 });
+    });
+
+    test('excludes passed courses and lists courses with missing prerequisites', async () => {
+        const result = await courseRecommendationService.recommendSections('stu-1', { semester: 'Fall', year: 2026 });
+
+        expect(CourseSection.findAll).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ semester: 'Fall', year: 2026, course_id: expect.anything() })
+        }));
+        expect(result.ineligible).toEqual([
+            {
+                course_id: 'c-301',
+                code: 'CS301',
+                name: 'CS301',
+                missing_prerequisites: ['CS201'],
+                reasons: ['Requires CS201']
+            }
+        ]);
+    });
+
+    test('only counts published grades as passed', async () => {
+        const unlocksOf201 = async () => {
+            const result = await courseRecommendationService.recommendSections('stu-1', { semester: 'Fall', year: 2026 });
+            return result.recommendations.find(r => r.section_id === 's-201a').unlocks;
+        };
+        Enrollment.findAll.mockResolvedValue([completed('old-1', 'c-101', 'BB'), completed('old-3', 'c-301', 'AA')]);
+
+        await expect(unlocksOf201()).resolves.toEqual(['CS302']);
+
+        GradeRelease.findAll.mockResolvedValue([{ section_id: 'old-3' }]);
+        await expect(unlocksOf201()).resolves.toEqual(['CS301', 'CS302']);
+    });
+
+    test('leaves out full and conflicting sections', async () => {
+        const result = await courseRecommendationService.recommendSections('stu-1', { semester: 'Fall', year: 2026 });
+        const ids = result.recommendations.map(r => r.section_id);
+
+        expect(ids).not.toContain('s-201b');
+        expect(ids).not.toContain('s-full');
+        expect(enrollmentService.checkScheduleConflicts).toHaveBeenCalledWith('stu-1', 's-201b', { semester: 'Fall', year: 2026 });
+        expect(enrollmentService.checkScheduleConflicts).not.toHaveBeenCalledWith('stu-1', 's-full', expect.anything());
+    });
+
+    test('does not let this term\'s classes block next term\'s sections', async () => {
+        enrollmentService.checkScheduleConflicts.mockRestore();
+        const monday = [{ day: 'Monday', start_time: '09:00', end_time: '10:50' }];
+        CourseSection.findAll.mockResolvedValue([section('s-201a', 'c-201', 'CS201', { schedule_json: monday })]);
+        CourseSection.findByPk = jest.fn().mockResolvedValue(
+            section('s-201a', 'c-201', 'CS201', { schedule_json: monday, semester: 'Spring', year: 2027 })
+        );
+        const fallEnrollment = {
+            status: 'enrolled',
+            section: { id: 's-now', course_id: 'c-now', semester: 'Fall', year: 2026, schedule_json: monday, course: course('c-now', 'PHYS101') }
+        };
+        Enrollment.findAll.mockImplementation(async ({ include }) => {
+            const term = include[0].where;
+            if (!term || !term.semester) return [fallEnrollment];
+            return term.semester === 'Fall' && term.year === 2026 ? [fallEnrollment] : [];
+        });
+
+        const result = await courseRecommendationService.recommendSections('stu-1', { semester: 'Spring', year: 2027 });
+
+        expect(result.recommendations.map(r => r.section_id)).toEqual(['s-201a']);
+    });
+
+    test('plans the upcoming academic term by default', async () => {
+        jest.spyOn(academicCalendarService, 'getCurrentTerm').mockResolvedValue({ semester: 'Spring', year: 2027 });
+
+        const result = await courseRecommendationService.recommendSections('stu-1');
+
+        expect(result).toMatchObject({ semester: 'Spring', year: 2027 });
+    });
+
+    test('requires a term when no calendar is defined', async () => {
+        jest.spyOn(academicCalendarService, 'getCurrentTerm').mockResolvedValue(null);
+
+        await expect(courseRecommendationService.recommendSections('stu-1'))
+            .rejects.toMatchObject({ code: 'TERM_REQUIRED' });
+    });
+});
@@ -0,0 +1,144 @@
+const creditLoadService = require('../../src/services/creditLoadService');
+const NotificationService = require('../../src/services/notificationService');
+const { CreditLoadOverride, AcademicStanding, Enrollment, Department, Student } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+
+const { resolveCreditLimits, DEFAULT_CREDIT_LIMITS } = creditLoadService;
+
+describe('Unit: Credit Load Service', () => {
+    const student = { id: 'stu-1', user_id: 'user-stu-1', department_id: 'dep-1', cgpa: '2.80' };
+
+    const enrolledIn = (...credits) => credits.map(c => ({ section: { course: { credits: c, ects: c * 2 } } }));
+
+    const section = (credits, data = {}) => ({
+        semester: 'Fall',
+        year: 2026,
+        course: { code: 'CS401', credits, ects: credits * 2 },
+        ...data
+    });
+
+    beforeEach(() => {
+        Department.findByPk = jest.fn().mockResolvedValue({ id: 'dep-1', credit_limits: null });
+        AcademicStanding.findAll = jest.fn().mockResolvedValue([]);
+        CreditLoadOverride.findOne = jest.fn().mockResolvedValue(null);
+        CreditLoadOverride.update = jest.fn().mockResolvedValue([0]);
+        CreditLoadOverride.create = jest.fn(data => Promise.resolve({ id: 'ovr-1', ...data }));
+        Enrollment.findAll = jest.fn().mockResolvedValue([]);
+        Student.findByPk = jest.fn().mockResolvedValue(student);
+        NotificationService.sendNotification.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('resolveCreditLimits', () => {
+        test('keeps defaults for missing values', () => {
+            expect(resolveCreditLimits({ max_load: '22' })).toEqual({ ...DEFAULT_CREDIT_LIMITS, max_load: 22 });
+        });
+
+        test('rejects inconsistent limits', () => {
+            expect(() => resolveCreditLimits({ min_load: 30 })).toThrow(/min_load/);
+            expect(() => resolveCreditLimits({ probation_max_load: 25 })).toThrow(/probation_max_load/);
+            expect(() => resolveCreditLimits({ unit: 'hours' })).toThrow(/unit/);
+        });
+    });
+
+    describe('assertWithinMaxLoad', () => {
+        test('rejects a course that goes over the standard maximum', async () => {
+            Enrollment.findAll.mockResolvedValue(enrolledIn(6, 6, 6));
+
+            await expect(creditLoadService.assertWithinMaxLoad(student, section(4))).rejects.toMatchObject({
+                code: 'CREDIT_LOAD_EXCEEDED',
+                creditLoad: { current: 18, adding: 4, max_load: 21, basis: 'standard' }
+            });
+        });
+
+        test('raises the cap for high-CGPA students', async () => {
+            Enrollment.findAll.mockResolvedValue(enrolledIn(6, 6, 6));
+
+            await expect(creditLoadService.assertWithinMaxLoad({ ...student, cgpa: '3.72' }, section(4)))
+                .resolves.toMatchObject({ max_load: 24, basis: 'high_cgpa' });
+        });
+
+        test('lowers the cap after a probation semester', async () => {
+            Enrollment.findAll.mockResolvedValue(enrolledIn(6, 6));
+            AcademicStanding.findAll.mockResolvedValue([
+                { year: 2025, semester: 'Fall', standing: 'good_standing' },
+                { year: 2025, semester: 'Spring', standing: 'probation' }
+            ]);
+
+            await expect(creditLoadService.assertWithinMaxLoad({ ...student, cgpa: '3.72' }, section(4)))
+                .rejects.toMatchObject({ creditLoad: { max_load: 15, basis: 'probation' } });
+        });
+
+        test('uses the department policy and unit', async () => {
+            Department.findByPk.mockResolvedValue({
+                id: 'dep-1',
+                credit_limits: { unit: 'ects', min_load: 20, max_load: 35, high_cgpa_max_load: 42, probation_max_load: 25 }
+            });
+            Enrollment.findAll.mockResolvedValue(enrolledIn(6, 6));
+
+            await expect(creditLoadService.assertWithinMaxLoad(student, section(4)))
+                .resolves.toMatchObject({ unit: 'ects', min_load: 20, max_load: 35 });
+        });
+
+        test('applies an active override', async () => {
+            CreditLoadOverride.findOne.mockResolvedValue({ id: 'ovr-1', max_load: 26, min_load: null });
+            Enrollment.findAll.mockResolvedValue(enrolledIn(6, 6, 6, 4));
+
+            await expect(creditLoadService.assertWithinMaxLoad(student, section(4)))
+                .resolves.toMatchObject({ max_load: 26, min_load: 12, basis: 'override', override_id: 'ovr-1' });
+        });
+    });
+
+    describe('assertAboveMinLoad', () => {
+        const enrollment = { student_id: 'stu-1', section: section(4) };
+
+        test('blocks a drop that falls below the minimum', async () => {
+            Enrollment.findAll.mockResolvedValue(enrolledIn(4, 4, 4));
+
+            await expect(creditLoadService.assertAboveMinLoad(enrollment))
+                .rejects.toMatchObject({ code: 'CREDIT_LOAD_BELOW_MINIMUM' });
+        });
+
+        test('lets students already under the minimum drop', async () => {
+            Enrollment.findAll.mockResolvedValue(enrolledIn(4, 4));
+
+            await expect(creditLoadService.assertAboveMinLoad(enrollment)).resolves.toBeUndefined();
+        });
+    });
+
+    describe('grantOverride', () => {
+        test('supersedes the active override and records the replaced limits', async () => {
+            await creditLoadService.grantOverride(
+                'stu-1',
+                { semester: 'Fall', year: 2026, max_load: 25, reason: 'Graduating senior' },
+                'admin-1'
+            );
+
+            expect(CreditLoadOverride.update).toHaveBeenCalledWith(
+                expect.objectContaining({ is_active: false, revoked_by: 'admin-1' }),
+                { where: { student_id: 'stu-1', semester: 'Fall', year: 2026, is_active: true } }
+            );
+            expect(CreditLoadOverride.create).toHaveBeenCalledWith(expect.objectContaining({
+                max_load: 25,
+                min_load: null,
+                reason: 'Graduating senior',
+                granted_by: 'admin-1',
+                limits_snapshot: expect.objectContaining({ max_load: 21, basis: 'standard' })
+            }));
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user-stu-1',
+                message: 'Your Fall 2026 load limits have been changed: maximum 25 credits.'
+            }));
+        });
+
+        test('requires a limit to change', async () => {
+            await expect(creditLoadService.grantOverride('stu-1', { semester: 'Fall', year: 2026, reason: 'x' }, 'admin-1'))
+                .rejects.toMatchObject({ code: 'INVALID_OVERRIDE' });
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const degreeAuditService = require('../../src/services/degreeAuditService');
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const { Curriculum, Enrollment, Course, Student, TransferCredit } = require('../../src/models');
+
+jest.mock('../../src/models');
+
+describe('Unit: Degree Audit Service', () => {
+    const courses = {
+        'c-101': { id: 'c-101', code: 'CS101', name: 'Intro', credits: 4, ects: 6 },
+        'c-201': { id: 'c-201', code: 'CS201', name: 'Data Structures', credits: 4, ects: 6 },
+        'c-301': { id: 'c-301', code: 'CS301', name: 'Algorithms', credits: 4, ects: 6 },
+        'c-e1': { id: 'c-e1', code: 'CS411', name: 'Graphics', credits: 3, ects: 5 },
+        'c-e2': { id: 'c-e2', code: 'CS412', name: 'Security', credits: 3, ects: 5 },
+        'c-e3': { id: 'c-e3', code: 'CS413', name: 'Compilers', credits: 3, ects: 5 }
+    };
+
+    const curriculum = {
+        id: 'cur-1',
+        name: 'Computer Engineering',
+        catalog_year: 2024,
+        total_credits: 30,
+        total_ects: 40,
+        required_course_ids: ['c-101', 'c-201', 'c-301'],
+        elective_pools: [
+            { name: 'Technical Electives', min_credits: 6, course_ids: ['c-e1', 'c-e2', 'c-e3', 'c-101'] }
+        ]
+    };
+
+    const enrollment = (courseId, letterGrade, semester, year) => ({
+        letter_grade: letterGrade,
+        section: { semester, year, course: courses[courseId] }
+    });
+
+    beforeEach(() => {
+        Student.findByPk = jest.fn().mockResolvedValue({
+            id: 'stu-1',
+            student_number: '20240001',
+            department_id: 'dep-1',
+            enrollment_year: 2024,
+            user: { first_name: 'Ada', last_name: 'Lovelace' }
+        });
+        Curriculum.findOne = jest.fn().mockResolvedValue(curriculum);
+        Course.findAll = jest.fn().mockResolvedValue(Object.values(courses));
+        Enrollment.findAll = jest.fn().mockResolvedValue([]);
+        TransferCredit.findAll = jest.fn().mockResolvedValue([]);
+        jest.spyOn(gradeReleaseService, 'hideUnpublishedGrades').mockImplementation(e => Promise.resolve(e));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('matches passed, in-progress and outstanding required courses', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            enrollment('c-101', 'FF', 'Fall', 2024),
+            enrollment('c-101', 'BB', 'Spring', 2024),
+            enrollment('c-201', null, 'Fall', 2025)
+        ]);
+
+        const audit = await degreeAuditService.runAudit('stu-1');
+
+        expect(audit.required_courses.map(c => [c.code, c.status])).toEqual([
+            ['CS101', 'satisfied'],
+            ['CS201', 'in_progress'],
+            ['CS301', 'outstanding']
+        ]);
+        expect(audit.required_courses[0]).toMatchObject({ letter_grade: 'BB', semester: 'Spring', year: 2024 });
+        expect(audit.summary).toMatchObject({
+            requirements_met: false,
+            required_courses_outstanding: 1,
+            credits: { required: 30, earned: 4, in_progress: 4, remaining: 26 }
+        });
+    });
+
+    test('counts elective credits once and not from required courses', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            enrollment('c-101', 'AA', 'Fall', 2024),
+            enrollment('c-e1', 'CB', 'Fall', 2024),
+            enrollment('c-e2', null, 'Spring', 2024)
+        ]);
+
+        const audit = await degreeAuditService.runAudit('stu-1');
+        const [pool] = audit.elective_pools;
+
+        expect(pool).toMatchObject({
+            earned_credits: 3,
+            in_progress_credits: 3,
+            remaining_credits: 3,
+            status: 'in_progress'
+        });
+        expect(pool.counted_courses.map(c => c.code)).toEqual(['CS411']);
+        expect(pool.options.map(c => c.code)).toEqual(['CS413']);
+    });
+
+    test('reports requirements met when everything is passed', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            enrollment('c-101', 'AA', 'Fall', 2024),
+            enrollment('c-201', 'BA', 'Spring', 2024),
+            enrollment('c-301', 'BB', 'Fall', 2025),
+            enrollment('c-e1', 'CC', 'Fall', 2025),
+            enrollment('c-e2', 'CB', 'Spring', 2025),
+            enrollment('c-e3', 'CB', 'Spring', 2025)
+        ]);
+        Curriculum.findOne.mockResolvedValue({ ...curriculum, total_credits: 21, total_ects: 33 });
+
+        const audit = await degreeAuditService.runAudit('stu-1');
+
+        expect(audit.summary.requirements_met).toBe(true);
+        expect(audit.projection).toMatchObject({
+            credits_to_plan: 0,
+            semesters_remaining: 0,
+            projected_graduation: { semester: 'Spring', year: 2025 }
+        });
+    });
+
+    test('projects graduation from the average pace after the latest term', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            enrollment('c-101', 'AA', 'Fall', 2024),
+            enrollment('c-e1', 'BB', 'Fall', 2024),
+            enrollment('c-201', 'BA', 'Spring', 2024),
+            enrollment('c-301', null, 'Fall', 2025)
+        ]);
+
+        const audit = await degreeAuditService.runAudit('stu-1');
+
+        // 30 required - 11 earned - 4 in progress = 15 credits at ~6 per term
+        expect(audit.projection).toEqual({
+            credits_to_plan: 15,
+            credits_per_semester: 6,
+            semesters_remaining: 3,
+            projected_graduation: { semester: 'Spring', year: 2026 }
+        });
+    });
+
+    test('counts transfer credits toward requirements but not the pace', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            enrollment('c-201', 'BB', 'Fall', 2024)
+        ]);
+        TransferCredit.findAll.mockResolvedValue([
+            { course_id: 'c-101', course: courses['c-101'], letter_grade: 'BA', credits: 4, ects: 6, semester: 'Spring', year: 2023, institution: 'TU Delft' },
+            { course_id: null, course: null, external_course_code: 'HUM200', external_course_name: 'Ethics', letter_grade: 'AA', credits: 2, ects: 3, semester: 'Spring', year: 2023, institution: 'TU Delft' },
+            { course_id: 'c-e1', course: courses['c-e1'], letter_grade: 'FF', credits: 3, ects: 5, semester: 'Spring', year: 2023, institution: 'TU Delft' }
+        ]);
+
+        const audit = await degreeAuditService.runAudit('stu-1');
+
+        expect(audit.required_courses[0]).toMatchObject({ code: 'CS101', status: 'satisfied', transfer_institution: 'TU Delft' });
+        expect(audit.elective_pools[0].earned_credits).toBe(0);
+        expect(audit.summary.credits).toMatchObject({ earned: 10, transfer: 6 });
+        expect(audit.projection).toMatchObject({ credits_per_semester: 4, credits_to_plan: 20 });
+    });
+
+    test('fails when the department has no curriculum', async () => {
+        Curriculum.findOne.mockResolvedValue(null);
+
+        await expect(degreeAuditService.runAudit('stu-1'))
+            .rejects.toMatchObject({ code: 'CURRICULUM_NOT_FOUND' });
+        expect(Curriculum.findOne).toHaveBeenCalledTimes(2);
+    });
+});
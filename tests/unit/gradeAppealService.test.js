@@ -0,0 +1,201 @@
+const gradeAppealService = require('../../src/services/gradeAppealService');
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const NotificationService = require('../../src/services/notificationService');
+const { GradeAppeal, Enrollment, Faculty, User } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/enrollmentService');
+
+describe('Unit: Grade Appeal Service', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const section = {
+        id: 'sec-1',
+        instructor_id: 'fac-1',
+        course: { code: 'CS101', name: 'Intro' }
+    };
+
+    const makeAppeal = (data) => ({
+        id: 'app-1',
+        student_id: 'stu-1',
+        enrollment_id: 'enr-1',
+        status: 'pending',
+        enrollment: { id: 'enr-1', section },
+        student: { id: 'stu-1', user_id: 'user-stu' },
+        ...data,
+        update: jest.fn(function (changes) {
+            Object.assign(this, changes);
+            return Promise.resolve(this);
+        })
+    });
+
+    beforeEach(() => {
+        Enrollment.findByPk = jest.fn().mockResolvedValue({
+            id: 'enr-1',
+            student_id: 'stu-1',
+            section_id: 'sec-1',
+            letter_grade: 'DD',
+            section
+        });
+        GradeAppeal.findOne = jest.fn().mockResolvedValue(null);
+        GradeAppeal.findByPk = jest.fn();
+        GradeAppeal.findAll = jest.fn().mockResolvedValue([]);
+        GradeAppeal.create = jest.fn(data => Promise.resolve({ id: 'app-1', ...data }));
+        Faculty.findByPk = jest.fn().mockResolvedValue({ id: 'fac-1', user_id: 'user-fac' });
+        User.findAll = jest.fn().mockResolvedValue([{ id: 'user-admin' }]);
+        NotificationService.sendNotification.mockResolvedValue(null);
+        jest.spyOn(gradeReleaseService, 'getSectionRelease').mockResolvedValue({
+            status: 'published',
+            published_at: new Date(Date.now() - 2 * DAY_MS)
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('createAppeal', () => {
+        test('files an appeal and notifies the instructor', async () => {
+            const appeal = await gradeAppealService.createAppeal('stu-1', {
+                enrollment_id: 'enr-1',
+                reason: 'Question 3 was marked wrong',
+                document_url: '/uploads/documents/exam.pdf'
+            });
+
+            expect(appeal).toMatchObject({
+                status: 'pending',
+                original_letter_grade: 'DD',
+                document_url: '/uploads/documents/exam.pdf'
+            });
+            expect(appeal.response_due_at.getTime()).toBeGreaterThan(Date.now());
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-fac', title: 'New Grade Appeal' })
+            );
+        });
+
+        test('rejects other students\' enrollments', async () => {
+            await expect(gradeAppealService.createAppeal('stu-2', { enrollment_id: 'enr-1', reason: 'x' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('rejects grades that are not published', async () => {
+            gradeReleaseService.getSectionRelease.mockResolvedValue({ status: 'approved' });
+
+            await expect(gradeAppealService.createAppeal('stu-1', { enrollment_id: 'enr-1', reason: 'x' }))
+                .rejects.toMatchObject({ code: 'GRADE_NOT_PUBLISHED' });
+        });
+
+        test('rejects appeals after the filing period', async () => {
+            gradeReleaseService.getSectionRelease.mockResolvedValue({
+                status: 'published',
+                published_at: new Date(Date.now() - (gradeAppealService.APPEAL_FILING_DAYS + 1) * DAY_MS)
+            });
+
+            await expect(gradeAppealService.createAppeal('stu-1', { enrollment_id: 'enr-1', reason: 'x' }))
+                .rejects.toMatchObject({ code: 'APPEAL_PERIOD_OVER' });
+            expect(GradeAppeal.create).not.toHaveBeenCalled();
+        });
+
+        test('allows one appeal per grade', async () => {
+            GradeAppeal.findOne.mockResolvedValue({ id: 'app-0' });
+
+            await expect(gradeAppealService.createAppeal('stu-1', { enrollment_id: 'enr-1', reason: 'x' }))
+                .rejects.toMatchObject({ code: 'DUPLICATE_APPEAL' });
+        });
+    });
+
+    describe('reviewAppeal', () => {
+        test('accepting amends the grade with the appeal as reason', async () => {
+            const appeal = makeAppeal();
+            GradeAppeal.findByPk.mockResolvedValue(appeal);
+            enrollmentService.updateGrades.mockResolvedValue({ letter_grade: 'CC' });
+
+            await gradeAppealService.reviewAppeal('app-1', { id: 'user-fac', role: 'faculty' }, 'fac-1', {
+                decision: 'accepted',
+                notes: 'Regraded question 3',
+                grades: { final_grade: 68 }
+            });
+
+            expect(enrollmentService.updateGrades).toHaveBeenCalledWith(
+                'enr-1',
+                { final_grade: 68, reason: 'Grade appeal accepted: Regraded question 3' },
+                'fac-1',
+                { userId: 'user-fac' }
+            );
+            expect(appeal).toMatchObject({ status: 'accepted', new_letter_grade: 'CC', reviewed_by: 'user-fac' });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu', type: 'success' })
+            );
+        });
+
+        test('rejecting requires notes', async () => {
+            GradeAppeal.findByPk.mockResolvedValue(makeAppeal());
+
+            await expect(gradeAppealService.reviewAppeal('app-1', { id: 'user-fac', role: 'faculty' }, 'fac-1', {
+                decision: 'rejected'
+            })).rejects.toMatchObject({ code: 'NOTES_REQUIRED' });
+        });
+
+        test('other instructors cannot review', async () => {
+            GradeAppeal.findByPk.mockResolvedValue(makeAppeal());
+
+            await expect(gradeAppealService.reviewAppeal('app-1', { id: 'user-2', role: 'faculty' }, 'fac-2', {
+                decision: 'accepted'
+            })).rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('escalated appeals are decided by an admin', async () => {
+            const appeal = makeAppeal({ status: 'escalated' });
+            GradeAppeal.findByPk.mockResolvedValue(appeal);
+
+            await expect(gradeAppealService.reviewAppeal('app-1', { id: 'user-fac', role: 'faculty' }, 'fac-1', {
+                decision: 'accepted'
+            })).rejects.toMatchObject({ code: 'APPEAL_ESCALATED' });
+
+            await gradeAppealService.reviewAppeal('app-1', { id: 'user-admin', role: 'admin' }, null, {
+                decision: 'rejected',
+                notes: 'Grade stands'
+            });
+            expect(appeal.status).toBe('rejected');
+        });
+    });
+
+    describe('escalation', () => {
+        test('admins can escalate a rejected appeal', async () => {
+            const appeal = makeAppeal({ status: 'rejected' });
+            GradeAppeal.findByPk.mockResolvedValue(appeal);
+
+            await gradeAppealService.escalateAppeal('app-1', 'user-admin', 'Student provided new evidence');
+
+            expect(appeal).toMatchObject({ status: 'escalated', escalated_by: 'user-admin' });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu', title: 'Grade Appeal Escalated' })
+            );
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-fac', title: 'Grade Appeal Escalated' })
+            );
+        });
+
+        test('accepted appeals cannot be escalated', async () => {
+            GradeAppeal.findByPk.mockResolvedValue(makeAppeal({ status: 'accepted' }));
+
+            await expect(gradeAppealService.escalateAppeal('app-1', 'user-admin'))
+                .rejects.toMatchObject({ code: 'APPEAL_NOT_ESCALATABLE' });
+        });
+
+        test('overdue appeals are escalated and admins notified', async () => {
+            const appeal = makeAppeal();
+            GradeAppeal.findAll.mockResolvedValue([{ id: 'app-1' }]);
+            GradeAppeal.findByPk.mockResolvedValue(appeal);
+
+            await expect(gradeAppealService.escalateOverdueAppeals()).resolves.toBe(1);
+            expect(appeal).toMatchObject({ status: 'escalated', escalated_by: null });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-admin', title: 'Overdue Grade Appeal' })
+            );
+        });
+    });
+});
@@ -0,0 +1,207 @@
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const NotificationService = require('../../src/services/notificationService');
+const { GradeRelease, GradeChange, Enrollment, CourseSection, Faculty, User } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+
+describe('Unit: Grade Release Service', () => {
+    const makeRelease = (data) => ({
+        section_id: 'sec-1',
+        ...data,
+        update: jest.fn(function (changes) {
+            Object.assign(this, changes);
+            return Promise.resolve(this);
+        })
+    });
+
+    const section = {
+        id: 'sec-1',
+        section_number: 1,
+        instructor_id: 'fac-1',
+        course: {
+            code: 'CS101',
+            name: 'Intro',
+            department: { id: 'dep-1', head_faculty_id: 'fac-head' }
+        }
+    };
+
+    beforeEach(() => {
+        GradeRelease.findOne = jest.fn();
+        GradeRelease.findAll = jest.fn().mockResolvedValue([]);
+        GradeRelease.create = jest.fn(data => Promise.resolve(makeRelease(data)));
+        GradeChange.create = jest.fn().mockResolvedValue({});
+        Enrollment.count = jest.fn().mockResolvedValue(0);
+        Enrollment.findAll = jest.fn().mockResolvedValue([]);
+        CourseSection.findByPk = jest.fn().mockResolvedValue(section);
+        Faculty.findOne = jest.fn();
+        Faculty.findByPk = jest.fn();
+        User.findAll = jest.fn().mockResolvedValue([]);
+        NotificationService.sendNotification.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('assertGradesEditable', () => {
+        test('allows draft grades', async () => {
+            GradeRelease.findOne.mockResolvedValue(makeRelease({ status: 'draft' }));
+
+            await expect(gradeReleaseService.assertGradesEditable('sec-1')).resolves.toMatchObject({ status: 'draft' });
+        });
+
+        test('locks grades under review', async () => {
+            GradeRelease.findOne.mockResolvedValue(makeRelease({ status: 'submitted' }));
+
+            await expect(gradeReleaseService.assertGradesEditable('sec-1', 'typo'))
+                .rejects.toMatchObject({ statusCode: 409, code: 'GRADES_UNDER_REVIEW' });
+        });
+
+        test('requires a reason after publication', async () => {
+            GradeRelease.findOne.mockResolvedValue(makeRelease({ status: 'published' }));
+
+            await expect(gradeReleaseService.assertGradesEditable('sec-1', '  '))
+                .rejects.toMatchObject({ statusCode: 400, code: 'CHANGE_REASON_REQUIRED' });
+            await expect(gradeReleaseService.assertGradesEditable('sec-1', 'Regraded final exam'))
+                .resolves.toMatchObject({ status: 'published' });
+        });
+
+        test('treats sections graded before the workflow as published', async () => {
+            GradeRelease.findOne.mockResolvedValue(null);
+            Enrollment.count.mockResolvedValue(12);
+
+            await expect(gradeReleaseService.assertGradesEditable('sec-1'))
+                .rejects.toMatchObject({ code: 'CHANGE_REASON_REQUIRED' });
+            expect(GradeRelease.create).toHaveBeenCalledWith(
+                expect.objectContaining({ section_id: 'sec-1', status: 'published' }),
+                { transaction: null }
+            );
+        });
+    });
+
+    describe('recordGradeChange', () => {
+        test('stores before and after values with the reason', async () => {
+            const before = gradeReleaseService.gradeSnapshot({ final_grade: '60.00', letter_grade: 'DD', status: 'completed' });
+            const enrollment = { id: 'enr-1', final_grade: 75, letter_grade: 'CB', status: 'completed' };
+
+            await gradeReleaseService.recordGradeChange(before, enrollment, ' Regraded ', 'user-1');
+
+            expect(GradeChange.create).toHaveBeenCalledWith(expect.objectContaining({
+                enrollment_id: 'enr-1',
+                changed_by: 'user-1',
+                reason: 'Regraded',
+                previous_values: expect.objectContaining({ letter_grade: 'DD' }),
+                new_values: expect.objectContaining({ letter_grade: 'CB' })
+            }), { transaction: null });
+        });
+
+        test('skips unchanged grades', async () => {
+            const enrollment = { id: 'enr-1', final_grade: 75, letter_grade: 'CB' };
+            const before = gradeReleaseService.gradeSnapshot(enrollment);
+
+            await expect(gradeReleaseService.recordGradeChange(before, enrollment, 'x', 'user-1')).resolves.toBeNull();
+            expect(GradeChange.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('submitGrades', () => {
+        test('requires every student to have a grade', async () => {
+            GradeRelease.findOne.mockResolvedValue(makeRelease({ status: 'draft' }));
+            Enrollment.count.mockResolvedValue(3);
+
+            await expect(gradeReleaseService.submitGrades('sec-1', 'fac-1', 'user-1'))
+                .rejects.toMatchObject({ code: 'INCOMPLETE_GRADES' });
+        });
+
+        test('submits and notifies the department head', async () => {
+            const release = makeRelease({ status: 'draft' });
+            GradeRelease.findOne.mockResolvedValue(release);
+            Faculty.findByPk.mockResolvedValue({ id: 'fac-head', user_id: 'user-head' });
+
+            await gradeReleaseService.submitGrades('sec-1', 'fac-1', 'user-1', { release_at: '2026-06-20T09:00:00Z' });
+
+            expect(release.status).toBe('submitted');
+            expect(release.submitted_by).toBe('user-1');
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-head', title: 'Grades Submitted for Review' })
+            );
+        });
+
+        test('rejects other instructors', async () => {
+            await expect(gradeReleaseService.submitGrades('sec-1', 'fac-2', 'user-2'))
+                .rejects.toMatchObject({ statusCode: 403 });
+        });
+    });
+
+    describe('reviewGrades', () => {
+        test('only the department head or an admin can review', async () => {
+            Faculty.findOne.mockResolvedValue({ id: 'fac-3' });
+
+            await expect(gradeReleaseService.reviewGrades('sec-1', { id: 'user-3', role: 'faculty' }, { decision: 'approve' }))
+                .rejects.toMatchObject({ code: 'NOT_DEPARTMENT_HEAD' });
+        });
+
+        test('approval without a release date publishes and notifies students', async () => {
+            const release = makeRelease({ status: 'submitted', release_at: null });
+            GradeRelease.findOne.mockResolvedValue(release);
+            Faculty.findOne.mockResolvedValue({ id: 'fac-head' });
+            Enrollment.findAll.mockResolvedValue([
+                { student: { user_id: 'stu-1' } },
+                { student: { user_id: 'stu-2' } }
+            ]);
+
+            await gradeReleaseService.reviewGrades('sec-1', { id: 'user-head', role: 'faculty' }, { decision: 'approve' });
+
+            expect(release.status).toBe('published');
+            expect(release.published_at).toBeInstanceOf(Date);
+            expect(NotificationService.sendNotification).toHaveBeenCalledTimes(2);
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'stu-1', title: 'Grades Published' })
+            );
+        });
+
+        test('approval with a future release date waits for the job', async () => {
+            const release = makeRelease({ status: 'submitted' });
+            GradeRelease.findOne.mockResolvedValue(release);
+
+            await gradeReleaseService.reviewGrades('sec-1', { id: 'admin-1', role: 'admin' }, {
+                decision: 'approve',
+                release_at: new Date(Date.now() + 86400000).toISOString()
+            });
+
+            expect(release.status).toBe('approved');
+            expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+        });
+
+        test('sending back requires a comment', async () => {
+            GradeRelease.findOne.mockResolvedValue(makeRelease({ status: 'submitted' }));
+
+            await expect(gradeReleaseService.reviewGrades('sec-1', { id: 'admin-1', role: 'admin' }, { decision: 'reject' }))
+                .rejects.toMatchObject({ code: 'COMMENT_REQUIRED' });
+        });
+    });
+
+    describe('publishDueReleases', () => {
+        test('publishes approved releases that are due', async () => {
+            const release = makeRelease({ status: 'approved' });
+            GradeRelease.findAll.mockResolvedValue([release]);
+
+            await expect(gradeReleaseService.publishDueReleases()).resolves.toBe(1);
+            expect(release.status).toBe('published');
+        });
+    });
+
+    describe('hideUnpublishedGrades', () => {
+        test('masks grades of unpublished sections only', async () => {
+            GradeRelease.findAll.mockResolvedValue([{ section_id: 'sec-draft' }]);
+            const hidden = { section_id: 'sec-draft', letter_grade: 'AA', final_grade: '95.00', status: 'completed' };
+            const visible = { section_id: 'sec-published', letter_grade: 'BB', final_grade: '80.00', status: 'completed' };
+
+            await gradeReleaseService.hideUnpublishedGrades([hidden, visible]);
+
+            expect(hidden).toMatchObject({ letter_grade: null, final_grade: null, status: 'enrolled' });
+            expect(visible).toMatchObject({ letter_grade: 'BB', status: 'completed' });
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const ExcelJS = require('exceljs');
+const gradebookService = require('../../src/services/gradebookService');
+const gradingService = require('../../src/services/gradingService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const { sequelize, GradebookItem, GradebookScore, Enrollment } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/enrollmentService');
+
+describe('Unit: Gradebook Service', () => {
+    const scheme = {
+        components: [
+            { key: 'quiz', name: 'Quizzes', weight: 30 },
+            { key: 'midterm', name: 'Midterm', weight: 30 },
+            { key: 'final', name: 'Final', weight: 40 }
+        ],
+        curve_type: 'none',
+        letter_cutoffs: gradingService.DEFAULT_GRADING_SCHEME.letter_cutoffs
+    };
+
+    const items = [
+        { id: 'q1', title: 'Quiz 1', component_key: 'quiz', max_points: '10.00' },
+        { id: 'q2', title: 'Quiz 2', component_key: 'quiz', max_points: '20.00' },
+        { id: 'mt', title: 'Midterm Exam', component_key: 'midterm', max_points: '50.00' }
+    ];
+
+    let transaction;
+
+    beforeEach(() => {
+        transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+
+        GradebookItem.findAll = jest.fn().mockResolvedValue(items);
+        GradebookScore.findAll = jest.fn().mockResolvedValue([]);
+        GradebookScore.findOne = jest.fn().mockResolvedValue(null);
+        GradebookScore.create = jest.fn().mockResolvedValue({});
+        Enrollment.findAll = jest.fn().mockResolvedValue([{ id: 'enr-1' }, { id: 'enr-2' }]);
+
+        jest.spyOn(gradingService, 'assertSectionInstructor').mockResolvedValue({ id: 'sec-1' });
+        jest.spyOn(gradingService, 'getSectionGradingScheme').mockResolvedValue(scheme);
+        jest.spyOn(gradeReleaseService, 'assertGradesEditable').mockResolvedValue({ status: 'draft' });
+        enrollmentService.bulkUpdateGrades.mockResolvedValue({ successful: [], failed: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('calculateComponentTotals', () => {
+        test('sums points per component', () => {
+            const totals = gradebookService.calculateComponentTotals(items, {
+                q1: { points: '8' },
+                q2: { points: '16' },
+                mt: { points: '40' }
+            });
+
+            expect(totals.quiz).toMatchObject({ earned: 24, possible: 30, percent: 80, complete: true });
+            expect(totals.midterm).toMatchObject({ percent: 80, complete: true });
+        });
+
+        test('keeps a running percentage while items are ungraded', () => {
+            const totals = gradebookService.calculateComponentTotals(items, { q1: { points: 5 } });
+
+            expect(totals.quiz).toMatchObject({ percent: 50, graded: 1, total: 2, complete: false });
+            expect(totals.midterm).toMatchObject({ percent: null, complete: false });
+        });
+
+        test('leaves excused items out of the total', () => {
+            const totals = gradebookService.calculateComponentTotals(items, {
+                q1: { is_excused: true, points: null },
+                q2: { points: 15 }
+            });
+
+            expect(totals.quiz).toMatchObject({ earned: 15, possible: 20, percent: 75, complete: true });
+        });
+    });
+
+    describe('saveScores', () => {
+        test('rejects points above the item maximum', async () => {
+            const result = await gradebookService.saveScores('sec-1', [
+                { enrollment_id: 'enr-1', item_id: 'q1', points: 12 }
+            ], 'fac-1', 'user-1');
+
+            expect(result.saved).toBe(0);
+            expect(result.failed[0].error).toMatch(/between 0 and 10/);
+            expect(GradebookScore.create).not.toHaveBeenCalled();
+            expect(enrollmentService.bulkUpdateGrades).not.toHaveBeenCalled();
+        });
+
+        test('rejects items and enrollments from other sections', async () => {
+            const result = await gradebookService.saveScores('sec-1', [
+                { enrollment_id: 'enr-9', item_id: 'q1', points: 5 },
+                { enrollment_id: 'enr-1', item_id: 'other', points: 5 }
+            ], 'fac-1', 'user-1');
+
+            expect(result.failed).toHaveLength(2);
+        });
+
+        test('derives component grades once a component is complete', async () => {
+            GradebookScore.findAll.mockResolvedValue([
+                { enrollment_id: 'enr-1', item_id: 'q1', points: '9' },
+                { enrollment_id: 'enr-1', item_id: 'q2', points: '18' },
+                { enrollment_id: 'enr-1', item_id: 'mt', points: '20' }
+            ]);
+            Enrollment.findAll
+                .mockResolvedValueOnce([{ id: 'enr-1' }, { id: 'enr-2' }])
+                .mockResolvedValueOnce([{ id: 'enr-1' }]);
+
+            const result = await gradebookService.saveScores('sec-1', [
+                { enrollment_id: 'enr-1', item_id: 'mt', points: 20 }
+            ], 'fac-1', 'user-1');
+
+            expect(result.saved).toBe(1);
+            expect(GradebookScore.create).toHaveBeenCalledWith(
+                expect.objectContaining({ item_id: 'mt', enrollment_id: 'enr-1', points: 20 }),
+                { transaction }
+            );
+            expect(transaction.commit).toHaveBeenCalled();
+            expect(enrollmentService.bulkUpdateGrades).toHaveBeenCalledWith('sec-1', [
+                { enrollment_id: 'enr-1', components: { quiz: 90, midterm: 40 } }
+            ], 'fac-1', { reason: null, userId: 'user-1' });
+        });
+
+        test('clears a score when points are null', async () => {
+            const existing = { destroy: jest.fn() };
+            GradebookScore.findOne.mockResolvedValue(existing);
+
+            const result = await gradebookService.saveScores('sec-1', [
+                { enrollment_id: 'enr-1', item_id: 'q1', points: null }
+            ], 'fac-1', 'user-1');
+
+            expect(existing.destroy).toHaveBeenCalled();
+            expect(result.cleared).toBe(1);
+        });
+    });
+
+    describe('importGradebook', () => {
+        const roster = [
+            { id: 'enr-1', student: { student_number: '2021001' } },
+            { id: 'enr-2', student: { student_number: '2021002' } }
+        ];
+
+        test('matches rows by student number and columns by item title', async () => {
+            Enrollment.findAll
+                .mockResolvedValueOnce(roster)
+                .mockResolvedValue([{ id: 'enr-1' }, { id: 'enr-2' }]);
+
+            const csv = [
+                'Student Number,Student Name,Quiz 1,Quiz 2,Quizzes %,Bonus',
+                '2021001,Ada Lovelace,8,EX,80,1',
+                '2021002,Alan Turing,,15,,',
+                '2029999,Unknown,5,5,,'
+            ].join('\n');
+
+            const result = await gradebookService.importGradebook('sec-1', {
+                originalname: 'grades.csv',
+                mimetype: 'text/csv',
+                buffer: Buffer.from(csv)
+            }, 'fac-1', 'user-1');
+
+            expect(result.saved).toBe(3);
+            expect(result.unknown_students).toEqual(['2029999']);
+            expect(result.ignored_columns).toEqual(['Bonus']);
+            expect(GradebookScore.create).toHaveBeenCalledWith(
+                expect.objectContaining({ enrollment_id: 'enr-1', item_id: 'q2', is_excused: true, points: null }),
+                { transaction }
+            );
+        });
+
+        test('reads Excel files', async () => {
+            Enrollment.findAll
+                .mockResolvedValueOnce(roster)
+                .mockResolvedValue([{ id: 'enr-1' }, { id: 'enr-2' }]);
+
+            const workbook = new ExcelJS.Workbook();
+            const sheet = workbook.addWorksheet('Gradebook');
+            sheet.addRow(['Student Number', 'Midterm Exam']);
+            sheet.addRow(['2021002', 42]);
+            const buffer = await workbook.xlsx.writeBuffer();
+
+            const result = await gradebookService.importGradebook('sec-1', {
+                originalname: 'grades.xlsx',
+                buffer: Buffer.from(buffer)
+            }, 'fac-1', 'user-1');
+
+            expect(result.saved).toBe(1);
+            expect(GradebookScore.create).toHaveBeenCalledWith(
+                expect.objectContaining({ enrollment_id: 'enr-2', item_id: 'mt', points: 42 }),
+                { transaction }
+            );
+        });
+
+        test('requires a student number column', async () => {
+            await expect(gradebookService.importGradebook('sec-1', {
+                originalname: 'grades.csv',
+                buffer: Buffer.from('Name,Quiz 1\nAda,5\n')
+            }, 'fac-1', 'user-1')).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+});
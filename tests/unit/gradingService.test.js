@@ -0,0 +1,197 @@
+const gradingService = require('../../src/services/gradingService');
+const gradeReleaseService = require('../../src/services/gradeReleaseService');
+const { GradingScheme, CourseSection } = require('../../src/models');
+
+jest.mock('../../src/models');
+
+const {
+    DEFAULT_GRADING_SCHEME,
+    validateGradingScheme,
+    calculateWeightedScore,
+    applyCurve,
+    scoreToLetter,
+    calculateGrade,
+    getComponentScores
+} = gradingService;
+
+describe('Unit: Grading Service', () => {
+    const scheme = {
+        components: [
+            { key: 'quiz', name: 'Quizzes', weight: 20 },
+            { key: 'project', name: 'Project', weight: 30 },
+            { key: 'final', name: 'Final', weight: 50 }
+        ],
+        curve_type: 'none',
+        curve_value: null,
+        letter_cutoffs: DEFAULT_GRADING_SCHEME.letter_cutoffs
+    };
+
+    beforeEach(() => {
+        GradingScheme.findOne = jest.fn();
+        GradingScheme.create = jest.fn();
+        GradingScheme.destroy = jest.fn();
+        CourseSection.findByPk = jest.fn();
+        jest.spyOn(gradeReleaseService, 'assertDraft').mockResolvedValue({ status: 'draft' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('default scheme', () => {
+        test('keeps the 40/60 midterm/final split', () => {
+            expect(calculateWeightedScore(DEFAULT_GRADING_SCHEME, { midterm: 0, final: 100 })).toBe(60);
+            expect(calculateWeightedScore(DEFAULT_GRADING_SCHEME, { midterm: 81, final: 72 })).toBe(75.6);
+        });
+
+        test('maps scores to the standard letter scale', () => {
+            expect(scoreToLetter(90, DEFAULT_GRADING_SCHEME.letter_cutoffs)).toBe('AA');
+            expect(scoreToLetter(84.99, DEFAULT_GRADING_SCHEME.letter_cutoffs)).toBe('BB');
+            expect(scoreToLetter(50, DEFAULT_GRADING_SCHEME.letter_cutoffs)).toBe('FD');
+            expect(scoreToLetter(49.99, DEFAULT_GRADING_SCHEME.letter_cutoffs)).toBe('FF');
+        });
+
+        test('reads midterm/final columns as components', () => {
+            const scores = getComponentScores({
+                midterm_grade: '70.00',
+                final_grade: null,
+                component_scores: { quiz: 80 }
+            });
+
+            expect(scores).toEqual({ quiz: 80, midterm: 70 });
+        });
+    });
+
+    describe('validateGradingScheme', () => {
+        test('normalizes a valid scheme', () => {
+            const result = validateGradingScheme({
+                components: [{ key: 'Quiz', weight: '40' }, { key: 'final', weight: 60 }]
+            });
+
+            expect(result.components).toEqual([
+                { key: 'quiz', name: 'quiz', weight: 40 },
+                { key: 'final', name: 'final', weight: 60 }
+            ]);
+            expect(result.curve_type).toBe('none');
+            expect(result.letter_cutoffs).toHaveLength(9);
+        });
+
+        test('rejects weights that do not sum to 100', () => {
+            expect(() => validateGradingScheme({
+                components: [{ key: 'quiz', weight: 40 }, { key: 'final', weight: 50 }]
+            })).toThrow(/sum to 100/);
+        });
+
+        test('rejects duplicate component keys', () => {
+            expect(() => validateGradingScheme({
+                components: [{ key: 'final', weight: 50 }, { key: 'final', weight: 50 }]
+            })).toThrow(/Duplicate/);
+        });
+
+        test('requires a curve value for add_points', () => {
+            expect(() => validateGradingScheme({
+                components: [{ key: 'final', weight: 100 }],
+                curve_type: 'add_points'
+            })).toThrow(/curve_value/);
+        });
+
+        test('rejects cutoffs that are not strictly decreasing', () => {
+            expect(() => validateGradingScheme({
+                components: [{ key: 'final', weight: 100 }],
+                letter_cutoffs: [{ letter: 'AA', min: 50 }, { letter: 'BA', min: 70 }, { letter: 'FF', min: 0 }]
+            })).toThrow(/strictly decreasing/);
+        });
+
+        test('requires the lowest cutoff to start at 0', () => {
+            expect(() => validateGradingScheme({
+                components: [{ key: 'final', weight: 100 }],
+                letter_cutoffs: [{ letter: 'AA', min: 80 }, { letter: 'FF', min: 40 }]
+            })).toThrow(/start at 0/);
+        });
+
+        test('rejects unknown letters', () => {
+            expect(() => validateGradingScheme({
+                components: [{ key: 'final', weight: 100 }],
+                letter_cutoffs: [{ letter: 'A+', min: 90 }, { letter: 'FF', min: 0 }]
+            })).toThrow(/Unknown letter/);
+        });
+    });
+
+    describe('calculateGrade', () => {
+        test('returns nulls while a component is missing', () => {
+            expect(calculateGrade(scheme, { quiz: 90, final: 80 })).toEqual({
+                raw: null,
+                numeric_grade: null,
+                letter_grade: null
+            });
+        });
+
+        test('weights each component', () => {
+            const result = calculateGrade(scheme, { quiz: 100, project: 80, final: 70 });
+
+            expect(result.raw).toBe(79);
+            expect(result.letter_grade).toBe('CB');
+        });
+
+        test('uses custom cutoffs', () => {
+            const custom = {
+                ...scheme,
+                letter_cutoffs: [{ letter: 'AA', min: 75 }, { letter: 'CC', min: 50 }, { letter: 'FF', min: 0 }]
+            };
+
+            expect(calculateGrade(custom, { quiz: 100, project: 80, final: 70 }).letter_grade).toBe('AA');
+        });
+    });
+
+    describe('applyCurve', () => {
+        test('adds flat points and caps at 100', () => {
+            const curved = { ...scheme, curve_type: 'add_points', curve_value: 5 };
+
+            expect(applyCurve(70, curved)).toBe(75);
+            expect(applyCurve(98, curved)).toBe(100);
+        });
+
+        test('applies the square-root curve', () => {
+            expect(applyCurve(64, { ...scheme, curve_type: 'sqrt' })).toBe(80);
+        });
+
+        test('shifts scores up to the target mean', () => {
+            const curved = { ...scheme, curve_type: 'target_mean', curve_value: 70 };
+
+            expect(applyCurve(60, curved, { sectionMean: 62 })).toBe(68);
+        });
+
+        test('never lowers scores for a section above the target mean', () => {
+            const curved = { ...scheme, curve_type: 'target_mean', curve_value: 70 };
+
+            expect(applyCurve(60, curved, { sectionMean: 75 })).toBe(60);
+        });
+    });
+
+    describe('saveSectionGradingScheme', () => {
+        test('rejects instructors who do not teach the section', async () => {
+            CourseSection.findByPk.mockResolvedValue({ id: 'sec-1', instructor_id: 'fac-2' });
+
+            await expect(
+                gradingService.saveSectionGradingScheme('sec-1', scheme, 'fac-1', 'user-1')
+            ).rejects.toMatchObject({ statusCode: 403 });
+            expect(GradingScheme.create).not.toHaveBeenCalled();
+        });
+
+        test('creates a scheme for the section', async () => {
+            CourseSection.findByPk.mockResolvedValue({ id: 'sec-1', instructor_id: 'fac-1' });
+            GradingScheme.findOne
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ id: 'gs-1', section_id: 'sec-1', ...scheme });
+
+            const result = await gradingService.saveSectionGradingScheme('sec-1', scheme, 'fac-1', 'user-1');
+
+            expect(GradingScheme.create).toHaveBeenCalledWith(expect.objectContaining({
+                section_id: 'sec-1',
+                updated_by: 'user-1'
+            }), { transaction: null });
+            expect(result.is_default).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const enrollmentService = require('../../src/services/enrollmentService');
+const { CoursePrerequisite, Enrollment, Course, Student, TransferCredit, GradeRelease } = require('../../src/models');
+
+jest.mock('../../src/models');
+
+describe('Unit: Prerequisite Rules', () => {
+    const courses = {
+        'c-math101': { id: 'c-math101', code: 'MATH101', name: 'Calculus I' },
+        'c-math103': { id: 'c-math103', code: 'MATH103', name: 'Applied Calculus' },
+        'c-phys101': { id: 'c-phys101', code: 'PHYS101', name: 'Physics I' },
+        'c-lab': { id: 'c-lab', code: 'PHYS101L', name: 'Physics Lab' }
+    };
+
+    const rule = (prerequisiteId, data = {}) => ({
+        course_id: 'c-target',
+        prerequisite_course_id: prerequisiteId,
+        requirement_type: 'prerequisite',
+        group_number: null,
+        min_grade: null,
+        prerequisiteCourse: courses[prerequisiteId],
+        ...data
+    });
+
+    const record = (courseId, status, letterGrade, semester = 'Fall', year = 2025) => ({
+        status,
+        letter_grade: letterGrade,
+        section_id: `sec-${courseId}`,
+        section: { id: `sec-${courseId}`, course_id: courseId, semester, year }
+    });
+
+    // (MATH101 OR MATH103) AND PHYS101 (at least BB)
+    let rules;
+
+    const check = (options = {}) => enrollmentService.checkPrerequisitesRecursive(
+        'c-target',
+        'stu-1',
+        new Set(),
+        { semester: 'Spring', year: 2026, ...options }
+    );
+
+    beforeEach(() => {
+        rules = [
+            rule('c-math101', { group_number: 1 }),
+            rule('c-math103', { group_number: 1 }),
+            rule('c-phys101', { group_number: 2, min_grade: 'BB' })
+        ];
+        CoursePrerequisite.findAll = jest.fn(({ where }) => Promise.resolve(where.course_id === 'c-target' ? rules : []));
+        Enrollment.findAll = jest.fn().mockResolvedValue([]);
+        TransferCredit.findAll = jest.fn().mockResolvedValue([]);
+        GradeRelease.findAll = jest.fn().mockResolvedValue([]);
+        Course.findByPk = jest.fn().mockResolvedValue({ id: 'c-target', code: 'PHYS201', min_year_of_study: null });
+        Student.findByPk = jest.fn().mockResolvedValue({ id: 'stu-1', enrollment_year: 2025 });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('accepts any alternative of an OR group', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            record('c-math103', 'completed', 'CC'),
+            record('c-phys101', 'completed', 'BA')
+        ]);
+
+        await expect(check()).resolves.toEqual({ passed: true, missingPrerequisites: [], failedClauses: [] });
+    });
+
+    test('explains an unmet OR group', async () => {
+        Enrollment.findAll.mockResolvedValue([record('c-phys101', 'completed', 'BB')]);
+
+        const result = await check();
+
+        expect(result.passed).toBe(false);
+        expect(result.failedClauses).toEqual([
+            expect.objectContaining({ type: 'prerequisite', message: 'Requires MATH101 or MATH103' })
+        ]);
+        expect(result.missingPrerequisites.map(p => p.course_code)).toEqual(['MATH101', 'MATH103']);
+    });
+
+    test('enforces minimum grades using the best attempt', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            record('c-math101', 'completed', 'AA'),
+            record('c-phys101', 'completed', 'CC')
+        ]);
+
+        const result = await check();
+
+        expect(result.failedClauses[0].message).toBe('Requires PHYS101 (BB or better)');
+        expect(result.missingPrerequisites).toEqual([expect.objectContaining({
+            course_code: 'PHYS101',
+            min_grade: 'BB',
+            current_grade: 'CC',
+            status: 'completed'
+        })]);
+
+        Enrollment.findAll.mockResolvedValue([
+            record('c-math101', 'completed', 'AA'),
+            record('c-phys101', 'completed', 'CC'),
+            record('c-phys101', 'completed', 'BB', 'Spring', 2025)
+        ]);
+        await expect(check()).resolves.toMatchObject({ passed: true });
+    });
+
+    test('ignores grades that are not published yet', async () => {
+        Enrollment.findAll.mockResolvedValue([
+            record('c-math101', 'completed', 'AA'),
+            record('c-phys101', 'completed', 'BA', 'Fall', 2025)
+        ]);
+        GradeRelease.findAll.mockResolvedValue([{ section_id: 'sec-c-phys101' }]);
+
+        const result = await check();
+
+        expect(result.passed).toBe(false);
+        expect(result.missingPrerequisites).toEqual([expect.objectContaining({
+            course_code: 'PHYS101',
+            current_grade: null,
+            status: 'in_progress'
+        })]);
+    });
+
+    test('counts transfer credits mapped to a prerequisite', async () => {
+        Enrollment.findAll.mockResolvedValue([record('c-math101', 'completed', 'BB')]);
+        TransferCredit.findAll.mockResolvedValue([{ id: 'tc-1', course_id: 'c-phys101', letter_grade: 'BA' }]);
+
+        await expect(check()).resolves.toMatchObject({ passed: true });
+        expect(TransferCredit.findAll).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ student_id: 'stu-1' })
+        }));
+    });
+
+    test('lets corequisites be taken in the same semester', async () => {
+        rules = [rule('c-lab', { requirement_type: 'corequisite' })];
+
+        const missing = await check();
+        expect(missing.failedClauses).toEqual([
+            expect.objectContaining({ type: 'corequisite', message: 'Take PHYS101L before or in the same semester' })
+        ]);
+
+        Enrollment.findAll.mockResolvedValue([record('c-lab', 'enrolled', null, 'Spring', 2026)]);
+        await expect(check()).resolves.toMatchObject({ passed: true });
+
+        Enrollment.findAll.mockResolvedValue([]);
+        await expect(check({ plannedCourseIds: ['c-lab'] })).resolves.toMatchObject({ passed: true });
+    });
+
+    test('requires the minimum year of study', async () => {
+        rules = [];
+        Course.findByPk.mockResolvedValue({ id: 'c-target', code: 'PHYS201', min_year_of_study: 3 });
+
+        const result = await check();
+
+        expect(result.failedClauses).toEqual([expect.objectContaining({
+            type: 'standing',
+            required_year: 3,
+            current_year: 2,
+            message: 'PHYS201 is open to year 3 students and above (you are in year 2)'
+        })]);
+        await expect(check({ year: 2027 })).resolves.toMatchObject({ passed: true });
+    });
+});
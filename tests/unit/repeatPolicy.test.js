@@ -0,0 +1,72 @@
+const enrollmentService = require('../../src/services/enrollmentService');
+
+jest.mock('../../src/models');
+
+describe('Unit: Repeated Course Policy', () => {
+    const attempt = (courseId, letterGrade, semester, year) => ({
+        letter_grade: letterGrade,
+        section: { course_id: courseId, semester, year }
+    });
+
+    // CS101 taken three times, MATH101 once
+    const first = attempt('cs101', 'BB', 'Fall', 2024);
+    const second = attempt('cs101', 'DD', 'Spring', 2024);
+    const third = attempt('cs101', 'CC', 'Fall', 2025);
+    const math = attempt('math101', 'AA', 'Fall', 2024);
+    const attempts = [third, math, first, second];
+
+    test('defaults to counting every attempt', () => {
+        expect(enrollmentService.REPEAT_POLICY).toBe('all');
+        expect(enrollmentService.findSupersededAttempts(attempts).size).toBe(0);
+    });
+
+    test('latest attempt replaces earlier ones regardless of grade', () => {
+        const superseded = enrollmentService.findSupersededAttempts(attempts, 'latest');
+
+        expect([...superseded]).toEqual(expect.arrayContaining([first, second]));
+        expect(superseded.size).toBe(2);
+    });
+
+    test('best attempt keeps the highest grade', () => {
+        const superseded = enrollmentService.findSupersededAttempts(attempts, 'best');
+
+        expect([...superseded]).toEqual(expect.arrayContaining([second, third]));
+        expect(superseded.has(first)).toBe(false);
+        expect(superseded.has(math)).toBe(false);
+    });
+
+    test('prerequisite checks use the attempt that counts', async () => {
+        process.env.GRADE_REPEAT_POLICY = 'latest';
+
+        let service;
+        let models;
+        jest.isolateModules(() => {
+            service = require('../../src/services/enrollmentService');
+            models = require('../../src/models');
+        });
+        delete process.env.GRADE_REPEAT_POLICY;
+
+        models.CoursePrerequisite.findAll = jest.fn(({ where }) => Promise.resolve(where.course_id === 'cs201' ? [{
+            course_id: 'cs201',
+            prerequisite_course_id: 'cs101',
+            requirement_type: 'prerequisite',
+            group_number: null,
+            min_grade: null,
+            prerequisiteCourse: { id: 'cs101', code: 'CS101', name: 'Intro' }
+        }] : []));
+        models.Course.findByPk = jest.fn().mockResolvedValue({ id: 'cs201', code: 'CS201', min_year_of_study: null });
+        models.Student.findByPk = jest.fn().mockResolvedValue({ id: 'stu-1', enrollment_year: 2024 });
+        models.TransferCredit.findAll = jest.fn().mockResolvedValue([]);
+        models.GradeRelease.findAll = jest.fn().mockResolvedValue([]);
+        models.Enrollment.findAll = jest.fn().mockResolvedValue([
+            { ...attempt('cs101', 'BB', 'Fall', 2024), status: 'completed' },
+            { ...attempt('cs101', 'FF', 'Spring', 2024), status: 'failed' }
+        ]);
+
+        const result = await service.checkPrerequisitesRecursive('cs201', 'stu-1', new Set(), { semester: 'Fall', year: 2025 });
+
+        expect(service.REPEAT_POLICY).toBe('latest');
+        expect(result.passed).toBe(false);
+        expect(result.missingPrerequisites[0]).toMatchObject({ course_code: 'CS101', current_grade: 'FF' });
+    });
+});
@@ -0,0 +1,51 @@
+const ReservationService = require('../../src/services/reservationService');
+const SensorService = require('../../src/services/sensorService');
+const { Classroom } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/sensorService');
+
+describe('Unit: Reservation Service - measured occupancy', () => {
+    const classroom = { id: 'room-1', building: 'Eng', room_number: '101', capacity: 40 };
+
+    beforeEach(() => {
+        jest.useFakeTimers().setSystemTime(new Date(2026, 2, 2, 10, 30));
+        Classroom.findAll = jest.fn().mockResolvedValue([classroom]);
+        ReservationService.getClassroomAvailability = jest.fn().mockResolvedValue({
+            classroom: { id: classroom.id, building: 'Eng', room_number: '101', capacity: 40 },
+            booked_slots: [{ type: 'reservation', start: '10:00:00', end: '12:00:00', title: 'Study group' }],
+            available_slots: []
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.clearAllMocks();
+    });
+
+    test('Should flag a room that is booked right now but measured empty', async () => {
+        SensorService.getClassroomOccupancy.mockResolvedValue({
+            'room-1': { count: 0, measured_at: new Date(), is_stale: false }
+        });
+
+        const [room] = await ReservationService.getClassroomsWithAvailability('2026-03-02');
+
+        expect(room.is_booked_now).toBe(true);
+        expect(room.occupancy).toMatchObject({ count: 0, utilization: 0 });
+        expect(room.booked_but_empty).toBe(true);
+    });
+
+    test('Should not flag rooms with stale readings or on other dates', async () => {
+        SensorService.getClassroomOccupancy.mockResolvedValue({
+            'room-1': { count: 0, measured_at: new Date(), is_stale: true }
+        });
+
+        const [today] = await ReservationService.getClassroomsWithAvailability('2026-03-02');
+        expect(today.booked_but_empty).toBe(false);
+
+        const [tomorrow] = await ReservationService.getClassroomsWithAvailability('2026-03-03');
+        expect(tomorrow.occupancy).toBeNull();
+        expect(tomorrow.is_booked_now).toBe(false);
+        expect(SensorService.getClassroomOccupancy).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,146 @@
+const scheduleBuilderService = require('../../src/services/scheduleBuilderService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const { sequelize, Enrollment, CourseSection, Student } = require('../../src/models');
+
+jest.mock('../../src/models');
+
+describe('Unit: Schedule Builder Service', () => {
+    const slot = (day, start_time, end_time) => ({ day, start_time, end_time });
+
+    const section = (id, courseId, schedule, data = {}) => ({
+        id,
+        course_id: courseId,
+        section_number: id.slice(-2),
+        capacity: 30,
+        enrolled_count: 5,
+        schedule_json: schedule,
+        course: { id: courseId, code: courseId.toUpperCase(), name: courseId },
+        ...data
+    });
+
+    // CS101: early Monday or Friday; CS201: Monday late morning or Monday 08:30 (clashes with 101-01)
+    const sections = [
+        section('101-01', 'cs101', [slot('Monday', '08:00', '09:50')]),
+        section('101-02', 'cs101', [slot('Friday', '13:00', '14:50')]),
+        section('201-01', 'cs201', [slot('Monday', '11:00', '12:50')]),
+        section('201-02', 'cs201', [slot('Monday', '08:30', '10:20')])
+    ];
+
+    const build = (preferences = {}) => scheduleBuilderService.buildSchedules('stu-1', {
+        course_ids: ['cs101', 'cs201'],
+        semester: 'Fall',
+        year: 2026,
+        preferences
+    });
+
+    let transaction;
+
+    beforeEach(() => {
+        transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction = jest.fn().mockResolvedValue(transaction);
+        Student.findByPk = jest.fn().mockResolvedValue({ id: 'stu-1' });
+        Enrollment.findAll = jest.fn().mockResolvedValue([]);
+        CourseSection.findAll = jest.fn().mockResolvedValue(sections);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildSchedules', () => {
+        test('generates every conflict-free combination', async () => {
+            const result = await build();
+
+            expect(result.total).toBe(3);
+            expect(result.schedules.map(s => s.section_ids.sort())).toEqual(expect.arrayContaining([
+                ['101-01', '201-01'],
+                ['101-02', '201-01'],
+                ['101-02', '201-02']
+            ]));
+        });
+
+        test('ranks by preferences: no early classes and free Fridays', async () => {
+            const lateStart = await build({ no_classes_before: '10:00', minimize_gaps: false });
+            expect(lateStart.schedules[0].section_ids.sort()).toEqual(['101-02', '201-01']);
+            expect(lateStart.schedules[0].metrics.preferences_met).toBe(true);
+
+            const freeFriday = await build({ free_days: ['Friday'] });
+            expect(freeFriday.schedules[0].section_ids.sort()).toEqual(['101-01', '201-01']);
+            expect(freeFriday.schedules[0].metrics).toMatchObject({
+                days_on_campus: 1,
+                gap_minutes: 70,
+                classes_on_free_days: 0
+            });
+        });
+
+        test('avoids the current schedule and reports unschedulable courses', async () => {
+            Enrollment.findAll.mockResolvedValue([
+                { section: { id: 'other', course_id: 'ma101', schedule_json: [slot('Friday', '13:00', '13:50')] } }
+            ]);
+            CourseSection.findAll.mockResolvedValue([
+                ...sections.filter(s => s.course_id === 'cs101'),
+                section('201-01', 'cs201', [slot('Monday', '11:00', '12:50')], { enrolled_count: 30 })
+            ]);
+
+            const result = await build();
+
+            expect(result.unavailable_courses).toEqual([{ course_id: 'cs201', code: 'CS201', reason: 'full' }]);
+            expect(result.schedules).toEqual([]);
+        });
+
+        test('ignores enrollments from other terms', async () => {
+            // A Fall enrollment in the Monday 08:00 slot must not block the Spring schedule
+            Enrollment.findAll.mockImplementation(async ({ include }) => (
+                include[0].where.semester === 'Fall' && include[0].where.year === 2026
+                    ? [{ section: { id: 'fall', course_id: 'cs101', schedule_json: [slot('Monday', '08:00', '09:50')] } }]
+                    : []
+            ));
+
+            const result = await scheduleBuilderService.buildSchedules('stu-1', {
+                course_ids: ['cs101', 'cs201'],
+                semester: 'Spring',
+                year: '2027'
+            });
+
+            expect(result.unavailable_courses).toEqual([]);
+            expect(result.total).toBe(3);
+        });
+    });
+
+    describe('enrollInSchedule', () => {
+        test('enrolls every section in one transaction', async () => {
+            CourseSection.findAll.mockResolvedValue([sections[1], sections[2]]);
+            const enroll = jest.spyOn(enrollmentService, 'enrollStudent')
+                .mockImplementation(async (studentId, sectionId) => ({ id: `enr-${sectionId}` }));
+
+            const enrollments = await scheduleBuilderService.enrollInSchedule('stu-1', ['101-02', '201-01']);
+
+            expect(enrollments).toHaveLength(2);
+            const options = { transaction, plannedCourseIds: ['cs101', 'cs201'] };
+            expect(enroll).toHaveBeenCalledWith('stu-1', '101-02', options);
+            expect(enroll).toHaveBeenCalledWith('stu-1', '201-01', options);
+            expect(transaction.commit).toHaveBeenCalled();
+        });
+
+        test('rolls back all sections when one fails', async () => {
+            CourseSection.findAll.mockResolvedValue([sections[1], sections[2]]);
+            jest.spyOn(enrollmentService, 'enrollStudent')
+                .mockResolvedValueOnce({ id: 'enr-1' })
+                .mockRejectedValueOnce(Object.assign(new Error('Prerequisites not met'), { code: 'PREREQUISITES_NOT_MET' }));
+
+            await expect(scheduleBuilderService.enrollInSchedule('stu-1', ['101-02', '201-01']))
+                .rejects.toMatchObject({ code: 'PREREQUISITES_NOT_MET', section_id: '201-01', course_code: 'CS201' });
+            expect(transaction.rollback).toHaveBeenCalled();
+            expect(transaction.commit).not.toHaveBeenCalled();
+        });
+
+        test('rejects overlapping sections before enrolling', async () => {
+            CourseSection.findAll.mockResolvedValue([sections[0], sections[3]]);
+            const enroll = jest.spyOn(enrollmentService, 'enrollStudent');
+
+            await expect(scheduleBuilderService.enrollInSchedule('stu-1', ['101-01', '201-02']))
+                .rejects.toMatchObject({ code: 'SCHEDULE_CONFLICT' });
+            expect(enroll).not.toHaveBeenCalled();
+        });
+    });
+});
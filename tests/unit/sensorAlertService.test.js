@@ -0,0 +1,150 @@
+const SensorAlertService = require('../../src/services/sensorAlertService');
+const NotificationService = require('../../src/services/notificationService');
+const { SensorData, SensorAlertRule, SensorAlert, User } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/socket', () => {
+    const io = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+    return { getIo: jest.fn().mockReturnValue(io) };
+});
+
+describe('Unit: Sensor Alert Service', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const minutesAgo = (m) => new Date(now.getTime() - m * 60000);
+
+    const buildSensor = (overrides = {}) => ({
+        id: 'sensor-1',
+        sensor_code: 'TEMP-1',
+        type: 'temperature',
+        location: 'Server Room',
+        status: 'active',
+        last_reading_at: minutesAgo(1),
+        created_at: minutesAgo(1000),
+        update: jest.fn().mockResolvedValue(true),
+        ...overrides
+    });
+
+    const tempRule = {
+        id: 'rule-1',
+        name: 'Overheating',
+        condition: 'gt',
+        threshold: 28,
+        duration_minutes: 10,
+        severity: 'critical',
+        notify_user_ids: ['user-1']
+    };
+
+    const silenceRule = {
+        id: 'rule-2',
+        name: 'Sensor offline',
+        condition: 'no_data',
+        threshold: null,
+        duration_minutes: 15,
+        severity: 'warning',
+        notify_user_ids: []
+    };
+
+    beforeEach(() => {
+        // Automocked models share inherited statics, so give each its own mocks
+        SensorData.findOne = jest.fn();
+        SensorData.max = jest.fn();
+        SensorData.min = jest.fn();
+        SensorAlertRule.findAll = jest.fn();
+        SensorAlert.findOne = jest.fn().mockResolvedValue(null);
+        SensorAlert.create = jest.fn().mockImplementation(async (data) => ({ id: 'alert-1', ...data }));
+        SensorAlert.update = jest.fn().mockResolvedValue([0]);
+        User.findAll = jest.fn().mockResolvedValue([{ id: 'admin-1' }]);
+        NotificationService.sendNotification.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Should open an alert once the threshold has held for the rule duration', async () => {
+        SensorAlertRule.findAll.mockResolvedValue([tempRule]);
+        SensorData.findOne.mockResolvedValue({ value: 29.5, timestamp: minutesAgo(1) });
+        SensorData.max.mockResolvedValue(minutesAgo(20));
+        SensorData.min.mockResolvedValue(minutesAgo(15));
+
+        const result = await SensorAlertService.evaluateSensor(buildSensor(), now);
+
+        expect(result.triggered).toBe(1);
+        expect(SensorAlert.create).toHaveBeenCalledWith(expect.objectContaining({
+            rule_id: 'rule-1',
+            status: 'open',
+            trigger_value: 29.5
+        }));
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 'user-1',
+            priority: 'urgent'
+        }));
+    });
+
+    test('Should format DECIMAL readings like the threshold in the alert message', async () => {
+        SensorAlertRule.findAll.mockResolvedValue([tempRule]);
+        SensorData.findOne.mockResolvedValue({ value: '29.5000', timestamp: minutesAgo(1) });
+        SensorData.max.mockResolvedValue(minutesAgo(20));
+        SensorData.min.mockResolvedValue(minutesAgo(15));
+
+        await SensorAlertService.evaluateSensor(buildSensor(), now);
+
+        expect(SensorAlert.create).toHaveBeenCalledWith(expect.objectContaining({
+            message: 'TEMP-1 (Server Room): temperature > 28 for 10 minutes (latest 29.5)'
+        }));
+    });
+
+    test('Should not fire before the duration elapses or while an alert is already open', async () => {
+        SensorAlertRule.findAll.mockResolvedValue([tempRule]);
+        SensorData.findOne.mockResolvedValue({ value: 29.5, timestamp: minutesAgo(1) });
+        SensorData.max.mockResolvedValue(minutesAgo(6));
+        SensorData.min.mockResolvedValue(minutesAgo(5));
+
+        await SensorAlertService.evaluateSensor(buildSensor(), now);
+        expect(SensorAlert.create).not.toHaveBeenCalled();
+
+        SensorData.min.mockResolvedValue(minutesAgo(30));
+        SensorAlert.findOne.mockResolvedValue({ id: 'alert-0', status: 'acknowledged' });
+
+        await SensorAlertService.evaluateSensor(buildSensor(), now);
+        expect(SensorAlert.create).not.toHaveBeenCalled();
+        expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+
+    test('Should flag a silent sensor as error and alert all admins', async () => {
+        SensorAlertRule.findAll.mockResolvedValue([silenceRule]);
+        const sensor = buildSensor({ last_reading_at: minutesAgo(20) });
+
+        const result = await SensorAlertService.evaluateSensor(sensor, now);
+
+        expect(result.triggered).toBe(1);
+        expect(sensor.update).toHaveBeenCalledWith({ status: 'error' });
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 'admin-1'
+        }));
+    });
+
+    test('Should resolve alerts and restore status when a silent sensor reports again', async () => {
+        SensorAlertRule.findAll.mockResolvedValue([silenceRule]);
+        SensorAlert.update.mockResolvedValue([1]);
+        const sensor = buildSensor({ status: 'error', last_reading_at: minutesAgo(0) });
+
+        const result = await SensorAlertService.evaluateSensor(sensor, now);
+
+        expect(result.resolved).toBe(1);
+        expect(SensorAlert.update).toHaveBeenCalledWith(
+            expect.objectContaining({ status: 'resolved' }),
+            expect.anything()
+        );
+        expect(sensor.update).toHaveBeenCalledWith({ status: 'active' });
+    });
+
+    test('Should reject comparison rules without a threshold', async () => {
+        await expect(SensorAlertService.createRule({
+            name: 'Broken',
+            sensor_type: 'temperature',
+            condition: 'gt'
+        }, 'admin-1')).rejects.toMatchObject({ code: 'INVALID_RULE' });
+    });
+});
@@ -0,0 +1,142 @@
+const SensorService = require('../../src/services/sensorService');
+const { sequelize, IoTSensor, SensorData } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/socket', () => {
+    const io = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+    return { getIo: jest.fn().mockReturnValue(io) };
+});
+
+jest.mock('../../src/services/sensorAlertService', () => ({
+    evaluateSensor: jest.fn().mockResolvedValue({ triggered: 0, resolved: 0 })
+}));
+
+const { getIo } = require('../../src/socket');
+const SensorAlertService = require('../../src/services/sensorAlertService');
+
+describe('Unit: Sensor Service', () => {
+    const mockTransaction = { commit: jest.fn(), rollback: jest.fn() };
+
+    beforeEach(() => {
+        sequelize.transaction = jest.fn().mockResolvedValue(mockTransaction);
+        SensorData.bulkCreate.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const buildSensor = (overrides = {}) => ({
+        id: 'sensor-1',
+        sensor_code: 'TEMP-1',
+        type: 'temperature',
+        status: 'active',
+        last_reading_at: null,
+        update: jest.fn().mockResolvedValue(true),
+        ...overrides
+    });
+
+    test('Should hash API keys deterministically without storing plaintext', () => {
+        const key = SensorService.generateApiKey();
+        expect(key).toMatch(/^SNS-[0-9a-f]{48}$/);
+        expect(SensorService.hashApiKey(key)).toBe(SensorService.hashApiKey(key));
+        expect(SensorService.hashApiKey(key)).not.toContain(key);
+    });
+
+    test('Should reject unknown API keys', async () => {
+        IoTSensor.findOne.mockResolvedValue(null);
+        await expect(SensorService.authenticateSensor('SNS-bad')).rejects.toMatchObject({
+            code: 'INVALID_SENSOR_KEY'
+        });
+        await expect(SensorService.authenticateSensor(undefined)).rejects.toMatchObject({
+            code: 'NO_SENSOR_KEY'
+        });
+    });
+
+    test('Should store a batch and advance last_reading_at to the newest reading', async () => {
+        const sensor = buildSensor();
+
+        const result = await SensorService.ingestReadings(sensor, [
+            { value: 21.5, unit: '°C', timestamp: '2026-01-01T10:00:00Z' },
+            { value: '22.1', unit: '°C', timestamp: '2026-01-01T10:00:10Z' }
+        ]);
+
+        expect(result.accepted).toBe(2);
+        expect(SensorData.bulkCreate).toHaveBeenCalledTimes(1);
+        expect(sensor.update).toHaveBeenCalledWith(
+            { last_reading_at: new Date('2026-01-01T10:00:10Z') },
+            { transaction: mockTransaction }
+        );
+        expect(mockTransaction.commit).toHaveBeenCalled();
+        expect(getIo().to).toHaveBeenCalledWith('sensor:sensor-1');
+        expect(SensorAlertService.evaluateSensor).toHaveBeenCalledWith(sensor);
+    });
+
+    test('Should reject non-numeric values and oversized batches', async () => {
+        const sensor = buildSensor();
+
+        await expect(SensorService.ingestReadings(sensor, [{ value: 'abc' }]))
+            .rejects.toMatchObject({ code: 'INVALID_READINGS' });
+
+        const tooMany = Array.from({ length: SensorService.MAX_BATCH_SIZE + 1 }, () => ({ value: 1 }));
+        await expect(SensorService.ingestReadings(sensor, tooMany))
+            .rejects.toMatchObject({ code: 'BATCH_TOO_LARGE' });
+
+        expect(SensorData.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('Should reject aggregation ranges that produce too many buckets', async () => {
+        await expect(SensorService.getAggregatedReadings(['sensor-1'], {
+            interval: 'minute',
+            from: '2026-01-01T00:00:00Z',
+            to: '2026-02-01T00:00:00Z'
+        })).rejects.toMatchObject({ code: 'TOO_MANY_BUCKETS' });
+
+        await expect(SensorService.getAggregatedReadings(['sensor-1'], { interval: 'week' }))
+            .rejects.toMatchObject({ code: 'INVALID_INTERVAL' });
+    });
+
+    test('Should fill empty buckets according to the fill strategy', () => {
+        const buckets = [
+            { bucket: 't0', min: 20, max: 22, avg: 21, count: 3, last: 22 },
+            { bucket: 't1', min: null, max: null, avg: null, count: 0, last: null },
+            { bucket: 't2', min: 19, max: 19, avg: 19, count: 1, last: 19 }
+        ];
+
+        expect(SensorService._fillGaps(buckets, 'null')[1].avg).toBeNull();
+        expect(SensorService._fillGaps(buckets, 'zero')[1]).toMatchObject({ avg: 0, filled: true });
+        expect(SensorService._fillGaps(buckets, 'previous')[1]).toMatchObject({ min: 22, max: 22, last: 22 });
+    });
+
+    test('Should map occupancy sensors to classrooms by link or by location', async () => {
+        const now = new Date('2026-03-02T10:30:00Z');
+        IoTSensor.findAll = jest.fn().mockResolvedValue([
+            { id: 'occ-1', classroom_id: 'room-a', location: 'somewhere' },
+            { id: 'occ-2', classroom_id: null, location: 'Eng-B 101' },
+            { id: 'occ-3', classroom_id: null, location: 'Library' }
+        ]);
+        sequelize.query = jest.fn().mockResolvedValue([
+            { sensor_id: 'occ-1', value: '12', timestamp: '2026-03-02T10:28:00Z' },
+            { sensor_id: 'occ-2', value: '0', timestamp: '2026-03-02T09:00:00Z' }
+        ]);
+
+        const occupancy = await SensorService.getClassroomOccupancy([
+            { id: 'room-a', building: 'Science', room_number: '1' },
+            { id: 'room-b', building: 'ENG B', room_number: '101' }
+        ], now);
+
+        expect(occupancy['room-a']).toMatchObject({ count: 12, is_stale: false });
+        expect(occupancy['room-b']).toMatchObject({ count: 0, is_stale: true });
+        expect(sequelize.query.mock.calls[0][1].replacements.sensorIds).toEqual(['occ-1', 'occ-2']);
+    });
+
+    test('Should let only admins and staff follow an existing sensor', async () => {
+        IoTSensor.findByPk = jest.fn().mockResolvedValue(buildSensor());
+
+        await expect(SensorService.authorizeWatcher('sensor-1', { id: 'user-1', role: 'staff' })).resolves.toBe(true);
+        await expect(SensorService.authorizeWatcher('sensor-1', { id: 'user-2', role: 'student' })).resolves.toBe(false);
+
+        IoTSensor.findByPk.mockResolvedValue(null);
+        await expect(SensorService.authorizeWatcher('sensor-x', { id: 'user-1', role: 'admin' })).resolves.toBe(false);
+    });
+});
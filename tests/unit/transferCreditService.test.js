@@ -0,0 +1,73 @@
+const transferCreditService = require('../../src/services/transferCreditService');
+const NotificationService = require('../../src/services/notificationService');
+const { Course, Student, TransferCredit } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+
+describe('Unit: Transfer Credit Service', () => {
+    const erasmusCourse = {
+        source: 'erasmus',
+        institution: 'TU Delft',
+        external_course_code: 'CSE1100',
+        external_course_name: 'Object-Oriented Programming',
+        external_grade: '8',
+        letter_grade: 'BA',
+        semester: 'Spring',
+        year: 2025
+    };
+
+    beforeEach(() => {
+        Student.findByPk = jest.fn().mockResolvedValue({ id: 'stu-1', user_id: 'user-1' });
+        Course.findByPk = jest.fn().mockResolvedValue({ id: 'c-102', code: 'CS102', name: 'OOP', credits: 4, ects: 6 });
+        TransferCredit.findOne = jest.fn().mockResolvedValue(null);
+        TransferCredit.create = jest.fn(data => Promise.resolve({ id: 'tc-1', ...data }));
+        NotificationService.sendNotification.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('records a mapped course with the local credits and notifies the student', async () => {
+        const credit = await transferCreditService.recordTransferCredit('stu-1', { ...erasmusCourse, course_id: 'c-102' }, 'admin-1');
+
+        expect(credit).toMatchObject({
+            student_id: 'stu-1',
+            course_id: 'c-102',
+            credits: 4,
+            ects: 6,
+            letter_grade: 'BA',
+            recorded_by: 'admin-1'
+        });
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+            userId: 'user-1',
+            message: 'CSE1100 from TU Delft was recorded as CS102 (BA, 4 credits).'
+        }));
+    });
+
+    test('rejects mapping a second external course to the same local course', async () => {
+        TransferCredit.findOne.mockResolvedValue({ id: 'tc-old' });
+
+        await expect(transferCreditService.recordTransferCredit('stu-1', { ...erasmusCourse, course_id: 'c-102' }, 'admin-1'))
+            .rejects.toMatchObject({ code: 'DUPLICATE_TRANSFER_CREDIT' });
+        expect(TransferCredit.create).not.toHaveBeenCalled();
+    });
+
+    test('requires credits for courses without a local equivalent', async () => {
+        await expect(transferCreditService.recordTransferCredit('stu-1', erasmusCourse, 'admin-1'))
+            .rejects.toMatchObject({ code: 'INVALID_TRANSFER_CREDIT' });
+
+        const credit = await transferCreditService.recordTransferCredit('stu-1', { ...erasmusCourse, credits: 3 }, 'admin-1');
+        expect(credit).toMatchObject({ course_id: null, credits: 3, ects: 0 });
+        expect(Course.findByPk).not.toHaveBeenCalled();
+    });
+
+    test('follows the institution policy unless the record overrides it', () => {
+        expect(transferCreditService.TRANSFER_CREDITS_IN_GPA).toBe(false);
+        expect(transferCreditService.countsTowardGpa({ counts_toward_gpa: null })).toBe(false);
+        expect(transferCreditService.countsTowardGpa({ counts_toward_gpa: true })).toBe(true);
+        expect(transferCreditService.isPassed({ letter_grade: 'CC' })).toBe(true);
+        expect(transferCreditService.isPassed({ letter_grade: 'DD' })).toBe(false);
+    });
+});
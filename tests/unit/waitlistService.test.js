@@ -0,0 +1,206 @@
+const { Op } = require('sequelize');
+const waitlistService = require('../../src/services/waitlistService');
+const enrollmentService = require('../../src/services/enrollmentService');
+const NotificationService = require('../../src/services/notificationService');
+const { AppError } = require('../../src/middleware/errorHandler');
+const { WaitlistEntry, Enrollment, CourseSection, Student, StudentHold, AcademicTerm } = require('../../src/models');
+
+jest.mock('../../src/models');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/enrollmentService');
+
+describe('Unit: Waitlist Service', () => {
+    const makeEntry = (data) => ({
+        id: 'wl-1',
+        section_id: 'sec-1',
+        student_id: 'stu-1',
+        status: 'waiting',
+        joined_at: new Date('2026-01-10T10:00:00Z'),
+        ...data,
+        update: jest.fn(function (changes) {
+            Object.assign(this, changes);
+            return Promise.resolve(this);
+        })
+    });
+
+    const section = {
+        id: 'sec-1',
+        section_number: 1,
+        capacity: 30,
+        enrolled_count: 30,
+        course: { id: 'course-1', code: 'CS201', name: 'Data Structures' }
+    };
+
+    beforeEach(() => {
+        CourseSection.findByPk = jest.fn().mockResolvedValue(section);
+        Enrollment.findOne = jest.fn().mockResolvedValue(null);
+        WaitlistEntry.findOne = jest.fn();
+        WaitlistEntry.findAll = jest.fn().mockResolvedValue([]);
+        WaitlistEntry.count = jest.fn().mockResolvedValue(0);
+        WaitlistEntry.update = jest.fn().mockResolvedValue([0]);
+        WaitlistEntry.create = jest.fn(data => Promise.resolve(makeEntry(data)));
+        Student.findByPk = jest.fn(id => Promise.resolve({ id, user_id: `user-${id}` }));
+        StudentHold.findAll = jest.fn().mockResolvedValue([]);
+        AcademicTerm.findOne = jest.fn().mockResolvedValue(null);
+        NotificationService.sendNotification.mockResolvedValue(null);
+        enrollmentService.checkPrerequisitesRecursive.mockResolvedValue({ passed: true, missingPrerequisites: [] });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('joinWaitlist', () => {
+        test('queues the student behind those already waiting', async () => {
+            WaitlistEntry.findOne.mockResolvedValue(null);
+            WaitlistEntry.count.mockResolvedValue(2);
+
+            const result = await waitlistService.joinWaitlist('stu-1', 'sec-1');
+
+            expect(WaitlistEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+                section_id: 'sec-1',
+                student_id: 'stu-1',
+                status: 'waiting'
+            }));
+            expect(result.position).toBe(3);
+        });
+
+        test('sends students to a section with open seats to enroll directly', async () => {
+            CourseSection.findByPk.mockResolvedValue({ ...section, enrolled_count: 12 });
+
+            await expect(waitlistService.joinWaitlist('stu-1', 'sec-1'))
+                .rejects.toMatchObject({ code: 'SECTION_NOT_FULL' });
+        });
+
+        test('blocks students with a registration hold', async () => {
+            StudentHold.findAll.mockResolvedValue([{ id: 'hold-1', hold_type: 'unpaid_balance', reason: 'Tuition' }]);
+
+            await expect(waitlistService.joinWaitlist('stu-1', 'sec-1'))
+                .rejects.toMatchObject({ code: 'REGISTRATION_HOLD' });
+            expect(WaitlistEntry.create).not.toHaveBeenCalled();
+        });
+
+        test('blocks students already enrolled or awaiting approval in the course', async () => {
+            Enrollment.findOne.mockResolvedValue({ id: 'enr-1', status: 'pending_approval' });
+
+            await expect(waitlistService.joinWaitlist('stu-1', 'sec-1'))
+                .rejects.toMatchObject({ code: 'ALREADY_ENROLLED_IN_COURSE' });
+            expect(Enrollment.findOne).toHaveBeenCalledWith(expect.objectContaining({
+                where: {
+                    student_id: 'stu-1',
+                    status: { [Op.in]: ['pending_approval', 'enrolled'] }
+                }
+            }));
+            expect(WaitlistEntry.create).not.toHaveBeenCalled();
+        });
+
+        test('rejects duplicates and missing prerequisites', async () => {
+            WaitlistEntry.findOne.mockResolvedValueOnce(makeEntry());
+            await expect(waitlistService.joinWaitlist('stu-1', 'sec-1'))
+                .rejects.toMatchObject({ code: 'ALREADY_WAITLISTED' });
+
+            WaitlistEntry.findOne.mockResolvedValueOnce(null);
+            enrollmentService.checkPrerequisitesRecursive.mockResolvedValue({
+                passed: false,
+                missingPrerequisites: [{ code: 'CS101' }]
+            });
+            await expect(waitlistService.joinWaitlist('stu-1', 'sec-1'))
+                .rejects.toMatchObject({ code: 'PREREQUISITES_NOT_MET', missingPrerequisites: [{ code: 'CS101' }] });
+        });
+    });
+
+    describe('promoteFromWaitlist', () => {
+        test('enrolls the next student and opens a confirmation window', async () => {
+            const first = makeEntry({ id: 'wl-1', student_id: 'stu-1' });
+            const second = makeEntry({ id: 'wl-2', student_id: 'stu-2' });
+            WaitlistEntry.findOne.mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+            enrollmentService.enrollStudent
+                .mockResolvedValueOnce({ id: 'enr-1', section, student: { user_id: 'user-stu-1' } })
+                .mockRejectedValueOnce(new AppError('Section is full (30/30)', 400, 'SECTION_FULL'));
+
+            const promoted = await waitlistService.promoteFromWaitlist('sec-1');
+
+            expect(promoted).toEqual([first]);
+            expect(first.status).toBe('offered');
+            expect(first.enrollment_id).toBe('enr-1');
+            expect(first.confirm_by.getTime() - Date.now())
+                .toBeGreaterThan((waitlistService.WAITLIST_CONFIRM_HOURS - 1) * 3600 * 1000);
+            expect(second.status).toBe('waiting');
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu-1', title: 'Enrolled from Waitlist' })
+            );
+        });
+
+        test('skips students who are no longer eligible', async () => {
+            const conflicted = makeEntry({ id: 'wl-1', student_id: 'stu-1' });
+            const next = makeEntry({ id: 'wl-2', student_id: 'stu-2' });
+            WaitlistEntry.findOne
+                .mockResolvedValueOnce(conflicted)
+                .mockResolvedValueOnce(next)
+                .mockResolvedValueOnce(null);
+            enrollmentService.enrollStudent
+                .mockRejectedValueOnce(new AppError('Schedule conflict detected', 400, 'SCHEDULE_CONFLICT'))
+                .mockResolvedValueOnce({ id: 'enr-2', section, student: { user_id: 'user-stu-2' } });
+
+            const promoted = await waitlistService.promoteFromWaitlist('sec-1');
+
+            expect(conflicted).toMatchObject({ status: 'skipped', skip_reason: 'Schedule conflict detected' });
+            expect(promoted).toEqual([next]);
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu-1', title: 'Waitlist Seat Could Not Be Assigned' })
+            );
+        });
+
+        test('stops once the add/drop period is over', async () => {
+            const entry = makeEntry();
+            WaitlistEntry.findOne.mockResolvedValueOnce(entry);
+            enrollmentService.enrollStudent.mockRejectedValueOnce(
+                new AppError('The add/drop period has ended', 400, 'REGISTRATION_CLOSED')
+            );
+
+            await expect(waitlistService.promoteFromWaitlist('sec-1')).resolves.toEqual([]);
+            expect(entry.status).toBe('waiting');
+        });
+
+        test('does not swallow unexpected errors', async () => {
+            WaitlistEntry.findOne.mockResolvedValueOnce(makeEntry());
+            enrollmentService.enrollStudent.mockRejectedValueOnce(new Error('connection lost'));
+
+            await expect(waitlistService.promoteFromWaitlist('sec-1')).rejects.toThrow('connection lost');
+        });
+    });
+
+    describe('confirmSeat', () => {
+        test('confirms an offer inside the window', async () => {
+            const entry = makeEntry({ status: 'offered', confirm_by: new Date(Date.now() + 3600 * 1000) });
+            WaitlistEntry.findOne.mockResolvedValue(entry);
+
+            await waitlistService.confirmSeat('stu-1', 'wl-1');
+
+            expect(entry.status).toBe('confirmed');
+        });
+
+        test('rejects late confirmations', async () => {
+            WaitlistEntry.findOne.mockResolvedValue(makeEntry({ status: 'offered', confirm_by: new Date(Date.now() - 1000) }));
+
+            await expect(waitlistService.confirmSeat('stu-1', 'wl-1'))
+                .rejects.toMatchObject({ code: 'OFFER_EXPIRED' });
+        });
+    });
+
+    describe('expireUnconfirmedOffers', () => {
+        test('drops the unconfirmed enrollment and notifies the student', async () => {
+            const entry = makeEntry({ status: 'offered', enrollment_id: 'enr-1', section });
+            WaitlistEntry.findAll.mockResolvedValue([entry]);
+            enrollmentService.dropEnrollment.mockResolvedValue({});
+
+            await expect(waitlistService.expireUnconfirmedOffers()).resolves.toBe(1);
+
+            expect(entry.status).toBe('expired');
+            expect(enrollmentService.dropEnrollment).toHaveBeenCalledWith('stu-1', 'enr-1', { systemRelease: true });
+            expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user-stu-1', title: 'Waitlist Seat Released' })
+            );
+        });
+    });
+});